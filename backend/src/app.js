@@ -16,6 +16,13 @@ import cors from 'cors';
 import globalErrorHandler from './middleware/errorHandler.js';
 import configRoutes from './routes/configRoutes.js';
 import reviewRoutes from './routes/reviewRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import auditLogRoutes from './routes/auditLogRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import stockMovementRoutes from './routes/stockMovementRoutes.js';
+import seoRoutes from './routes/seoRoutes.js';
+import { requestId } from './middleware/requestId.js';
 
 // .env
 dotenv.config();
@@ -86,11 +93,122 @@ const swaggerOptions = {
                         _id: { type: 'string', format: 'objectid', example: '68015a91320b9fa9419079be' },
                         name: { type: 'string', example: 'João Silva' },
                         email: { type: 'string', format: 'email', example: 'joao.silva@email.com' },
-                        role: { type: 'string', enum: ['user', 'admin'], example: 'user' },
+                        role: { type: 'string', description: "'user', 'admin' ou o nome de uma role customizada.", example: 'user' },
+                        emailVerified: { type: 'boolean', example: true },
+                        mfaEnabled: { type: 'boolean', example: false },
+                        archivedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Preenchido quando a conta foi arquivada (desativada) por um administrador.' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' },
                     }
                 },
+                ImpersonationResponse: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', example: 'success' },
+                        token: { type: 'string', description: 'Token de acesso do cliente com a claim imp (ID do admin). Não acompanha refresh token.' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        data: {
+                            type: 'object',
+                            properties: {
+                                user: { $ref: '#/components/schemas/UserOutput' },
+                            }
+                        },
+                    }
+                },
+                PersonalDataExport: {
+                    type: 'object',
+                    description: 'Pacote de portabilidade (LGPD). Segredos como hash de senha e segredo do 2FA não são incluídos.',
+                    properties: {
+                        exportedAt: { type: 'string', format: 'date-time' },
+                        profile: {
+                            allOf: [{ $ref: '#/components/schemas/UserOutput' }],
+                            properties: {
+                                cpf: { type: 'string', example: '12345678909' },
+                                birthDate: { type: 'string', format: 'date-time' },
+                            }
+                        },
+                        addresses: { type: 'array', items: { $ref: '#/components/schemas/AddressOutput' } },
+                        cart: { allOf: [{ $ref: '#/components/schemas/CartOutput' }], nullable: true },
+                        orders: { type: 'array', items: { $ref: '#/components/schemas/OrderOutput' } },
+                        reviews: { type: 'array', items: { $ref: '#/components/schemas/ReviewOutput' } },
+                        sessions: { type: 'array', items: { type: 'object' }, description: 'Histórico de logins (IP, User-Agent, datas).' },
+                    }
+                },
+                // --- Roles e Permissões ---
+                RoleInput: {
+                    type: 'object',
+                    required: ['name', 'permissions'],
+                    properties: {
+                        name: { type: 'string', example: 'catalog_manager', description: 'Letras minúsculas, números e _. Não pode ser alterado depois.' },
+                        description: { type: 'string', example: 'Equipe de catálogo' },
+                        permissions: { type: 'array', items: { type: 'string' }, example: ['products:write', 'categories:write'] },
+                    }
+                },
+                RoleOutput: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid', description: 'Ausente nas roles do sistema.' },
+                        name: { type: 'string', example: 'catalog_manager' },
+                        description: { type: 'string', example: 'Equipe de catálogo' },
+                        permissions: { type: 'array', items: { type: 'string' }, example: ['products:write', 'categories:write'] },
+                        system: { type: 'boolean', description: 'true para admin/user (definidas no código, imutáveis).' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                // --- Chaves de API ---
+                ApiKeyInput: {
+                    type: 'object',
+                    required: ['name', 'scopes'],
+                    properties: {
+                        name: { type: 'string', example: 'ERP - expedição' },
+                        scopes: { type: 'array', items: { type: 'string' }, example: ['orders:read', 'orders:ship'] },
+                        expiresAt: { type: 'string', format: 'date-time', description: 'Opcional. Sem valor, a chave vale até ser revogada.' },
+                        rateLimitPerMinute: { type: 'integer', minimum: 1, maximum: 10000, example: 60 },
+                    }
+                },
+                ApiKeyOutput: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid' },
+                        name: { type: 'string', example: 'ERP - expedição' },
+                        prefix: { type: 'string', example: 'ak_Xq3vT9bL', description: 'Início da chave, para identificação.' },
+                        scopes: { type: 'array', items: { type: 'string' }, example: ['orders:read', 'orders:ship'] },
+                        createdBy: { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } } },
+                        expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                        revokedAt: { type: 'string', format: 'date-time', nullable: true },
+                        rateLimitPerMinute: { type: 'integer', example: 60 },
+                        lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+                        lastUsedIp: { type: 'string', nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                // --- Auditoria ---
+                AuditLogOutput: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid' },
+                        actor: { type: 'string', format: 'objectid' },
+                        actorEmail: { type: 'string', example: 'admin@loja.com' },
+                        actorRole: { type: 'string', example: 'admin' },
+                        impersonator: { type: 'string', format: 'objectid', description: 'Admin que agia como o actor (token de personificação).' },
+                        apiKey: { type: 'string', format: 'objectid', description: 'Chave de API usada na requisição, quando houver.' },
+                        action: { type: 'string', example: 'product.update' },
+                        entityType: { type: 'string', example: 'Product' },
+                        entityId: { type: 'string', format: 'objectid' },
+                        changes: {
+                            type: 'object',
+                            description: 'Campos alterados no formato { campo: { before, after } }.',
+                            example: { price: { before: 199.9, after: 179.9 } }
+                        },
+                        metadata: { type: 'object' },
+                        ip: { type: 'string', example: '203.0.113.7' },
+                        userAgent: { type: 'string' },
+                        requestId: { type: 'string', example: '3f2c1c9e-6a0b-4d7e-9a39-1b8f5f7c2d11' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                    }
+                },
                 // --- Categorias ---
                 CategoryInput: {
                     type: 'object',
@@ -98,6 +216,8 @@ const swaggerOptions = {
                     properties: {
                         name: { type: 'string', example: 'Eletrônicos' },
                         description: { type: 'string', example: 'Dispositivos eletrônicos e acessórios' },
+                        parent: { type: 'string', format: 'objectid', nullable: true, description: 'Categoria pai (opcional; null = raiz). Na atualização, move a categoria com todas as subcategorias.' },
+                        attributes: { type: 'array', items: { $ref: '#/components/schemas/CategoryAttribute' }, description: 'Atributos dos produtos da categoria (herdados pelas subcategorias). Na atualização, substitui a lista.' },
                     }
                 },
                 CategoryOutput: {
@@ -106,11 +226,52 @@ const swaggerOptions = {
                         _id: { type: 'string', format: 'objectid', example: '6801350d65d4d9e110605dbaf' },
                         name: { type: 'string', example: 'Eletrônicos' },
                         slug: { type: 'string', example: 'eletronicos' },
+                        slugAliases: { type: 'array', items: { type: 'string' }, example: ['eletronicos-antigos'], description: 'Slugs antigos (renomeações e categorias mescladas nesta) que continuam resolvendo em /api/categories/slug/{slug}.' },
                         description: { type: 'string', example: 'Dispositivos eletrônicos e acessórios' },
+                        parent: { type: 'string', format: 'objectid', nullable: true, description: 'Categoria pai (null = raiz).' },
+                        ancestors: { type: 'array', items: { type: 'string', format: 'objectid' }, description: 'IDs do caminho da raiz até o pai.' },
+                        attributes: { type: 'array', items: { $ref: '#/components/schemas/CategoryAttribute' }, description: 'Atributos próprios da categoria.' },
+                        effectiveAttributes: { type: 'array', items: { $ref: '#/components/schemas/CategoryAttribute' }, description: 'Atributos herdados das ancestrais mais os próprios (apenas em GET /api/categories/{id}).' },
+                        breadcrumb: {
+                            type: 'array',
+                            description: 'Caminho da raiz até a própria categoria (última posição). Presente nas respostas de /api/categories.',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    _id: { type: 'string', format: 'objectid' },
+                                    name: { type: 'string', example: 'Eletrônicos' },
+                                    slug: { type: 'string', example: 'eletronicos' },
+                                }
+                            }
+                        },
+                        archivedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Preenchido quando a categoria foi arquivada (fica fora da listagem pública).' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' },
                     }
                 },
+                CategoryAttribute: {
+                    type: 'object',
+                    required: ['key', 'type'],
+                    properties: {
+                        key: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,39}$', example: 'voltage', description: 'Chave nos produtos e no filtro ?attr.<key>=valor.' },
+                        label: { type: 'string', example: 'Voltagem' },
+                        type: { type: 'string', enum: ['string', 'number', 'enum', 'boolean'], example: 'enum' },
+                        required: { type: 'boolean', default: false },
+                        unit: { type: 'string', example: 'V' },
+                        options: { type: 'array', items: { type: 'string' }, example: ['110', '220', 'bivolt'], description: 'Valores aceitos (obrigatório para enum).' },
+                    }
+                },
+                CategoryTreeNode: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid' },
+                        name: { type: 'string', example: 'Eletrônicos' },
+                        slug: { type: 'string', example: 'eletronicos' },
+                        description: { type: 'string' },
+                        parent: { type: 'string', format: 'objectid', nullable: true },
+                        children: { type: 'array', items: { $ref: '#/components/schemas/CategoryTreeNode' }, description: 'Subcategorias, ordenadas por nome.' },
+                    }
+                },
                 // --- Produtos ---
                 ProductInput: {
                     type: 'object',
@@ -121,6 +282,10 @@ const swaggerOptions = {
                         price: { type: 'number', format: 'float', minimum: 0.01, example: 1599.99 },
                         category: { type: 'string', format: 'objectid', description: 'ID da Categoria', example: '6801350d65d4d9e110605dbaf' },
                         stock: { type: 'integer', minimum: 0, example: 50 },
+                        lowStockThreshold: { type: 'integer', minimum: 0, example: 5, description: 'Ponto de reposição (alerta de estoque baixo).' },
+                        brand: { type: 'string', maxLength: 70, example: 'XPTO', description: 'Marca (feed de produtos).' },
+                        gtin: { type: 'string', example: '7891234567895', description: 'Código de barras EAN/UPC/GTIN (feed de produtos).' },
+                        attributes: { type: 'object', additionalProperties: true, example: { voltage: '220', warranty: 12 }, description: 'Atributos definidos pela categoria (validados contra o schema dela).' },
                         image: { type: 'string', format: 'binary', description: '(Via form-data) Arquivo de imagem do produto.' },
                     }
                 },
@@ -132,6 +297,10 @@ const swaggerOptions = {
                         price: { type: 'number', format: 'float', minimum: 0.01, example: 1699.99 },
                         category: { type: 'string', format: 'objectid', description: 'ID da Categoria', example: '6801350d65d4d9e110605dbaf' },
                         stock: { type: 'integer', minimum: 0, example: 45 },
+                        lowStockThreshold: { type: 'integer', minimum: 0, nullable: true, example: 5, description: 'null desativa o alerta de estoque baixo.' },
+                        brand: { type: 'string', maxLength: 70, example: 'XPTO' },
+                        gtin: { type: 'string', example: '7891234567895', description: 'Vazio remove o GTIN.' },
+                        attributes: { type: 'object', additionalProperties: true, description: 'Substitui os atributos (revalidados também quando a categoria muda).' },
                         image: { type: 'string', format: 'binary', description: '(Via form-data) Nova imagem (opcional).' },
                     }
                 },
@@ -139,17 +308,197 @@ const swaggerOptions = {
                     type: 'object',
                     properties: {
                         _id: { type: 'string', format: 'objectid', example: '6801a...' },
+                        externalId: { type: 'string', example: 'ERP-000123', description: 'SKU/ID do sistema de origem (importação)' },
                         name: { type: 'string', example: 'Laptop XPTO Pro' },
+                        slug: { type: 'string', example: 'laptop-xpto-pro', description: 'Gerado a partir do nome (sem acentos, único); usado em /api/products/slug/{slug}.' },
+                        slugAliases: { type: 'array', items: { type: 'string' }, example: ['laptop-xpto'], description: 'Slugs antigos (de antes de renomeações) que continuam resolvendo.' },
                         description: { type: 'string', example: 'Laptop de alta performance.' },
                         price: { type: 'number', format: 'float', example: 1599.99 },
+                        sale: { $ref: '#/components/schemas/ProductSale' },
+                        effectivePrice: { type: 'number', format: 'float', example: 1399.99, description: 'Preço com o melhor desconto em vigor (preço promocional ou promoção). Presente na listagem e no detalhe.' },
+                        discount: { $ref: '#/components/schemas/PriceDiscount' },
                         category: { $ref: '#/components/schemas/CategoryOutput' },
                         stock: { type: 'integer', example: 50 },
+                        lowStockThreshold: { type: 'integer', nullable: true, example: 5, description: 'Ponto de reposição (alerta de estoque baixo); null = sem alerta.' },
+                        brand: { type: 'string', example: 'XPTO' },
+                        gtin: { type: 'string', example: '7891234567895' },
+                        attributes: { type: 'object', additionalProperties: true, example: { voltage: '220', warranty: 12 }, description: 'Atributos definidos pela categoria.' },
                         image: { type: 'string', format: 'url', example: 'https://res.cloudinary.com/...' },
                         imagePublicId: { type: 'string', example: 'ecommerce/products/...' },
+                        images: {
+                            type: 'array',
+                            description: 'Galeria ordenada. A capa (`isCover`) é espelhada em `image`/`imagePublicId`.',
+                            items: { $ref: '#/components/schemas/ProductImage' }
+                        },
+                        options: {
+                            type: 'array',
+                            description: 'Eixos de variação do produto (ex: Tamanho, Cor).',
+                            items: { $ref: '#/components/schemas/ProductOption' }
+                        },
+                        variants: {
+                            type: 'array',
+                            description: 'Variações (SKUs) do produto. Quando existem, `stock` é a soma dos estoques das variações.',
+                            items: { $ref: '#/components/schemas/ProductVariantOutput' }
+                        },
+                        archivedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Preenchido quando o produto foi arquivado (fica fora das listagens públicas e dos carrinhos).' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                ProductSale: {
+                    type: 'object',
+                    required: ['price'],
+                    properties: {
+                        price: { type: 'number', format: 'float', minimum: 0.01, example: 1399.99, description: 'Preço promocional (menor que o preço do produto).' },
+                        startsAt: { type: 'string', format: 'date-time', nullable: true, description: 'Início (opcional; sem valor, vale desde já).' },
+                        endsAt: { type: 'string', format: 'date-time', nullable: true, description: 'Término (opcional; sem valor, vale até ser removido).' }
+                    }
+                },
+                PriceDiscount: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Desconto aplicado ao preço efetivo (null quando vale o preço normal).',
+                    properties: {
+                        source: { type: 'string', enum: ['sale', 'promotion'], example: 'promotion' },
+                        promotion: { type: 'string', format: 'objectid', description: 'Promoção aplicada (source = promotion).' },
+                        name: { type: 'string', example: 'Black Friday' },
+                        endsAt: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                },
+                PriceHistoryEntry: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid' },
+                        product: { type: 'string', format: 'objectid' },
+                        variant: { type: 'string', format: 'objectid', description: 'Presente nas alterações do preço de uma variação.' },
+                        sku: { type: 'string', example: 'CAM-AZ-M' },
+                        oldPrice: { type: 'number', format: 'float', example: 99.9 },
+                        newPrice: { type: 'number', format: 'float', example: 89.9 },
+                        changedBy: {
+                            type: 'object',
+                            properties: {
+                                _id: { type: 'string', format: 'objectid' },
+                                name: { type: 'string', example: 'Admin' },
+                                email: { type: 'string', format: 'email' }
+                            }
+                        },
+                        apiKey: { type: 'string', format: 'objectid', description: 'Chave de API usada, quando a alteração veio de uma integração.' },
+                        source: { type: 'string', enum: ['update', 'import', 'variant'] },
+                        createdAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                ProductImage: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid', example: '6801c...' },
+                        url: { type: 'string', format: 'url', example: 'https://res.cloudinary.com/...' },
+                        publicId: { type: 'string', example: 'ecommerce_products/...' },
+                        alt: { type: 'string', maxLength: 200, example: 'Camiseta azul vista de frente' },
+                        isCover: { type: 'boolean', example: true }
+                    }
+                },
+                ProductOption: {
+                    type: 'object',
+                    required: ['name', 'values'],
+                    properties: {
+                        name: { type: 'string', example: 'Tamanho' },
+                        values: { type: 'array', items: { type: 'string' }, example: ['P', 'M', 'G'] }
+                    }
+                },
+                ProductVariantInput: {
+                    type: 'object',
+                    required: ['sku', 'options', 'stock'],
+                    properties: {
+                        sku: { type: 'string', example: 'CAM-AZ-M', description: 'Código único da variação (armazenado em maiúsculas).' },
+                        options: {
+                            type: 'object',
+                            additionalProperties: { type: 'string' },
+                            example: { Tamanho: 'M', Cor: 'Azul' },
+                            description: 'Um valor para cada eixo definido em `options` do produto.'
+                        },
+                        price: { type: 'number', format: 'float', example: 89.9, description: 'Preço da variação (opcional; sem valor, usa o preço do produto).' },
+                        stock: { type: 'integer', minimum: 0, example: 10 },
+                        image: { type: 'string', format: 'binary', description: 'Imagem da variação (opcional, apenas no cadastro via multipart).' }
+                    }
+                },
+                ProductVariantOutput: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid', example: '6801b...' },
+                        sku: { type: 'string', example: 'CAM-AZ-M' },
+                        options: { type: 'object', additionalProperties: { type: 'string' }, example: { Tamanho: 'M', Cor: 'Azul' } },
+                        price: { type: 'number', format: 'float', example: 89.9 },
+                        effectivePrice: { type: 'number', format: 'float', example: 79.9, description: 'Preço da variação com o melhor desconto em vigor (apenas no detalhe do produto).' },
+                        discount: { $ref: '#/components/schemas/PriceDiscount' },
+                        stock: { type: 'integer', example: 10 },
+                        image: { type: 'string', format: 'url', example: 'https://res.cloudinary.com/...' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                // --- Promoções ---
+                PromotionInput: {
+                    type: 'object',
+                    required: ['name', 'type', 'value'],
+                    properties: {
+                        name: { type: 'string', maxLength: 100, example: 'Black Friday' },
+                        description: { type: 'string', maxLength: 500 },
+                        type: { type: 'string', enum: ['percentage', 'fixed'], example: 'percentage', description: 'percentage: `value`% de desconto; fixed: `value` reais de desconto por unidade.' },
+                        value: { type: 'number', format: 'float', example: 15, description: 'Percentuais devem ser menores que 100.' },
+                        products: { type: 'array', items: { type: 'string', format: 'objectid' }, description: 'Produtos incluídos diretamente.' },
+                        categories: { type: 'array', items: { type: 'string', format: 'objectid' }, description: 'Categorias cujos produtos são incluídos. Informe ao menos um produto ou uma categoria.' },
+                        startsAt: { type: 'string', format: 'date-time', description: 'Início (padrão: agora).' },
+                        endsAt: { type: 'string', format: 'date-time', nullable: true, description: 'Término (opcional; sem valor, vale até ser pausada ou removida).' },
+                        active: { type: 'boolean', default: true, description: 'false pausa a promoção.' }
+                    }
+                },
+                PromotionOutput: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid' },
+                        name: { type: 'string', example: 'Black Friday' },
+                        description: { type: 'string' },
+                        type: { type: 'string', enum: ['percentage', 'fixed'] },
+                        value: { type: 'number', format: 'float', example: 15 },
+                        products: { type: 'array', items: { type: 'string', format: 'objectid' } },
+                        categories: { type: 'array', items: { type: 'string', format: 'objectid' } },
+                        startsAt: { type: 'string', format: 'date-time' },
+                        endsAt: { type: 'string', format: 'date-time', nullable: true },
+                        active: { type: 'boolean' },
+                        status: { type: 'string', enum: ['scheduled', 'running', 'ended', 'paused'], description: 'Situação da promoção agora. Campo virtual.' },
+                        createdBy: { type: 'string', format: 'objectid' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' },
                     }
                 },
+                // --- Livro de estoque ---
+                StockAdjustmentInput: {
+                    type: 'object',
+                    required: ['productId', 'delta', 'note'],
+                    properties: {
+                        productId: { type: 'string', format: 'objectid' },
+                        variantId: { type: 'string', format: 'objectid', description: 'Obrigatório para produtos com variações.' },
+                        delta: { type: 'integer', example: -2, description: 'Entrada (positivo) ou saída (negativo).' },
+                        note: { type: 'string', maxLength: 500, example: 'Avaria no transporte' }
+                    }
+                },
+                StockMovementOutput: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string', format: 'objectid' },
+                        product: { type: 'string', format: 'objectid', description: 'Na listagem, populado com o nome.' },
+                        variant: { type: 'string', format: 'objectid' },
+                        sku: { type: 'string', example: 'CAM-AZ-M' },
+                        reason: { type: 'string', enum: ['initial', 'sale', 'cancellation', 'refund', 'adjustment', 'import'], example: 'adjustment' },
+                        delta: { type: 'integer', example: -2 },
+                        balance: { type: 'integer', example: 8, description: 'Estoque após o movimento.' },
+                        order: { type: 'string', format: 'objectid', description: 'Pedido de origem (venda, cancelamento ou reembolso).' },
+                        actor: { type: 'string', format: 'objectid', description: 'Quem fez a alteração; ausente em movimentos automáticos. Na listagem, populado com nome e email.' },
+                        apiKey: { type: 'string', format: 'objectid' },
+                        note: { type: 'string', example: 'Avaria no transporte' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                    }
+                },
                 // --- Endereços ---
                 AddressInput: {
                     type: 'object',
@@ -197,16 +546,38 @@ const swaggerOptions = {
                             $ref: '#/components/schemas/ProductOutput',
                             description: 'Detalhes do produto neste item do carrinho.'
                         },
+                        variant: {
+                            type: 'string',
+                            format: 'objectid',
+                            description: 'ID da variação (SKU) escolhida, para produtos com variações.'
+                        },
+                        selectedVariant: {
+                            $ref: '#/components/schemas/ProductVariantOutput',
+                            description: 'Detalhes da variação escolhida. Campo virtual.'
+                        },
                         quantity: {
                             type: 'integer',
                             example: 2,
                             description: 'Quantidade deste produto no carrinho.'
                         },
+                        originalUnitPrice: {
+                            type: 'number',
+                            format: 'float',
+                            example: 1599.99,
+                            description: 'Preço unitário sem desconto (da variação, quando houver).'
+                        },
+                        unitPrice: {
+                            type: 'number',
+                            format: 'float',
+                            example: 1399.99,
+                            description: 'Preço unitário efetivo (com preço promocional ou promoção em vigor).'
+                        },
+                        discount: { $ref: '#/components/schemas/PriceDiscount' },
                         subtotal: {
                             type: 'number',
                             format: 'float',
-                            example: 3199.98,
-                            description: 'Subtotal calculado para este item (preço * quantidade). Campo virtual.'
+                            example: 2799.98,
+                            description: 'Subtotal calculado para este item (preço unitário efetivo * quantidade).'
                         }
                     }
                 },
@@ -234,6 +605,12 @@ const swaggerOptions = {
                                 $ref: '#/components/schemas/CartItemOutput'
                             }
                         },
+                        itemsPrice: {
+                            type: 'number',
+                            format: 'float',
+                            example: 2799.98,
+                            description: 'Soma dos subtotais dos itens, com os descontos em vigor.'
+                        },
                         createdAt: {
                             type: 'string',
                             format: 'date-time',
@@ -322,17 +699,48 @@ const swaggerOptions = {
                             description: 'Quantidade comprada.',
                             example: 1
                         },
-                        price: {
+                        originalPrice: {
                             type: 'number',
                             format: 'float',
-                            description: 'Preço unitário no momento da compra.',
+                            description: 'Preço unitário sem desconto no momento da compra.',
                             example: 1599.99
                         },
+                        price: {
+                            type: 'number',
+                            format: 'float',
+                            description: 'Preço unitário cobrado (com o desconto em vigor no momento da compra).',
+                            example: 1399.99
+                        },
+                        discount: {
+                            type: 'object',
+                            description: 'Origem do desconto aplicado em `price` (ausente quando vale o preço normal).',
+                            properties: {
+                                source: { type: 'string', enum: ['sale', 'promotion'] },
+                                promotion: { type: 'string', format: 'objectid' },
+                                name: { type: 'string', example: 'Black Friday' }
+                            }
+                        },
                         image: {
                             type: 'string',
                             format: 'url',
-                            description: 'URL da imagem do produto.',
+                            description: 'URL da imagem do produto (ou da variação).',
                             example: 'https://res.cloudinary.com/...'
+                        },
+                        variantId: {
+                            type: 'string',
+                            format: 'objectid',
+                            description: 'ID da variação comprada (apenas para produtos com variações).'
+                        },
+                        sku: {
+                            type: 'string',
+                            description: 'SKU da variação no momento da compra.',
+                            example: 'CAM-AZ-M'
+                        },
+                        options: {
+                            type: 'object',
+                            additionalProperties: { type: 'string' },
+                            description: 'Opções da variação no momento da compra.',
+                            example: { Tamanho: 'M', Cor: 'Azul' }
                         }
                     }
                 },
@@ -467,12 +875,70 @@ const swaggerOptions = {
                     properties: {
                         status: { type: 'string', example: 'success' },
                         token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+                        refreshToken: { type: 'string', description: 'Refresh token opaco (<sessionId>.<segredo>).', example: '6801...a9f.Zk3x...' },
                         data: {
                             type: 'object',
                             properties: { user: { $ref: '#/components/schemas/UserOutput' } }
                         }
                     }
                 },
+                RefreshTokenInput: {
+                    type: 'object',
+                    required: ['refreshToken'],
+                    properties: {
+                        refreshToken: { type: 'string', example: '6801...a9f.Zk3x...' },
+                    }
+                },
+                ForgotPasswordInput: {
+                    type: 'object',
+                    required: ['email'],
+                    properties: {
+                        email: { type: 'string', format: 'email', example: 'joao.silva@email.com' },
+                    }
+                },
+                ResetPasswordInput: {
+                    type: 'object',
+                    required: ['password', 'passwordConfirm'],
+                    properties: {
+                        password: { type: 'string', format: 'password', minLength: 8, example: 'novaSenhaForte456' },
+                        passwordConfirm: { type: 'string', format: 'password', example: 'novaSenhaForte456' },
+                    }
+                },
+                MfaChallengeResponse: {
+                    type: 'object',
+                    description: 'Retornado pelo login quando a conta tem 2FA ativo. Envie o mfaToken para /api/auth/mfa/verify.',
+                    properties: {
+                        status: { type: 'string', example: 'success' },
+                        mfaRequired: { type: 'boolean', example: true },
+                        mfaToken: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+                        message: { type: 'string', example: 'Informe o código do seu app autenticador para concluir o login.' },
+                    }
+                },
+                MfaVerifyInput: {
+                    type: 'object',
+                    required: ['mfaToken'],
+                    description: 'Informe code OU recoveryCode.',
+                    properties: {
+                        mfaToken: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+                        code: { type: 'string', example: '123456' },
+                        recoveryCode: { type: 'string', example: 'a1b2-c3d4' },
+                    }
+                },
+                MfaCodeInput: {
+                    type: 'object',
+                    required: ['code'],
+                    properties: {
+                        code: { type: 'string', example: '123456' },
+                    }
+                },
+                TokenPairResponse: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', example: 'success' },
+                        token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+                        refreshToken: { type: 'string', example: '6801...a9f.Zk3x...' },
+                    }
+                },
                 SuccessResponse: {
                     type: 'object',
                     properties: {
@@ -528,6 +994,12 @@ const swaggerOptions = {
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
                     description: 'Autenticação via Token JWT (incluir "Bearer " antes do token).',
+                },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'Chave de API para integrações (criada em /api/api-keys). Limitada aos escopos da chave.',
                 }
             },
             // Parâmetros Reutilizáveis
@@ -548,6 +1020,22 @@ const swaggerOptions = {
                     description: 'O ID MongoDB do produto.',
                     example: '6701a...'
                 },
+                ImageIdParam: {
+                    in: 'path',
+                    name: 'imageId',
+                    required: true,
+                    schema: { type: 'string', format: 'objectid' },
+                    description: 'O ID MongoDB da imagem na galeria do produto.',
+                    example: '6801c...'
+                },
+                VariantIdParam: {
+                    in: 'path',
+                    name: 'variantId',
+                    required: true,
+                    schema: { type: 'string', format: 'objectid' },
+                    description: 'O ID MongoDB da variação (SKU) do produto.',
+                    example: '6801b...'
+                },
                 CategoryIdParam: {
                     in: 'path',
                     name: 'id',
@@ -579,6 +1067,34 @@ const swaggerOptions = {
                     schema: { type: 'string', format: 'objectid' },
                     description: 'O ID MongoDB da avaliação.',
                     example: '6b03d...'
+                },
+                ApiKeyIdParam: {
+                    in: 'path',
+                    name: 'id',
+                    required: true,
+                    schema: { type: 'string', format: 'objectid' },
+                    description: 'O ID MongoDB da chave de API.',
+                },
+                RoleIdParam: {
+                    in: 'path',
+                    name: 'id',
+                    required: true,
+                    schema: { type: 'string', format: 'objectid' },
+                    description: 'O ID MongoDB da role customizada.',
+                    example: '6c04e...'
+                },
+                PromotionIdParam: {
+                    in: 'path',
+                    name: 'id',
+                    required: true,
+                    schema: { type: 'string', format: 'objectid' },
+                    description: 'O ID MongoDB da promoção.'
+                },
+                IncludeArchivedQueryParam: {
+                    in: 'query',
+                    name: 'includeArchived',
+                    schema: { type: 'boolean', default: false },
+                    description: 'Inclui registros arquivados. Em rotas públicas exige login com a permissão de escrita do recurso.'
                 }
             },
         },
@@ -587,6 +1103,7 @@ const swaggerOptions = {
 };
 
 // --- Middlewares ---
+app.use(requestId);
 app.use(cors(corsOptions));
 app.use('/api/', apiLimiter);
 
@@ -602,11 +1119,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/stock-movements', stockMovementRoutes);
 app.use('/api/addresses', addressRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/seo', seoRoutes);
 
 // --- Rota Swagger ---
 app.use('/api-docs', swaggerUI.serve, swaggerUI.setup(swaggerJSDoc(swaggerOptions)));
@@ -1,9 +1,18 @@
 // src/config/db.js
 import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
 
 export const connectDB = async () => {
     try {
       const conn = await mongoose.connect(process.env.MONGODB_URI);
+      // Migração: contas sem emailVerified (anteriores à verificação de email) contam como verificadas
+      await User.verifyLegacyEmails();
+      // Migração: produtos e categorias anteriores à busca por sugestões recebem os campos de busca
+      await Promise.all([Product.backfillSearchFields(), Category.backfillSearchFields()]);
+      // Migração: produtos anteriores às URLs por slug recebem o slug
+      await Product.backfillSlugs();
     } catch (error) {
       process.exit(1);
     }
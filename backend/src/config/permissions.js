@@ -0,0 +1,45 @@
+//src/config/permissions.js
+
+// Catálogo de permissões conhecidas pela API (formato "<recurso>:<ação>").
+// Roles customizadas só podem conter permissões desta lista (ou o curinga '*').
+export const PERMISSIONS = {
+  'products:write': 'Criar, editar e remover produtos',
+  'categories:write': 'Criar, editar e remover categorias',
+  'promotions:write': 'Criar, editar, pré-visualizar e remover promoções',
+  'orders:read': 'Listar e consultar pedidos de qualquer cliente',
+  'orders:ship': 'Marcar pedidos como enviados/entregues',
+  'users:read': 'Listar e consultar usuários',
+  'users:write': 'Criar, editar, remover e desbloquear usuários',
+  'users:impersonate': 'Acessar a API como um cliente (suporte), com registro de cada requisição',
+  'reviews:moderate': 'Remover avaliações de qualquer cliente',
+  'roles:manage': 'Gerenciar roles e atribuí-las a usuários',
+  'audit-logs:read': 'Consultar o log de auditoria',
+  'api-keys:manage': 'Criar, listar e revogar chaves de API',
+};
+
+// Concede todas as permissões (inclusive as que forem adicionadas no futuro)
+export const WILDCARD_PERMISSION = '*';
+
+// Roles do sistema: definidas no código, não podem ser editadas nem removidas.
+export const SYSTEM_ROLES = {
+  admin: {
+    description: 'Administrador com acesso total',
+    permissions: [WILDCARD_PERMISSION],
+  },
+  user: {
+    description: 'Cliente da loja (sem permissões administrativas)',
+    permissions: [],
+  },
+};
+
+export const isSystemRole = (name) => Object.prototype.hasOwnProperty.call(SYSTEM_ROLES, name);
+
+export const isKnownPermission = (permission) =>
+  permission === WILDCARD_PERMISSION || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Permissões que nunca podem ser delegadas a uma chave de API (controle de acesso e
+// personificação continuam exigindo uma pessoa logada com 2FA)
+const NON_DELEGABLE_PERMISSIONS = ['roles:manage', 'users:impersonate', 'api-keys:manage'];
+
+export const isApiKeyScope = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission) && !NON_DELEGABLE_PERMISSIONS.includes(permission);
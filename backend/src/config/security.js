@@ -7,13 +7,19 @@ export const apiLimiter = rateLimit({
   max: 100,
   message: 'Muitas requisições deste IP. Tente novamente após 15 minutos.',
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Integrações com chave de API têm limite próprio por chave (ver ApiKey.rateLimitPerMinute):
+  // requisições autenticadas por uma chave válida (req.apiKey, definido em authenticateApiKey)
+  // são descontadas do limite do IP ao terminar. Chaves inválidas continuam contando.
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.apiKey)
 });
 
 // Configuração de CORS
 export const corsOptions = {
     origin: process.env.ALLOWED_ORIGINS?.split(','),
     methods: ['GET,HEAD,PUT,PATCH,POST,DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-API-Key'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'X-Impersonated-By'],
     credentials: true
   };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// src/controllers/apiKeyController.js
+import ApiKey from "../models/ApiKey.js";
+import AppError from "../utils/appError.js";
+import { validationResult } from "express-validator";
+import { getPermissions } from "../middleware/roles.js";
+import { WILDCARD_PERMISSION } from "../config/permissions.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+/**
+ * @description Lista as chaves de API (sem o valor da chave), mais recentes primeiro.
+ * @route GET /api/api-keys
+ * @access api-keys:manage
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort("-createdAt")
+      .populate("createdBy", "name email");
+    res.status(200).json({
+      status: "success",
+      results: apiKeys.length,
+      data: {
+        apiKeys,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Cria uma chave de API. O valor da chave é retornado apenas nesta resposta.
+ * Os escopos precisam estar contidos nas permissões de quem cria a chave.
+ * @route POST /api/api-keys
+ * @access api-keys:manage
+ */
+export const createApiKey = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+
+  try {
+    // Uma chave não pode ter mais poder do que quem a criou
+    const permissions = await getPermissions(req);
+    const notGranted = permissions.includes(WILDCARD_PERMISSION)
+      ? []
+      : scopes.filter((scope) => !permissions.includes(scope));
+    if (notGranted.length) {
+      return next(
+        new AppError(
+          `Você não pode conceder escopos que não possui: ${notGranted.join(", ")}.`,
+          403
+        )
+      );
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      scopes,
+      expiresAt,
+      rateLimitPerMinute,
+      createdBy: req.user._id,
+    });
+    apiKey.keyHash = undefined; // Nunca retorna o hash (select: false só vale para consultas)
+    await recordAudit(req, {
+      action: "apiKey.create",
+      entityType: "ApiKey",
+      entityId: apiKey._id,
+      after: apiKey,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Guarde a chave em local seguro: ela não será exibida novamente.",
+      key,
+      data: {
+        apiKey,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Revoga uma chave de API. A chave continua listada (com revokedAt) para histórico.
+ * @route DELETE /api/api-keys/:id
+ * @access api-keys:manage
+ */
+export const revokeApiKey = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return next(new AppError("Chave de API não encontrada.", 404));
+    }
+
+    if (!apiKey.revokedAt) {
+      const before = apiKey.toObject();
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await recordAudit(req, {
+        action: "apiKey.revoke",
+        entityType: "ApiKey",
+        entityId: apiKey._id,
+        before,
+        after: apiKey,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        apiKey,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
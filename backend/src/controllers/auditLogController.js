@@ -0,0 +1,57 @@
+// src/controllers/auditLogController.js
+import AuditLog from "../models/AuditLog.js";
+import { validationResult } from "express-validator";
+
+/**
+ * @description Lista o log de auditoria (mais recentes primeiro) com filtros e paginação.
+ * @route GET /api/audit-logs
+ * @access audit-logs:read
+ */
+export const getAuditLogs = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const { actor, impersonator, entityType, entityId, action, from, to } =
+      req.query;
+    const currentPageNum = parseInt(req.query.page, 10) || 1;
+    const limitNum = parseInt(req.query.limit, 10) || 20;
+    const skip = (currentPageNum - 1) * limitNum;
+
+    const filterQuery = {};
+    if (actor) filterQuery.actor = actor;
+    if (impersonator) filterQuery.impersonator = impersonator;
+    if (entityType) filterQuery.entityType = entityType;
+    if (entityId) filterQuery.entityId = entityId;
+    if (action) filterQuery.action = action;
+    if (from || to) {
+      filterQuery.createdAt = {};
+      if (from) filterQuery.createdAt.$gte = from;
+      if (to) filterQuery.createdAt.$lte = to;
+    }
+
+    const [logs, totalLogs] = await Promise.all([
+      AuditLog.find(filterQuery)
+        .sort("-createdAt")
+        .limit(limitNum)
+        .skip(skip)
+        .lean(),
+      AuditLog.countDocuments(filterQuery),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      results: logs.length,
+      totalLogs,
+      totalPages: Math.ceil(totalLogs / limitNum),
+      currentPage: currentPageNum,
+      data: {
+        logs,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,8 +1,72 @@
 // src/controllers/auth.js
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
 import AppError from "../utils/appError.js";
 import { validationResult } from "express-validator";
-import { signToken } from "../utils/jwtUtils.js";
+import mongoose from "mongoose";
+import {
+  signToken,
+  hashToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signMfaChallengeToken,
+  verifyMfaChallengeToken,
+} from "../utils/jwtUtils.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+} from "../utils/totp.js";
+import { issueAuthTokens } from "../utils/sessionTokens.js";
+import { getPermissions } from "../middleware/roles.js";
+import { sendEmail, buildFrontendUrl } from "../utils/email.js";
+
+// --- Função Auxiliar: Envia o link de verificação e registra o horário do envio ---
+const sendVerificationEmail = async (user) => {
+  const verificationToken = signEmailVerificationToken(user._id, user.email);
+  const verifyUrl = buildFrontendUrl(`/verify-email/${verificationToken}`);
+  await sendEmail({
+    to: user.email,
+    subject: "Confirme seu email",
+    text:
+      `Olá, ${user.name}!\n\n` +
+      `Confirme seu email acessando o link abaixo:\n` +
+      `${verifyUrl}\n\n` +
+      `Se você não criou esta conta, ignore este email.`,
+  });
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { emailVerificationSentAt: new Date() } }
+  );
+};
+
+// --- Função Auxiliar: Chaves do controle de força bruta (a conta tentada e o IP de origem) ---
+const loginThrottleTargets = (email, req) => [
+  { type: "account", identifier: email },
+  { type: "ip", identifier: req.ip },
+];
+
+const registerLoginFailure = (targets) =>
+  Promise.all(
+    targets.map(({ type, identifier }) =>
+      LoginAttempt.registerFailure(type, identifier)
+    )
+  );
+
+// --- Função Auxiliar: Erro 429 (com Retry-After) enquanto a conta ou o IP estiverem bloqueados ---
+const loginLockedError = (res, lockedUntil) => {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+  );
+  res.set("Retry-After", String(retryAfter));
+  return new AppError(
+    `Muitas tentativas de login malsucedidas. Tente novamente em ${retryAfter} segundo(s).`,
+    429
+  );
+};
 
 // --- Controller de Login
 export const login = async (req, res, next) => {
@@ -12,6 +76,13 @@ export const login = async (req, res, next) => {
   }
   const { email, password } = req.body;
   try {
+    // Conta ou IP bloqueados: recusa antes mesmo de conferir a senha
+    const throttleTargets = loginThrottleTargets(email, req);
+    const lockedUntil = await LoginAttempt.getLockedUntil(throttleTargets);
+    if (lockedUntil) {
+      return next(loginLockedError(res, lockedUntil));
+    }
+
     const user = await User.findOne({
       email: { $regex: new RegExp(`^${email}$`, "i") },
     }).select("+password");
@@ -19,18 +90,41 @@ export const login = async (req, res, next) => {
       ? await user.correctPassword(password, user.password)
       : false;
     if (!user || !passwordMatches) {
+      await registerLoginFailure(throttleTargets);
       return next(new AppError("Credenciais inválidas", 401));
     }
-    const token = signToken(user._id, user.role);
+    // Conta arquivada por um administrador (a senha confere, então não revela contas)
+    if (user.archivedAt) {
+      return next(
+        new AppError(
+          "Esta conta está desativada. Entre em contato com o suporte.",
+          403
+        )
+      );
+    }
+    // Conta com 2FA: a senha só libera um desafio; os tokens saem em /mfa/verify
+    // (o contador de falhas só é zerado quando o segundo fator também for validado)
+    if (user.mfaEnabled) {
+      return res.status(200).json({
+        status: "success",
+        mfaRequired: true,
+        mfaToken: signMfaChallengeToken(user._id),
+        message: "Informe o código do seu app autenticador para concluir o login.",
+      });
+    }
+    await LoginAttempt.clear("account", email);
+    const { token, refreshToken } = await issueAuthTokens(user, req);
     const userData = {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      emailVerified: user.emailVerified,
     };
     res.status(200).json({
       status: "success",
       token,
+      refreshToken,
       data: {
         user: userData,
       },
@@ -58,20 +152,38 @@ export const register = async (req, res, next) => {
 
   try {
     const newUser = await User.create(userDataToCreate);
-    const token = signToken(newUser._id, newUser.role);
+    const { token, refreshToken } = await issueAuthTokens(newUser, req);
+
+    // Falha no envio não impede o cadastro: o usuário pode pedir reenvio depois
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (emailErr) {
+      verificationEmailSent = false;
+      logger.error(
+        `Falha ao enviar o email de verificação para o usuário ${newUser._id}:`,
+        emailErr
+      );
+    }
 
     const userOutput = {
       _id: newUser._id,
       name: newUser.name,
       email: newUser.email,
       role: newUser.role,
+      emailVerified: newUser.emailVerified,
       createdAt: newUser.createdAt,
       updatedAt: newUser.updatedAt,
     };
 
     res.status(201).json({
       status: "success",
+      ...(!verificationEmailSent && {
+        message:
+          "Conta criada, mas não foi possível enviar o email de verificação. Solicite um novo link em /api/auth/verify-email/resend.",
+      }),
       token,
+      refreshToken,
       data: {
         user: userOutput,
       },
@@ -110,3 +222,525 @@ export const getCurrentUser = async (req, res, next) => {
     next(error);
   }
 };
+
+// --- Controller de Renovação de Token (Refresh Token Rotation)
+export const refreshTokens = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  const invalidTokenError = () =>
+    new AppError(
+      "Refresh token inválido ou expirado. Por favor, faça login novamente.",
+      401
+    );
+
+  try {
+    // 1. Separa o ID da sessão do segredo (<sessionId>.<segredo>)
+    const [sessionId, secret] = String(req.body.refreshToken).split(".");
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return next(invalidTokenError());
+    }
+
+    // 2. Localiza a família (sessão) do token
+    const session = await Session.findById(sessionId).select(
+      "+refreshTokenHash"
+    );
+    if (!session || session.revokedAt) {
+      return next(invalidTokenError());
+    }
+
+    // 3. Token já rotacionado sendo reapresentado: revoga a família inteira
+    const presentedHash = hashToken(secret);
+    if (session.refreshTokenHash !== presentedHash) {
+      await session.revoke("reuse_detected");
+      return next(
+        new AppError(
+          "Reuso de refresh token detectado. Por segurança, a sessão foi encerrada.",
+          401
+        )
+      );
+    }
+    if (!session.isActive()) {
+      return next(invalidTokenError());
+    }
+
+    // 4. Garante que o usuário ainda existe e não trocou a senha após o login
+    const user = await User.findById(session.user);
+    if (!user || user.isInactive()) {
+      await session.revoke("logout");
+      return next(
+        new AppError("O usuário dono deste token não existe mais.", 401)
+      );
+    }
+    if (
+      user.changedPasswordAfter(
+        Math.floor(session.createdAt.getTime() / 1000)
+      )
+    ) {
+      await session.revoke("password_changed");
+      return next(
+        new AppError(
+          "Usuário recentemente mudou a senha. Por favor, logue novamente.",
+          401
+        )
+      );
+    }
+
+    // 5. Rotaciona (atômico): perder a corrida equivale a reuso
+    const refreshToken = await session.rotate(presentedHash);
+    if (!refreshToken) {
+      await session.revoke("reuse_detected");
+      return next(
+        new AppError(
+          "Reuso de refresh token detectado. Por segurança, a sessão foi encerrada.",
+          401
+        )
+      );
+    }
+    const token = signToken(user._id, user.role, {
+      sid: session._id.toString(),
+      ...(session.mfaVerified && { mfa: true }),
+    });
+
+    res.status(200).json({
+      status: "success",
+      token,
+      refreshToken,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Logout (encerra a sessão atual)
+export const logout = async (req, res, next) => {
+  try {
+    if (req.authSession) {
+      await req.authSession.revoke("logout");
+    }
+    res.status(200).json({
+      status: "success",
+      message: "Sessão encerrada com sucesso.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Logout Global (encerra todas as sessões do usuário)
+export const logoutAll = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, "logout_all");
+    res.status(200).json({
+      status: "success",
+      message: "Todas as sessões foram encerradas.",
+      data: {
+        revokedSessions: result.modifiedCount,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de "Esqueci minha senha"
+export const forgotPassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  // Mesma resposta exista ou não a conta, para não permitir enumeração de emails
+  const genericResponse = {
+    status: "success",
+    message:
+      "Se o email estiver cadastrado, você receberá um link para redefinir a senha.",
+  };
+
+  let user;
+  try {
+    user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // 1. Gera o token (texto puro só vai no email) e salva o hash + expiração
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // 2. Envia o link pelo transporte de email configurado
+    const resetUrl = buildFrontendUrl(`/reset-password/${resetToken}`);
+    await sendEmail({
+      to: user.email,
+      subject: "Redefinição de senha",
+      text:
+        `Olá, ${user.name}!\n\n` +
+        `Recebemos um pedido para redefinir sua senha. Acesse o link abaixo (válido por tempo limitado):\n` +
+        `${resetUrl}\n\n` +
+        `Se você não fez esse pedido, ignore este email.`,
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    // Falha no envio: descarta o token para não deixar um reset "pendurado"
+    if (user && user.passwordResetToken) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false }).catch(() => {});
+      return next(
+        new AppError(
+          "Não foi possível enviar o email de redefinição. Tente novamente mais tarde.",
+          500
+        )
+      );
+    }
+    next(err);
+  }
+};
+
+// --- Controller de Redefinição de Senha (token de uso único)
+export const resetPassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    // 1. Consome o token atomicamente (busca pelo HASH, dentro da validade):
+    //    duas requisições concorrentes com o mesmo token não podem ambas vencer.
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(req.params.token),
+        passwordResetExpires: { $gt: Date.now() },
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return next(new AppError("Token inválido ou expirado.", 400));
+    }
+
+    // 2. Troca a senha. O pre-save define passwordChangedAt, invalidando os JWTs existentes.
+    user.password = req.body.password;
+    await user.save();
+
+    // 3. Encerra todas as sessões abertas com a senha antiga e abre uma nova
+    await Session.revokeAllForUser(user._id, "password_changed");
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    res.status(200).json({
+      status: "success",
+      token,
+      refreshToken,
+      message: "Senha redefinida com sucesso!",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Verificação de Email (link assinado)
+export const verifyEmail = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (tokenErr) {
+      return next(
+        new AppError("Link de verificação inválido ou expirado.", 400)
+      );
+    }
+
+    const user = await User.findById(decoded.id);
+    // O link só vale para o email para o qual foi emitido
+    if (!user || user.email !== decoded.email) {
+      return next(
+        new AppError("Link de verificação inválido ou expirado.", 400)
+      );
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Email verificado com sucesso!",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Reenvio do Email de Verificação (com cooldown)
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+emailVerificationSentAt"
+    );
+    if (user.emailVerified) {
+      return next(new AppError("Seu email já está verificado.", 400));
+    }
+
+    const cooldownSeconds =
+      parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) ||
+      60;
+    if (user.emailVerificationSentAt) {
+      const elapsedSeconds =
+        (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+      if (elapsedSeconds < cooldownSeconds) {
+        const retryAfter = Math.ceil(cooldownSeconds - elapsedSeconds);
+        res.set("Retry-After", String(retryAfter));
+        return next(
+          new AppError(
+            `Aguarde ${retryAfter} segundo(s) antes de solicitar um novo email de verificação.`,
+            429
+          )
+        );
+      }
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      status: "success",
+      message: "Email de verificação reenviado.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Função Auxiliar: Gera códigos de recuperação e guarda apenas os hashes ---
+const resetRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.mfaRecoveryCodes = recoveryCodes.map((code) => hashToken(code));
+  return recoveryCodes;
+};
+
+// --- Controller de Segunda Etapa do Login (código TOTP ou de recuperação)
+export const verifyMfaLogin = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    let challenge;
+    try {
+      challenge = verifyMfaChallengeToken(req.body.mfaToken);
+    } catch (tokenErr) {
+      return next(
+        new AppError(
+          "Desafio de 2FA inválido ou expirado. Faça login novamente.",
+          401
+        )
+      );
+    }
+
+    const user = await User.findById(challenge.id).select(
+      "+mfaSecret +mfaRecoveryCodes +mfaLastUsedStep"
+    );
+    if (!user || user.isInactive()) {
+      return next(new AppError("Código de verificação inválido.", 401));
+    }
+
+    // Os códigos também contam como tentativas de login (mesmo bloqueio da senha)
+    const throttleTargets = loginThrottleTargets(user.email, req);
+    const lockedUntil = await LoginAttempt.getLockedUntil(throttleTargets);
+    if (lockedUntil) {
+      return next(loginLockedError(res, lockedUntil));
+    }
+    // O uso do código já é gravado por verifySecondFactor (atomicamente)
+    if (
+      !(await user.verifySecondFactor({
+        code: req.body.code,
+        recoveryCode: req.body.recoveryCode,
+      }))
+    ) {
+      await registerLoginFailure(throttleTargets);
+      return next(new AppError("Código de verificação inválido.", 401));
+    }
+    await LoginAttempt.clear("account", user.email);
+
+    const { token, refreshToken } = await issueAuthTokens(user, req, {
+      mfaVerified: true,
+    });
+
+    res.status(200).json({
+      status: "success",
+      token,
+      refreshToken,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
+        recoveryCodesRemaining: user.mfaRecoveryCodes.length,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Início do Cadastro de 2FA (gera segredo + URI otpauth)
+export const setupMfa = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.mfaEnabled) {
+      return next(
+        new AppError("A autenticação em dois fatores já está ativa.", 400)
+      );
+    }
+
+    const secret = generateTotpSecret();
+    user.mfaPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Confirmação do Cadastro de 2FA (ativa e devolve códigos de recuperação)
+export const enableMfa = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select("+mfaPendingSecret");
+    if (user.mfaEnabled) {
+      return next(
+        new AppError("A autenticação em dois fatores já está ativa.", 400)
+      );
+    }
+    if (!user.mfaPendingSecret) {
+      return next(
+        new AppError(
+          "Nenhum cadastro de 2FA em andamento. Chame /api/auth/mfa/setup primeiro.",
+          400
+        )
+      );
+    }
+
+    const step = verifyTotp(user.mfaPendingSecret, req.body.code);
+    if (step === null) {
+      return next(new AppError("Código de verificação inválido.", 400));
+    }
+
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = undefined;
+    user.mfaEnabled = true;
+    user.mfaLastUsedStep = step;
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+
+    // Sessões antigas não têm o segundo fator: encerra todas e abre uma já verificada
+    await Session.revokeAllForUser(user._id, "mfa_changed");
+    const { token, refreshToken } = await issueAuthTokens(user, req, {
+      mfaVerified: true,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Autenticação em dois fatores ativada. Guarde os códigos de recuperação em local seguro: eles não serão exibidos novamente.",
+      token,
+      refreshToken,
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Regeneração dos Códigos de Recuperação
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+mfaSecret +mfaRecoveryCodes +mfaLastUsedStep"
+    );
+    if (!(await user.verifySecondFactor({ code: req.body.code }))) {
+      return next(new AppError("Código de verificação inválido.", 401));
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// --- Controller de Desativação de 2FA (não permitido para administradores)
+export const disableMfa = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    // Contas com permissões administrativas (admin ou roles customizadas) mantêm o 2FA
+    if ((await getPermissions(req)).length > 0) {
+      return next(
+        new AppError(
+          "Contas com permissões administrativas não podem desativar a autenticação em dois fatores.",
+          403
+        )
+      );
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+password +mfaSecret +mfaRecoveryCodes +mfaLastUsedStep"
+    );
+    if (
+      !(await user.correctPassword(req.body.password, user.password)) ||
+      !(await user.verifySecondFactor({ code: req.body.code }))
+    ) {
+      return next(new AppError("Senha ou código de verificação inválido.", 401));
+    }
+
+    user.mfaEnabled = false;
+    user.mfaSecret = undefined;
+    user.mfaRecoveryCodes = [];
+    user.mfaLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: "success",
+      message: "Autenticação em dois fatores desativada.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
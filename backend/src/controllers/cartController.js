@@ -1,8 +1,10 @@
 //src/controllers/cartController.js
 import Cart from "../models/Cart.js";
 import Product from "../models/Product.js"; // Precisamos verificar produtos
+import Promotion from "../models/Promotion.js";
 import AppError from "../utils/appError.js";
 import { validationResult } from "express-validator";
+import { resolvePrice, roundPrice } from "../utils/pricing.js";
 
 // --- Função Auxiliar: Obter ou Criar Carrinho para Usuário ---
 const getOrCreateCart = async (userId) => {
@@ -15,6 +17,61 @@ const getOrCreateCart = async (userId) => {
   return cart;
 };
 
+// --- Função Auxiliar: Item do carrinho corresponde ao produto/variação informados ---
+const isSameItem = (item, productId, variantId) =>
+  item.product.toString() === productId &&
+  (item.variant ? item.variant.toString() : null) === (variantId || null);
+
+// --- Função Auxiliar: Resolve a variação escolhida para o produto ---
+// Produtos com variações exigem variantId; produtos sem variações não o aceitam.
+const resolveVariant = (product, variantId) => {
+  if (!product.variants.length) {
+    if (variantId) {
+      throw new AppError(`O produto ${product.name} não possui variações.`, 400);
+    }
+    return null;
+  }
+  if (!variantId) {
+    throw new AppError(
+      `Selecione uma variação (variantId) de ${product.name}.`,
+      400
+    );
+  }
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new AppError("Variação não encontrada neste produto.", 404);
+  }
+  return variant;
+};
+
+// --- Função Auxiliar: Carrinho com os preços efetivos (promoções em vigor) ---
+// Cada item ganha o preço unitário original e com desconto; o subtotal e o total dos itens
+// usam o preço com desconto, o mesmo que será cobrado no pedido.
+const withPricing = async (cart) => {
+  const promotions = await Promotion.findActive();
+  const output = cart.toJSON();
+  let itemsPrice = 0;
+  output.items = cart.items.map((item, index) => {
+    if (!item.product) return output.items[index];
+    const { originalPrice, price, discount } = resolvePrice(
+      item.product,
+      item.selectedVariant || null,
+      promotions
+    );
+    const subtotal = roundPrice(price * item.quantity);
+    itemsPrice += subtotal;
+    return {
+      ...output.items[index],
+      originalUnitPrice: originalPrice,
+      unitPrice: price,
+      discount,
+      subtotal,
+    };
+  });
+  output.itemsPrice = roundPrice(itemsPrice);
+  return output;
+};
+
 // --- Obter o Carrinho do Usuário Logado ---
 export const getMyCart = async (req, res, next) => {
   try {
@@ -22,13 +79,24 @@ export const getMyCart = async (req, res, next) => {
     // Encontra o carrinho e popula os detalhes dos produtos dentro dos itens
     const cart = await Cart.findOne({ user: userId }).populate({
       path: "items.product",
-      select: "name price image stock category",
+      select: "name price sale image stock category options variants archivedAt",
       populate: {
         path: "category",
         select: "name slug",
       },
     });
 
+    // Produtos arquivados ou removidos saem do carrinho automaticamente
+    if (cart) {
+      const available = cart.items.filter(
+        (item) => item.product && !item.product.archivedAt
+      );
+      if (available.length !== cart.items.length) {
+        cart.items = available;
+        await cart.save();
+      }
+    }
+
     if (!cart) {
       return res.status(200).json({
         status: "success",
@@ -37,6 +105,7 @@ export const getMyCart = async (req, res, next) => {
             _id: null,
             user: userId,
             items: [],
+            itemsPrice: 0,
             createdAt: null,
             updatedAt: null,
           },
@@ -47,7 +116,7 @@ export const getMyCart = async (req, res, next) => {
     res.status(200).json({
       status: "success",
       data: {
-        cart,
+        cart: await withPricing(cart),
       },
     });
   } catch (err) {
@@ -62,18 +131,20 @@ export const addItemToCart = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
   const userId = req.user.id;
 
   try {
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).notArchived();
     if (!product) {
       return next(new AppError("Produto não encontrado.", 404));
     }
-    if (product.stock < quantity) {
+    const variant = resolveVariant(product, variantId);
+    const available = variant ? variant.stock : product.stock;
+    if (available < quantity) {
       return next(
         new AppError(
-          `Estoque insuficiente para ${product.name}. Disponível: ${product.stock}`,
+          `Estoque insuficiente para ${product.name}${variant ? ` (${variant.sku})` : ""}. Disponível: ${available}`,
           400
         )
       );
@@ -81,21 +152,25 @@ export const addItemToCart = async (req, res, next) => {
 
     const cart = await getOrCreateCart(userId);
 
-    const existingItemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId
+    const existingItemIndex = cart.items.findIndex((item) =>
+      isSameItem(item, productId, variantId)
     );
 
     if (existingItemIndex > -1) {
       cart.items[existingItemIndex].quantity += quantity;
     } else {
-      cart.items.push({ product: productId, quantity: quantity });
+      cart.items.push({
+        product: productId,
+        ...(variant && { variant: variant._id }),
+        quantity: quantity,
+      });
     }
 
     await cart.save();
 
     const updatedCart = await Cart.findById(cart._id).populate({
       path: "items.product",
-      select: "name price image stock category",
+      select: "name price sale image stock category options variants",
       populate: {
         path: "category",
         select: "name slug",
@@ -106,7 +181,7 @@ export const addItemToCart = async (req, res, next) => {
       status: "success",
       message: "Item adicionado/atualizado no carrinho!",
       data: {
-        cart: updatedCart,
+        cart: await withPricing(updatedCart),
       },
     });
   } catch (err) {
@@ -122,6 +197,7 @@ export const updateCartItemQuantity = async (req, res, next) => {
   }
 
   const { productId } = req.params;
+  const { variantId } = req.query;
   const { quantity } = req.body;
   const userId = req.user.id;
 
@@ -130,7 +206,7 @@ export const updateCartItemQuantity = async (req, res, next) => {
       return next(new AppError("A quantidade deve ser pelo menos 1.", 400));
     }
 
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).notArchived();
     if (!product) {
       return next(new AppError("Produto não encontrado.", 404));
     }
@@ -140,8 +216,8 @@ export const updateCartItemQuantity = async (req, res, next) => {
       return next(new AppError("Carrinho não encontrado.", 404));
     }
 
-    const itemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId
+    const itemIndex = cart.items.findIndex((item) =>
+      isSameItem(item, productId, variantId)
     );
 
     if (itemIndex === -1) {
@@ -154,7 +230,7 @@ export const updateCartItemQuantity = async (req, res, next) => {
 
     const updatedCart = await Cart.findById(cart._id).populate({
       path: "items.product",
-      select: "name price image stock category",
+      select: "name price sale image stock category options variants",
       populate: { path: "category", select: "name slug" },
     });
 
@@ -162,7 +238,7 @@ export const updateCartItemQuantity = async (req, res, next) => {
       status: "success",
       message: "Quantidade do item atualizada.",
       data: {
-        cart: updatedCart,
+        cart: await withPricing(updatedCart),
       },
     });
   } catch (err) {
@@ -178,6 +254,7 @@ export const removeCartItem = async (req, res, next) => {
   }
 
   const { productId } = req.params;
+  const { variantId } = req.query;
   const userId = req.user.id;
 
   try {
@@ -190,7 +267,7 @@ export const removeCartItem = async (req, res, next) => {
 
     const initialLength = cart.items.length;
     cart.items = cart.items.filter(
-      (item) => item.product.toString() !== productId
+      (item) => !isSameItem(item, productId, variantId)
     );
 
     if (cart.items.length === initialLength) {
@@ -203,7 +280,7 @@ export const removeCartItem = async (req, res, next) => {
 
     const updatedCart = await Cart.findById(cart._id).populate({
       path: "items.product",
-      select: "name price image stock category",
+      select: "name price sale image stock category options variants",
       populate: { path: "category", select: "name slug" },
     });
 
@@ -211,7 +288,7 @@ export const removeCartItem = async (req, res, next) => {
       status: "success",
       message: "Item removido do carrinho.",
       data: {
-        cart: updatedCart,
+        cart: await withPricing(updatedCart),
       },
     });
   } catch (err) {
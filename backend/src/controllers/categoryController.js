@@ -3,12 +3,40 @@ import Category from "../models/Category.js";
 import AppError from "../utils/appError.js";
 import Product from "../models/Product.js"; // Importar para verificar produtos antes de deletar
 import { validationResult } from "express-validator";
+import mongoose from "mongoose";
+import Promotion from "../models/Promotion.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { NOT_ARCHIVED } from "../models/plugins/archivable.js";
+
+// --- Função Auxiliar: Acrescenta o breadcrumb (caminho da raiz até a própria categoria) ---
+// Aceita uma categoria ou uma lista e devolve no mesmo formato, como objetos simples.
+const withBreadcrumbs = async (categories) => {
+  const list = [].concat(categories).map((category) => category.toJSON());
+  const ancestorIds = [
+    ...new Set(list.flatMap((category) => category.ancestors.map(String))),
+  ];
+  const ancestors = await Category.find({ _id: { $in: ancestorIds } })
+    .select("name slug")
+    .lean();
+  const byId = new Map(
+    ancestors.map(({ _id, name, slug }) => [String(_id), { _id, name, slug }])
+  );
+
+  const result = list.map((category) => ({
+    ...category,
+    breadcrumb: [
+      ...category.ancestors.map((id) => byId.get(String(id))).filter(Boolean),
+      { _id: category._id, name: category.name, slug: category.slug },
+    ],
+  }));
+  return Array.isArray(categories) ? result : result[0];
+};
 
 /**
  * @description Cria uma nova categoria. Requer privilégios de Admin.
  * @route POST /api/categories
  * @access Admin
- * @param {object} req - Objeto de requisição do Express. Espera { name: string, description?: string } no corpo.
+ * @param {object} req - Objeto de requisição do Express. Espera { name: string, description?: string, parent?: string, attributes?: object[] } no corpo.
  * @param {object} res - Objeto de resposta do Express.
  * @param {function} next - Função de middleware do Express.
  */
@@ -20,13 +48,19 @@ export const createCategory = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, description } = req.body;
+  const { name, description, parent, attributes } = req.body;
 
   try {
-    // Cria a categoria no banco (o slug é gerado pelo pre-save hook)
-    const newCategory = await Category.create({ name, description });
+    // Cria a categoria no banco (o slug e o caminho são gerados pelos hooks do model)
+    const newCategory = await Category.create({ name, description, parent, attributes });
+    await recordAudit(req, {
+      action: "category.create",
+      entityType: "Category",
+      entityId: newCategory._id,
+      after: newCategory,
+    });
     // Retorna a categoria criada com status 201
-    res.status(201).json(newCategory);
+    res.status(201).json(await withBreadcrumbs(newCategory));
   } catch (err) {
     // Trata erro de duplicação (índice único em 'name' ou 'slug')
     if (err.code === 11000) {
@@ -45,6 +79,7 @@ export const createCategory = async (req, res, next) => {
 
 /**
  * @description Lista todas as categorias existentes, ordenadas por nome.
+ *              Arquivadas só aparecem com ?includeArchived=true (requer categories:write, validado na rota).
  * @route GET /api/categories
  * @access Público
  * @param {object} req - Objeto de requisição do Express.
@@ -54,9 +89,10 @@ export const createCategory = async (req, res, next) => {
 export const getCategories = async (req, res, next) => {
   try {
     // Busca todas as categorias e ordena por nome ascendente
-    const categories = await Category.find().sort("name");
+    const filter = req.query.includeArchived === "true" ? {} : NOT_ARCHIVED;
+    const categories = await Category.find(filter).sort("name");
     // Retorna a lista (pode ser vazia)
-    res.status(200).json(categories);
+    res.status(200).json(await withBreadcrumbs(categories));
   } catch (err) {
     // Pega erros inesperados do find()
     next(err);
@@ -64,10 +100,46 @@ export const getCategories = async (req, res, next) => {
 };
 
 /**
- * @description Obtém os detalhes de uma categoria específica pelo seu ID.
+ * @description Retorna a árvore de categorias (não arquivadas): as raízes, cada uma com suas
+ *              subcategorias em `children`, em qualquer profundidade, ordenadas por nome.
+ * @route GET /api/categories/tree
+ * @access Público
+ * @param {object} req - Objeto de requisição do Express.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await Category.find(NOT_ARCHIVED)
+      .select("name slug description parent")
+      .sort("name")
+      .lean();
+
+    // Monta os nós e pendura cada um no seu pai (a ordem por nome é mantida nos filhos)
+    const nodes = new Map(
+      categories.map((category) => [String(category._id), { ...category, children: [] }])
+    );
+    const roots = [];
+    nodes.forEach((node) => {
+      const parent = node.parent && nodes.get(String(node.parent));
+      (parent ? parent.children : roots).push(node);
+    });
+
+    res.status(200).json(roots);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Obtém os detalhes de uma categoria específica pelo seu ID, incluindo `effectiveAttributes`
+ *              (atributos que os produtos dela devem seguir: os herdados das ancestrais e os próprios).
+ *              Também atende a busca pelo slug: slugs antigos de categorias mescladas resolvem para a
+ *              categoria de destino, com `redirectedFrom` indicando o slug pedido.
  * @route GET /api/categories/:id
+ * @route GET /api/categories/slug/:slug
  * @access Público
- * @param {object} req - Objeto de requisição do Express. Espera o ID da categoria no parâmetro da URL.
+ * @param {object} req - Objeto de requisição do Express. Espera o ID (ou o slug) da categoria no parâmetro da URL.
  * @param {object} res - Objeto de resposta do Express.
  * @param {function} next - Função de middleware do Express.
  */
@@ -78,15 +150,28 @@ export const getCategoryById = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { slug } = req.params;
+
   try {
-    // Busca a categoria pelo ID fornecido
-    const category = await Category.findById(req.params.id);
+    // Busca pelo slug (atual ou alias) ou pelo ID (arquivadas só com ?includeArchived=true)
+    const { document: category, alias } = slug
+      ? await Category.findBySlug(slug)
+      : {
+          document: await Category.findOne({
+            _id: req.params.id,
+            ...(req.query.includeArchived !== "true" && NOT_ARCHIVED),
+          }),
+        };
     // Se não encontrar, retorna erro 404
     if (!category) {
       return next(new AppError(`Categoria não encontrada!`, 404));
     }
     // Retorna a categoria encontrada
-    res.status(200).json(category);
+    res.status(200).json({
+      ...(await withBreadcrumbs(category)),
+      effectiveAttributes: await Category.effectiveAttributes(category._id),
+      ...(alias && { redirectedFrom: slug }),
+    });
   } catch (err) {
     // O CastError já foi pego pela validação da rota.
     // Pega outros erros inesperados do findById.
@@ -96,9 +181,10 @@ export const getCategoryById = async (req, res, next) => {
 
 /**
  * @description Atualiza uma categoria existente. Requer privilégios de Admin.
+ *              Mudar o `parent` move a categoria junto com todas as suas subcategorias.
  * @route PUT /api/categories/:id
  * @access Admin
- * @param {object} req - Objeto de requisição do Express. Espera ID na URL e { name?: string, description?: string } no corpo.
+ * @param {object} req - Objeto de requisição do Express. Espera ID na URL e { name?: string, description?: string, parent?: string|null, attributes?: object[] } no corpo.
  * @param {object} res - Objeto de resposta do Express.
  * @param {function} next - Função de middleware do Express.
  */
@@ -109,7 +195,7 @@ export const updateCategory = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, description } = req.body;
+  const { name, description, parent, attributes } = req.body;
   const categoryId = req.params.id;
 
   try {
@@ -120,15 +206,28 @@ export const updateCategory = async (req, res, next) => {
       return next(new AppError(`Categoria não encontrada!`, 404));
     }
 
+    const before = category.toObject();
+
     // Atualiza os campos se fornecidos
     if (name) category.name = name;
     // Permite limpar a descrição enviando "" ou null
     if (description !== undefined) category.description = description;
+    // null (ou "") transforma a categoria em raiz
+    if (parent !== undefined) category.parent = parent || null;
+    // A lista enviada substitui os atributos próprios (produtos existentes são revalidados na próxima edição)
+    if (attributes !== undefined) category.attributes = attributes;
 
     // Salva as alterações (isso aciona o pre-save hook para atualizar o slug se o nome mudou)
     const updatedCategory = await category.save();
+    await recordAudit(req, {
+      action: "category.update",
+      entityType: "Category",
+      entityId: category._id,
+      before,
+      after: updatedCategory,
+    });
     // Retorna a categoria atualizada
-    res.status(200).json(updatedCategory);
+    res.status(200).json(await withBreadcrumbs(updatedCategory));
   } catch (err) {
     // Trata erro de duplicação no save (caso o novo nome/slug já exista)
     if (err.code === 11000) {
@@ -142,10 +241,13 @@ export const updateCategory = async (req, res, next) => {
 };
 
 /**
- * @description Deleta uma categoria. Requer privilégios de Admin. A categoria só pode ser deletada se não houver produtos associados a ela.
+ * @description Arquiva uma categoria. Requer privilégios de Admin. Sem `reassignTo`, a categoria só pode
+ *              ser arquivada se não tiver subcategorias nem produtos ativos; com `?reassignTo=<id>`,
+ *              os produtos e as subcategorias diretas passam para a categoria indicada antes do
+ *              arquivamento. Pode ser restaurada depois.
  * @route DELETE /api/categories/:id
  * @access Admin
- * @param {object} req - Objeto de requisição do Express. Espera ID na URL.
+ * @param {object} req - Objeto de requisição do Express. Espera ID na URL e, opcionalmente, ?reassignTo=<id>.
  * @param {object} res - Objeto de resposta do Express.
  * @param {function} next - Função de middleware do Express.
  */
@@ -157,34 +259,272 @@ export const deleteCategory = async (req, res, next) => {
   }
 
   const categoryId = req.params.id;
+  const { reassignTo } = req.query;
 
   try {
-    // 1. Verifica se existem produtos nesta categoria ANTES de deletar
-    const productCount = await Product.countDocuments({ category: categoryId });
-    if (productCount > 0) {
-      // Se existem produtos, impede a deleção com erro 400 (Bad Request)
+    const category = await Category.findOne({ _id: categoryId, ...NOT_ARCHIVED });
+    if (!category) {
+      return next(new AppError(`Categoria não encontrada!`, 404));
+    }
+
+    // 1. Conta as subcategorias e os produtos ativos ANTES de arquivar
+    const [children, productCount] = await Promise.all([
+      Category.find({ parent: categoryId, ...NOT_ARCHIVED }),
+      Product.countDocuments({ category: categoryId, ...NOT_ARCHIVED }),
+    ]);
+
+    let target = null;
+    if (reassignTo) {
+      // 2a. Destino: ativo, diferente da própria categoria e fora da sua subárvore
+      target = await Category.findOne({ _id: reassignTo, ...NOT_ARCHIVED });
+      if (!target) {
+        return next(new AppError("Categoria de destino não encontrada.", 404));
+      }
+      if (target._id.equals(category._id) || target.ancestors.some((id) => id.equals(category._id))) {
+        return next(
+          new AppError(
+            "A categoria de destino não pode ser a própria categoria nem uma de suas subcategorias.",
+            400
+          )
+        );
+      }
+    } else if (children.length > 0 || productCount > 0) {
+      // 2b. Sem destino, impede o arquivamento com erro 400 (Bad Request)
+      const contents = [
+        children.length > 0 && `${children.length} subcategoria(s)`,
+        productCount > 0 && `${productCount} produto(s)`,
+      ].filter(Boolean);
       return next(
         new AppError(
-          `Não é possível deletar. Existem ${productCount} produto(s) nesta categoria.`,
+          `Não é possível deletar. Existem ${contents.join(" e ")} nesta categoria. Informe reassignTo para transferi-los.`,
           400
         )
       );
     }
 
-    // 2. Se não há produtos, tenta deletar a categoria
-    const category = await Category.findByIdAndDelete(categoryId);
+    // 3. Transfere produtos (inclusive arquivados) e subcategorias para o destino
+    let reassignedProducts = 0;
+    if (target) {
+      const result = await Product.updateMany(
+        { category: category._id },
+        { $set: { category: target._id } }
+      );
+      reassignedProducts = result.modifiedCount;
+      for (const child of children) {
+        child.parent = target._id;
+        await child.save(); // Atualiza o caminho da subárvore (hooks do model)
+      }
+    }
+
+    // 4. Arquiva a categoria
+    const before = category.toObject();
+    category.archive(req.user._id);
+    await category.save();
+    await recordAudit(req, {
+      action: "category.archive",
+      entityType: "Category",
+      entityId: category._id,
+      before,
+      after: category,
+      ...(target && {
+        metadata: {
+          reassignedTo: target._id,
+          products: reassignedProducts,
+          subcategories: children.length,
+        },
+      }),
+    });
+
+    // 5. Retorna sucesso
+    res.status(200).json({ message: "Categoria arquivada com sucesso" });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Se findByIdAndDelete retorna null, a categoria não foi encontrada
+/**
+ * @description Restaura uma categoria arquivada. Requer privilégios de Admin.
+ * @route POST /api/categories/:id/restore
+ * @access Admin
+ * @param {object} req - Objeto de requisição do Express. Espera ID na URL.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const restoreCategory = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const category = await Category.findById(req.params.id);
     if (!category) {
       return next(new AppError(`Categoria não encontrada!`, 404));
     }
+    if (!category.archivedAt) {
+      return next(new AppError("Esta categoria não está arquivada.", 400));
+    }
+    if (
+      category.parent &&
+      !(await Category.exists({ _id: category.parent, ...NOT_ARCHIVED }))
+    ) {
+      return next(
+        new AppError("A categoria pai está arquivada: restaure-a (ou mova esta categoria) primeiro.", 400)
+      );
+    }
+
+    const before = category.toObject();
+    category.restore();
+    const restoredCategory = await category.save();
+    // O slug volta a pertencer a esta categoria (deixa de ser alias de uma mescla)
+    await Category.updateMany(
+      { slugAliases: restoredCategory.slug },
+      { $pull: { slugAliases: restoredCategory.slug } }
+    );
+    await recordAudit(req, {
+      action: "category.restore",
+      entityType: "Category",
+      entityId: category._id,
+      before,
+      after: restoredCategory,
+    });
+
+    res.status(200).json(await withBreadcrumbs(restoredCategory));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Mescla uma categoria em outra. Requer privilégios de Admin. Em uma única transação,
+ *              os produtos (inclusive arquivados), as subcategorias diretas e as promoções passam para
+ *              a categoria de destino, e a categoria de origem é arquivada. O slug da origem (e os
+ *              aliases que ela já tinha) viram aliases do destino, para que URLs antigas continuem
+ *              resolvendo em GET /api/categories/slug/:slug. Os atributos dos produtos movidos não são
+ *              revalidados contra os do destino: eles são conferidos na próxima edição de cada produto.
+ * @route POST /api/categories/:id/merge-into/:targetId
+ * @access Admin
+ * @param {object} req - Objeto de requisição do Express. Espera os IDs da origem e do destino na URL.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const mergeCategory = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id, targetId } = req.params;
+  const isTestEnv = process.env.NODE_ENV === "test";
+  let session = null;
+
+  try {
+    // 1. Origem e destino: ativos e o destino fora da subárvore da origem
+    const [source, target] = await Promise.all([
+      Category.findOne({ _id: id, ...NOT_ARCHIVED }),
+      Category.findOne({ _id: targetId, ...NOT_ARCHIVED }),
+    ]);
+    if (!source) {
+      return next(new AppError(`Categoria não encontrada!`, 404));
+    }
+    if (!target) {
+      return next(new AppError("Categoria de destino não encontrada.", 404));
+    }
+    if (target._id.equals(source._id) || target.ancestors.some((ancestor) => ancestor.equals(source._id))) {
+      return next(
+        new AppError(
+          "A categoria de destino não pode ser a própria categoria nem uma de suas subcategorias.",
+          400
+        )
+      );
+    }
+
+    if (!isTestEnv) {
+      session = await mongoose.startSession();
+      session.startTransaction();
+    }
+    const sessionOptions = session ? { session } : {};
+
+    // 2. Produtos (inclusive arquivados) passam para o destino
+    const movedProducts = await Product.updateMany(
+      { category: source._id },
+      { $set: { category: target._id } },
+      sessionOptions
+    );
 
-    // 3. Retorna sucesso (200 com mensagem ou 204)
-    // O teste espera 200 com mensagem, então mantemos assim:
-    res.status(200).json({ message: "Categoria removida com sucesso" });
-    // Alternativa para 204 No Content: res.status(204).send();
+    // 3. Subcategorias diretas passam para o destino (os hooks do model atualizam a subárvore)
+    const children = await Category.find({ parent: source._id, ...NOT_ARCHIVED }).setOptions(
+      sessionOptions
+    );
+    for (const child of children) {
+      child.parent = target._id;
+      await child.save(sessionOptions);
+    }
+
+    // 4. Promoções da origem passam a valer para o destino
+    const promotionFilter = { categories: source._id };
+    const promotionIds = await Promotion.find(promotionFilter)
+      .setOptions(sessionOptions)
+      .distinct("_id");
+    if (promotionIds.length) {
+      await Promotion.updateMany(
+        { _id: { $in: promotionIds } },
+        { $addToSet: { categories: target._id } },
+        sessionOptions
+      );
+      await Promotion.updateMany(
+        { _id: { $in: promotionIds } },
+        { $pull: { categories: source._id } },
+        sessionOptions
+      );
+    }
+
+    // 5. O slug da origem (e seus aliases) vira alias do destino; a origem é arquivada
+    const before = source.toObject();
+    target.slugAliases = [
+      ...new Set([...target.slugAliases, source.slug, ...source.slugAliases]),
+    ].filter((alias) => alias !== target.slug);
+    source.slugAliases = [];
+    source.archive(req.user._id);
+    await source.save(sessionOptions);
+    await target.save(sessionOptions);
+
+    // 6. Commit da Transação (se não for teste)
+    if (session) {
+      await session.commitTransaction();
+      session.endSession();
+    }
+
+    await recordAudit(req, {
+      action: "category.merge",
+      entityType: "Category",
+      entityId: source._id,
+      before,
+      after: source,
+      metadata: {
+        target: target._id,
+        products: movedProducts.modifiedCount,
+        subcategories: children.length,
+        promotions: promotionIds.length,
+      },
+    });
+
+    // 7. Resposta com o destino atualizado
+    res.status(200).json({
+      message: "Categoria mesclada com sucesso",
+      products: movedProducts.modifiedCount,
+      subcategories: children.length,
+      category: await withBreadcrumbs(target),
+    });
   } catch (err) {
-    // Pega erros inesperados do countDocuments ou findByIdAndDelete
+    // Rollback em caso de erro
+    if (session) {
+      try {
+        await session.abortTransaction();
+      } finally {
+        session.endSession();
+      }
+    }
     next(err);
   }
 };
@@ -2,6 +2,7 @@
 import Order from "../models/Order.js";
 import Cart from "../models/Cart.js";
 import Product from "../models/Product.js";
+import Promotion from "../models/Promotion.js";
 import Address from "../models/Address.js";
 import AppError from "../utils/appError.js";
 import { validationResult } from "express-validator";
@@ -11,9 +12,53 @@ import mpClient, {
   isMercadoPagoConfigured,
 } from "../config/mercadopago.js";
 import { filterObj } from "../utils/filterObject.js";
+import { hasPermission } from "../middleware/roles.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { resolvePrice } from "../utils/pricing.js";
+import { recordStockIncrements } from "../utils/stockLedger.js";
+import { checkLowStock } from "../utils/stockAlerts.js";
+
+// --- FUNÇÃO AUXILIAR: ATUALIZAÇÃO DE ESTOQUE DE UM ITEM DO PEDIDO ---
+// Para itens com variação, altera o estoque do SKU e o total do produto juntos.
+// O contador de vendas (popularidade) anda no sentido contrário ao estoque.
+function stockUpdateFor(item, quantity) {
+  if (item.variantId) {
+    return {
+      updateOne: {
+        filter: { _id: item.productId, "variants._id": item.variantId },
+        update: {
+          $inc: {
+            "variants.$.stock": quantity,
+            stock: quantity,
+            salesCount: -quantity,
+          },
+        },
+      },
+    };
+  }
+  return {
+    updateOne: {
+      filter: { _id: item.productId },
+      update: { $inc: { stock: quantity, salesCount: -quantity } },
+    },
+  };
+}
+
+// --- FUNÇÃO AUXILIAR: Incrementos de estoque dos itens do pedido, para o livro de estoque ---
+const stockIncrementsFor = (orderItems, sign) =>
+  orderItems.map((item) => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    delta: sign * item.quantity,
+  }));
 
 // --- FUNÇÃO AUXILIAR PARA RETORNAR ESTOQUE ---
-async function returnStockForOrderItems(orderItems, sessionOptions = {}) {
+// `movement` identifica o movimento no livro de estoque: { reason: "cancellation" | "refund", order }
+async function returnStockForOrderItems(
+  orderItems,
+  sessionOptions = {},
+  { reason = "cancellation", order } = {}
+) {
   if (!orderItems || orderItems.length === 0) {
     return;
   }
@@ -23,12 +68,7 @@ async function returnStockForOrderItems(orderItems, sessionOptions = {}) {
         if (!item.productId || !item.quantity || item.quantity <= 0) {
           return null;
         }
-        return {
-          updateOne: {
-            filter: { _id: item.productId },
-            update: { $inc: { stock: item.quantity } },
-          },
-        };
+        return stockUpdateFor(item, item.quantity);
       })
       .filter(Boolean);
 
@@ -38,6 +78,14 @@ async function returnStockForOrderItems(orderItems, sessionOptions = {}) {
 
     // Executa as atualizações em lote
     const result = await Product.bulkWrite(stockUpdates, sessionOptions);
+    await recordStockIncrements(
+      null,
+      stockIncrementsFor(
+        orderItems.filter((item) => item.productId && item.quantity > 0),
+        1
+      ),
+      { reason, order, session: sessionOptions.session }
+    );
   } catch (stockErr) {
     logger.error("Erro crítico ao retornar estoque", {
       error: stockErr,
@@ -105,8 +153,11 @@ export const createOrder = async (req, res, next) => {
     const productsInCart = await Product.find({
       _id: { $in: productIdsInCart },
     })
-      .select("stock name price image")
+      .notArchived()
+      .select("stock name price sale category image variants")
       .setOptions(sessionOptions);
+    // Preços com as promoções em vigor agora (o pedido guarda o preço original e o cobrado)
+    const promotions = await Promotion.findActive(new Date(), sessionOptions);
     const productMap = new Map(
       productsInCart.map((p) => [p._id.toString(), p])
     );
@@ -122,19 +173,54 @@ export const createOrder = async (req, res, next) => {
         continue;
       }
 
-      if (currentProductState.stock < item.quantity) {
+      // Produtos com variações: estoque e preço vêm do SKU escolhido
+      let variant = null;
+      if (currentProductState.variants.length) {
+        variant = item.variant
+          ? currentProductState.variants.id(item.variant)
+          : null;
+        if (!variant) {
+          stockErrors.push(
+            `A variação escolhida para ${currentProductState.name} não está mais disponível.`
+          );
+          continue;
+        }
+      }
+      const available = variant ? variant.stock : currentProductState.stock;
+      const label = variant
+        ? `${currentProductState.name} (${variant.sku})`
+        : currentProductState.name;
+
+      if (available < item.quantity) {
         stockErrors.push(
-          `Estoque insuficiente para ${currentProductState.name} (Disponível: ${currentProductState.stock}, Solicitado: ${item.quantity}).`
+          `Estoque insuficiente para ${label} (Disponível: ${available}, Solicitado: ${item.quantity}).`
         );
       } else {
-        const itemPrice = item.quantity * currentProductState.price;
-        itemsPrice += itemPrice;
+        const { originalPrice, price: unitPrice, discount } = resolvePrice(
+          currentProductState,
+          variant,
+          promotions
+        );
+        itemsPrice += item.quantity * unitPrice;
         orderItems.push({
           productId: currentProductState._id,
           name: currentProductState.name,
           quantity: item.quantity,
-          price: currentProductState.price,
-          image: currentProductState.image,
+          originalPrice,
+          price: unitPrice,
+          ...(discount && {
+            discount: {
+              source: discount.source,
+              promotion: discount.promotion,
+              name: discount.name,
+            },
+          }),
+          image: (variant && variant.image) || currentProductState.image,
+          ...(variant && {
+            variantId: variant._id,
+            sku: variant.sku,
+            options: variant.options,
+          }),
         });
       }
     }
@@ -186,13 +272,15 @@ export const createOrder = async (req, res, next) => {
     const createdOrder = createdOrderArray[0];
 
     // 8. Decrementar Estoque (dentro da transação)
-    const stockUpdates = createdOrder.orderItems.map((item) => ({
-      updateOne: {
-        filter: { _id: item.productId },
-        update: { $inc: { stock: -item.quantity } },
-      },
-    }));
+    const stockUpdates = createdOrder.orderItems.map((item) =>
+      stockUpdateFor(item, -item.quantity)
+    );
     await Product.bulkWrite(stockUpdates, sessionOptions);
+    await recordStockIncrements(
+      req,
+      stockIncrementsFor(createdOrder.orderItems, -1),
+      { reason: "sale", order: createdOrder._id, session }
+    );
 
     // 9. Limpar o Carrinho (dentro da transação)
     cart.items = [];
@@ -204,7 +292,15 @@ export const createOrder = async (req, res, next) => {
       session.endSession();
     }
 
-    // 11. Resposta
+    // 11. Alerta de estoque baixo em segundo plano (uma falha no aviso não afeta o pedido)
+    checkLowStock(stockIncrementsFor(createdOrder.orderItems, -1)).catch((alertErr) => {
+      logger.error(
+        `Falha ao verificar estoque baixo após o pedido ${createdOrder._id}:`,
+        alertErr
+      );
+    });
+
+    // 12. Resposta
     res.status(201).json({
       status: "success",
       data: {
@@ -212,7 +308,7 @@ export const createOrder = async (req, res, next) => {
       },
     });
   } catch (err) {
-    // 12. Rollback em caso de erro
+    // 13. Rollback em caso de erro
     if (session) {
       try {
         await session.abortTransaction();
@@ -367,7 +463,10 @@ export const payOrder = async (req, res, next) => {
 
     // 9. Retornar Estoque se o pagamento falhou IMEDIATAMENTE
     if (needsStockReturn) {
-      await returnStockForOrderItems(order.orderItems);
+      await returnStockForOrderItems(order.orderItems, {}, {
+        reason: "cancellation",
+        order: order._id,
+      });
     }
 
     // 10. Resposta ao Frontend
@@ -447,10 +546,9 @@ export const getOrderById = async (req, res, next) => {
   try {
     const orderId = req.params.id;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     let query = {};
-    if (userRole === "admin") {
+    if (await hasPermission(req, "orders:read")) {
       query = { _id: orderId };
     } else {
       query = { _id: orderId, user: userId };
@@ -546,8 +644,16 @@ export const updateOrderToShipped = async (req, res, next) => {
       );
     }
 
+    const before = order.toObject();
     order.orderStatus = "shipped";
     const updatedOrder = await order.save();
+    await recordAudit(req, {
+      action: "order.ship",
+      entityType: "Order",
+      entityId: order._id,
+      before,
+      after: updatedOrder,
+    });
 
     res.status(200).json({
       status: "success",
@@ -590,9 +696,17 @@ export const updateOrderToDelivered = async (req, res, next) => {
       );
     }
 
+    const before = order.toObject();
     order.orderStatus = "delivered";
     order.deliveredAt = new Date();
     const updatedOrder = await order.save();
+    await recordAudit(req, {
+      action: "order.deliver",
+      entityType: "Order",
+      entityId: order._id,
+      before,
+      after: updatedOrder,
+    });
 
     res.status(200).json({
       status: "success",
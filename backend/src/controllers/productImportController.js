@@ -0,0 +1,433 @@
+// src/controllers/productImportController.js
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import AppError from "../utils/appError.js";
+import { validationResult } from "express-validator";
+import mongoose from "mongoose";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { deleteImage } from "../utils/cloudinary.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { recordPriceChange } from "../utils/priceHistory.js";
+import { stockLevels, recordStockChanges } from "../utils/stockLedger.js";
+import { NOT_ARCHIVED } from "../models/plugins/archivable.js";
+
+// Colunas do arquivo de catálogo (mesmo formato na importação e na exportação)
+const CATALOG_COLUMNS = [
+  "externalId",
+  "name",
+  "price",
+  "stock",
+  "category",
+  "description",
+  "imageUrl",
+];
+// Campos obrigatórios para criar um produto (atualizações aceitam apenas o que mudou)
+const REQUIRED_TO_CREATE = ["name", "price", "category", "imageUrl"];
+
+const IMPORT_MAX_ROWS =
+  parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS, 10) || 5000;
+
+// --- Função Auxiliar: Lê as linhas do arquivo enviado (CSV ou JSON) ---
+// Retorna [{ row, values }], onde row é a linha no CSV (cabeçalho = 1) ou a posição na lista JSON.
+const readImportRows = (file, format) => {
+  const text = file.buffer.toString("utf8");
+  const isJson =
+    format === "json" ||
+    (!format &&
+      (/\.json$/i.test(file.originalname) ||
+        file.mimetype === "application/json"));
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new AppError(`JSON inválido: ${err.message}`, 400);
+    }
+    const items = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(items)) {
+      throw new AppError(
+        "O JSON deve ser uma lista de produtos (ou { products: [...] }).",
+        400
+      );
+    }
+    return items.map((values, index) => ({
+      row: index + 1,
+      values: values && typeof values === "object" ? values : {},
+    }));
+  }
+
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (err) {
+    throw new AppError(`CSV inválido: ${err.message}`, 400);
+  }
+  if (parsed.columns.length && !parsed.columns.includes("externalId")) {
+    throw new AppError(
+      `A coluna externalId é obrigatória. Colunas aceitas: ${CATALOG_COLUMNS.join(", ")}.`,
+      400
+    );
+  }
+  return parsed.rows.map(({ line, values }) => ({ row: line, values }));
+};
+
+// --- Função Auxiliar: Converte número em texto ("79.90" ou "79,90") ---
+const parseNumber = (value) =>
+  typeof value === "number"
+    ? value
+    : Number(String(value).trim().replace(/^(\d+),(\d{1,2})$/, "$1.$2"));
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+// --- Função Auxiliar: Valor de uma coluna (vazio ou null = não informado) ---
+const readValue = (values, column) => {
+  const value = values[column];
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "string" && value.trim() === "") return undefined;
+  return typeof value === "string" ? value.trim() : value;
+};
+
+// --- Função Auxiliar: Valida o formato de cada coluna da linha ---
+// Colunas vazias (ou ausentes) são ignoradas; retorna os campos no formato do Product.
+const validateRow = (values, categoryIdsBySlug) => {
+  const get = (column) => readValue(values, column);
+  const errors = [];
+  const data = {};
+
+  const externalId = get("externalId");
+  if (externalId === undefined) {
+    errors.push("externalId é obrigatório.");
+  } else if (String(externalId).length > 100) {
+    errors.push("externalId pode ter no máximo 100 caracteres.");
+  }
+
+  const name = get("name");
+  if (name !== undefined) {
+    if (typeof name !== "string" || name.length > 200) {
+      errors.push("name deve ser um texto de até 200 caracteres.");
+    } else {
+      data.name = name;
+    }
+  }
+
+  const price = get("price");
+  if (price !== undefined) {
+    const number = parseNumber(price);
+    if (!Number.isFinite(number) || number <= 0) {
+      errors.push(`price inválido (${price}): deve ser um número maior que zero.`);
+    } else {
+      data.price = number;
+    }
+  }
+
+  const stock = get("stock");
+  if (stock !== undefined) {
+    const number = parseNumber(stock);
+    if (!Number.isInteger(number) || number < 0) {
+      errors.push(`stock inválido (${stock}): deve ser um inteiro não negativo.`);
+    } else {
+      data.stock = number;
+    }
+  }
+
+  const category = get("category");
+  if (category !== undefined) {
+    const categoryId = categoryIdsBySlug.get(String(category).toLowerCase());
+    if (!categoryId) {
+      errors.push(`Categoria com slug '${category}' não encontrada.`);
+    } else {
+      data.category = categoryId;
+    }
+  }
+
+  const description = get("description");
+  if (description !== undefined) {
+    data.description = String(description);
+  }
+
+  const imageUrl = get("imageUrl");
+  if (imageUrl !== undefined) {
+    if (!isHttpUrl(imageUrl)) {
+      errors.push(`imageUrl inválida (${imageUrl}): use uma URL http(s).`);
+    } else {
+      data.imageUrl = imageUrl;
+    }
+  }
+
+  return {
+    externalId: externalId === undefined ? undefined : String(externalId),
+    data,
+    errors,
+  };
+};
+
+// --- Função Auxiliar: Mensagens de erro do Mongoose/MongoDB para o relatório ---
+const describeSaveError = (err) => {
+  if (err instanceof mongoose.Error.ValidationError) {
+    return Object.values(err.errors).map((error) => error.message);
+  }
+  if (err.code === 11000) {
+    return [`Valor duplicado: ${JSON.stringify(err.keyValue)}.`];
+  }
+  throw err;
+};
+
+/**
+ * @description Importa o catálogo a partir de um arquivo CSV ou JSON (campo `file`).
+ *              Cada linha é validada e aplicada (upsert pelo externalId) independentemente;
+ *              a resposta traz um relatório por linha. Com ?dryRun=true nada é gravado.
+ *              Produtos sem externalId podem ser atualizados usando o _id no lugar (é o que a
+ *              exportação escreve para eles); o _id passa então a ser o externalId.
+ * @route POST /api/products/import
+ * @access products:write
+ */
+export const importProducts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) {
+    return next(
+      new AppError("Envie o arquivo (CSV ou JSON) no campo 'file'.", 400)
+    );
+  }
+  const dryRun = String(req.query.dryRun) === "true";
+
+  try {
+    const rows = readImportRows(req.file, req.query.format);
+    if (!rows.length) {
+      return next(new AppError("O arquivo não contém produtos.", 400));
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return next(
+        new AppError(
+          `O arquivo tem ${rows.length} produtos; o limite por importação é ${IMPORT_MAX_ROWS}.`,
+          400
+        )
+      );
+    }
+
+    // Carrega categorias e produtos existentes de uma vez (evita uma consulta por linha)
+    const externalIds = [
+      ...new Set(
+        rows
+          .map(({ values }) => String(values.externalId ?? "").trim())
+          .filter(Boolean)
+      ),
+    ];
+    const legacyIds = externalIds.filter((id) =>
+      mongoose.Types.ObjectId.isValid(id)
+    );
+    const [categories, existingProducts] = await Promise.all([
+      Category.find(NOT_ARCHIVED).select("slug slugAliases").lean(),
+      Product.find({
+        $or: [
+          { externalId: { $in: externalIds } },
+          { _id: { $in: legacyIds }, externalId: { $exists: false } },
+        ],
+      }),
+    ]);
+    // Slugs antigos (categorias mescladas) também resolvem; o slug atual tem prioridade
+    const categoryIdsBySlug = new Map([
+      ...categories.flatMap((category) =>
+        (category.slugAliases || []).map((alias) => [alias, category._id])
+      ),
+      ...categories.map((category) => [category.slug, category._id]),
+    ]);
+    const productsByKey = new Map();
+    existingProducts.forEach((product) => {
+      productsByKey.set(product.externalId || product._id.toString(), product);
+    });
+
+    const summary = {
+      total: rows.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+    };
+    const results = [];
+    const seen = new Set();
+    const replacedImages = [];
+
+    for (const { row, values } of rows) {
+      const { externalId, data, errors: rowErrors } = validateRow(
+        values,
+        categoryIdsBySlug
+      );
+      if (externalId !== undefined) {
+        if (seen.has(externalId)) {
+          rowErrors.push(`externalId '${externalId}' repetido no arquivo.`);
+        }
+        seen.add(externalId);
+      }
+
+      let product = externalId && productsByKey.get(externalId);
+      if (!product) {
+        const missing = REQUIRED_TO_CREATE.filter(
+          (column) => readValue(values, column) === undefined
+        );
+        if (missing.length) {
+          rowErrors.push(`Produto novo: informe ${missing.join(", ")}.`);
+        }
+      } else if (data.stock !== undefined && product.variants.length) {
+        rowErrors.push(
+          "Produto com variações: o estoque é controlado em cada variação."
+        );
+      }
+
+      if (rowErrors.length) {
+        summary.failed++;
+        results.push({ row, externalId, status: "error", errors: rowErrors });
+        continue;
+      }
+
+      const before = product ? product.toObject() : null;
+      if (!product) {
+        product = new Product({ externalId });
+      } else if (!product.externalId) {
+        product.externalId = externalId;
+      }
+
+      // Nova imagem de capa (a URL é usada como está, sem upload ao Cloudinary)
+      const { imageUrl, ...fields } = data;
+      let replacedPublicId;
+      if (imageUrl !== undefined && imageUrl !== product.image) {
+        const cover = product.images.find((image) => image.isCover);
+        if (cover) {
+          replacedPublicId = cover.publicId;
+          cover.url = imageUrl;
+          cover.publicId = undefined;
+        } else {
+          product.image = imageUrl;
+        }
+      }
+      product.set(fields);
+
+      const action = product.isNew ? "create" : "update";
+      if (!product.isNew && !product.isModified()) {
+        summary.unchanged++;
+        results.push({
+          row,
+          externalId,
+          status: "ok",
+          action: "unchanged",
+          productId: product._id,
+        });
+        continue;
+      }
+
+      try {
+        if (dryRun) {
+          await product.validate();
+        } else {
+          await product.save();
+          await recordAudit(req, {
+            action: `product.${action}`,
+            entityType: "Product",
+            entityId: product._id,
+            before,
+            after: product,
+            metadata: { source: "import", row },
+          });
+          await recordPriceChange(req, {
+            product,
+            oldPrice: before?.price,
+            newPrice: product.price,
+            source: "import",
+          });
+          await recordStockChanges(req, {
+            productId: product._id,
+            before: stockLevels(before),
+            after: stockLevels(product),
+            reason: "import",
+            note: `Importação do catálogo (linha ${row})`,
+          });
+          if (replacedPublicId) replacedImages.push(replacedPublicId);
+        }
+      } catch (err) {
+        summary.failed++;
+        results.push({
+          row,
+          externalId,
+          status: "error",
+          errors: describeSaveError(err),
+        });
+        continue;
+      }
+
+      summary[action === "create" ? "created" : "updated"]++;
+      results.push({
+        row,
+        externalId,
+        status: "ok",
+        action,
+        productId: product._id,
+      });
+    }
+
+    // Imagens de capa substituídas deixam de ser usadas: remove do Cloudinary
+    await Promise.allSettled(replacedImages.map((id) => deleteImage(id)));
+
+    res.status(200).json({
+      status: "success",
+      dryRun,
+      summary,
+      results,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Exporta o catálogo no mesmo formato aceito pela importação (CSV ou JSON).
+ *              Produtos sem externalId saem com o _id nessa coluna; arquivados ficam de fora.
+ * @route GET /api/products/export
+ * @access products:write
+ */
+export const exportProducts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const products = await Product.find(NOT_ARCHIVED)
+      .select("externalId name price stock category description image")
+      .populate("category", "slug")
+      .sort("name")
+      .lean();
+
+    const rows = products.map((product) => ({
+      externalId: product.externalId || product._id.toString(),
+      name: product.name,
+      price: product.price,
+      stock: product.stock,
+      category: product.category?.slug,
+      description: product.description,
+      imageUrl: product.image,
+    }));
+
+    const fileName = `produtos-${new Date().toISOString().slice(0, 10)}`;
+    if (req.query.format === "json") {
+      res.set("Content-Disposition", `attachment; filename="${fileName}.json"`);
+      return res.status(200).json(rows);
+    }
+
+    // BOM para o Excel reconhecer UTF-8 (a importação o ignora)
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+    res.status(200).send(`\uFEFF${toCsv(CATALOG_COLUMNS, rows)}`);
+  } catch (err) {
+    next(err);
+  }
+};
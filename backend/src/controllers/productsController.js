@@ -1,13 +1,71 @@
 // src/controllers/productsController.js
-import Product from "../models/Product.js";
+import Product, { MAX_PRODUCT_IMAGES } from "../models/Product.js";
 import Category from "../models/Category.js";
+import Cart from "../models/Cart.js";
+import Promotion from "../models/Promotion.js";
+import PriceHistory from "../models/PriceHistory.js";
+import StockMovement from "../models/StockMovement.js";
 import { validationResult } from "express-validator";
 import { uploadImage, deleteImage } from "../utils/cloudinary.js";
 import mongoose from "mongoose";
 import AppError from "../utils/appError.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { recordPriceChange } from "../utils/priceHistory.js";
+import { stockLevels, recordStockChanges } from "../utils/stockLedger.js";
+import { NOT_ARCHIVED } from "../models/plugins/archivable.js";
+import { resolvePrice, effectivePriceExpression } from "../utils/pricing.js";
+import {
+  validateAttributes,
+  attributeFilterValues,
+  ATTRIBUTE_KEY_PATTERN,
+} from "../utils/productAttributes.js";
+import {
+  normalizeSearchText,
+  trigrams,
+  escapeRegex,
+} from "../utils/searchText.js";
+
+// --- Função Auxiliar: Remove imagens do Cloudinary (falhas não interrompem a requisição) ---
+const deleteImages = (publicIds) =>
+  Promise.allSettled(publicIds.filter(Boolean).map((id) => deleteImage(id)));
+
+// --- Função Auxiliar: Envia imagens da galeria ao Cloudinary ---
+// `alts` segue a ordem dos arquivos. Se um upload falhar, remove os que já foram enviados.
+const uploadGalleryImages = async (files, alts = []) => {
+  const uploaded = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const result = await uploadImage(file.path);
+      uploaded.push({
+        url: result.secure_url,
+        publicId: result.public_id,
+        alt: alts[index],
+      });
+    }
+  } catch (uploadError) {
+    await deleteImages(uploaded.map((image) => image.publicId));
+    throw new AppError("Falha ao fazer upload da imagem.", 500);
+  }
+  return uploaded;
+};
+
+// Campo de formulário que pode vir uma ou várias vezes (ex: alt)
+const toList = (value) => (value === undefined ? [] : [].concat(value));
+
+// --- Função Auxiliar: Valida os atributos contra o schema da categoria (e das ancestrais) ---
+// Lança AppError 400 com todos os problemas encontrados; retorna os valores convertidos.
+const checkAttributes = async (categoryId, values) => {
+  const definitions = await Category.effectiveAttributes(categoryId);
+  const { attributes, errors } = validateAttributes(definitions, values);
+  if (errors.length) {
+    throw new AppError(`Atributos inválidos: ${errors.join(" ")}`, 400);
+  }
+  return attributes;
+};
 
 /**
- * @description Cria um novo produto. Requer upload de imagem via multipart/form-data.
+ * @description Cria um novo produto. Requer ao menos uma imagem via multipart/form-data
+ *              (campo `image` e/ou `images`); a primeira vira a capa da galeria.
  * @route POST /api/products
  * @access Admin
  */
@@ -17,64 +75,160 @@ export const createProduct = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  if (!req.file) {
+  const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+  if (!files.length) {
     return next(new AppError("Imagem do produto é obrigatória.", 400));
   }
+  if (files.length > MAX_PRODUCT_IMAGES) {
+    return next(
+      new AppError(
+        `Um produto pode ter no máximo ${MAX_PRODUCT_IMAGES} imagens.`,
+        400
+      )
+    );
+  }
 
-  let imageUrl = null;
-  let imagePublicId = null;
+  let images = [];
 
   try {
-    // 1. Faz upload da imagem para Cloudinary
+    // 1. Valida os atributos antes de enviar as imagens
+    const attributes = await checkAttributes(req.body.category, req.body.attributes);
+
+    // 2. Faz upload das imagens para Cloudinary
     try {
-      const result = await uploadImage(req.file.path);
-      imageUrl = result.secure_url;
-      imagePublicId = result.public_id;
+      images = await uploadGalleryImages(files, toList(req.body.alt));
     } catch (uploadError) {
-      return next(new AppError("Falha ao fazer upload da imagem.", 500));
+      return next(uploadError);
     }
+    images[0].isCover = true;
 
-    // 2. Monta os dados do produto
+    // 3. Monta os dados do produto
     const productData = {
       name: req.body.name,
       price: Number(req.body.price),
       category: req.body.category,
       description: req.body.description,
       stock: req.body.stock ? Number(req.body.stock) : 0,
-      image: imageUrl,
-      imagePublicId: imagePublicId,
+      lowStockThreshold: req.body.lowStockThreshold ?? null,
+      brand: req.body.brand,
+      gtin: req.body.gtin || undefined,
+      attributes,
+      images, // image/imagePublicId são preenchidos a partir da capa
     };
 
-    // 3. Cria o produto no banco de dados
+    // 4. Cria o produto no banco de dados
     const product = await Product.create(productData);
+    await recordAudit(req, {
+      action: "product.create",
+      entityType: "Product",
+      entityId: product._id,
+      after: product,
+    });
+    await recordStockChanges(req, {
+      productId: product._id,
+      before: stockLevels(null),
+      after: stockLevels(product),
+      reason: "initial",
+    });
 
-    // 4. Popula a categoria para a resposta
+    // 5. Popula a categoria para a resposta
     const populatedProduct = await Product.findById(product._id)
       .populate("category", "name slug")
       .lean();
 
-    // 5. Retorna o produto criado
+    // 6. Retorna o produto criado
     res.status(201).json(populatedProduct);
   } catch (err) {
-    // 6. Tratamento de erro do DB ou outro erro inesperado
+    // 7. Tratamento de erro do DB ou outro erro inesperado
     if (err.code === 11000 && err.keyPattern && err.keyPattern.name) {
       return next(
         new AppError(`Produto com nome '${req.body.name}' já existe.`, 409)
       );
     }
-    if (imagePublicId) {
-      try {
-        await deleteImage(imagePublicId);
-      } catch (delErr) {
-        logger.error("Erro ao deletar imagem órfã:", delErr);
-      }
-    }
+    await deleteImages(images.map((image) => image.publicId));
     next(err);
   }
 };
 
+// Limites das faixas de preço do facet (a última faixa é aberta: acima de 1000)
+const PRICE_BUCKET_BOUNDARIES = [0, 50, 100, 250, 500, 1000];
+// Avaliação mínima contada no facet de avaliações ("4 ou mais", "3 ou mais"...)
+const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+
+// Campos da query que na agregação são ordenados por um campo calculado
+const SORT_FIELD_ALIASES = { price: "effectivePrice" };
+
+// --- Função Auxiliar: Converte o sort da query ("-price,name") no $sort da agregação ---
+const toSortStage = (sort) => {
+  const fields = String(sort || "-createdAt")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  const stage = {};
+  fields.forEach((field) => {
+    const direction = field.startsWith("-") ? -1 : 1;
+    const name = field.replace(/^-/, "");
+    stage[SORT_FIELD_ALIASES[name] || name] = direction;
+  });
+  stage._id = stage._id || 1; // Desempate estável para a paginação
+  return stage;
+};
+
+// --- Função Auxiliar: Estágios que populam a categoria (name e slug) ---
+const categoryLookupStages = () => [
+  {
+    $lookup: {
+      from: Category.collection.name,
+      localField: "category",
+      foreignField: "_id",
+      as: "category",
+    },
+  },
+  { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+  {
+    $set: {
+      category: {
+        _id: "$category._id",
+        name: "$category.name",
+        slug: "$category.slug",
+      },
+    },
+  },
+];
+
+// --- Função Auxiliar: Formata o resultado bruto dos facets ---
+const formatFacets = ({ categories, priceRanges, ratings, availability }) => {
+  const lastBoundary = PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1];
+  const ratingCounts = ratings[0] || {};
+  return {
+    categories,
+    priceRanges: priceRanges.map((bucket) =>
+      bucket._id === "above"
+        ? { min: lastBoundary, max: null, count: bucket.count }
+        : {
+            min: bucket._id,
+            max: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id) + 1],
+            count: bucket.count,
+          }
+    ),
+    ratings: RATING_FACET_THRESHOLDS.map((threshold) => ({
+      minRating: threshold,
+      count: ratingCounts[`min${threshold}`] || 0,
+    })),
+    availability: {
+      inStock: availability[0]?.inStock || 0,
+      outOfStock: availability[0]?.outOfStock || 0,
+    },
+  };
+};
+
 /**
  * @description Lista produtos com filtros, paginação e ordenação.
+ *              Filtros: categorias (IDs/slugs separados por vírgula, incluindo as subcategorias), busca textual, faixa
+ *              de preço, avaliação mínima, disponibilidade e atributos (?attr.<chave>=valor). Filtro, facet e ordenação por
+ *              preço usam o preço efetivo (`effectivePrice`, com promoções em vigor). A resposta inclui `facets`
+ *              (contagens por categoria, faixa de preço, avaliação e estoque) calculados na
+ *              mesma agregação; o facet de cada dimensão ignora o próprio filtro para
+ *              mostrar as alternativas.
  * @route GET /api/products
  * @access Público
  */
@@ -89,58 +243,184 @@ export const getProducts = async (req, res, next) => {
       page = 1,
       limit = 10,
       q,
-      category: categoryIdentifier,
+      category: categoryIdentifiers,
       sort,
+      minPrice,
+      maxPrice,
+      minRating,
+      inStock,
+      includeArchived,
     } = req.query;
+    // Produtos arquivados só aparecem com ?includeArchived=true (validado na rota)
+    const archivedFilter = includeArchived === "true" ? {} : NOT_ARCHIVED;
 
     const currentPageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
     const skip = (currentPageNum - 1) * limitNum;
 
-    const filterQuery = {};
+    // Filtros por dimensão (cada facet aplica todos, menos o da sua dimensão)
+    const filters = {};
+    let message;
 
-    if (categoryIdentifier) {
-      const categoryFilter = mongoose.Types.ObjectId.isValid(
-        String(categoryIdentifier)
-      )
-        ? { _id: categoryIdentifier }
-        : { slug: String(categoryIdentifier).toLowerCase() };
+    if (categoryIdentifiers) {
+      const identifiers = []
+        .concat(categoryIdentifiers)
+        .flatMap((value) => String(value).split(","))
+        .map((value) => value.trim())
+        .filter(Boolean);
+      const ids = identifiers.filter((value) =>
+        mongoose.Types.ObjectId.isValid(value)
+      );
+      const slugs = identifiers.map((value) => value.toLowerCase());
 
-      const foundCategory = await Category.findOne(categoryFilter)
+      const foundCategories = await Category.find({
+        $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }],
+        ...archivedFilter,
+      })
         .select("_id")
         .lean();
 
-      if (foundCategory) {
-        filterQuery.category = foundCategory._id;
-      } else {
-        return res.status(200).json({
-          status: "success",
-          results: 0,
-          products: [],
-          message: "Categoria não encontrada",
-          totalPages: 0,
-          currentPage: currentPageNum,
-          totalProducts: 0,
-        });
+      if (!foundCategories.length) {
+        message = "Categoria não encontrada";
       }
+      // Inclui os produtos de todas as subcategorias (qualquer profundidade)
+      const categoryIds = await Category.withDescendantIds(
+        foundCategories.map((category) => category._id),
+        archivedFilter
+      );
+      filters.category = {
+        category: { $in: categoryIds },
+      };
     }
 
-    if (q) {
-      filterQuery.$text = { $search: String(q) };
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const price = {};
+      if (minPrice !== undefined) price.$gte = Number(minPrice);
+      if (maxPrice !== undefined) price.$lte = Number(maxPrice);
+      filters.price = { effectivePrice: price };
     }
 
-    const sortOptions = sort ? String(sort).split(",").join(" ") : "-createdAt";
+    if (minRating !== undefined) {
+      filters.rating = { rating: { $gte: Number(minRating) } };
+    }
 
-    const [products, totalProducts] = await Promise.all([
-      Product.find(filterQuery)
-        .populate("category", "name slug")
-        .sort(sortOptions)
-        .limit(limitNum)
-        .skip(skip)
-        .lean(),
-      Product.countDocuments(filterQuery),
-    ]);
+    if (inStock !== undefined) {
+      filters.stock = {
+        stock: String(inStock) === "true" ? { $gt: 0 } : { $lte: 0 },
+      };
+    }
+
+    // Atributos da categoria: ?attr.<chave>=valor (vários valores separados por vírgula)
+    const attributeFilters = Object.entries(req.query).filter(([key]) =>
+      key.startsWith("attr.")
+    );
+    if (attributeFilters.length) {
+      const attributes = {};
+      for (const [key, value] of attributeFilters) {
+        const attributeKey = key.slice("attr.".length);
+        if (!ATTRIBUTE_KEY_PATTERN.test(attributeKey)) {
+          return next(new AppError(`Filtro de atributo inválido: '${key}'.`, 400));
+        }
+        attributes[`attributes.${attributeKey}`] = { $in: attributeFilterValues(value) };
+      }
+      filters.attributes = attributes;
+    }
 
+    const matchExcept = (dimension) => ({
+      $match: Object.assign(
+        {},
+        ...Object.entries(filters)
+          .filter(([key]) => key !== dimension)
+          .map(([, filter]) => filter)
+      ),
+    });
+
+    // $text precisa estar no primeiro estágio da agregação
+    const now = new Date();
+    const promotions = await Promotion.findActive(now);
+    const pipeline = [
+      {
+        $match: {
+          ...archivedFilter,
+          ...(q && { $text: { $search: String(q) } }),
+        },
+      },
+      { $set: { effectivePrice: effectivePriceExpression(promotions, now) } },
+    ];
+    pipeline.push({
+      $facet: {
+        products: [
+          matchExcept(),
+          { $sort: toSortStage(sort) },
+          { $skip: skip },
+          { $limit: limitNum },
+          { $unset: ["searchName", "searchTrigrams"] },
+          ...categoryLookupStages(),
+        ],
+        total: [matchExcept(), { $count: "count" }],
+        categories: [
+          matchExcept("category"),
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "category",
+            },
+          },
+          { $unwind: "$category" },
+          {
+            $project: {
+              _id: "$category._id",
+              name: "$category.name",
+              slug: "$category.slug",
+              count: 1,
+            },
+          },
+          { $sort: { count: -1, name: 1 } },
+        ],
+        priceRanges: [
+          matchExcept("price"),
+          {
+            $bucket: {
+              groupBy: "$effectivePrice",
+              boundaries: PRICE_BUCKET_BOUNDARIES,
+              default: "above",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        ratings: [
+          matchExcept("rating"),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                RATING_FACET_THRESHOLDS.map((threshold) => [
+                  `min${threshold}`,
+                  { $sum: { $cond: [{ $gte: ["$rating", threshold] }, 1, 0] } },
+                ])
+              ),
+            },
+          },
+        ],
+        availability: [
+          matchExcept("stock"),
+          {
+            $group: {
+              _id: null,
+              inStock: { $sum: { $cond: [{ $gt: ["$stock", 0] }, 1, 0] } },
+              outOfStock: { $sum: { $cond: [{ $gt: ["$stock", 0] }, 0, 1] } },
+            },
+          },
+        ],
+      },
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+    const { products, total } = result;
+    const totalProducts = total[0]?.count || 0;
     const totalPages = Math.ceil(totalProducts / limitNum);
 
     res.status(200).json({
@@ -149,16 +429,123 @@ export const getProducts = async (req, res, next) => {
       totalProducts: totalProducts,
       totalPages: totalPages,
       currentPage: currentPageNum,
+      ...(message && { message }),
       products,
+      facets: formatFacets(result),
     });
   } catch (err) {
     next(err);
   }
 };
 
+// Fração mínima dos trigramas do termo que o nome precisa ter para ser sugerido com erro de digitação
+const SUGGEST_MIN_SIMILARITY = 0.5;
+
+// --- Função Auxiliar: Estágios que selecionam sugestões por prefixo ou por semelhança ---
+// Funciona com os campos searchName/searchTrigrams de Product e Category.
+const suggestionMatchStages = (grams, prefix) => [
+  {
+    $match: {
+      $or: [{ searchTrigrams: { $in: grams } }, { searchName: prefix }],
+      ...NOT_ARCHIVED,
+    },
+  },
+  {
+    $set: {
+      prefixMatch: {
+        $regexMatch: { input: { $ifNull: ["$searchName", ""] }, regex: prefix },
+      },
+      similarity: {
+        $divide: [
+          {
+            $size: {
+              $setIntersection: [{ $ifNull: ["$searchTrigrams", []] }, grams],
+            },
+          },
+          grams.length,
+        ],
+      },
+    },
+  },
+  {
+    $match: {
+      $or: [
+        { prefixMatch: true },
+        { similarity: { $gte: SUGGEST_MIN_SIMILARITY } },
+      ],
+    },
+  },
+];
+
 /**
- * @description Obtém um produto específico pelo seu ID.
+ * @description Sugestões para o campo de busca (autocomplete): nomes de produtos e categorias.
+ *              Ignora acentos, aceita prefixo de qualquer palavra e pequenos erros de digitação
+ *              (semelhança por trigramas). Produtos são ordenados por casamento de prefixo,
+ *              popularidade (avaliações + vendas) e semelhança.
+ * @route GET /api/products/suggest
+ * @access Público
+ */
+export const suggestProducts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const term = normalizeSearchText(req.query.q);
+  const limitNum = parseInt(req.query.limit, 10) || 5;
+
+  try {
+    const grams = trigrams(term);
+    if (!grams.length) {
+      return res.status(200).json({
+        status: "success",
+        data: { products: [], categories: [] },
+      });
+    }
+    // Prefixo do termo no início de qualquer palavra do nome normalizado
+    const prefix = new RegExp(`(^| )${escapeRegex(term)}`);
+
+    const [products, categories] = await Promise.all([
+      Product.aggregate([
+        ...suggestionMatchStages(grams, prefix),
+        {
+          $set: {
+            popularity: {
+              $add: [
+                { $ifNull: ["$numReviews", 0] },
+                { $ifNull: ["$salesCount", 0] },
+              ],
+            },
+          },
+        },
+        { $sort: { prefixMatch: -1, popularity: -1, similarity: -1, name: 1 } },
+        { $limit: limitNum },
+        { $project: { name: 1, slug: 1, price: 1, image: 1, rating: 1, category: 1 } },
+      ]),
+      Category.aggregate([
+        ...suggestionMatchStages(grams, prefix),
+        { $sort: { prefixMatch: -1, similarity: -1, name: 1 } },
+        { $limit: limitNum },
+        { $project: { name: 1, slug: 1 } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: { products, categories },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Obtém um produto específico pelo seu ID, com o preço efetivo do produto
+ *              e de cada variação (promoções em vigor) e o desconto aplicado. Também atende a busca
+ *              pelo slug: slugs antigos (de antes de uma renomeação) resolvem para o produto, com
+ *              `redirectedFrom` indicando o slug pedido.
  * @route GET /api/products/:id
+ * @route GET /api/products/slug/:slug
  * @access Público
  */
 export const getProductById = async (req, res, next) => {
@@ -167,23 +554,229 @@ export const getProductById = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { slug } = req.params;
+
   try {
-    const productId = req.params.id;
-    const product = await Product.findById(productId)
-      .populate("category", "name slug")
-      .lean();
+    // Pelo slug (atual ou alias), apenas ativos; pelo ID, arquivados só com ?includeArchived=true (validado na rota)
+    const { document: found, alias } = slug
+      ? await Product.findBySlug(slug)
+      : {
+          document: await Product.findOne({
+            _id: req.params.id,
+            ...(req.query.includeArchived !== "true" && NOT_ARCHIVED),
+          }),
+        };
+
+    if (!found) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    const product = (await found.populate("category", "name slug")).toObject({
+      flattenMaps: true,
+    });
 
+    const now = new Date();
+    const promotions = await Promotion.findActive(now);
+    const { price: effectivePrice, discount } = resolvePrice(product, null, promotions, now);
+    (product.variants || []).forEach((variant) => {
+      const pricing = resolvePrice(product, variant, promotions, now);
+      variant.effectivePrice = pricing.price;
+      variant.discount = pricing.discount;
+    });
+    res.status(200).json({
+      ...product,
+      effectivePrice,
+      discount,
+      ...(alias && { redirectedFrom: slug }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Período padrão do "menor preço recente" (referência do "de" em promoções "de/por")
+const LOWEST_PRICE_WINDOW_DAYS = 30;
+
+/**
+ * @description Histórico de alterações de preço do produto (ou de uma variação, com `variantId`),
+ *              mais recentes primeiro, com quem alterou e o menor preço de tabela nos últimos
+ *              `days` dias (padrão: 30), incluindo o preço atual. Preços promocionais (sale) e
+ *              promoções não são registrados e não entram nesse menor preço.
+ * @route GET /api/products/:id/price-history
+ * @access products:write
+ */
+export const getPriceHistory = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id).select("price variants");
     if (!product) {
       return next(new AppError("Produto não encontrado.", 404));
     }
-    res.status(200).json(product);
+    let variant = null;
+    if (req.query.variantId) {
+      variant = product.variants.id(req.query.variantId);
+      if (!variant) {
+        return next(new AppError("Variação não encontrada neste produto.", 404));
+      }
+    }
+
+    const currentPageNum = parseInt(req.query.page, 10) || 1;
+    const limitNum = parseInt(req.query.limit, 10) || 20;
+    const skip = (currentPageNum - 1) * limitNum;
+    const days = parseInt(req.query.days, 10) || LOWEST_PRICE_WINDOW_DAYS;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const currentPrice = product.priceFor(variant);
+
+    const filterQuery = { product: product._id, variant: variant ? variant._id : null };
+    const [history, totalChanges, lowestPrice] = await Promise.all([
+      PriceHistory.find(filterQuery)
+        .sort("-createdAt -_id")
+        .skip(skip)
+        .limit(limitNum)
+        .populate("changedBy", "name email")
+        .lean(),
+      PriceHistory.countDocuments(filterQuery),
+      PriceHistory.lowestPriceSince(product._id, currentPrice, since, filterQuery.variant),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      results: history.length,
+      totalChanges,
+      totalPages: Math.ceil(totalChanges / limitNum),
+      currentPage: currentPageNum,
+      currentPrice,
+      lowestPrice: { days, since, price: lowestPrice },
+      data: {
+        history,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Período padrão para medir o ritmo de vendas (dias de cobertura do estoque)
+const SALES_VELOCITY_WINDOW_DAYS = 30;
+
+// Movimentos do livro que compõem a venda líquida (vendas menos cancelamentos e reembolsos)
+const NET_SALES_REASONS = ["sale", "cancellation", "refund"];
+
+/**
+ * @description Produtos no ponto de reposição ou abaixo dele (estoque <= lowStockThreshold),
+ *              para o painel de compras. Ordena pelos dias de cobertura (estoque / vendas
+ *              líquidas por dia nos últimos `days` dias, padrão: 30); produtos sem vendas no
+ *              período (cobertura indefinida) vêm por último.
+ * @route GET /api/products/low-stock
+ * @access products:write
+ */
+export const getLowStockProducts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const currentPageNum = parseInt(req.query.page, 10) || 1;
+    const limitNum = parseInt(req.query.limit, 10) || 20;
+    const skip = (currentPageNum - 1) * limitNum;
+    const days = parseInt(req.query.days, 10) || SALES_VELOCITY_WINDOW_DAYS;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [result] = await Product.aggregate([
+      {
+        $match: {
+          ...NOT_ARCHIVED,
+          lowStockThreshold: { $ne: null },
+          $expr: { $lte: ["$stock", "$lowStockThreshold"] },
+        },
+      },
+      {
+        $lookup: {
+          from: StockMovement.collection.name,
+          let: { productId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$product", "$$productId"] },
+                reason: { $in: NET_SALES_REASONS },
+                createdAt: { $gte: since },
+              },
+            },
+            { $group: { _id: null, delta: { $sum: "$delta" } } },
+          ],
+          as: "sales",
+        },
+      },
+      {
+        $set: {
+          unitsSold: {
+            $max: [0, { $multiply: [-1, { $ifNull: [{ $arrayElemAt: ["$sales.delta", 0] }, 0] }] }],
+          },
+        },
+      },
+      { $set: { dailySales: { $divide: ["$unitsSold", days] } } },
+      {
+        $set: {
+          daysOfCover: {
+            $cond: [
+              { $gt: ["$dailySales", 0] },
+              { $round: [{ $divide: ["$stock", "$dailySales"] }, 1] },
+              null,
+            ],
+          },
+          dailySales: { $round: ["$dailySales", 2] },
+        },
+      },
+      // Sem vendas no período, a cobertura é indefinida: esses produtos vão para o fim
+      { $set: { coverSortKey: { $ifNull: ["$daysOfCover", Infinity] } } },
+      { $sort: { coverSortKey: 1, stock: 1, _id: 1 } },
+      {
+        $facet: {
+          products: [
+            { $skip: skip },
+            { $limit: limitNum },
+            {
+              $project: {
+                name: 1,
+                image: 1,
+                category: 1,
+                stock: 1,
+                lowStockThreshold: 1,
+                unitsSold: 1,
+                dailySales: 1,
+                daysOfCover: 1,
+              },
+            },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+    const { products, total } = result;
+    const totalProducts = total[0]?.count || 0;
+
+    res.status(200).json({
+      status: "success",
+      results: products.length,
+      totalProducts,
+      totalPages: Math.ceil(totalProducts / limitNum),
+      currentPage: currentPageNum,
+      days,
+      data: {
+        products,
+      },
+    });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * @description Atualiza um produto existente. Permite upload de nova imagem.
+ * @description Atualiza um produto existente. Uma nova imagem substitui a capa da galeria.
  * @route PUT /api/products/:id
  * @access Admin
  */
@@ -206,10 +799,57 @@ export const updateProduct = async (req, res, next) => {
     }
     oldPublicId = existingProduct.imagePublicId;
 
-    // 2. Se uma nova imagem foi enviada
+    // 1a. Atributos: revalidados se forem enviados ou se a categoria mudar (substituem os atuais)
+    if (updates.attributes !== undefined || updates.category) {
+      updates.attributes = await checkAttributes(
+        updates.category || existingProduct.category,
+        updates.attributes ?? Object.fromEntries(existingProduct.attributes || [])
+      );
+    }
+
+    // 2. Converte price e stock para Number, se foram enviados
+    if (updates.price !== undefined) {
+      updates.price = Number(updates.price);
+      // findByIdAndUpdate não executa o pre("validate") do model: mesma regra do preço promocional
+      if (existingProduct.sale && existingProduct.sale.price >= updates.price) {
+        return next(
+          new AppError(
+            "O preço promocional deve ser menor que o preço do produto. Altere ou remova o preço promocional antes.",
+            400
+          )
+        );
+      }
+    }
+    if (updates.stock !== undefined) {
+      // Com variações, o estoque do produto é a soma dos SKUs
+      if (existingProduct.variants.length) {
+        return next(
+          new AppError(
+            "Este produto possui variações: atualize o estoque de cada variação.",
+            400
+          )
+        );
+      }
+      updates.stock = Number(updates.stock);
+    }
+    delete updates.rating;
+    delete updates.numReviews;
+    delete updates.salesCount;
+    delete updates.searchName;
+    delete updates.searchTrigrams;
+    delete updates.slug; // Gerado a partir do nome (plugin sluggable)
+    delete updates.slugAliases;
+    delete updates.options;
+    delete updates.variants;
+    delete updates.sale;
+    delete updates.archivedAt; // Arquivar/restaurar: DELETE /:id e POST /:id/restore
+    delete updates.archivedBy;
+    delete updates.externalId; // Chave da importação (upsert), definida só por /import
+
+    // 3. Se uma nova imagem foi enviada (só depois de todas as validações)
     if (req.file) {
       newImageUploaded = true;
-      // 2a. Faz upload da nova imagem PRIMEIRO
+      // 3a. Faz upload da nova imagem
       let uploadResult;
       try {
         uploadResult = await uploadImage(req.file.path);
@@ -219,32 +859,26 @@ export const updateProduct = async (req, res, next) => {
         return next(new AppError("Falha ao fazer upload da nova imagem.", 500));
       }
 
-      // 2b. Se upload deu certo E existia imagem antiga, deleta a antiga
-      if (oldPublicId) {
-        try {
-          await deleteImage(oldPublicId);
-        } catch (cloudinaryErr) {
-          logger.error(
-            `Falha ao deletar imagem antiga (${oldPublicId}) do Cloudinary após novo upload:`,
-            cloudinaryErr
-          );
-        }
+      // Substitui a capa na galeria (mantendo posição e texto alternativo)
+      const gallery = existingProduct.images.map((image) => image.toObject());
+      const cover = gallery.find((image) => image.isCover);
+      if (cover) {
+        cover.url = updates.image;
+        cover.publicId = updates.imagePublicId;
+      } else {
+        gallery.unshift({
+          url: updates.image,
+          publicId: updates.imagePublicId,
+          isCover: true,
+        });
       }
+      updates.images = gallery;
     } else {
       delete updates.image;
       delete updates.imagePublicId;
+      delete updates.images;
     }
 
-    // 3. Converte price e stock para Number, se foram enviados
-    if (updates.price !== undefined) {
-      updates.price = Number(updates.price);
-    }
-    if (updates.stock !== undefined) {
-      updates.stock = Number(updates.stock);
-    }
-    delete updates.rating;
-    delete updates.numReviews;
-
     // 4. Atualiza o produto no banco de dados
     const product = await Product.findByIdAndUpdate(productId, updates, {
       new: true,
@@ -263,6 +897,42 @@ export const updateProduct = async (req, res, next) => {
       );
     }
 
+    // 5a. Com o produto já apontando para a nova imagem, remove a antiga do Cloudinary
+    if (newImageUploaded) {
+      newImageUploaded = false; // A nova imagem está em uso: não é mais órfã
+      if (oldPublicId) {
+        try {
+          await deleteImage(oldPublicId);
+        } catch (cloudinaryErr) {
+          logger.error(
+            `Falha ao deletar imagem antiga (${oldPublicId}) do Cloudinary após novo upload:`,
+            cloudinaryErr
+          );
+        }
+      }
+    }
+
+    await recordAudit(req, {
+      action: "product.update",
+      entityType: "Product",
+      entityId: product._id,
+      before: existingProduct,
+      after: product,
+    });
+    await recordPriceChange(req, {
+      product,
+      oldPrice: existingProduct.price,
+      newPrice: product.price,
+      source: "update",
+    });
+    await recordStockChanges(req, {
+      productId: product._id,
+      before: stockLevels(existingProduct),
+      after: stockLevels(product),
+      reason: "adjustment",
+      note: "Edição do produto",
+    });
+
     // 6. Retorna o produto atualizado
     res.status(200).json(product);
   } catch (err) {
@@ -283,7 +953,9 @@ export const updateProduct = async (req, res, next) => {
 };
 
 /**
- * @description Deleta um produto pelo ID e sua imagem associada no Cloudinary.
+ * @description Arquiva um produto pelo ID. O documento e as imagens são mantidos (pedidos e
+ *              avaliações o referenciam e ele pode ser restaurado), mas o produto sai das
+ *              listagens públicas e dos carrinhos.
  * @route DELETE /api/products/:id
  * @access Admin
  */
@@ -294,32 +966,558 @@ export const deleteProduct = async (req, res, next) => {
   }
 
   try {
-    const productId = req.params.id;
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_ARCHIVED,
+    });
+    if (!product) {
+      return next(new AppError("Produto não encontrado para arquivar.", 404));
+    }
 
-    // 1. Deleta o produto do banco PRIMEIRO, e pega o documento deletado
-    const deletedProduct = await Product.findByIdAndDelete(productId);
+    const before = product.toObject();
+    product.archive(req.user._id);
+    await product.save();
+    await recordAudit(req, {
+      action: "product.archive",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    // Remove o produto de todos os carrinhos (não pode mais ser comprado)
+    await Cart.updateMany(
+      { "items.product": product._id },
+      { $pull: { items: { product: product._id } } }
+    );
 
-    if (!deletedProduct) {
-      return next(new AppError("Produto não encontrado para deletar.", 404));
+    res.status(200).json({
+      status: "success",
+      message: "Produto arquivado com sucesso",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Restaura um produto arquivado (volta às listagens; carrinhos não são refeitos).
+ * @route POST /api/products/:id/restore
+ * @access products:write
+ */
+export const restoreProduct = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    if (!product.archivedAt) {
+      return next(new AppError("Este produto não está arquivado.", 400));
+    }
+    const category = await Category.findOne({
+      _id: product.category,
+      ...NOT_ARCHIVED,
+    });
+    if (!category) {
+      return next(
+        new AppError(
+          "A categoria do produto está arquivada. Restaure a categoria ou altere a categoria do produto antes.",
+          400
+        )
+      );
     }
 
-    // 2. Se o produto foi deletado E tinha um imagePublicId, tenta deletar do Cloudinary
-    if (deletedProduct.imagePublicId) {
+    const before = product.toObject();
+    product.restore();
+    await product.save();
+    await recordAudit(req, {
+      action: "product.restore",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    await product.populate("category", "name slug");
+    res.status(200).json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Define os eixos de variação do produto (ex: Tamanho, Cor).
+ *              As variações existentes precisam continuar válidas para os novos eixos.
+ * @route PUT /api/products/:id/options
+ * @access products:write
+ */
+export const setProductOptions = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    const before = product.toObject();
+
+    product.options = req.body.options;
+    await product.save();
+    await recordAudit(req, {
+      action: "product.options.update",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    res.status(200).json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Define (ou substitui) o preço promocional do produto, com início e fim opcionais.
+ * @route PUT /api/products/:id/sale
+ * @access products:write
+ */
+export const setProductSale = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id).notArchived();
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    const before = product.toObject();
+
+    const { price, startsAt, endsAt } = req.body;
+    product.sale = { price, startsAt, endsAt };
+    await product.save();
+    await recordAudit(req, {
+      action: "product.sale.update",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    res.status(200).json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Remove o preço promocional do produto.
+ * @route DELETE /api/products/:id/sale
+ * @access products:write
+ */
+export const removeProductSale = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    if (!product.sale) {
+      return next(new AppError("O produto não possui preço promocional.", 404));
+    }
+    const before = product.toObject();
+
+    product.sale = undefined;
+    await product.save();
+    await recordAudit(req, {
+      action: "product.sale.remove",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    res.status(200).json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Cadastra uma variação (SKU) no produto. Imagem opcional via multipart/form-data.
+ * @route POST /api/products/:id/variants
+ * @access products:write
+ */
+export const addVariant = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let imagePublicId = null;
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    const before = product.toObject();
+
+    const variantData = {
+      sku: req.body.sku,
+      options: req.body.options,
+      price: req.body.price,
+      stock: req.body.stock,
+    };
+    if (req.file) {
       try {
-        await deleteImage(deletedProduct.imagePublicId);
-      } catch (cloudinaryErr) {
-        logger.error(
-          `Produto ${productId} deletado do DB, mas falha ao deletar imagem ${deletedProduct.imagePublicId} do Cloudinary:`,
-          cloudinaryErr
-        );
+        const result = await uploadImage(req.file.path);
+        variantData.image = result.secure_url;
+        variantData.imagePublicId = imagePublicId = result.public_id;
+      } catch (uploadError) {
+        return next(new AppError("Falha ao fazer upload da imagem.", 500));
       }
     }
 
-    // 3. Retorna sucesso
+    product.variants.push(variantData);
+    await product.save();
+    const variant = product.variants[product.variants.length - 1];
+    await recordAudit(req, {
+      action: "product.variant.create",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+      metadata: { variantId: variant._id, sku: variant.sku },
+    });
+    await recordStockChanges(req, {
+      productId: product._id,
+      before: stockLevels(before),
+      after: stockLevels(product),
+      reason: "adjustment",
+      note: `Cadastro da variação ${variant.sku}`,
+    });
+
+    res.status(201).json(variant);
+  } catch (err) {
+    await deleteImages([imagePublicId]);
+    if (err.code === 11000) {
+      return next(
+        new AppError(`Já existe uma variação com o SKU '${req.body.sku}'.`, 409)
+      );
+    }
+    next(err);
+  }
+};
+
+/**
+ * @description Atualiza SKU, opções, preço ou estoque de uma variação.
+ *              Enviar price como null remove o preço próprio (volta a valer o do produto).
+ * @route PATCH /api/products/:id/variants/:variantId
+ * @access products:write
+ */
+export const updateVariant = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return next(new AppError("Variação não encontrada.", 404));
+    }
+    const before = product.toObject();
+    const oldPrice = product.priceFor(variant);
+
+    ["sku", "options", "stock"].forEach((field) => {
+      if (req.body[field] !== undefined) variant[field] = req.body[field];
+    });
+    if (req.body.price !== undefined) {
+      variant.price = req.body.price === null ? undefined : req.body.price;
+    }
+
+    await product.save();
+    await recordAudit(req, {
+      action: "product.variant.update",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+      metadata: { variantId: variant._id, sku: variant.sku },
+    });
+    await recordStockChanges(req, {
+      productId: product._id,
+      before: stockLevels(before),
+      after: stockLevels(product),
+      reason: "adjustment",
+      note: `Edição da variação ${variant.sku}`,
+    });
+    await recordPriceChange(req, {
+      product,
+      variant,
+      oldPrice,
+      newPrice: product.priceFor(variant),
+      source: "variant",
+    });
+
+    res.status(200).json(variant);
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(
+        new AppError(`Já existe uma variação com o SKU '${req.body.sku}'.`, 409)
+      );
+    }
+    next(err);
+  }
+};
+
+/**
+ * @description Remove uma variação do produto e sua imagem no Cloudinary (se houver).
+ *              Pedidos antigos mantêm o SKU e as opções copiados no item.
+ * @route DELETE /api/products/:id/variants/:variantId
+ * @access products:write
+ */
+export const deleteVariant = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return next(new AppError("Variação não encontrada.", 404));
+    }
+    const before = product.toObject();
+
+    variant.deleteOne();
+    await product.save();
+    await recordAudit(req, {
+      action: "product.variant.delete",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+      metadata: { variantId: variant._id, sku: variant.sku },
+    });
+    await recordStockChanges(req, {
+      productId: product._id,
+      before: stockLevels(before),
+      after: stockLevels(product),
+      reason: "adjustment",
+      note: `Variação removida ${variant.sku}`,
+    });
+
+    await deleteImages([variant.imagePublicId]);
+
     res.status(200).json({
       status: "success",
-      message: "Produto removido com sucesso",
+      message: "Variação removida com sucesso",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Adiciona imagens à galeria do produto (multipart/form-data, campo `images`).
+ * @route POST /api/products/:id/images
+ * @access products:write
+ */
+export const addProductImages = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.files || !req.files.length) {
+    return next(new AppError("Envie ao menos uma imagem no campo 'images'.", 400));
+  }
+
+  let images = [];
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    if (product.images.length + req.files.length > MAX_PRODUCT_IMAGES) {
+      return next(
+        new AppError(
+          `Um produto pode ter no máximo ${MAX_PRODUCT_IMAGES} imagens (atualmente ${product.images.length}).`,
+          400
+        )
+      );
+    }
+    const before = product.toObject();
+
+    images = await uploadGalleryImages(req.files, toList(req.body.alt));
+    product.images.push(...images);
+    await product.save();
+    await recordAudit(req, {
+      action: "product.image.add",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    res.status(201).json(product);
+  } catch (err) {
+    await deleteImages(images.map((image) => image.publicId));
+    next(err);
+  }
+};
+
+/**
+ * @description Atualiza o texto alternativo de uma imagem e/ou a define como capa.
+ * @route PATCH /api/products/:id/images/:imageId
+ * @access products:write
+ */
+export const updateProductImage = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) {
+      return next(new AppError("Imagem não encontrada.", 404));
+    }
+    const before = product.toObject();
+
+    if (req.body.alt !== undefined) {
+      image.alt = req.body.alt;
+    }
+    if (req.body.isCover) {
+      product.images.forEach((other) => {
+        other.isCover = other._id.equals(image._id);
+      });
+    }
+
+    await product.save();
+    await recordAudit(req, {
+      action: "product.image.update",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+      metadata: { imageId: image._id },
     });
+
+    res.status(200).json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Reordena a galeria. `imageIds` deve conter todas as imagens do produto, uma única vez.
+ * @route PUT /api/products/:id/images/order
+ * @access products:write
+ */
+export const reorderProductImages = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { imageIds } = req.body;
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+
+    const isPermutation =
+      imageIds.length === product.images.length &&
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.every((id) => product.images.id(id));
+    if (!isPermutation) {
+      return next(
+        new AppError(
+          "Informe em imageIds todas as imagens do produto, cada uma uma única vez.",
+          400
+        )
+      );
+    }
+    const before = product.toObject();
+
+    product.images = imageIds.map((id) => product.images.id(id).toObject());
+    await product.save();
+    await recordAudit(req, {
+      action: "product.image.reorder",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+    });
+
+    res.status(200).json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Remove uma imagem da galeria (e do Cloudinary). Se for a capa, a primeira
+ *              imagem restante assume. O produto precisa manter ao menos uma imagem.
+ * @route DELETE /api/products/:id/images/:imageId
+ * @access products:write
+ */
+export const deleteProductImage = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) {
+      return next(new AppError("Imagem não encontrada.", 404));
+    }
+    if (product.images.length === 1) {
+      return next(
+        new AppError("O produto precisa manter ao menos uma imagem.", 400)
+      );
+    }
+    const before = product.toObject();
+
+    image.deleteOne();
+    await product.save();
+    await recordAudit(req, {
+      action: "product.image.delete",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
+      metadata: { imageId: image._id },
+    });
+
+    await deleteImages([image.publicId]);
+
+    res.status(200).json(product);
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,311 @@
+// src/controllers/promotionController.js
+import Promotion, { activeAt, withSubcategories } from "../models/Promotion.js";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import AppError from "../utils/appError.js";
+import { validationResult } from "express-validator";
+import { recordAudit } from "../utils/auditLog.js";
+import { NOT_ARCHIVED } from "../models/plugins/archivable.js";
+import { applyPromotion, resolvePrice } from "../utils/pricing.js";
+
+// Campos que o admin pode definir na criação/atualização
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "value",
+  "products",
+  "categories",
+  "startsAt",
+  "endsAt",
+  "active",
+];
+
+// Filtro de cada situação da listagem (?status=)
+const STATUS_FILTERS = {
+  running: (now) => activeAt(now),
+  scheduled: (now) => ({ active: true, startsAt: { $gt: now } }),
+  ended: (now) => ({ active: true, endsAt: { $lte: now } }),
+  paused: () => ({ active: false }),
+};
+
+// --- Função Auxiliar: Garante que os produtos e categorias da promoção existem (e não estão arquivados) ---
+const checkTargets = async ({ products = [], categories = [] }) => {
+  const [foundProducts, foundCategories] = await Promise.all([
+    Product.find({ _id: { $in: products }, ...NOT_ARCHIVED }).distinct("_id"),
+    Category.find({ _id: { $in: categories }, ...NOT_ARCHIVED }).distinct("_id"),
+  ]);
+  const missing = (ids, found) =>
+    ids.filter((id) => !found.some((foundId) => foundId.equals(id)));
+
+  const missingProducts = missing(products, foundProducts);
+  if (missingProducts.length) {
+    throw new AppError(`Produtos não encontrados: ${missingProducts.join(", ")}.`, 400);
+  }
+  const missingCategories = missing(categories, foundCategories);
+  if (missingCategories.length) {
+    throw new AppError(`Categorias não encontradas: ${missingCategories.join(", ")}.`, 400);
+  }
+};
+
+/**
+ * @description Lista as promoções (início mais recente primeiro), com filtro por situação e paginação.
+ * @route GET /api/promotions
+ * @access promotions:write
+ */
+export const getPromotions = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const currentPageNum = parseInt(req.query.page, 10) || 1;
+    const limitNum = parseInt(req.query.limit, 10) || 20;
+    const skip = (currentPageNum - 1) * limitNum;
+    const filterQuery = req.query.status
+      ? STATUS_FILTERS[req.query.status](new Date())
+      : {};
+
+    const [promotions, totalPromotions] = await Promise.all([
+      Promotion.find(filterQuery).sort("-startsAt _id").skip(skip).limit(limitNum),
+      Promotion.countDocuments(filterQuery),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      results: promotions.length,
+      totalPromotions,
+      totalPages: Math.ceil(totalPromotions / limitNum),
+      currentPage: currentPageNum,
+      data: {
+        promotions,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Obtém uma promoção pelo ID.
+ * @route GET /api/promotions/:id
+ * @access promotions:write
+ */
+export const getPromotionById = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate("products", "name price image")
+      .populate("categories", "name slug");
+    if (!promotion) {
+      return next(new AppError("Promoção não encontrada.", 404));
+    }
+    res.status(200).json({ status: "success", data: { promotion } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Cria uma promoção (percentual ou fixa) para produtos e/ou categorias.
+ *              Sem `startsAt`, começa a valer imediatamente.
+ * @route POST /api/promotions
+ * @access promotions:write
+ */
+export const createPromotion = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const data = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+    await checkTargets(data);
+
+    const promotion = await Promotion.create({
+      ...data,
+      startsAt: data.startsAt || new Date(),
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, {
+      action: "promotion.create",
+      entityType: "Promotion",
+      entityId: promotion._id,
+      after: promotion,
+    });
+
+    res.status(201).json({ status: "success", data: { promotion } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Atualiza uma promoção (campos parciais). `active: false` pausa a promoção.
+ * @route PATCH /api/promotions/:id
+ * @access promotions:write
+ */
+export const updatePromotion = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return next(new AppError("Promoção não encontrada.", 404));
+    }
+    const before = promotion.toObject();
+
+    const updates = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+    await checkTargets(updates);
+
+    promotion.set(updates);
+    await promotion.save();
+    await recordAudit(req, {
+      action: "promotion.update",
+      entityType: "Promotion",
+      entityId: promotion._id,
+      before,
+      after: promotion,
+    });
+
+    res.status(200).json({ status: "success", data: { promotion } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Remove uma promoção. Pedidos já feitos mantêm o nome e o desconto aplicado.
+ * @route DELETE /api/promotions/:id
+ * @access promotions:write
+ */
+export const deletePromotion = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return next(new AppError("Promoção não encontrada.", 404));
+    }
+    await recordAudit(req, {
+      action: "promotion.delete",
+      entityType: "Promotion",
+      entityId: promotion._id,
+      before: promotion,
+    });
+
+    res.status(200).json({ status: "success", message: "Promoção removida com sucesso" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Pré-visualiza o efeito da promoção nos produtos alcançados: preço normal, preço
+ *              com esta promoção, preço efetivo atual e preço efetivo com ela, considerando o
+ *              preço promocional dos produtos e as demais promoções em vigor na data `at`
+ *              (padrão: agora, ou o início da promoção, se ela ainda não começou). A promoção é
+ *              simulada mesmo se estiver pausada.
+ * @route GET /api/promotions/:id/preview
+ * @access promotions:write
+ */
+export const previewPromotion = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return next(new AppError("Promoção não encontrada.", 404));
+    }
+
+    const now = new Date();
+    const at = req.query.at
+      ? new Date(req.query.at)
+      : promotion.startsAt > now
+        ? promotion.startsAt
+        : now;
+    const currentPageNum = parseInt(req.query.page, 10) || 1;
+    const limitNum = parseInt(req.query.limit, 10) || 20;
+    const skip = (currentPageNum - 1) * limitNum;
+
+    const otherPromotions = (await Promotion.findActive(at)).filter(
+      (other) => !promotion._id.equals(other._id)
+    );
+    // Categorias da promoção com as subcategorias (as mesmas alcançadas no preço efetivo)
+    const [target] = await withSubcategories([promotion.toObject()]);
+    const filterQuery = {
+      ...NOT_ARCHIVED,
+      $or: [
+        { _id: { $in: target.products } },
+        { category: { $in: target.categories } },
+      ],
+    };
+    const [products, totalProducts] = await Promise.all([
+      Product.find(filterQuery)
+        .select("name price sale category image")
+        .sort("name _id")
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Product.countDocuments(filterQuery),
+    ]);
+
+    const items = products.map((product) => {
+      const current = resolvePrice(product, null, otherPromotions, at);
+      const withPromotion = resolvePrice(
+        product,
+        null,
+        [...otherPromotions, target],
+        at
+      );
+      return {
+        _id: product._id,
+        name: product.name,
+        image: product.image,
+        price: product.price,
+        promotionPrice: applyPromotion(promotion, product.price),
+        currentPrice: current.price,
+        effectivePrice: withPromotion.price,
+        // false quando o preço promocional ou outra promoção já oferecem um preço menor
+        applied: promotion._id.equals(withPromotion.discount?.promotion),
+      };
+    });
+
+    res.status(200).json({
+      status: "success",
+      at,
+      results: items.length,
+      totalProducts,
+      totalPages: Math.ceil(totalProducts / limitNum),
+      currentPage: currentPageNum,
+      data: {
+        promotion,
+        products: items,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
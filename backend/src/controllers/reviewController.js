@@ -4,6 +4,8 @@ import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import AppError from '../utils/appError.js';
 import { validationResult } from 'express-validator';
+import { hasPermission } from '../middleware/roles.js';
+import { recordAudit } from '../utils/auditLog.js';
 
 /**
  * @description Cria uma nova avaliação para um produto.
@@ -23,7 +25,7 @@ export const createReview = async (req, res, next) => {
 
     try {
         // 1. Verificar se o produto existe
-        const product = await Product.findById(productId);
+        const product = await Product.findById(productId).notArchived();
         if (!product) {
             return next(new AppError('Produto não encontrado.', 404));
         }
@@ -146,12 +148,12 @@ export const deleteReview = async (req, res, next) => {
 
     const reviewId = req.params.reviewId;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     try {
         let reviewToDelete;
-        // Admin pode deletar qualquer review
-        if (userRole === 'admin') {
+        // Moderadores (reviews:moderate) podem deletar qualquer review
+        const isModerator = await hasPermission(req, 'reviews:moderate');
+        if (isModerator) {
             reviewToDelete = await Review.findById(reviewId);
         } else {
             // Usuário normal só pode deletar a sua própria
@@ -165,6 +167,16 @@ export const deleteReview = async (req, res, next) => {
         // Usa findOneAndDelete para disparar os hooks pre/post definidos no modelo
         await Review.findOneAndDelete({ _id: reviewId });
 
+        // Remoção da avaliação de outro cliente é uma ação de moderação: fica no log de auditoria
+        if (isModerator && reviewToDelete.user.toString() !== userId) {
+            await recordAudit(req, {
+                action: 'review.delete',
+                entityType: 'Review',
+                entityId: reviewToDelete._id,
+                before: reviewToDelete,
+            });
+        }
+
         // Os hooks no modelo cuidarão de recalcular a média
 
         res.status(204).json({ // 204 No Content
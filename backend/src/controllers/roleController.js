@@ -0,0 +1,199 @@
+// src/controllers/roleController.js
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import AppError from "../utils/appError.js";
+import { validationResult } from "express-validator";
+import { PERMISSIONS, SYSTEM_ROLES } from "../config/permissions.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+// Formato de saída das roles do sistema (não persistidas) na listagem
+const systemRolesOutput = () =>
+  Object.entries(SYSTEM_ROLES).map(([name, role]) => ({
+    name,
+    description: role.description,
+    permissions: role.permissions,
+    system: true,
+  }));
+
+/**
+ * @description Lista o catálogo de permissões que podem compor uma role.
+ * @route GET /api/roles/permissions
+ * @access roles:manage
+ */
+export const getPermissionCatalog = (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    },
+  });
+};
+
+/**
+ * @description Lista as roles do sistema e as roles customizadas.
+ * @route GET /api/roles
+ * @access roles:manage
+ */
+export const getRoles = async (req, res, next) => {
+  try {
+    const customRoles = await Role.find().sort("name");
+    const roles = [...systemRolesOutput(), ...customRoles];
+    res.status(200).json({
+      status: "success",
+      results: roles.length,
+      data: {
+        roles,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Obtém uma role customizada pelo ID, com a quantidade de usuários que a possuem.
+ * @route GET /api/roles/:id
+ * @access roles:manage
+ */
+export const getRoleById = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return next(new AppError("Role não encontrada.", 404));
+    }
+    const userCount = await User.countDocuments({ role: role.name });
+    res.status(200).json({
+      status: "success",
+      data: {
+        role,
+        userCount,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Cria uma role customizada.
+ * @route POST /api/roles
+ * @access roles:manage
+ */
+export const createRole = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  const { name, description, permissions } = req.body;
+
+  try {
+    const role = await Role.create({ name, description, permissions });
+    await recordAudit(req, {
+      action: "role.create",
+      entityType: "Role",
+      entityId: role._id,
+      after: role,
+    });
+    res.status(201).json({
+      status: "success",
+      data: {
+        role,
+      },
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new AppError(`Já existe uma role com o nome '${name}'.`, 409));
+    }
+    next(err);
+  }
+};
+
+/**
+ * @description Atualiza a descrição e/ou as permissões de uma role customizada.
+ * O nome não pode ser alterado (é a referência gravada em User.role).
+ * @route PATCH /api/roles/:id
+ * @access roles:manage
+ */
+export const updateRole = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return next(new AppError("Role não encontrada.", 404));
+    }
+
+    const before = role.toObject();
+    if (req.body.description !== undefined) role.description = req.body.description;
+    if (req.body.permissions !== undefined) role.permissions = req.body.permissions;
+
+    const updatedRole = await role.save();
+    await recordAudit(req, {
+      action: "role.update",
+      entityType: "Role",
+      entityId: role._id,
+      before,
+      after: updatedRole,
+    });
+    res.status(200).json({
+      status: "success",
+      data: {
+        role: updatedRole,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Remove uma role customizada. Só é permitido se nenhum usuário a possuir.
+ * @route DELETE /api/roles/:id
+ * @access roles:manage
+ */
+export const deleteRole = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: "fail", errors: errors.array() });
+  }
+
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return next(new AppError("Role não encontrada.", 404));
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return next(
+        new AppError(
+          `Não é possível remover. Existem ${userCount} usuário(s) com a role '${role.name}'.`,
+          409
+        )
+      );
+    }
+
+    await role.deleteOne();
+    await recordAudit(req, {
+      action: "role.delete",
+      entityType: "Role",
+      entityId: role._id,
+      before: role,
+    });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,270 @@
+// src/controllers/seoController.js
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import Promotion from "../models/Promotion.js";
+import AppError from "../utils/appError.js";
+import { validationResult } from "express-validator";
+import { NOT_ARCHIVED } from "../models/plugins/archivable.js";
+import { buildFrontendUrl } from "../utils/email.js";
+import { resolvePrice } from "../utils/pricing.js";
+import {
+  SITEMAP_MAX_URLS,
+  buildSitemap,
+  buildSitemapIndex,
+  buildFeedItem,
+  buildFeedXml,
+  buildFeedTsv,
+} from "../utils/catalogFeed.js";
+
+// Produtos por arquivo de sitemap (o protocolo aceita até 50.000 URLs)
+const sitemapPageSize = () =>
+  Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE, 10) || 10000, SITEMAP_MAX_URLS);
+
+// Mesmo com o catálogo parado, os documentos são refeitos depois desse tempo
+// (preços promocionais e promoções começam e terminam sozinhos)
+const CACHE_MAX_AGE_MS =
+  (parseInt(process.env.SEO_CACHE_MAX_AGE_MINUTES, 10) || 60) * 60 * 1000;
+
+// URLs da vitrine
+const productUrl = (product) => buildFrontendUrl(`/products/${product.slug || product._id}`);
+const categoryUrl = (category) => buildFrontendUrl(`/categories/${category.slug}`);
+
+// Base pública da API, usada nos links do índice de sitemaps
+const apiBaseUrl = (req) =>
+  (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+// --- Cache dos documentos gerados ---
+// A versão do catálogo muda a cada alteração de produto, categoria ou promoção (updatedAt mais
+// recente e quantidade de documentos); quando muda, todo o cache é descartado.
+const cache = new Map();
+let cacheVersion = null;
+
+const catalogVersion = async () => {
+  const stamps = await Promise.all(
+    [Product, Category, Promotion].map(async (Model) => {
+      const [count, latest] = await Promise.all([
+        Model.estimatedDocumentCount(),
+        Model.findOne().sort({ updatedAt: -1 }).select("updatedAt").lean(),
+      ]);
+      return `${count}:${latest?.updatedAt?.getTime() ?? 0}`;
+    })
+  );
+  return stamps.join("|");
+};
+
+// Devolve o documento (ou os dados do índice) do cache ou o gera de novo ({ body, builtAt });
+// body = null vira 404 e não é guardado, para que páginas inexistentes não façam o cache crescer
+const cached = async (key, build) => {
+  const version = await catalogVersion();
+  if (version !== cacheVersion) {
+    cache.clear();
+    cacheVersion = version;
+  }
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.builtAt < CACHE_MAX_AGE_MS) {
+    return entry;
+  }
+  const fresh = { body: await build(), builtAt: Date.now() };
+  if (fresh.body !== null) {
+    cache.set(key, fresh);
+  }
+  return fresh;
+};
+
+const send = (res, { body, builtAt }, contentType) => {
+  res.set("Content-Type", contentType);
+  res.set("Last-Modified", new Date(builtAt).toUTCString());
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).send(body);
+};
+
+/**
+ * @description Índice de sitemaps: aponta para o sitemap das categorias e para as páginas do
+ *              sitemap de produtos (SITEMAP_PAGE_SIZE produtos por arquivo).
+ * @route GET /api/seo/sitemap.xml
+ * @access Público
+ * @param {object} req - Objeto de requisição do Express.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const getSitemapIndex = async (req, res, next) => {
+  const pageSize = sitemapPageSize();
+
+  try {
+    // O cache guarda só os dados do índice; os links são montados a cada requisição, para que o
+    // host informado pelo cliente (sem PUBLIC_API_URL) não crie novas entradas no cache
+    const entry = await cached(`index:${pageSize}`, async () => {
+      const [products, latestProduct, latestCategory] = await Promise.all([
+        Product.countDocuments(NOT_ARCHIVED),
+        Product.findOne(NOT_ARCHIVED).sort({ updatedAt: -1 }).select("updatedAt").lean(),
+        Category.findOne(NOT_ARCHIVED).sort({ updatedAt: -1 }).select("updatedAt").lean(),
+      ]);
+      return {
+        pages: Math.max(Math.ceil(products / pageSize), 1),
+        productsLastmod: latestProduct?.updatedAt,
+        categoriesLastmod: latestCategory?.updatedAt,
+      };
+    });
+    const baseUrl = apiBaseUrl(req);
+    const { pages, productsLastmod, categoriesLastmod } = entry.body;
+    const body = buildSitemapIndex([
+      {
+        loc: `${baseUrl}/api/seo/sitemaps/categories.xml`,
+        lastmod: categoriesLastmod,
+      },
+      ...Array.from({ length: pages }, (_, index) => ({
+        loc: `${baseUrl}/api/seo/sitemaps/products-${index + 1}.xml`,
+        lastmod: productsLastmod,
+      })),
+    ]);
+    send(res, { ...entry, body }, "application/xml; charset=utf-8");
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Sitemap das categorias ativas (URLs da vitrine pelo slug).
+ * @route GET /api/seo/sitemaps/categories.xml
+ * @access Público
+ * @param {object} req - Objeto de requisição do Express.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const getCategorySitemap = async (req, res, next) => {
+  try {
+    const entry = await cached("categories", async () => {
+      const categories = await Category.find(NOT_ARCHIVED)
+        .select("slug updatedAt")
+        .sort("name")
+        .lean();
+      return buildSitemap(
+        categories.map((category) => ({
+          loc: categoryUrl(category),
+          lastmod: category.updatedAt,
+        }))
+      );
+    });
+    send(res, entry, "application/xml; charset=utf-8");
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Uma página do sitemap de produtos ativos, com a imagem de capa de cada um.
+ *              Páginas além da última retornam 404 (a primeira sempre existe).
+ * @route GET /api/seo/sitemaps/products-:page.xml
+ * @access Público
+ * @param {object} req - Objeto de requisição do Express. Espera o número da página na URL.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const getProductSitemap = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const page = req.params.page;
+  const pageSize = sitemapPageSize();
+
+  try {
+    const entry = await cached(`products:${pageSize}:${page}`, async () => {
+      const products = await Product.find(NOT_ARCHIVED)
+        .select("slug image updatedAt")
+        .sort({ _id: 1 }) // Ordem estável: cada produto fica sempre na mesma página
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean();
+      if (!products.length && page > 1) return null;
+      return buildSitemap(
+        products.map((product) => ({
+          loc: productUrl(product),
+          lastmod: product.updatedAt,
+          images: product.image ? [product.image] : [],
+        }))
+      );
+    });
+    if (entry.body === null) {
+      return next(new AppError("Página do sitemap não encontrada.", 404));
+    }
+    send(res, entry, "application/xml; charset=utf-8");
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Feed de produtos ativos para o Google Merchant Center e o catálogo da Meta, em XML
+ *              (RSS 2.0) ou TSV: preço (e preço promocional em vigor), disponibilidade pelo estoque,
+ *              imagens, categoria, marca e GTIN quando cadastrados.
+ * @route GET /api/seo/product-feed.:format
+ * @access Público
+ * @param {object} req - Objeto de requisição do Express. Espera o formato (xml ou tsv) na URL.
+ * @param {object} res - Objeto de resposta do Express.
+ * @param {function} next - Função de middleware do Express.
+ */
+export const getProductFeed = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { format } = req.params;
+  const currency = process.env.FEED_CURRENCY || "BRL";
+
+  try {
+    const entry = await cached(`feed:${format}`, async () => {
+      const now = new Date();
+      const [categories, promotions] = await Promise.all([
+        Category.find(NOT_ARCHIVED).select("name ancestors").lean(),
+        Promotion.findActive(now),
+      ]);
+      // Caminho de cada categoria (ex: "Moda > Calçados"), usado em product_type
+      const names = new Map(categories.map((category) => [String(category._id), category.name]));
+      const productTypes = new Map(
+        categories.map((category) => [
+          String(category._id),
+          [...category.ancestors.map((id) => names.get(String(id))), category.name]
+            .filter(Boolean)
+            .join(" > "),
+        ])
+      );
+
+      const items = [];
+      const cursor = Product.find(NOT_ARCHIVED)
+        .select("externalId name slug description price sale stock image images category brand gtin")
+        .sort({ _id: 1 })
+        .lean()
+        .cursor();
+      for await (const product of cursor) {
+        items.push(
+          buildFeedItem(product, {
+            link: productUrl(product),
+            effectivePrice: resolvePrice(product, null, promotions, now).price,
+            productType: productTypes.get(String(product.category)),
+            currency,
+          })
+        );
+      }
+
+      return format === "tsv"
+        ? buildFeedTsv(items)
+        : buildFeedXml(items, {
+            title: process.env.STORE_NAME || "Loja",
+            link: buildFrontendUrl("/"),
+            description: `Catálogo de produtos - ${process.env.STORE_NAME || "Loja"}`,
+          });
+    });
+    send(
+      res,
+      entry,
+      format === "tsv"
+        ? "text/tab-separated-values; charset=utf-8"
+        : "application/xml; charset=utf-8"
+    );
+  } catch (err) {
+    next(err);
+  }
+};
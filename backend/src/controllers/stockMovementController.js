@@ -0,0 +1,195 @@
+// src/controllers/stockMovementController.js
+import mongoose from "mongoose";
+import StockMovement from "../models/StockMovement.js";
+import Product from "../models/Product.js";
+import AppError from "../utils/appError.js";
+import { validationResult } from "express-validator";
+import { recordAudit } from "../utils/auditLog.js";
+import { recordStockIncrements } from "../utils/stockLedger.js";
+
+// --- Função Auxiliar: Confere o estoque atual com a soma dos movimentos do livro ---
+const reconcile = async (product, variant) => {
+  const filter = { product: product._id, ...(variant && { variant: variant._id }) };
+  const [sum] = await StockMovement.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: "$delta" } } },
+  ]);
+  const stock = variant ? variant.stock : product.stock;
+  const ledgerStock = sum?.total || 0;
+  return { stock, ledgerStock, reconciled: stock === ledgerStock };
+};
+
+/**
+ * @description Lista o livro de estoque (mais recentes primeiro) com filtros e paginação.
+ *              Filtrando por produto (e variação), a resposta traz a conciliação do estoque
+ *              atual com a soma dos movimentos.
+ * @route GET /api/stock-movements
+ * @access products:write
+ */
+export const getStockMovements = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { product: productId, variant: variantId, reason, order, from, to } =
+      req.query;
+    const currentPageNum = parseInt(req.query.page, 10) || 1;
+    const limitNum = parseInt(req.query.limit, 10) || 20;
+    const skip = (currentPageNum - 1) * limitNum;
+
+    let reconciliation;
+    if (productId) {
+      const product = await Product.findById(productId).select("stock variants");
+      if (!product) {
+        return next(new AppError("Produto não encontrado.", 404));
+      }
+      const variant = variantId ? product.variants.id(variantId) : null;
+      if (variantId && !variant) {
+        return next(new AppError("Variação não encontrada neste produto.", 404));
+      }
+      reconciliation = await reconcile(product, variant);
+    }
+
+    const filterQuery = {};
+    if (productId) filterQuery.product = productId;
+    if (variantId) filterQuery.variant = variantId;
+    if (reason) filterQuery.reason = reason;
+    if (order) filterQuery.order = order;
+    if (from || to) {
+      filterQuery.createdAt = {};
+      if (from) filterQuery.createdAt.$gte = from;
+      if (to) filterQuery.createdAt.$lte = to;
+    }
+
+    const [movements, totalMovements] = await Promise.all([
+      StockMovement.find(filterQuery)
+        .sort("-createdAt -_id")
+        .skip(skip)
+        .limit(limitNum)
+        .populate("product", "name")
+        .populate("actor", "name email")
+        .lean(),
+      StockMovement.countDocuments(filterQuery),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      results: movements.length,
+      totalMovements,
+      totalPages: Math.ceil(totalMovements / limitNum),
+      currentPage: currentPageNum,
+      ...(reconciliation && { reconciliation }),
+      data: {
+        movements,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Ajuste manual de estoque (entrada ou saída) com motivo obrigatório.
+ *              O incremento é atômico e não deixa o estoque negativo; o estoque e o movimento
+ *              do livro são gravados na mesma transação.
+ * @route POST /api/stock-movements
+ * @access products:write
+ */
+export const createStockAdjustment = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { productId, variantId, delta, note } = req.body;
+  const isTestEnv = process.env.NODE_ENV === "test";
+  let session = null;
+
+  try {
+    const product = await Product.findById(productId).select("name stock variants");
+    if (!product) {
+      return next(new AppError("Produto não encontrado.", 404));
+    }
+    if (product.variants.length && !variantId) {
+      return next(
+        new AppError(
+          `Selecione uma variação (variantId) de ${product.name}: o estoque é controlado em cada variação.`,
+          400
+        )
+      );
+    }
+    if (!product.variants.length && variantId) {
+      return next(new AppError(`O produto ${product.name} não possui variações.`, 400));
+    }
+    if (variantId && !product.variants.id(variantId)) {
+      return next(new AppError("Variação não encontrada neste produto.", 404));
+    }
+
+    // Estoque e livro mudam juntos: uma falha entre as duas gravações desfaz o ajuste
+    if (!isTestEnv) {
+      session = await mongoose.startSession();
+      session.startTransaction();
+    }
+    const sessionOptions = session ? { session } : {};
+
+    // O filtro garante que a saída não deixe o estoque negativo (mesmo com vendas simultâneas)
+    const updated = variantId
+      ? await Product.findOneAndUpdate(
+          {
+            _id: productId,
+            variants: { $elemMatch: { _id: variantId, stock: { $gte: -delta } } },
+          },
+          { $inc: { "variants.$.stock": delta, stock: delta } },
+          { new: true, ...sessionOptions }
+        )
+      : await Product.findOneAndUpdate(
+          { _id: productId, stock: { $gte: -delta } },
+          { $inc: { stock: delta } },
+          { new: true, ...sessionOptions }
+        );
+    if (!updated) {
+      throw new AppError("Estoque insuficiente para esta saída.", 400);
+    }
+
+    // Para produtos anteriores ao livro, o saldo de abertura vem antes do ajuste
+    const movements = await recordStockIncrements(
+      req,
+      [{ productId, variantId, delta }],
+      { reason: "adjustment", note, session }
+    );
+
+    if (session) {
+      await session.commitTransaction();
+      session.endSession();
+    }
+
+    await recordAudit(req, {
+      action: "product.stock.adjust",
+      entityType: "Product",
+      entityId: product._id,
+      before: { stock: product.stock },
+      after: { stock: updated.stock },
+      metadata: { delta, note, ...(variantId && { variantId }) },
+    });
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        movement: movements[movements.length - 1],
+        stock: variantId ? updated.variants.id(variantId).stock : updated.stock,
+      },
+    });
+  } catch (err) {
+    // Rollback em caso de erro
+    if (session) {
+      try {
+        await session.abortTransaction();
+      } finally {
+        session.endSession();
+      }
+    }
+    next(err);
+  }
+};
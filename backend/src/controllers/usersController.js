@@ -2,8 +2,25 @@
 import User from '../models/User.js';
 import { validationResult } from 'express-validator';
 import AppError from '../utils/appError.js';
-import { signToken } from '../utils/jwtUtils.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Role from '../models/Role.js';
+import { hasPermission } from '../middleware/roles.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { issueAuthTokens } from '../utils/sessionTokens.js';
+import { signImpersonationToken } from '../utils/jwtUtils.js';
 import { filterObj } from '../utils/filterObject.js'; 
+import { anonymizeUser, buildPersonalDataExport } from '../utils/personalData.js';
+import { createZip } from '../utils/zip.js';
+
+// Contas com permissões administrativas (admin ou roles customizadas) só são editadas, arquivadas,
+// desbloqueadas ou excluídas por quem tem roles:manage: com apenas users:write, um perfil restrito
+// (ex: suporte) poderia trocar o email de um admin e assumir a conta pelo "esqueci minha senha"
+const privilegedTargetError = async (req, user) => {
+  if (!(await Role.permissionsFor(user.role)).length) return null;
+  if (await hasPermission(req, 'roles:manage')) return null;
+  return new AppError('Esta conta possui permissões administrativas: a ação requer roles:manage.', 403);
+};
 
 // =============================================================================
 // === AÇÕES DE ADMINISTRADOR ==================================================
@@ -107,20 +124,28 @@ export const createUser = async (req, res, next) => {
   }
 
   try {
+    // Atribuir roles (inclusive admin) exige roles:manage, evitando escalada de privilégio
+    if (req.body.role && req.body.role !== 'user' && !(await hasPermission(req, 'roles:manage'))) {
+      return next(new AppError('Você não tem permissão para atribuir roles (requer roles:manage).', 403));
+    }
+
     const userData = {
       name: req.body.name,
       email: req.body.email,
       password: req.body.password,
       cpf: req.body.cpf, // Incluído
       birthDate: req.body.birthDate, // Incluído
-      role:
-        req.body.role && ['user', 'admin'].includes(req.body.role)
-          ? req.body.role
-          : 'user',
+      role: req.body.role || 'user', // Existência da role já validada na rota
     };
 
     // Cria usuário no banco
     const newUser = await User.create(userData);
+    await recordAudit(req, {
+      action: 'user.create',
+      entityType: 'User',
+      entityId: newUser._id,
+      after: newUser,
+    });
 
     // Remove campos sensíveis da resposta
     newUser.password = undefined;
@@ -192,8 +217,11 @@ export const createUser = async (req, res, next) => {
  */
 export const getUsers = async (req, res, next) => {
   try {
-    // Busca todos os usuários (campos sensíveis omitidos pelo Model)
-    const users = await User.find();
+    // Busca todos os usuários ativos (campos sensíveis omitidos pelo Model);
+    // contas arquivadas só aparecem com ?includeArchived=true
+    const query = User.find({ deletedAt: { $exists: false } });
+    if (req.query.includeArchived !== 'true') query.notArchived();
+    const users = await query;
     res.status(200).json({
       status: 'success',
       results: users.length,
@@ -341,10 +369,29 @@ export const updateUser = async (req, res, next) => {
     if (!userToUpdate) {
       return next(new AppError('Nenhum usuário encontrado com este ID para atualizar.', 404));
     }
+    const targetError = await privilegedTargetError(req, userToUpdate);
+    if (targetError) {
+      return next(targetError);
+    }
 
     // Filtra apenas os campos permitidos para esta rota
     const filteredBody = filterObj(req.body, 'name', 'email', 'role');
 
+    // Email alterado precisa ser verificado novamente
+    if (filteredBody.email && filteredBody.email !== userToUpdate.email) {
+      filteredBody.emailVerified = false;
+      filteredBody.emailVerifiedAt = null;
+    }
+
+    // Troca de role exige roles:manage
+    if (
+      filteredBody.role &&
+      filteredBody.role !== userToUpdate.role &&
+      !(await hasPermission(req, 'roles:manage'))
+    ) {
+      return next(new AppError('Você não tem permissão para atribuir roles (requer roles:manage).', 403));
+    }
+
     // Regra de negócio: Admin não pode rebaixar outro admin aqui
     if (userToUpdate.role === 'admin' && filteredBody.role && filteredBody.role !== 'admin') {
        return next(new AppError('Não é permitido rebaixar um administrador por esta rota.', 400));
@@ -360,6 +407,13 @@ export const updateUser = async (req, res, next) => {
     if (!updatedUser) {
          return next(new AppError('Nenhum usuário encontrado com este ID durante a atualização (findByIdAndUpdate).', 404));
     }
+    await recordAudit(req, {
+      action: 'user.update',
+      entityType: 'User',
+      entityId: updatedUser._id,
+      before: userToUpdate,
+      after: updatedUser,
+    });
 
     // Retorna o usuário atualizado
     res.status(200).json({
@@ -379,7 +433,7 @@ export const updateUser = async (req, res, next) => {
  *   delete:
  *     tags: [Users (Admin)]
  *     summary: Deleta um usuário específico por ID (Admin).
- *     description: Remove permanentemente um usuário do sistema. Ação irreversível. Apenas administradores.
+ *     description: Exclui a conta anonimizando os dados pessoais (mesmo processo de DELETE /api/users/me); os pedidos são mantidos por obrigação fiscal. Ação irreversível. Apenas administradores.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -401,13 +455,25 @@ export const deleteUser = async (req, res, next) => {
   }
 
   try {
-    // Tenta deletar o usuário
-    const user = await User.findByIdAndDelete(req.params.id);
+    const target = await User.findById(req.params.id);
+    const targetError = target && (await privilegedTargetError(req, target));
+    if (targetError) {
+      return next(targetError);
+    }
 
-    // Se findByIdAndDelete retorna null, o usuário não existia
+    // Anonimiza a conta (pedidos são mantidos por obrigação fiscal)
+    const user = await anonymizeUser(req.params.id);
+
+    // null: o usuário não existia ou já havia sido excluído
     if (!user) {
       return next(new AppError('Nenhum usuário encontrado com este ID.', 404));
     }
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'User',
+      entityId: user._id,
+      before: user,
+    });
 
     res.status(204).send();
 
@@ -416,6 +482,189 @@ export const deleteUser = async (req, res, next) => {
   }
 };
 
+export const unlockUser = async (req, res, next) => {
+  // Validação do ID pela rota (isMongoId)
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'fail', errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new AppError('Nenhum usuário encontrado com este ID.', 404));
+    }
+    const targetError = await privilegedTargetError(req, user);
+    if (targetError) {
+      return next(targetError);
+    }
+
+    // Zera as falhas e o bloqueio da conta (bloqueios por IP expiram sozinhos)
+    const { deletedCount } = await LoginAttempt.clear('account', user.email);
+    await recordAudit(req, {
+      action: 'user.unlock',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { unlocked: deletedCount > 0 },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: deletedCount
+        ? 'Conta desbloqueada. O usuário já pode tentar logar novamente.'
+        : 'A conta não possuía falhas de login registradas.',
+      data: {
+        unlocked: deletedCount > 0,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Arquiva (desativa) a conta: o usuário não consegue logar e as sessões são encerradas,
+ *              mas os dados são mantidos e a conta pode ser restaurada. Diferente do DELETE, não anonimiza.
+ * @route POST /api/users/:id/archive
+ * @access users:write
+ */
+export const archiveUser = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'fail', errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return next(new AppError('Você não pode arquivar a própria conta.', 400));
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $exists: false } });
+    if (!user) {
+      return next(new AppError('Nenhum usuário encontrado com este ID.', 404));
+    }
+    if (user.archivedAt) {
+      return next(new AppError('Esta conta já está arquivada.', 400));
+    }
+    const targetError = await privilegedTargetError(req, user);
+    if (targetError) {
+      return next(targetError);
+    }
+
+    const before = user.toObject();
+    user.archive(req.user._id);
+    await user.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(user._id, 'account_archived');
+    await recordAudit(req, {
+      action: 'user.archive',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @description Restaura uma conta arquivada (o usuário volta a poder logar).
+ * @route POST /api/users/:id/restore
+ * @access users:write
+ */
+export const restoreUser = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'fail', errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $exists: false } });
+    if (!user) {
+      return next(new AppError('Nenhum usuário encontrado com este ID.', 404));
+    }
+    if (!user.archivedAt) {
+      return next(new AppError('Esta conta não está arquivada.', 400));
+    }
+    const targetError = await privilegedTargetError(req, user);
+    if (targetError) {
+      return next(targetError);
+    }
+
+    const before = user.toObject();
+    user.restore();
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, {
+      action: 'user.restore',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const impersonateUser = async (req, res, next) => {
+  // Validação do ID pela rota (isMongoId)
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'fail', errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return next(new AppError('Você não pode personificar a própria conta.', 400));
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $exists: false } }).notArchived();
+    if (!user) {
+      return next(new AppError('Nenhum usuário encontrado com este ID.', 404));
+    }
+
+    // Só clientes: personificar uma conta com permissões seria uma escalada de privilégio
+    const permissions = await Role.permissionsFor(user.role);
+    if (permissions.length) {
+      return next(
+        new AppError('Apenas contas de clientes (sem permissões administrativas) podem ser personificadas.', 403)
+      );
+    }
+
+    const { token, expiresAt } = signImpersonationToken(user, req.user._id, req.authSession?._id);
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { expiresAt },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      token,
+      expiresAt,
+      data: {
+        user,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
 // =============================================================================
 // === AÇÕES DO USUÁRIO LOGADO =================================================
@@ -472,6 +721,62 @@ export const getMe = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     tags: [Users (Self)]
+ *     summary: Exporta os dados pessoais do usuário logado (LGPD).
+ *     description: Retorna perfil (incluindo CPF e data de nascimento), endereços, carrinho, pedidos, avaliações e histórico de sessões. Por padrão em JSON; com `format=zip`, um .zip com um arquivo JSON por seção.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, zip], default: json }
+ *     responses:
+ *       '200':
+ *         description: Pacote de dados pessoais (enviado como anexo).
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PersonalDataExport' }
+ *           application/zip:
+ *             schema: { type: string, format: binary }
+ *       '400': { description: Formato inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autenticado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+export const exportMe = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'fail', errors: errors.array() });
+  }
+
+  try {
+    const data = await buildPersonalDataExport(req.user.id);
+    if (!data) {
+      return next(new AppError('Usuário autenticado não encontrado.', 404));
+    }
+
+    const fileName = `meus-dados-${data.exportedAt.slice(0, 10)}`;
+
+    if (req.query.format === 'zip') {
+      const { exportedAt, ...sections } = data;
+      const files = Object.entries(sections).map(([section, content]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify({ exportedAt, [section]: content }, null, 2),
+      }));
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.status(200).send(createZip(files));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.status(200).json(data);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /api/users/me:
@@ -534,6 +839,12 @@ export const updateMe = async (req, res, next) => {
     // Filtra APENAS campos permitidos para auto-atualização
     const filteredBody = filterObj(req.body, 'name', 'email');
 
+    // Trocar o email exige nova verificação (use /api/auth/verify-email/resend)
+    if (filteredBody.email && filteredBody.email !== req.user.email) {
+      filteredBody.emailVerified = false;
+      filteredBody.emailVerifiedAt = null;
+    }
+
     // Atualiza o usuário logado (req.user.id)
     const updatedUser = await User.findByIdAndUpdate(
       req.user.id,
@@ -563,7 +874,7 @@ export const updateMe = async (req, res, next) => {
  *   delete:
  *     tags: [Users (Self)]
  *     summary: Deleta a conta do usuário logado.
- *     description: Remove permanentemente a conta do usuário autenticado do sistema. Esta ação é irreversível.
+ *     description: Exclui a conta do usuário autenticado anonimizando seus dados pessoais (LGPD). Nome, email, CPF, data de nascimento, senha e 2FA são apagados; endereços e carrinho são removidos; avaliações passam a exibir "Usuário removido"; todas as sessões são encerradas. Os pedidos são mantidos por obrigação fiscal. Esta ação é irreversível.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -590,8 +901,8 @@ export const updateMe = async (req, res, next) => {
  */
 export const deleteMe = async (req, res, next) => {
   try {
-    // Deleta o usuário logado usando o ID de req.user
-    const deletedUser = await User.findByIdAndDelete(req.user.id);
+    // Anonimiza a conta do usuário logado (pedidos são mantidos por obrigação fiscal)
+    const deletedUser = await anonymizeUser(req.user.id);
 
     // Checagem de segurança para caso raro de concorrência
     if (!deletedUser) {
@@ -613,7 +924,7 @@ export const deleteMe = async (req, res, next) => {
  *   patch:
  *     tags: [Users (Self)]
  *     summary: Atualiza a senha do usuário logado.
- *     description: Permite que o usuário autenticado altere sua própria senha, fornecendo a senha atual (`currentPassword`), a nova senha (`password`) e a confirmação da nova senha (`passwordConfirm`). Retorna um novo token JWT válido.
+ *     description: Permite que o usuário autenticado altere sua própria senha, fornecendo a senha atual (`currentPassword`), a nova senha (`password`) e a confirmação da nova senha (`passwordConfirm`). Encerra todas as sessões existentes e retorna um novo par de tokens (acesso + refresh).
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -637,6 +948,10 @@ export const deleteMe = async (req, res, next) => {
  *                      type: string
  *                      description: Um NOVO token JWT válido após a mudança de senha.
  *                      example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...new
+ *                  refreshToken:
+ *                      type: string
+ *                      description: Refresh token da nova sessão (as sessões anteriores são encerradas).
+ *                      example: 6801...a9f.Zk3x...
  *                  message:
  *                      type: string
  *                      example: Senha atualizada com sucesso!
@@ -683,13 +998,17 @@ export const updateMyPassword = async (req, res, next) => {
     // 4. Salvar o usuário com a nova senha (aciona o pre-save)
     await user.save();
 
-    // 5. Gerar um novo token (importante após mudança de senha)
-    const token = signToken(user._id, user.role);
+    // 5. Encerrar todas as sessões abertas com a senha antiga
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    // 6. Abrir uma nova sessão (importante após mudança de senha)
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
-    // 6. Enviar resposta de sucesso com o novo token
+    // 7. Enviar resposta de sucesso com os novos tokens
     res.status(200).json({
       status: 'success',
       token,
+      refreshToken,
       message: 'Senha atualizada com sucesso!',
     });
   } catch (err) {
@@ -287,7 +287,10 @@ export const handleWebhook = async (req, res, next) => {
           res.status(200).json(responseToSend);
 
           if (needsStockReturn) {
-            await returnStockForOrderItems(order.orderItems);
+            await returnStockForOrderItems(order.orderItems, {}, {
+              reason: newStatus === "refunded" ? "refund" : "cancellation",
+              order: order._id,
+            });
           }
           return;
         } catch (saveError) {
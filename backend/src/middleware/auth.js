@@ -2,6 +2,73 @@
 import jwt from "jsonwebtoken";
 import AppError from "../utils/appError.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import { roleGrants, requirePermission } from "./roles.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+// Admin do token de personificação: só vale enquanto existir, mantiver a permissão,
+// não tiver trocado a senha e (quando informada) a sessão dele continuar ativa
+const resolveImpersonator = async (decoded) => {
+  const impersonator = await User.findById(decoded.imp);
+  if (
+    !impersonator ||
+    impersonator.isInactive() ||
+    impersonator.changedPasswordAfter(decoded.iat) ||
+    !(await roleGrants(impersonator.role, "users:impersonate"))
+  ) {
+    return null;
+  }
+  if (decoded.impSid) {
+    const session = await Session.findById(decoded.impSid);
+    if (
+      !session ||
+      !session.isActive() ||
+      session.user.toString() !== impersonator._id.toString()
+    ) {
+      return null;
+    }
+  }
+  return impersonator;
+};
+
+// Autenticação por chave de API (header X-API-Key): a requisição age em nome de quem
+// criou a chave, com as permissões limitadas aos escopos que essa pessoa ainda possui
+const authenticateApiKey = async (req, res, next) => {
+  const invalidKeyError = () =>
+    new AppError("Chave de API inválida, expirada ou revogada.", 401);
+
+  const apiKey = await ApiKey.findByKey(req.headers["x-api-key"]);
+  if (!apiKey || !apiKey.isActive()) {
+    return next(invalidKeyError());
+  }
+  const owner = await User.findById(apiKey.createdBy);
+  if (!owner || owner.isInactive()) {
+    return next(invalidKeyError());
+  }
+
+  // Limite por chave (janela de 1 minuto), independente do IP de origem
+  const { count, retryAfterSeconds } = await apiKey.registerUse(req.ip);
+  if (count > apiKey.rateLimitPerMinute) {
+    res.set("Retry-After", String(retryAfterSeconds));
+    return next(
+      new AppError(
+        `Limite de requisições desta chave de API excedido. Tente novamente em ${retryAfterSeconds} segundo(s).`,
+        429
+      )
+    );
+  }
+
+  const granted = await Promise.all(
+    apiKey.scopes.map((scope) => roleGrants(owner.role, scope))
+  );
+  req.apiKey = apiKey;
+  req.user = owner;
+  req.permissions = apiKey.scopes.filter((scope, index) => granted[index]);
+  // A chave é criada em uma sessão com 2FA; o segundo fator não se aplica a integrações
+  req.mfaVerified = true;
+  next();
+};
 
 export const authenticate = async (req, res, next) => {
   
@@ -13,6 +80,9 @@ export const authenticate = async (req, res, next) => {
     ) {
       token = req.headers.authorization.split(" ")[1];
     }
+    if (!token && req.headers["x-api-key"]) {
+      return await authenticateApiKey(req, res, next);
+    }
     if (!token) {
       return next(
         new AppError(
@@ -24,7 +94,9 @@ export const authenticate = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const currentUser = await User.findById(decoded.id);
     
-    if (!currentUser) {
+    // Contas excluídas (anonimizadas) continuam no banco apenas por causa dos pedidos;
+    // contas arquivadas ficam bloqueadas até serem restauradas
+    if (!currentUser || currentUser.isInactive()) {
       return next(
         new AppError("O usuário dono deste token não existe mais.", 401)
       );
@@ -37,8 +109,52 @@ export const authenticate = async (req, res, next) => {
         )
       );
     }
+    // Tokens emitidos com sessão (claim sid) só valem enquanto a sessão estiver ativa
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (
+        !session ||
+        !session.isActive() ||
+        session.user.toString() !== currentUser._id.toString()
+      ) {
+        return next(
+          new AppError(
+            "Esta sessão foi encerrada. Por favor, faça login novamente.",
+            401
+          )
+        );
+      }
+      req.authSession = session;
+    }
+    // Token de personificação: a requisição age como o cliente, em nome do admin
+    if (decoded.imp) {
+      const impersonator = await resolveImpersonator(decoded);
+      if (!impersonator) {
+        return next(
+          new AppError(
+            "Esta sessão de personificação não é mais válida.",
+            401
+          )
+        );
+      }
+      req.impersonator = impersonator;
+      res.set("X-Impersonated-By", impersonator._id.toString());
+    }
+    // Segundo fator: vem da sessão quando houver; senão, da claim do próprio token
+    req.mfaVerified = req.authSession
+      ? req.authSession.mfaVerified === true
+      : decoded.mfa === true;
     req.user = currentUser;
     req.user.password = undefined;
+    // Toda requisição feita com token de personificação fica registrada na auditoria
+    if (req.impersonator) {
+      await recordAudit(req, {
+        action: "impersonation.request",
+        entityType: "User",
+        entityId: currentUser._id,
+        metadata: { method: req.method, path: req.originalUrl },
+      });
+    }
     next();
   } catch (err) {
     if (err.name === "JsonWebTokenError") {
@@ -56,7 +172,35 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-export const isAdmin = (req, res, next) => {
+// Bloqueia a rota para tokens de personificação (pagamentos, senha, email, 2FA, exclusão de
+// conta e avaliações publicadas em nome do cliente)
+export const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(
+      new AppError(
+        "Esta ação não é permitida durante a personificação de um cliente.",
+        403
+      )
+    );
+  }
+  next();
+};
+
+// Bloqueia a rota para chaves de API (rotas "do usuário logado": perfil, carrinho,
+// endereços, checkout, sessões e 2FA só fazem sentido para uma pessoa)
+export const forbidApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return next(
+      new AppError(
+        "Esta rota não aceita chaves de API. Faça login com um usuário.",
+        403
+      )
+    );
+  }
+  next();
+};
+
+export const requireVerifiedEmail = (req, res, next) => {
   if (!req.user) {
     return next(
       new AppError(
@@ -66,13 +210,24 @@ export const isAdmin = (req, res, next) => {
     );
   }
 
-  if (req.user.role !== "admin") {
+  if (!req.user.emailVerified) {
     return next(
       new AppError(
-        "Você não tem permissão para realizar esta ação (requer admin).",
+        "Confirme seu email antes de finalizar compras. Verifique sua caixa de entrada ou solicite um novo link em /api/auth/verify-email/resend.",
         403
       )
     );
   }
   next();
 };
+
+// Rotas públicas com ?includeArchived=true: registros arquivados só aparecem para quem
+// está logado com a permissão informada (sem o parâmetro, a rota continua pública)
+export const requirePermissionForArchived = (permission) => (req, res, next) => {
+  if (req.query.includeArchived !== "true") {
+    return next();
+  }
+  authenticate(req, res, (err) =>
+    err ? next(err) : requirePermission(permission)(req, res, next)
+  );
+};
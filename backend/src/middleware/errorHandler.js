@@ -30,6 +30,10 @@ const handleValidationErrorDB = (err) => {
   return new AppError(message, 400);
 };
 
+// Trata erros do Multer (arquivo grande demais, campo inesperado ou arquivos demais)
+const handleMulterError = (err) =>
+  new AppError(`Erro no envio de arquivos: ${err.message} (${err.field || err.code}).`, 400);
+
 // Trata erro de assinatura inválida ou token malformado do JWT
 const handleJWTError = () =>
   new AppError("Token inválido. Por favor, faça login novamente.", 401);
@@ -90,6 +94,8 @@ const globalErrorHandler = (err, req, res, next) => {
     errorToProcess = handleDuplicateFieldsDB(errorToProcess);
   if (errorToProcess instanceof mongoose.Error.ValidationError)
     errorToProcess = handleValidationErrorDB(errorToProcess);
+  if (errorToProcess.name === "MulterError")
+    errorToProcess = handleMulterError(errorToProcess);
   if (errorToProcess.name === "JsonWebTokenError")
     errorToProcess = handleJWTError();
   if (errorToProcess.name === "TokenExpiredError")
@@ -0,0 +1,16 @@
+//src/middleware/requestId.js
+import crypto from 'crypto';
+
+// Aceita o ID enviado pelo cliente/proxy apenas se for curto e "seguro" para logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Atribui um ID a cada requisição (req.id) e o devolve no header X-Request-Id.
+ * Reaproveita o X-Request-Id recebido (ex: do load balancer) para correlacionar logs entre serviços.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -1,20 +1,80 @@
 // src/middleware/roles.js
 import AppError from '../utils/appError.js';
+import Role from '../models/Role.js';
+import { WILDCARD_PERMISSION } from '../config/permissions.js';
 
-export const checkRole = (roles) => {
-    return (req, res, next) => {
-        if (!req.user) {
-             return next(new AppError('Middleware de autenticação não executado corretamente.', 500));
-        }
+const grants = (permissions, permission) =>
+    permissions.includes(WILDCARD_PERMISSION) || permissions.includes(permission);
+
+/**
+ * Indica se uma role concede a permissão (sem considerar 2FA).
+ * @param {string} role - Nome da role.
+ * @param {string} permission - Ex: 'users:impersonate'.
+ * @returns {Promise<boolean>}
+ */
+export const roleGrants = async (role, permission) => grants(await Role.permissionsFor(role), permission);
+
+/**
+ * Retorna as permissões da role do usuário autenticado (carregadas uma vez por requisição).
+ * @param {object} req - Requisição Express (após authenticate).
+ * @returns {Promise<string[]>} Lista de permissões (pode conter '*').
+ */
+export const getPermissions = async (req) => {
+    if (!req.permissions) {
+        req.permissions = req.user ? await Role.permissionsFor(req.user.role) : [];
+    }
+    return req.permissions;
+};
+
+/**
+ * Indica se a requisição pode exercer a permissão: a role precisa concedê-la
+ * e a sessão precisa ter sido validada com 2FA (exigido de qualquer conta com permissões).
+ * Útil em controllers que mudam o comportamento conforme a permissão (ex: ver pedidos de terceiros).
+ * @param {object} req - Requisição Express (após authenticate).
+ * @param {string} permission - Ex: 'orders:read'.
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (req, permission) => {
+    const permissions = await getPermissions(req);
+    return grants(permissions, permission) && req.mfaVerified === true;
+};
+
+/**
+ * Middleware que exige TODAS as permissões informadas. Deve vir depois de authenticate.
+ * Contas com permissões administrativas só as exercem em sessões validadas com 2FA.
+ * @param {...string} required - Permissões exigidas (ex: 'products:write').
+ */
+export const requirePermission = (...required) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return next(new AppError('Middleware de autenticação não executado corretamente.', 500));
+            }
+
+            const permissions = await getPermissions(req);
+            const missing = required.filter((permission) => !grants(permissions, permission));
+            if (missing.length) {
+                return next(
+                    new AppError(
+                        `Você não tem permissão para realizar esta ação (requer ${missing.join(', ')}).`,
+                        403
+                    )
+                );
+            }
 
-        if (!roles.includes(req.user.role)) {
-             return next(
-                new AppError(
-                    `Acesso negado. Sua role (${req.user.role}) não tem permissão. Requerido: ${roles.join(' ou ')}`,
-                    403
-                )
-            );
+            if (!req.mfaVerified) {
+                return next(
+                    new AppError(
+                        req.user.mfaEnabled
+                            ? 'Esta sessão não foi validada com 2FA. Faça login novamente informando o código do app autenticador.'
+                            : 'Contas com permissões administrativas precisam ativar a autenticação em dois fatores (POST /api/auth/mfa/setup) antes de acessar esta rota.',
+                        403
+                    )
+                );
+            }
+            next();
+        } catch (err) {
+            next(err);
         }
-        next();
     };
-};
\ No newline at end of file
+};
@@ -48,4 +48,19 @@ export const upload = multer({
 // Log para quando o middleware 'upload.single' for usado na rota
 export const logUploadMiddleware = (fieldName) => (req, res, next) => {
   next();
-};
\ No newline at end of file
+};
+// Arquivos de dados (importação de catálogo): ficam em memória, sem passar pelo disco
+const dataFileFilter = (req, file, cb) => {
+  const allowedMimes = ['text/csv', 'application/json', 'application/vnd.ms-excel', 'text/plain'];
+  if (/\.(csv|json)$/i.test(file.originalname) || allowedMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError(`Tipo de arquivo não suportado (${file.mimetype}). Envie um arquivo .csv ou .json.`, 400), false);
+  }
+};
+
+export const uploadDataFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: dataFileFilter,
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
@@ -0,0 +1,151 @@
+// src/models/ApiKey.js
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { hashToken } from "../utils/jwtUtils.js";
+import { isApiKeyScope } from "../config/permissions.js";
+
+// Chave de API para integrações servidor-a-servidor (ERP, marketplaces).
+// A chave em texto puro só é exibida na criação; no banco fica apenas o hash SHA-256.
+// A integração age em nome de quem criou a chave, limitada aos escopos da chave.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      // Identificação da integração, ex: "ERP - sincronização de estoque"
+      type: String,
+      required: [true, "O nome da chave é obrigatório."],
+      trim: true,
+      maxlength: 100,
+    },
+    prefix: {
+      // Início da chave (não secreto), exibido nas listagens para identificá-la
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      // Permissões do catálogo concedidas à chave (ex: ['orders:read', 'orders:ship'])
+      type: [String],
+      validate: [
+        {
+          validator: (scopes) => scopes.length > 0,
+          message: "Informe ao menos um escopo.",
+        },
+        {
+          validator: (scopes) => scopes.every(isApiKeyScope),
+          message: (props) =>
+            `Escopos inválidos para chaves de API: ${props.value
+              .filter((scope) => !isApiKeyScope(scope))
+              .join(", ")}.`,
+        },
+      ],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      // Opcional: sem valor, a chave vale até ser revogada
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      min: [1, "O limite por minuto deve ser de pelo menos 1 requisição."],
+      max: [10000, "O limite por minuto pode ser de no máximo 10000 requisições."],
+      default: () => parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 60,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    // --- Janela atual do limite de requisições (1 minuto) ---
+    usageWindowStartedAt: {
+      type: Date,
+      select: false,
+    },
+    usageWindowCount: {
+      type: Number,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// --- Método Estático: Cria a chave e retorna o valor em texto puro (exibido uma única vez) ---
+apiKeySchema.statics.generate = async function (data) {
+  const key = `ak_${crypto.randomBytes(32).toString("base64url")}`;
+  const apiKey = await this.create({
+    ...data,
+    prefix: key.slice(0, 11),
+    keyHash: hashToken(key),
+  });
+  return { apiKey, key };
+};
+
+// --- Método Estático: Localiza a chave pelo valor recebido no header ---
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+// --- Método de Instância: Chave não revogada e não expirada ---
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// --- Método de Instância: Registra o uso e conta a requisição na janela do limite ---
+// Incremento atômico (update com pipeline), válido para todas as instâncias da API.
+// Retorna { count, retryAfterSeconds } da janela atual.
+apiKeySchema.methods.registerUse = async function (ip) {
+  const now = new Date();
+  const windowCutoff = new Date(now.getTime() - RATE_LIMIT_WINDOW_MS);
+  const inWindow = { $gt: ["$usageWindowStartedAt", windowCutoff] };
+
+  const updated = await this.constructor
+    .findOneAndUpdate(
+      { _id: this._id },
+      [
+        {
+          $set: {
+            usageWindowCount: {
+              $cond: [inWindow, { $add: ["$usageWindowCount", 1] }, 1],
+            },
+            usageWindowStartedAt: {
+              $cond: [inWindow, "$usageWindowStartedAt", now],
+            },
+            lastUsedAt: now,
+            lastUsedIp: ip,
+          },
+        },
+      ],
+      { new: true }
+    )
+    .select("+usageWindowStartedAt +usageWindowCount");
+
+  this.lastUsedAt = updated.lastUsedAt;
+  this.lastUsedIp = updated.lastUsedIp;
+  const windowEndsAt =
+    updated.usageWindowStartedAt.getTime() + RATE_LIMIT_WINDOW_MS;
+  return {
+    count: updated.usageWindowCount,
+    retryAfterSeconds: Math.max(1, Math.ceil((windowEndsAt - now.getTime()) / 1000)),
+  };
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,78 @@
+// src/models/AuditLog.js
+import mongoose from "mongoose";
+
+// Registro (somente inclusão) de cada alteração feita por contas com permissões
+// administrativas: quem fez, o quê, em qual entidade, o diff e de onde veio a requisição.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Copiados no momento da ação: o log continua legível mesmo que o usuário mude ou seja removido
+    actorEmail: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    impersonator: {
+      // Admin que agia como o actor (token de personificação)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    apiKey: {
+      // Chave de API usada na requisição (integrações agem em nome do actor)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    action: {
+      // "<entidade>.<ação>", ex: "product.update", "order.ship"
+      type: String,
+      required: true,
+      index: true,
+    },
+    entityType: {
+      // Nome do Model afetado, ex: "Product", "User", "Order"
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    changes: {
+      // { campo: { before, after } } apenas com os campos que mudaram
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    metadata: {
+      // Contexto extra da ação (ex: { unlocked: true })
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    requestId: {
+      type: String,
+      index: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  }
+);
+
+// Consultas típicas: histórico de uma entidade e listagem por período
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
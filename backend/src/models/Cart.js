@@ -8,6 +8,10 @@ const cartItemSchema = new mongoose.Schema({
         ref: 'Product', // Referência ao modelo Product
         required: true
     },
+    variant: {
+        // ID da variação (SKU) escolhida, para produtos com variações
+        type: mongoose.Schema.Types.ObjectId
+    },
     quantity: {
         type: Number,
         required: true,
@@ -33,10 +37,18 @@ const cartSchema = new mongoose.Schema({
 });
 
 
-// Schema para calcular o subtotal de cada item
+// Variação escolhida, quando o produto está populado com suas variações
+cartItemSchema.virtual('selectedVariant').get(function() {
+    if (!this.variant || !this.product || !Array.isArray(this.product.variants)) return undefined;
+    return this.product.variants.find((variant) => variant._id.equals(this.variant));
+});
+
+// Schema para calcular o subtotal de cada item (usa o preço da variação, se houver, sem descontos;
+// as respostas do carrinho o substituem pelo subtotal com promoções, ver cartController)
 cartItemSchema.virtual('subtotal').get(function() {
     if (this.product && typeof this.product.price === 'number' && typeof this.quantity === 'number') {
-        return this.product.price * this.quantity;
+        const variantPrice = this.selectedVariant?.price;
+        return (typeof variantPrice === 'number' ? variantPrice : this.product.price) * this.quantity;
     }
     return 0; 
 });
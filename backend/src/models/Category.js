@@ -1,5 +1,47 @@
 // src/models/Category.js
 import mongoose from 'mongoose';
+import { normalizeSearchText, trigrams } from '../utils/searchText.js';
+import archivable from './plugins/archivable.js';
+import sluggable from './plugins/sluggable.js';
+
+export const ATTRIBUTE_TYPES = ['string', 'number', 'enum', 'boolean'];
+
+// Atributo tipado dos produtos da categoria (e das subcategorias, que o herdam),
+// ex: { key: 'voltage', label: 'Voltagem', type: 'enum', options: ['110', '220', 'bivolt'], unit: 'V' }
+const attributeSchema = new mongoose.Schema({
+    key: {
+        // Nome do atributo nos produtos e no filtro (?attr.<key>=valor)
+        type: String,
+        required: [true, 'A chave do atributo é obrigatória.'],
+        trim: true,
+        match: [/^[a-z][a-z0-9_]{0,39}$/, 'Chave de atributo inválida (letras minúsculas, números e _, começando por letra).']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    type: {
+        type: String,
+        enum: ATTRIBUTE_TYPES,
+        required: [true, 'O tipo do atributo é obrigatório.']
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    unit: {
+        // Unidade de exibição (ex: V, meses, kg)
+        type: String,
+        trim: true,
+        maxlength: 20
+    },
+    options: {
+        // Valores aceitos (apenas para o tipo enum)
+        type: [{ type: String, trim: true, maxlength: 100 }],
+        default: undefined
+    }
+}, { _id: false });
 
 const categorySchema = new mongoose.Schema({
     name: {
@@ -8,50 +50,165 @@ const categorySchema = new mongoose.Schema({
         unique: true, // Garante nomes únicos (case-insensitive por padrão com collation)
         trim: true
     },
-    slug: {
-        type: String,
-        unique: true, // Garante slugs únicos
-        lowercase: true,
-        index: true // Otimiza buscas pelo slug
-    },
     description: {
         type: String,
         trim: true
+    },
+    // --- Hierarquia (qualquer profundidade) ---
+    parent: {
+        // Categoria pai; null = categoria raiz
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true
+    },
+    ancestors: {
+        // Caminho da raiz até o pai (mantido pelos hooks abaixo); permite achar todos os descendentes
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+        index: true
+    },
+    attributes: {
+        // Atributos próprios; os produtos seguem também os das categorias ancestrais
+        type: [attributeSchema],
+        default: []
+    },
+    // --- Campos de busca (sugestões), derivados do nome ---
+    searchName: {
+        type: String,
+        select: false
+    },
+    searchTrigrams: {
+        type: [String],
+        select: false,
+        index: true
     }
 }, { timestamps: true });
 
-// Middleware pre-save para gerar/atualizar o slug automaticamente
+// Middleware pre-save para atualizar os campos de busca automaticamente (o slug vem do plugin sluggable)
 categorySchema.pre('save', function(next) {
-    // Gera o slug apenas se o nome foi modificado (ou é um novo documento)
-    if (this.isModified('name') || this.isNew) {
-        // Lógica de slugificação:
-        // 1. Converte para minúsculas
-        // 2. Remove acentos (usando replace para cada vogal acentuada)
-        // 3. Substitui ç por c
-        // 4. Substitui qualquer caractere não alfanumérico ou hífen por hífen
-        // 5. Remove múltiplos hífens consecutivos
-        // 6. Remove hífens no início ou fim
-        const slugTemp = this.name.toLowerCase()
-            .replace(/[áàãâä]/g, 'a')
-            .replace(/[éèêë]/g, 'e')
-            .replace(/[íìîï]/g, 'i')
-            .replace(/[óòõôö]/g, 'o')
-            .replace(/[úùûü]/g, 'u')
-            .replace(/[ç]/g, 'c')
-            .replace(/[^a-z0-9-]+/g, '-') // Mantém letras, números e hífens
-            .replace(/-+/g, '-')           // Remove hífens duplicados
-            .replace(/^-+|-+$/g, '');       // Remove hífens do início/fim
-        this.slug = slugTemp;
-    }
+    // Campos de busca não são carregados (select: false), então são sempre recalculados
+    this.searchName = normalizeSearchText(this.name);
+    this.searchTrigrams = trigrams(this.name);
     next(); // Continua o processo de salvar
 });
 
+// Chaves únicas na categoria; `options` obrigatório (e exclusivo) do tipo enum
+categorySchema.pre('validate', function (next) {
+    const keys = new Set();
+    this.attributes.forEach((attribute, index) => {
+        if (keys.has(attribute.key)) {
+            this.invalidate(`attributes.${index}.key`, `Atributo '${attribute.key}' repetido nesta categoria.`);
+        }
+        keys.add(attribute.key);
+        if (attribute.type === 'enum' && !attribute.options?.length) {
+            this.invalidate(`attributes.${index}.options`, `Informe as opções do atributo '${attribute.key}'.`);
+        }
+        if (attribute.type !== 'enum') attribute.options = undefined;
+    });
+    next();
+});
+
+// Recalcula o caminho (ancestors) quando a categoria é criada ou muda de pai,
+// recusando pais inexistentes/arquivados e ciclos (mover para dentro de uma subcategoria)
+categorySchema.pre('validate', async function () {
+    if (!this.isNew && !this.isModified('parent')) return;
+    this.$locals.moved = !this.isNew;
+    if (!this.parent) {
+        this.ancestors = [];
+        return;
+    }
+    if (this.parent.equals(this._id)) {
+        this.invalidate('parent', 'Uma categoria não pode ser subcategoria de si mesma.');
+        return;
+    }
+    const parent = await this.constructor.findById(this.parent)
+        .select('ancestors archivedAt')
+        .session(this.$session());
+    if (!parent || parent.archivedAt) {
+        this.invalidate('parent', 'Categoria pai não encontrada.');
+        return;
+    }
+    if (parent.ancestors.some((id) => id.equals(this._id))) {
+        this.invalidate('parent', 'Uma categoria não pode ser movida para dentro de uma de suas subcategorias.');
+        return;
+    }
+    this.ancestors = [...parent.ancestors, parent._id];
+});
+
+// Ao mover uma categoria, atualiza o caminho de todas as suas descendentes
+categorySchema.post('save', async function () {
+    if (!this.$locals.moved) return;
+    this.$locals.moved = false;
+    const session = this.$session();
+    const descendants = await this.constructor.find({ ancestors: this._id }).select('ancestors').session(session);
+    if (!descendants.length) return;
+    await this.constructor.bulkWrite(descendants.map((descendant) => {
+        const index = descendant.ancestors.findIndex((id) => id.equals(this._id));
+        return {
+            updateOne: {
+                filter: { _id: descendant._id },
+                update: { $set: { ancestors: [...this.ancestors, this._id, ...descendant.ancestors.slice(index + 1)] } }
+            }
+        };
+    }), { session });
+});
+
+// --- Método Estático: Atributos que valem para os produtos de uma categoria ---
+// Os das ancestrais (da raiz para baixo) mais os próprios; na mesma chave, vale a definição mais próxima.
+categorySchema.statics.effectiveAttributes = async function (categoryId) {
+    const category = await this.findById(categoryId).select('ancestors attributes').lean();
+    if (!category) return [];
+    const ancestors = await this.find({ _id: { $in: category.ancestors } }).select('attributes').lean();
+    const byId = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor]));
+
+    const definitions = new Map();
+    [...category.ancestors.map((id) => byId.get(String(id))).filter(Boolean), category]
+        .forEach((level) => (level.attributes || []).forEach((attribute) => definitions.set(attribute.key, attribute)));
+    return [...definitions.values()];
+};
+
+// --- Método Estático: IDs das categorias informadas e de todas as suas descendentes ---
+categorySchema.statics.withDescendantIds = async function (ids, filter = {}) {
+    const descendantIds = await this.find({ ancestors: { $in: ids }, ...filter }).distinct('_id');
+    return [...ids, ...descendantIds];
+};
+
+// --- Método Estático: Campos de busca das categorias anteriores à busca por sugestões ---
+// Os campos só são calculados ao salvar; a migração da inicialização (config/db.js) preenche os que faltam.
+categorySchema.statics.backfillSearchFields = async function () {
+    const categories = await this.find({ searchName: { $exists: false } }).select('name').lean();
+    if (!categories.length) return;
+    await this.bulkWrite(categories.map(({ _id, name }) => ({
+        updateOne: {
+            filter: { _id },
+            update: { $set: { searchName: normalizeSearchText(name), searchTrigrams: trigrams(name) } }
+        }
+    })));
+};
+
 
 // Cria o índice unique case-insensitive para 'name' (importante para evitar duplicatas como "Eletronicos" e "eletronicos")
 // Nota: Se o MongoDB já criou o índice sem essa opção, pode ser necessário recriá-lo.
 // categorySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
 // Alternativamente, o unique: true no schema pode ser suficiente dependendo da versão/config do MongoDB.
 
+// Campos internos de busca ficam fora das respostas (select: false não vale para documentos salvos)
+categorySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.searchName;
+        delete ret.searchTrigrams;
+        return ret;
+    }
+});
+
+// Categorias removidas são arquivadas (podem ser restauradas)
+categorySchema.plugin(archivable);
+
+// Slug gerado do nome (slug antigo vira alias ao renomear); findBySlug também resolve aliases
+categorySchema.plugin(sluggable);
+categorySchema.index({ slug: 1 }, { unique: true });
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
\ No newline at end of file
@@ -0,0 +1,146 @@
+// src/models/LoginAttempt.js
+import mongoose from "mongoose";
+
+// Contador de falhas de login por conta (email) e por IP. Fica no MongoDB para que
+// o bloqueio valha em todas as instâncias da API, e não só no processo que contou.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      // "<type>:<identificador>", ex: "account:joao@email.com" ou "ip:203.0.113.7"
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    failures: {
+      // Falhas consecutivas dentro da janela atual
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      // Enquanto no futuro, novas tentativas são recusadas (atraso progressivo ou bloqueio)
+      type: Date,
+    },
+    expiresAt: {
+      // Fim da janela: depois disso o contador recomeça do zero
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove automaticamente contadores cuja janela (e bloqueio) já terminou
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// --- Política de bloqueio (configurável via .env) ---
+// A partir de `delayAfter` falhas cada nova falha impõe uma espera que dobra (1s, 2s, 4s...);
+// ao atingir `maxAttempts` a chave fica bloqueada por LOGIN_LOCKOUT_MINUTES.
+// O IP tem limites mais folgados: vários usuários legítimos podem compartilhar o mesmo IP (NAT).
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const lockoutPolicy = (type) => {
+  const maxAttempts =
+    type === "ip"
+      ? envInt("LOGIN_IP_MAX_ATTEMPTS", 20)
+      : envInt("LOGIN_MAX_ATTEMPTS", 5);
+  const delayAfter =
+    type === "ip"
+      ? envInt("LOGIN_IP_DELAY_AFTER_ATTEMPTS", 10)
+      : envInt("LOGIN_DELAY_AFTER_ATTEMPTS", 3);
+  return {
+    maxAttempts,
+    delayAfter: Math.min(delayAfter, maxAttempts),
+    lockoutMs: envInt("LOGIN_LOCKOUT_MINUTES", 15) * 60 * 1000,
+    windowMs: envInt("LOGIN_ATTEMPT_WINDOW_MINUTES", 15) * 60 * 1000,
+  };
+};
+
+const lockDurationMs = (failures, policy) => {
+  if (failures >= policy.maxAttempts) return policy.lockoutMs;
+  if (failures >= policy.delayAfter) {
+    return Math.min(1000 * 2 ** (failures - policy.delayAfter), policy.lockoutMs);
+  }
+  return 0;
+};
+
+const buildKey = (type, identifier) =>
+  `${type}:${String(identifier).trim().toLowerCase()}`;
+
+// --- Método Estático: Retorna até quando as chaves informadas estão bloqueadas (ou null) ---
+// Recebe pares { type, identifier } (ex: a conta e o IP da requisição) e devolve o bloqueio mais longo.
+loginAttemptSchema.statics.getLockedUntil = async function (targets) {
+  const keys = targets
+    .filter(({ identifier }) => identifier)
+    .map(({ type, identifier }) => buildKey(type, identifier));
+  if (!keys.length) return null;
+  const locked = await this.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  })
+    .sort({ lockedUntil: -1 })
+    .limit(1);
+  return locked.length ? locked[0].lockedUntil : null;
+};
+
+// --- Método Estático: Registra uma falha e aplica atraso/bloqueio conforme a política ---
+loginAttemptSchema.statics.registerFailure = async function (type, identifier) {
+  if (!identifier) return null;
+  const now = new Date();
+  const policy = lockoutPolicy(type);
+
+  // Incremento atômico (update com pipeline): se a janela anterior já acabou, recomeça em 1
+  const attempt = await this.findOneAndUpdate(
+    { key: buildKey(type, identifier) },
+    [
+      {
+        $set: {
+          type,
+          failures: {
+            $cond: [
+              { $gt: ["$expiresAt", now] },
+              { $add: ["$failures", 1] },
+              1,
+            ],
+          },
+          lastFailureAt: now,
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+
+  const lockMs = lockDurationMs(attempt.failures, policy);
+  const lockedUntil = lockMs ? new Date(now.getTime() + lockMs) : null;
+  const expiresAt = new Date(
+    Math.max(now.getTime() + policy.windowMs, lockedUntil?.getTime() || 0)
+  );
+  await this.updateOne(
+    { _id: attempt._id },
+    {
+      $max: {
+        expiresAt,
+        ...(lockedUntil && { lockedUntil }),
+      },
+    }
+  );
+  return { failures: attempt.failures, lockedUntil };
+};
+
+// --- Método Estático: Zera o contador de uma chave (login bem-sucedido ou desbloqueio por admin) ---
+loginAttemptSchema.statics.clear = function (type, identifier) {
+  return this.deleteOne({ key: buildKey(type, identifier) });
+};
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -15,6 +15,18 @@ const orderItemSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // --- Variação (SKU) comprada, para produtos com variações ---
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    options: {
+      // Copia os valores escolhidos, ex: { Tamanho: "M", Cor: "Azul" }
+      type: Map,
+      of: String,
+    },
     quantity: {
       // Copia a quantidade
       type: Number,
@@ -22,13 +34,23 @@ const orderItemSchema = new mongoose.Schema(
       min: 1,
       default: 1,
     },
+    originalPrice: {
+      // Copia o preço unitário sem desconto (da variação, quando houver) no momento da compra
+      type: Number,
+    },
     price: {
-      // Copia o preço unitário no momento da compra
+      // Preço unitário cobrado: o preço efetivo (com preço promocional ou promoção) na compra
       type: Number,
       required: true,
     },
+    discount: {
+      // Origem do desconto aplicado em `price` (ausente quando vale o preço normal)
+      source: { type: String, enum: ["sale", "promotion"] },
+      promotion: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+      name: { type: String },
+    },
     image: {
-      // Copia a imagem principal do produto
+      // Copia a imagem da variação ou, na falta dela, a principal do produto
       type: String,
       // Não marca como required, pois pode não haver imagem
     },
@@ -0,0 +1,80 @@
+// src/models/PriceHistory.js
+import mongoose from "mongoose";
+
+export const PRICE_CHANGE_SOURCES = ["update", "import", "variant"];
+
+// Registro (somente inclusão) de cada alteração do preço de um produto ou variação.
+// Base do "menor preço dos últimos 30 dias" exigido ao anunciar promoções ("de/por")
+// e das análises de preço.
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // --- Variação (SKU) cujo preço mudou; ausente para o preço do produto ---
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    oldPrice: {
+      type: Number,
+      required: true,
+    },
+    newPrice: {
+      type: Number,
+      required: true,
+    },
+    changedBy: {
+      // Quem alterou o preço (dono da chave, se a alteração veio de uma integração)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    source: {
+      // update: PUT /api/products/:id; import: importação do catálogo; variant: PATCH da variação
+      type: String,
+      enum: PRICE_CHANGE_SOURCES,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Consulta típica: histórico de um produto (ou de uma variação), mais recentes primeiro
+priceHistorySchema.index({ product: 1, variant: 1, createdAt: -1 });
+
+// --- Método Estático: Menor preço de tabela desde uma data ---
+// Considera o preço atual e os preços antes/depois de cada alteração no período
+// (apenas o preço do produto/variação: preços promocionais e promoções não são registrados)
+// (o preço anterior à primeira alteração vigorava no início do período).
+priceHistorySchema.statics.lowestPriceSince = async function (
+  productId,
+  currentPrice,
+  since,
+  variantId = null
+) {
+  const changes = await this.find({
+    product: productId,
+    variant: variantId,
+    createdAt: { $gte: since },
+  })
+    .select("oldPrice newPrice")
+    .lean();
+  return Math.min(
+    currentPrice,
+    ...changes.flatMap((change) => [change.oldPrice, change.newPrice])
+  );
+};
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+export default PriceHistory;
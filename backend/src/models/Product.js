@@ -1,8 +1,126 @@
 // src/models/Product.js
 import mongoose from "mongoose";
+import { normalizeSearchText, trigrams } from "../utils/searchText.js";
+import archivable from "./plugins/archivable.js";
+import sluggable from "./plugins/sluggable.js";
+import { isValidGtin } from "../utils/catalogFeed.js";
+
+// Limite de imagens na galeria de cada produto
+export const MAX_PRODUCT_IMAGES =
+  parseInt(process.env.PRODUCT_MAX_IMAGES, 10) || 8;
+
+// Imagem da galeria do produto (a ordem do array é a ordem de exibição)
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  publicId: {
+    // ID público no Cloudinary
+    type: String,
+  },
+  alt: {
+    // Texto alternativo (acessibilidade/SEO)
+    type: String,
+    trim: true,
+    maxlength: [200, "O texto alternativo pode ter no máximo 200 caracteres."],
+  },
+  isCover: {
+    // Imagem de capa: espelhada em `image`/`imagePublicId` do produto
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Eixo de variação do produto, ex: { name: "Tamanho", values: ["P", "M", "G"] }
+const optionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "O nome da opção é obrigatório."],
+      trim: true,
+      maxlength: 50,
+    },
+    values: {
+      type: [{ type: String, trim: true, maxlength: 50 }],
+      validate: {
+        validator: (values) => values.length > 0,
+        message: "Cada opção precisa de ao menos um valor.",
+      },
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Preço promocional do produto, válido no período informado (sem datas, vale até ser removido)
+const saleSchema = new mongoose.Schema(
+  {
+    price: {
+      type: Number,
+      required: [true, "O preço promocional é obrigatório."],
+      min: [0.01, "Preço promocional deve ser maior que zero."],
+    },
+    startsAt: {
+      type: Date,
+    },
+    endsAt: {
+      type: Date,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Variação vendável (SKU): uma combinação de valores das opções, com preço, estoque e imagem próprios
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "O SKU da variação é obrigatório."],
+      trim: true,
+      uppercase: true,
+      maxlength: 64,
+    },
+    options: {
+      // Valor escolhido em cada eixo, ex: { Tamanho: "M", Cor: "Azul" }
+      type: Map,
+      of: String,
+      required: true,
+    },
+    price: {
+      // Opcional: sem valor, vale o preço do produto
+      type: Number,
+      min: [0.01, "Preço deve ser maior que zero."],
+    },
+    stock: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: [0, "Estoque não pode ser negativo."],
+    },
+    image: {
+      type: String,
+    },
+    imagePublicId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
 
 const productSchema = new mongoose.Schema(
   {
+    externalId: {
+      // Identificador estável vindo de sistemas externos (SKU/ID do ERP), usado na importação
+      type: String,
+      trim: true,
+      maxlength: [100, "O externalId pode ter no máximo 100 caracteres."],
+    },
     name: {
       type: String,
       required: [true, "Nome do produto é obrigatório."],
@@ -14,32 +132,78 @@ const productSchema = new mongoose.Schema(
       trim: true,
     },
     image: {
-      // URL da imagem (principalmente do Cloudinary)
+      // URL da imagem de capa (principalmente do Cloudinary)
       type: String,
       // Não é obrigatório aqui, pois o upload pode falhar,
       // mas a lógica de negócio pode exigir.
     },
     imagePublicId: {
-      // ID público para gerenciar a imagem no Cloudinary
+      // ID público para gerenciar a imagem de capa no Cloudinary
       type: String,
     },
+    images: {
+      // Galeria ordenada; a capa é mantida em sincronia com `image`/`imagePublicId`
+      type: [imageSchema],
+      default: [],
+      validate: {
+        validator: (images) => images.length <= MAX_PRODUCT_IMAGES,
+        message: `Um produto pode ter no máximo ${MAX_PRODUCT_IMAGES} imagens.`,
+      },
+    },
     price: {
       type: Number,
       required: [true, "Preço do produto é obrigatório."],
       min: [0.01, "Preço deve ser maior que zero."], // Garante preço positivo
     },
+    sale: {
+      // Preço promocional agendado; vale para o produto e para as variações sem preço próprio
+      type: saleSchema,
+      default: undefined,
+    },
     stock: {
       type: Number,
       required: [true, "Estoque do produto é obrigatório."], // Torna obrigatório
       default: 0,
       min: [0, "Estoque não pode ser negativo."],
     },
+    lowStockThreshold: {
+      // Ponto de reposição: ao chegar a este estoque, os admins são avisados; null = sem alerta
+      type: Number,
+      default: null,
+      min: [0, "Ponto de reposição não pode ser negativo."],
+      validate: {
+        validator: (value) => value === null || Number.isInteger(value),
+        message: "Ponto de reposição deve ser um número inteiro.",
+      },
+    },
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category", // Referencia o model 'Category'
       required: [true, "Categoria do produto é obrigatória."],
       index: true, // Indexa para filtrar por categoria
     },
+    brand: {
+      // Marca (feeds de catálogo: Google Merchant / Meta)
+      type: String,
+      trim: true,
+      maxlength: [70, "A marca pode ter no máximo 70 caracteres."],
+    },
+    gtin: {
+      // Código de barras (EAN/UPC/GTIN), enviado nos feeds de catálogo quando informado
+      type: String,
+      trim: true,
+      validate: {
+        validator: (value) => !value || isValidGtin(value),
+        message: "GTIN inválido (8, 12, 13 ou 14 dígitos, com dígito verificador).",
+      },
+    },
+    attributes: {
+      // Atributos tipados definidos pela categoria (ex: { voltage: "220", warranty: 12 }),
+      // validados no controller com utils/productAttributes.js
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
     rating: {
       // Média das avaliações recebidas
       type: Number,
@@ -57,14 +221,212 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    salesCount: {
+      // Unidades vendidas (pedidos criados menos devoluções de estoque), usado na popularidade
+      type: Number,
+      default: 0,
+    },
+    // --- Campos de busca (sugestões), derivados do nome ---
+    searchName: {
+      // Nome em minúsculas e sem acentos (prefixo)
+      type: String,
+      select: false,
+      index: true,
+    },
+    searchTrigrams: {
+      // Trigramas do nome (tolerância a erros de digitação)
+      type: [String],
+      select: false,
+      index: true,
+    },
+    options: {
+      // Eixos de variação (vazio para produtos sem variações)
+      type: [optionSchema],
+      default: [],
+    },
+    variants: {
+      // SKUs do produto; quando houver, o `stock` do produto é a soma dos estoques das variações
+      type: [variantSchema],
+      default: [],
+    },
   },
   {
     timestamps: true, // Adiciona createdAt e updatedAt
   }
 );
 
-// Criação de índice de texto para buscas com $text (se não foi criado manualmente)
-// productSchema.index({ name: 'text', description: 'text' });
+// externalId único entre os produtos que o possuem
+productSchema.index(
+  { externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+// SKU único entre todos os produtos (o filtro ignora produtos sem variações)
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+
+// --- Campos de busca derivados do nome ---
+// Não são carregados nas consultas (select: false), então são recalculados a cada save.
+productSchema.pre("validate", function (next) {
+  if (this.name) {
+    this.searchName = normalizeSearchText(this.name);
+    this.searchTrigrams = trigrams(this.name);
+  }
+  next();
+});
+
+// Atualizações via findOneAndUpdate/findByIdAndUpdate (ex: updateProduct) também recalculam
+productSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const name = update.$set?.name ?? update.name;
+  if (typeof name === "string") {
+    this.set({ searchName: normalizeSearchText(name), searchTrigrams: trigrams(name) });
+  }
+  next();
+});
+
+// --- Sincroniza a galeria com a imagem de capa ---
+// Produtos antigos (apenas `image`) ganham a galeria com essa imagem como capa.
+productSchema.pre("validate", function (next) {
+  if (!this.images.length && this.image) {
+    this.images.push({ url: this.image, publicId: this.imagePublicId, isCover: true });
+  }
+  if (this.images.length) {
+    const cover = this.images.find((image) => image.isCover) || this.images[0];
+    this.images.forEach((image) => {
+      image.isCover = image === cover;
+    });
+    this.image = cover.url;
+    this.imagePublicId = cover.publicId;
+  }
+  next();
+});
+
+// --- Validação das variações contra os eixos de opção ---
+// Cada variação deve ter exatamente um valor válido por eixo, sem combinações ou SKUs repetidos.
+productSchema.pre("validate", function (next) {
+  if (!this.variants.length) {
+    // Removida a última variação, o produto fica sem estoque até receber um novo valor
+    if (!this.isNew && this.isModified("variants")) this.stock = 0;
+    return next();
+  }
+
+  const axes = new Map(this.options.map((option) => [option.name, option.values]));
+  if (!axes.size) {
+    this.invalidate("options", "Defina as opções (eixos) antes de cadastrar variações.");
+    return next();
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+  this.variants.forEach((variant, index) => {
+    const chosen = variant.options || new Map();
+    const invalidAxis = [...axes.keys()].find(
+      (axis) => !axes.get(axis).includes(chosen.get(axis))
+    );
+    if (invalidAxis || chosen.size !== axes.size) {
+      this.invalidate(
+        `variants.${index}.options`,
+        `A variação ${variant.sku} deve ter um valor válido para cada opção (${[...axes.keys()].join(", ")}).`
+      );
+    }
+
+    const combination = [...axes.keys()].map((axis) => chosen.get(axis)).join("|");
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, `Já existe uma variação com as opções de ${variant.sku}.`);
+    }
+    combinations.add(combination);
+
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `SKU ${variant.sku} repetido neste produto.`);
+    }
+    skus.add(variant.sku);
+  });
+
+  // O estoque do produto passa a ser derivado das variações
+  this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  next();
+});
+
+// --- Validação do preço promocional contra o preço normal e o período ---
+productSchema.pre("validate", function (next) {
+  if (!this.sale) return next();
+  if (this.sale.price >= this.price) {
+    this.invalidate("sale.price", "O preço promocional deve ser menor que o preço do produto.");
+  }
+  if (this.sale.startsAt && this.sale.endsAt && this.sale.endsAt <= this.sale.startsAt) {
+    this.invalidate("sale.endsAt", "A data de término deve ser posterior à data de início.");
+  }
+  next();
+});
+
+// --- Método de Instância: Preço (sem descontos) de uma variação (ou do produto) ---
+productSchema.methods.priceFor = function (variant) {
+  return variant && variant.price !== undefined && variant.price !== null
+    ? variant.price
+    : this.price;
+};
+
+// --- Método de Instância: IDs no Cloudinary de todas as imagens (galeria, capa e variações) ---
+productSchema.methods.imagePublicIds = function () {
+  const ids = [
+    this.imagePublicId,
+    ...this.images.map((image) => image.publicId),
+    ...this.variants.map((variant) => variant.imagePublicId),
+  ];
+  return [...new Set(ids.filter(Boolean))];
+};
+
+// --- Método Estático: Campos de busca dos produtos anteriores à busca por sugestões ---
+// Os campos só são calculados ao salvar; a migração da inicialização (config/db.js) preenche os que faltam.
+productSchema.statics.backfillSearchFields = async function () {
+  const products = await this.find({ searchName: { $exists: false } }).select("name").lean();
+  if (!products.length) return;
+  await this.bulkWrite(
+    products.map(({ _id, name }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { searchName: normalizeSearchText(name), searchTrigrams: trigrams(name) } },
+      },
+    }))
+  );
+};
+
+// Campos internos de busca ficam fora das respostas (select: false não vale para documentos salvos)
+productSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.searchName;
+    delete ret.searchTrigrams;
+    return ret;
+  },
+});
+
+// Índice de texto para buscas com $text (parâmetro `q` da listagem)
+productSchema.index({ name: "text", description: "text" });
+
+// Índices para os filtros da listagem (categoria + preço, avaliação)
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ rating: -1 });
+
+// Última alteração do catálogo (versão do cache dos sitemaps e do feed, ver seoController)
+productSchema.index({ updatedAt: -1 });
+
+// Produtos removidos são arquivados (pedidos, avaliações e carrinhos os referenciam)
+productSchema.plugin(archivable);
+
+// Slug gerado do nome para as URLs da vitrine; ao renomear, o slug antigo vira alias
+productSchema.plugin(sluggable);
+
+// Slug único entre os produtos que o possuem (produtos antigos recebem o slug na inicialização, ver backfillSlugs)
+productSchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $exists: true } } }
+);
 
 const Product = mongoose.model("Product", productSchema);
 
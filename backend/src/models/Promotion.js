@@ -0,0 +1,143 @@
+// src/models/Promotion.js
+import mongoose from "mongoose";
+import Category from "./Category.js";
+
+export const PROMOTION_TYPES = ["percentage", "fixed"];
+
+// Promoção agendada: desconto percentual ou fixo sobre o preço de produtos e/ou categorias.
+// Promoções não se acumulam: vale o menor preço entre o preço normal, o preço promocional
+// do produto (sale) e cada promoção aplicável (ver utils/pricing.js).
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      // Identificação exibida ao cliente, ex: "Black Friday"
+      type: String,
+      required: [true, "O nome da promoção é obrigatório."],
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    type: {
+      // percentage: `value`% de desconto; fixed: `value` reais de desconto por unidade
+      type: String,
+      enum: {
+        values: PROMOTION_TYPES,
+        message: "Tipo de promoção inválido (use percentage ou fixed).",
+      },
+      required: [true, "O tipo da promoção é obrigatório."],
+    },
+    value: {
+      type: Number,
+      required: [true, "O valor do desconto é obrigatório."],
+      min: [0.01, "O valor do desconto deve ser maior que zero."],
+    },
+    products: {
+      // Produtos incluídos diretamente
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+      index: true,
+    },
+    categories: {
+      // Todos os produtos destas categorias
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+      index: true,
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "A data de início da promoção é obrigatória."],
+    },
+    endsAt: {
+      // Opcional: sem valor, a promoção vale até ser desativada
+      type: Date,
+    },
+    active: {
+      // Permite pausar a promoção sem alterar o período
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre("validate", function (next) {
+  if (!this.products.length && !this.categories.length) {
+    this.invalidate("products", "Informe ao menos um produto ou uma categoria para a promoção.");
+  }
+  if (this.type === "percentage" && this.value >= 100) {
+    this.invalidate("value", "O desconto percentual deve ser menor que 100.");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "A data de término deve ser posterior à data de início.");
+  }
+  next();
+});
+
+// --- Filtro das promoções em vigor em uma data ---
+export const activeAt = (at = new Date()) => ({
+  active: true,
+  startsAt: { $lte: at },
+  $or: [{ endsAt: null }, { endsAt: { $gt: at } }],
+});
+
+// --- Categorias alcançadas pelas promoções ---
+// Uma promoção de categoria vale também para as subcategorias (como o filtro ?category= da
+// listagem de produtos): devolve cópias das promoções com as descendentes em `categories`.
+export const withSubcategories = async (promotions, options = {}) => {
+  const ids = promotions.flatMap((promotion) => promotion.categories);
+  if (!ids.length) return promotions;
+  const descendants = await Category.find({ ancestors: { $in: ids } })
+    .select("ancestors")
+    .setOptions(options)
+    .lean();
+  return promotions.map((promotion) => {
+    const own = new Set(promotion.categories.map(String));
+    return {
+      ...promotion,
+      categories: [
+        ...promotion.categories,
+        ...descendants
+          .filter((category) => category.ancestors.some((id) => own.has(String(id))))
+          .map((category) => category._id),
+      ],
+    };
+  });
+};
+
+// --- Método Estático: Promoções em vigor (lean, prontas para utils/pricing.js) ---
+// `options` é repassado às consultas (ex: { session } dentro de uma transação).
+promotionSchema.statics.findActive = async function (at = new Date(), options = {}) {
+  const promotions = await this.find(activeAt(at))
+    .select("name type value products categories startsAt endsAt")
+    .setOptions(options)
+    .lean();
+  return withSubcategories(promotions, options);
+};
+
+// --- Virtual: Situação da promoção agora (agendada, em vigor, encerrada ou pausada) ---
+promotionSchema.virtual("status").get(function () {
+  const now = new Date();
+  if (!this.active) return "paused";
+  if (this.startsAt > now) return "scheduled";
+  if (this.endsAt && this.endsAt <= now) return "ended";
+  return "running";
+});
+
+promotionSchema.set("toJSON", { virtuals: true });
+promotionSchema.set("toObject", { virtuals: true });
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,71 @@
+// src/models/Role.js
+import mongoose from "mongoose";
+import {
+  SYSTEM_ROLES,
+  isSystemRole,
+  isKnownPermission,
+} from "../config/permissions.js";
+
+// Roles customizadas (ex: catalog_manager, fulfilment_operator, support_agent).
+// As roles do sistema (admin/user) vivem em config/permissions.js e não são persistidas.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      // Identificador usado em User.role
+      type: String,
+      required: [true, "O nome da role é obrigatório."],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z][a-z0-9_]{1,49}$/,
+        "O nome da role deve ter de 2 a 50 caracteres: letras minúsculas, números e '_' (começando por letra).",
+      ],
+      validate: {
+        validator: (value) => !isSystemRole(value),
+        message: "Este nome é reservado para uma role do sistema.",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (values) => values.every(isKnownPermission),
+        message: "A role contém permissões desconhecidas.",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sem permissões repetidas
+roleSchema.pre("save", function (next) {
+  if (this.isModified("permissions")) {
+    this.permissions = [...new Set(this.permissions)];
+  }
+  next();
+});
+
+// --- Método Estático: A role existe (do sistema ou customizada)? ---
+roleSchema.statics.roleExists = async function (name) {
+  if (isSystemRole(name)) return true;
+  return !!(await this.exists({ name }));
+};
+
+// --- Método Estático: Permissões efetivas de uma role (vazio se ela não existir mais) ---
+roleSchema.statics.permissionsFor = async function (name) {
+  if (isSystemRole(name)) return SYSTEM_ROLES[name].permissions;
+  const role = await this.findOne({ name }).select("permissions").lean();
+  return role ? role.permissions : [];
+};
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
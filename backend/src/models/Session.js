@@ -0,0 +1,156 @@
+// src/models/Session.js
+import mongoose from "mongoose";
+import { generateRefreshSecret, hashToken } from "../utils/jwtUtils.js";
+
+// Cada Session representa uma "família" de refresh tokens originada em um login.
+// Apenas o hash do segredo ATUAL é guardado; segredos anteriores (já rotacionados)
+// que forem reapresentados indicam roubo/reuso e revogam a família inteira.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      // Hash SHA-256 do segredo do refresh token vigente
+      type: String,
+      required: true,
+      select: false,
+    },
+    mfaVerified: {
+      // Sessão aberta com segundo fator validado (exigido para rotas de admin)
+      type: Boolean,
+      default: false,
+    },
+    rotationCount: {
+      // Quantas vezes o refresh token desta sessão já foi rotacionado
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      // Validade absoluta do refresh token vigente
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      // Preenchido em logout, logout-all ou detecção de reuso
+      type: Date,
+      index: true,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "reuse_detected",
+        "password_changed",
+        "mfa_changed",
+        "account_deleted",
+        "account_archived",
+      ],
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove automaticamente sessões expiradas há mais de 7 dias (mantém histórico curto para auditoria)
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+// --- Duração do refresh token (em dias) ---
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// --- Método Estático: Abre uma nova sessão e retorna o refresh token em texto puro ---
+sessionSchema.statics.issue = async function (
+  userId,
+  req = {},
+  { mfaVerified = false } = {}
+) {
+  const secret = generateRefreshSecret();
+  const session = await this.create({
+    user: userId,
+    mfaVerified,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    lastUsedAt: new Date(),
+    createdByIp: req.ip,
+    userAgent: req.headers?.["user-agent"]?.slice(0, 500),
+  });
+  // Formato: <sessionId>.<segredo> — o ID localiza a família sem expor o hash
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// --- Método Estático: Revoga todas as sessões ativas de um usuário ---
+sessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason = "logout_all",
+  exceptSessionId = null
+) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+// --- Método de Instância: Rotaciona o segredo e retorna o novo refresh token ---
+// A troca é condicionada ao hash apresentado, então duas rotações concorrentes com o
+// mesmo token não podem ambas vencer: a perdedora recebe null e é tratada como reuso.
+sessionSchema.methods.rotate = async function (presentedHash) {
+  const secret = generateRefreshSecret();
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      refreshTokenHash: presentedHash,
+      revokedAt: { $exists: false },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+  return updated ? `${this._id}.${secret}` : null;
+};
+
+// --- Método de Instância: Revoga esta sessão ---
+sessionSchema.methods.revoke = async function (reason = "logout") {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// --- Método de Instância: Sessão ainda pode ser usada? ---
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,82 @@
+// src/models/StockMovement.js
+import mongoose from "mongoose";
+
+// initial: saldo de cadastro (ou de abertura, para produtos anteriores ao livro)
+// sale: pedido criado; cancellation: pedido cancelado/pagamento recusado; refund: pedido reembolsado
+// adjustment: ajuste manual ou edição do produto/variações; import: importação do catálogo
+export const STOCK_MOVEMENT_REASONS = [
+  "initial",
+  "sale",
+  "cancellation",
+  "refund",
+  "adjustment",
+  "import",
+];
+
+// Livro de estoque (somente inclusão): cada alteração do estoque de um produto ou variação.
+// A soma dos `delta` de um produto é igual ao seu estoque atual (e a de uma variação,
+// ao estoque da variação); `balance` é o saldo logo após o movimento.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // --- Variação (SKU) movimentada; ausente para produtos sem variações ---
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      enum: STOCK_MOVEMENT_REASONS,
+      required: true,
+      index: true,
+    },
+    delta: {
+      // Quantidade que entrou (positiva) ou saiu (negativa)
+      type: Number,
+      required: true,
+    },
+    balance: {
+      // Estoque do produto (ou da variação) após o movimento
+      type: Number,
+      required: true,
+    },
+    order: {
+      // Pedido de origem (vendas, cancelamentos e reembolsos)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      index: true,
+    },
+    actor: {
+      // Quem fez a alteração (ausente em movimentos automáticos, ex: webhooks)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    note: {
+      // Motivo informado no ajuste manual ou contexto do movimento
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Consultas típicas: movimentos de um produto (ou variação) e listagem por período
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ createdAt: -1 });
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
@@ -1,6 +1,11 @@
 // src/models/User.js
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { hashToken } from '../utils/jwtUtils.js';
+import { verifyTotp } from '../utils/totp.js';
+import Role from './Role.js';
+import archivable from './plugins/archivable.js';
 
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
@@ -31,11 +36,67 @@ const userSchema = new mongoose.Schema({
         select: false
     },
     role: {
+        // Nome de uma role do sistema ('admin', 'user') ou de uma Role customizada
         type: String,
-        enum: ['admin', 'user'],
-        default: 'user'
+        default: 'user',
+        validate: {
+            validator: (value) => Role.roleExists(value),
+            message: (props) => `A role '${props.value}' não existe.`
+        }
     },
     passwordChangedAt: Date,
+    // --- Verificação de email ---
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    emailVerificationSentAt: {
+        // Último envio do link de verificação (usado no cooldown de reenvio)
+        type: Date,
+        select: false
+    },
+    // --- Autenticação em dois fatores (TOTP) ---
+    mfaEnabled: {
+        type: Boolean,
+        default: false
+    },
+    mfaSecret: {
+        // Segredo base32 ativo (nunca retornado nas consultas)
+        type: String,
+        select: false
+    },
+    mfaPendingSecret: {
+        // Segredo gerado no /mfa/setup, aguardando confirmação com um código válido
+        type: String,
+        select: false
+    },
+    mfaRecoveryCodes: {
+        // Hashes SHA-256 dos códigos de recuperação ainda não usados
+        type: [String],
+        select: false
+    },
+    mfaLastUsedStep: {
+        // Último passo TOTP aceito (impede replay do mesmo código)
+        type: Number,
+        select: false
+    },
+    // --- Reset de senha (apenas o hash do token é persistido) ---
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    // --- Exclusão de conta (LGPD) ---
+    deletedAt: {
+        // Preenchido quando a conta é anonimizada; o documento fica apenas como
+        // referência dos pedidos mantidos por obrigação fiscal
+        type: Date,
+        index: true
+    },
 
 }, { timestamps: true }); 
 
@@ -66,6 +127,76 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
     return false;
 };
 
+// --- MÉTODO DE INSTÂNCIA PARA GERAR TOKEN DE RESET DE SENHA ---
+// Retorna o token em texto puro (enviado por email); no documento fica apenas o hash.
+// O chamador é responsável por salvar o documento.
+userSchema.methods.createPasswordResetToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 30;
+
+    this.passwordResetToken = hashToken(resetToken);
+    this.passwordResetExpires = Date.now() + ttlMinutes * 60 * 1000;
+
+    return resetToken;
+};
+
+// --- MÉTODO DE INSTÂNCIA PARA VALIDAR O SEGUNDO FATOR ---
+// Aceita um código TOTP (uma vez por passo) ou um código de recuperação (uso único).
+// Requer que mfaSecret, mfaRecoveryCodes e mfaLastUsedStep tenham sido selecionados.
+// O uso do código é gravado no banco por uma atualização condicional: entre requisições
+// simultâneas com o mesmo código, apenas uma é aceita. O documento em memória é atualizado
+// sem ficar marcado como modificado (um save posterior não sobrescreve usos mais recentes).
+userSchema.methods.verifySecondFactor = async function ({ code, recoveryCode }) {
+    if (!this.mfaEnabled || !this.mfaSecret) return false;
+
+    if (code) {
+        const step = verifyTotp(this.mfaSecret, code);
+        if (step === null) return false;
+        const { modifiedCount } = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                mfaEnabled: true,
+                $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }]
+            },
+            { $set: { mfaLastUsedStep: step } }
+        );
+        if (!modifiedCount) return false;
+        this.mfaLastUsedStep = step;
+        this.unmarkModified('mfaLastUsedStep');
+        return true;
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashToken(String(recoveryCode).trim().toLowerCase());
+        const { modifiedCount } = await this.constructor.updateOne(
+            { _id: this._id, mfaEnabled: true, mfaRecoveryCodes: codeHash },
+            { $pull: { mfaRecoveryCodes: codeHash } }
+        );
+        if (!modifiedCount) return false;
+        this.mfaRecoveryCodes.pull(codeHash);
+        this.unmarkModified('mfaRecoveryCodes');
+        return true;
+    }
+
+    return false;
+};
+
+// --- MÉTODO ESTÁTICO: CONTAS ANTERIORES À VERIFICAÇÃO DE EMAIL ---
+// Contas criadas antes da verificação de email não têm o campo, e o default (false) as bloquearia
+// no checkout: são marcadas como verificadas. Executado ao conectar ao banco (config/db.js).
+userSchema.statics.verifyLegacyEmails = function () {
+    return this.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } });
+};
+
+// --- MÉTODO DE INSTÂNCIA: CONTA PODE SE AUTENTICAR? ---
+// Contas excluídas (anonimizadas) ou arquivadas não fazem login nem usam tokens/chaves antigos
+userSchema.methods.isInactive = function () {
+    return Boolean(this.deletedAt || this.archivedAt);
+};
+
+// Contas desativadas pelo admin são arquivadas (reversível, ao contrário da exclusão/anonimização)
+userSchema.plugin(archivable);
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
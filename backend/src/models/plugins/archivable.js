@@ -0,0 +1,55 @@
+// src/models/plugins/archivable.js
+import mongoose from 'mongoose';
+
+// Filtro dos documentos não arquivados (null também casa documentos antigos, sem o campo)
+export const NOT_ARCHIVED = { archivedAt: null };
+
+/**
+ * Plugin de arquivamento (exclusão lógica) reaproveitável entre os models.
+ * Documentos arquivados continuam no banco (pedidos, avaliações e auditoria apontam para eles),
+ * mas ficam fora das listagens; cada controller decide quando filtrá-los com NOT_ARCHIVED
+ * ou com o query helper `.notArchived()`.
+ *
+ * Adiciona:
+ *  - campos `archivedAt` (indexado) e `archivedBy`;
+ *  - virtual `isArchived`;
+ *  - métodos `archive(userId)` e `restore()` (apenas alteram o documento; o chamador salva).
+ * @param {mongoose.Schema} schema
+ */
+const archivable = (schema) => {
+    schema.add({
+        archivedAt: {
+            // Data do arquivamento; null = ativo
+            type: Date,
+            default: null,
+            index: true
+        },
+        archivedBy: {
+            // Quem arquivou
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    });
+
+    schema.virtual('isArchived').get(function () {
+        return Boolean(this.archivedAt);
+    });
+
+    schema.methods.archive = function (userId) {
+        this.archivedAt = new Date();
+        this.archivedBy = userId;
+        return this;
+    };
+
+    schema.methods.restore = function () {
+        this.archivedAt = null;
+        this.archivedBy = undefined;
+        return this;
+    };
+
+    schema.query.notArchived = function () {
+        return this.where(NOT_ARCHIVED);
+    };
+};
+
+export default archivable;
@@ -0,0 +1,94 @@
+// src/models/plugins/sluggable.js
+import { slugify } from '../../utils/searchText.js';
+import { NOT_ARCHIVED } from './archivable.js';
+
+// Primeiro slug livre a partir de `base`: "camiseta", "camiseta-2", "camiseta-3"...
+// Slugs antigos (aliases) de outros documentos também contam como ocupados.
+const availableSlug = async (model, base, id, session) => {
+    let slug = base;
+    let suffix = 1;
+    while (await model.exists({ _id: { $ne: id }, $or: [{ slug }, { slugAliases: slug }] }).session(session)) {
+        suffix += 1;
+        slug = `${base}-${suffix}`;
+    }
+    return slug;
+};
+
+// Slugs antigos do documento, sem repetições e sem o slug atual
+const aliasesFor = (current, aliases, slug) =>
+    [...new Set([...aliases, current])].filter((alias) => alias && alias !== slug);
+
+/**
+ * Plugin de slug reaproveitável entre os models (categorias e produtos).
+ * O slug é gerado a partir do campo `source` (sem acentos, ver slugify) ao criar o documento e a cada
+ * mudança desse campo, inclusive em findOneAndUpdate. Se outro documento já usa o slug (atual ou
+ * antigo), ele recebe um sufixo numérico. Ao renomear, o slug anterior vai para `slugAliases`, para
+ * que URLs antigas continuem resolvendo em `findBySlug`.
+ * O índice único de `slug` fica a cargo do model.
+ *
+ * Adiciona:
+ *  - campos `slug` e `slugAliases` (indexado);
+ *  - static `findBySlug(slug)`: documento ativo pelo slug atual ou antigo -> { document, alias };
+ *  - static `backfillSlugs()`: gera o slug dos documentos antigos, que ainda não o têm.
+ * @param {mongoose.Schema} schema
+ * @param {{ source?: string }} [options] - Campo de origem do slug (padrão: `name`).
+ */
+const sluggable = (schema, { source = 'name' } = {}) => {
+    schema.add({
+        slug: {
+            type: String,
+            lowercase: true
+        },
+        slugAliases: {
+            // Slugs antigos que ainda resolvem para este documento (renomeações, mesclas)
+            type: [{ type: String, lowercase: true }],
+            default: [],
+            index: true
+        }
+    });
+
+    // Documentos antigos, sem slug, recebem um no próximo save
+    schema.pre('validate', async function () {
+        const value = this.get(source);
+        if (!value || (this.slug && !this.isModified(source))) return;
+        const slug = await availableSlug(this.constructor, slugify(value) || String(this._id), this._id, this.$session());
+        if (slug === this.slug) return;
+        this.slugAliases = aliasesFor(this.slug, this.slugAliases, slug);
+        this.slug = slug;
+    });
+
+    schema.pre('findOneAndUpdate', async function () {
+        const update = this.getUpdate() || {};
+        const value = update.$set?.[source] ?? update[source];
+        if (typeof value !== 'string' || !value.trim()) return;
+        const session = this.getOptions().session;
+        const current = await this.model.findOne(this.getFilter()).select('slug slugAliases').session(session);
+        if (!current) return;
+        const slug = await availableSlug(this.model, slugify(value) || String(current._id), current._id, session);
+        if (slug === current.slug) return;
+        this.set({ slug, slugAliases: aliasesFor(current.slug, current.slugAliases, slug) });
+    });
+
+    // Documentos anteriores ao slug (migração da inicialização, ver config/db.js). Um por vez, para que
+    // documentos antigos de mesmo nome recebam sufixos distintos; grava apenas o slug, sem revalidar o resto.
+    schema.statics.backfillSlugs = async function () {
+        const documents = await this.find({ slug: null }).select(source);
+        for (const document of documents) {
+            const value = document.get(source);
+            if (!value) continue;
+            const slug = await availableSlug(this, slugify(value) || String(document._id), document._id, null);
+            await this.updateOne({ _id: document._id }, { $set: { slug } });
+        }
+    };
+
+    // alias = true quando o slug informado é antigo (a vitrine deve redirecionar para o atual)
+    schema.statics.findBySlug = async function (slug) {
+        const normalized = String(slug).toLowerCase();
+        const current = await this.findOne({ slug: normalized, ...NOT_ARCHIVED });
+        if (current) return { document: current, alias: false };
+        const aliased = await this.findOne({ slugAliases: normalized, ...NOT_ARCHIVED });
+        return { document: aliased, alias: Boolean(aliased) };
+    };
+};
+
+export default sluggable;
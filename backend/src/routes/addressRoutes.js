@@ -1,7 +1,7 @@
 //src/routes/addressRoutes.js
 import express from "express";
 import { body, param } from "express-validator";
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, forbidApiKey } from "../middleware/auth.js";
 import {
   addAddress,
   getMyAddresses,
@@ -13,8 +13,8 @@ import {
 
 const router = express.Router();
 
-// --- Aplica autenticação a TODAS as rotas de endereço ---
-router.use(authenticate);
+// --- Aplica autenticação a TODAS as rotas de endereço (apenas usuários, não chaves de API) ---
+router.use(authenticate, forbidApiKey);
 
 // --- Regras de Validação para CRIAÇÃO (POST) ---
 const createAddressValidationRules = [
@@ -0,0 +1,156 @@
+// src/routes/apiKeyRoutes.js
+import express from "express";
+import { body, param } from "express-validator";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { isApiKeyScope } from "../config/permissions.js";
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/apiKeyController.js";
+
+const router = express.Router();
+
+// --- VALIDAÇÕES ---
+
+const createApiKeyValidationRules = [
+  body("name", "Nome da chave é obrigatório (até 100 caracteres)")
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("scopes", "Escopos devem ser uma lista não vazia de permissões")
+    .isArray({ min: 1 })
+    .bail()
+    .custom((values) => {
+      const invalid = values.filter((value) => !isApiKeyScope(value));
+      if (invalid.length) {
+        throw new Error(
+          `Escopos inválidos para chaves de API: ${invalid.join(", ")}. Consulte GET /api/roles/permissions (roles:manage, users:impersonate e api-keys:manage não podem ser delegados).`
+        );
+      }
+      return true;
+    }),
+  body("expiresAt", "Data de expiração inválida (use ISO 8601)")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (value <= new Date()) {
+        throw new Error("A data de expiração deve estar no futuro.");
+      }
+      return true;
+    }),
+  body("rateLimitPerMinute", "Limite por minuto inválido (entre 1 e 10000)")
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .toInt(),
+];
+
+const apiKeyIdValidation = [
+  param("id", "ID de chave de API inválido").isMongoId(),
+];
+
+// Todas as rotas exigem login + permissão de gerenciar chaves
+router.use(authenticate, requirePermission("api-keys:manage"));
+
+// --- ROTAS ---
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Chaves de API para integrações servidor-a-servidor (requer api-keys:manage). A chave é enviada no header `X-API-Key`.
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Lista as chaves de API (sem o valor da chave).
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Lista de chaves.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 2 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKeys:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/ApiKeyOutput' }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   post:
+ *     summary: Cria uma chave de API.
+ *     tags: [API Keys]
+ *     description: O valor da chave (`key`) é retornado apenas nesta resposta; no banco fica somente o hash. Os escopos precisam estar contidos nas permissões de quem cria a chave. A integração age em nome do criador.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyInput'
+ *     responses:
+ *       '201':
+ *         description: Chave criada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 message: { type: string }
+ *                 key: { type: string, example: "ak_Xq3v...", description: Valor da chave (exibido uma única vez). }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKey: { $ref: '#/components/schemas/ApiKeyOutput' }
+ *       '400': { description: Dados inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido ou escopos além das permissões do criador, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/", getApiKeys);
+router.post("/", createApiKeyValidationRules, createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoga uma chave de API.
+ *     tags: [API Keys]
+ *     description: A chave deixa de ser aceita imediatamente, mas continua listada (com `revokedAt`) para histórico.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ApiKeyIdParam'
+ *     responses:
+ *       '200':
+ *         description: Chave revogada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKey: { $ref: '#/components/schemas/ApiKeyOutput' }
+ *       '400': { description: ID inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Chave não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.delete("/:id", apiKeyIdValidation, revokeApiKey);
+
+export default router;
@@ -0,0 +1,117 @@
+// src/routes/auditLogRoutes.js
+import express from "express";
+import { query } from "express-validator";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { getAuditLogs } from "../controllers/auditLogController.js";
+
+const router = express.Router();
+
+// --- VALIDAÇÕES ---
+
+const getAuditLogsValidationRules = [
+  query("actor", "ID de usuário (actor) inválido").optional().isMongoId(),
+  query("impersonator", "ID de usuário (impersonator) inválido")
+    .optional()
+    .isMongoId(),
+  query("entityType", "Tipo de entidade inválido").optional().isString().trim(),
+  query("entityId", "ID de entidade inválido").optional().isMongoId(),
+  query("action", "Ação inválida").optional().isString().trim(),
+  query("from", "Data inicial inválida (use ISO 8601)")
+    .optional()
+    .isISO8601()
+    .toDate(),
+  query("to", "Data final inválida (use ISO 8601)")
+    .optional()
+    .isISO8601()
+    .toDate(),
+  query("page", "Página inválida (deve ser número inteiro maior que zero)")
+    .optional()
+    .isInt({ gt: 0 })
+    .toInt(),
+  query("limit", "Limite inválido (entre 1 e 100)")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+];
+
+// --- ROTAS ---
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Logs
+ *   description: Log de auditoria das alterações feitas por contas com permissões administrativas.
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Lista o log de auditoria (requer audit-logs:read).
+ *     tags: [Audit Logs]
+ *     description: Retorna as entradas mais recentes primeiro. Cada entrada traz quem fez a alteração, a ação, a entidade afetada, o diff antes/depois (campos sensíveis mascarados), IP e request id.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema: { type: string, format: objectid }
+ *         description: ID do usuário que executou a ação.
+ *       - in: query
+ *         name: impersonator
+ *         schema: { type: string, format: objectid }
+ *         description: ID do admin que agia por meio de um token de personificação.
+ *       - in: query
+ *         name: entityType
+ *         schema: { type: string, example: Product }
+ *       - in: query
+ *         name: entityId
+ *         schema: { type: string, format: objectid }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, example: product.update }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       '200':
+ *         description: Página do log de auditoria.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 20 }
+ *                 totalLogs: { type: integer, example: 134 }
+ *                 totalPages: { type: integer, example: 7 }
+ *                 currentPage: { type: integer, example: 1 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/AuditLogOutput' }
+ *       '400': { description: Filtros inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get(
+  "/",
+  authenticate,
+  requirePermission("audit-logs:read"),
+  getAuditLogsValidationRules,
+  getAuditLogs
+);
+
+export default router;
@@ -1,12 +1,28 @@
 //src/routes/auth.js
 import express from "express";
-import { body } from "express-validator";
+import { body, param } from "express-validator";
 import {
   login,
   register,
   getCurrentUser,
+  refreshTokens,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyMfaLogin,
+  setupMfa,
+  enableMfa,
+  regenerateRecoveryCodes,
+  disableMfa,
 } from "../controllers/authController.js";
-import { authenticate } from "../middleware/auth.js";
+import {
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+} from "../middleware/auth.js";
 import User from "../models/User.js";
 import { cpf } from "cpf-cnpj-validator";
 
@@ -92,13 +108,62 @@ const registerValidationRules = [
     }),
 ];
 
+const refreshValidationRules = [
+  body("refreshToken", "Refresh token é obrigatório")
+    .isString()
+    .trim()
+    .notEmpty(),
+];
+
+const forgotPasswordValidationRules = [
+  body("email", "Email inválido").isEmail().normalizeEmail(),
+];
+
+const resetPasswordValidationRules = [
+  param("token", "Token de redefinição inválido")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 }),
+  body("password", "Nova senha deve ter no mínimo 8 caracteres")
+    .isLength({ min: 8 })
+    .trim(),
+  body("passwordConfirm", "Confirmação de senha é obrigatória")
+    .notEmpty()
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error("A nova senha e a confirmação não coincidem.");
+      }
+      return true;
+    }),
+];
+
+const totpCodeRule = body("code", "Código de 6 dígitos do app autenticador é obrigatório")
+  .trim()
+  .matches(/^\d{6}$/);
+
+const mfaVerifyValidationRules = [
+  body("mfaToken", "Token do desafio de 2FA é obrigatório").isString().notEmpty(),
+  body().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+      throw new Error("Informe o código do app autenticador (code) ou um código de recuperação (recoveryCode).");
+    }
+    return true;
+  }),
+  body("code", "Código TOTP inválido").optional().trim().matches(/^\d{6}$/),
+  body("recoveryCode", "Código de recuperação inválido").optional().isString().trim(),
+];
+
+const mfaDisableValidationRules = [
+  body("password", "Senha é obrigatória").notEmpty(),
+  totpCodeRule,
+];
+
 // --- ROTAS ---
 
 /**
  * @swagger
  * tags:
  *   name: Authentication
- *   description: Endpoints de autenticação (Login e Registro).
+ *   description: Endpoints de autenticação (Login, Registro e Sessões).
  */
 
 /**
@@ -115,11 +180,13 @@ const registerValidationRules = [
  *             $ref: '#/components/schemas/UserInputLogin' # REFERÊNCIA AO SCHEMA CENTRAL
  *     responses:
  *       '200':
- *         description: Login bem-sucedido.
+ *         description: Login bem-sucedido. Se a conta tiver 2FA ativo, retorna apenas o desafio (mfaToken) a ser concluído em /api/auth/mfa/verify.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse' # REFERÊNCIA AO SCHEMA CENTRAL
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse' # REFERÊNCIA AO SCHEMA CENTRAL
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *       '400':
  *         description: Erro de validação (email/senha faltando ou inválido).
  *         content:
@@ -132,6 +199,12 @@ const registerValidationRules = [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '429':
+ *         description: Conta ou IP temporariamente bloqueados após falhas consecutivas. O header Retry-After indica quantos segundos aguardar.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       '500':
  *         description: Erro interno do servidor.
  *         content:
@@ -155,7 +228,7 @@ router.post("/login", loginValidationRules, login);
  *             $ref: '#/components/schemas/UserInputRegister' # REFERÊNCIA AO SCHEMA CENTRAL
  *     responses:
  *       '201':
- *         description: Usuário registrado com sucesso.
+ *         description: Usuário registrado com sucesso. Se o email de verificação não puder ser enviado, a resposta traz `message` orientando o reenvio (POST /api/auth/verify-email/resend).
  *         content:
  *           application/json:
  *             schema:
@@ -213,6 +286,385 @@ router.post("/register", registerValidationRules, register);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get("/me", authenticate, getCurrentUser);
+router.get("/me", authenticate, forbidApiKey, getCurrentUser);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Troca um refresh token válido por um novo par de tokens (rotação).
+ *     tags: [Authentication]
+ *     description: Cada refresh token só pode ser usado uma vez. Reapresentar um token já rotacionado revoga toda a sessão (família de tokens).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       '200':
+ *         description: Novo par de tokens emitido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPairResponse'
+ *       '400':
+ *         description: Refresh token ausente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorValidationResponse'
+ *       '401':
+ *         description: Refresh token inválido, expirado, revogado ou reutilizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/refresh", refreshValidationRules, refreshTokens);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Encerra a sessão atual (revoga o refresh token dela).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessão encerrada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+ *       '401':
+ *         description: Não autenticado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post("/logout", authenticate, forbidApiKey, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Encerra todas as sessões do usuário autenticado (todos os dispositivos).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessões encerradas. Retorna quantas foram revogadas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 message: { type: string, example: Todas as sessões foram encerradas. }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions: { type: integer, example: 3 }
+ *       '401':
+ *         description: Não autenticado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/logout-all",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  logoutAll
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicita um link de redefinição de senha por email.
+ *     tags: [Authentication]
+ *     description: Sempre responde 200 (mesmo que o email não exista) para não revelar contas cadastradas. O token enviado é de uso único e expira.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordInput'
+ *     responses:
+ *       '200':
+ *         description: Pedido registrado (email enviado se a conta existir).
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+ *       '400':
+ *         description: Email inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } }
+ *       '500':
+ *         description: Falha ao enviar o email.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post("/forgot-password", forgotPasswordValidationRules, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Redefine a senha usando o token recebido por email.
+ *     tags: [Authentication]
+ *     description: Consome o token (uso único), define a nova senha, encerra todas as sessões existentes e retorna um novo par de tokens.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *         description: Token de redefinição recebido por email.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordInput'
+ *     responses:
+ *       '200':
+ *         description: Senha redefinida. Retorna novos tokens.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/TokenPairResponse' } } }
+ *       '400':
+ *         description: Token inválido/expirado ou senhas inválidas.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/reset-password/:token",
+  resetPasswordValidationRules,
+  resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Confirma o email do usuário a partir do link assinado enviado por email.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *         description: Token assinado recebido no link de verificação.
+ *     responses:
+ *       '200':
+ *         description: Email verificado (idempotente).
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+ *       '400':
+ *         description: Link inválido, expirado ou emitido para outro email.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.get("/verify-email/:token", verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Reenvia o email de verificação para o usuário autenticado.
+ *     tags: [Authentication]
+ *     description: Sujeito a um intervalo mínimo entre envios (cooldown). Quando bloqueado, retorna 429 com o header Retry-After.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Email reenviado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+ *       '400':
+ *         description: Email já verificado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ *       '401':
+ *         description: Não autenticado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ *       '429':
+ *         description: Reenvio solicitado antes do fim do cooldown.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/verify-email/resend",
+  authenticate,
+  forbidApiKey,
+  resendVerificationEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Conclui o login de uma conta com 2FA (segunda etapa).
+ *     tags: [Authentication]
+ *     description: Recebe o `mfaToken` devolvido pelo /login e um código TOTP (ou um código de recuperação de uso único). Retorna o par de tokens de uma sessão validada com 2FA.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaVerifyInput'
+ *     responses:
+ *       '200':
+ *         description: Segundo fator válido. Retorna os tokens.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/AuthResponse' } } }
+ *       '400':
+ *         description: Dados ausentes ou mal formatados.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } }
+ *       '401':
+ *         description: Desafio expirado/inválido ou código incorreto.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ *       '429':
+ *         description: Muitas tentativas malsucedidas (mesmo bloqueio do /login).
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post("/mfa/verify", mfaVerifyValidationRules, verifyMfaLogin);
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Inicia o cadastro de 2FA (TOTP).
+ *     tags: [Authentication]
+ *     description: Gera um novo segredo e a URI `otpauth://` para o QR code. O 2FA só fica ativo após confirmação em /mfa/enable. Obrigatório para administradores.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Segredo gerado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret: { type: string, example: JBSWY3DPEHPK3PXP }
+ *                     otpauthUrl: { type: string, example: "otpauth://totp/E-commerce%20API%3Aadmin%40loja.com?secret=JBSWY3DPEHPK3PXP&issuer=E-commerce+API" }
+ *       '400':
+ *         description: 2FA já está ativo.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ *       '401':
+ *         description: Não autenticado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/mfa/setup",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  setupMfa
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: Confirma o cadastro de 2FA com um código do app autenticador.
+ *     tags: [Authentication]
+ *     description: Ativa o 2FA, encerra as sessões anteriores e retorna um novo par de tokens já validado com 2FA, além dos códigos de recuperação (exibidos apenas uma vez).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaCodeInput'
+ *     responses:
+ *       '200':
+ *         description: 2FA ativado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 token: { type: string }
+ *                 refreshToken: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes: { type: array, items: { type: string, example: "a1b2-c3d4" } }
+ *       '400':
+ *         description: Código inválido, cadastro não iniciado ou 2FA já ativo.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ *       '401':
+ *         description: Não autenticado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/mfa/enable",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  [totpCodeRule],
+  enableMfa
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Gera um novo conjunto de códigos de recuperação (invalida os anteriores).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaCodeInput'
+ *     responses:
+ *       '200':
+ *         description: Novos códigos gerados.
+ *       '401':
+ *         description: Não autenticado ou código inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/mfa/recovery-codes",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  [totpCodeRule],
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Desativa o 2FA da conta (não permitido para contas com permissões administrativas).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password: { type: string, format: password }
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       '200':
+ *         description: 2FA desativado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+ *       '401':
+ *         description: Senha ou código inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ *       '403':
+ *         description: Contas com permissões administrativas (admin ou roles customizadas) não podem desativar o 2FA.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+ */
+router.post(
+  "/mfa/disable",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  mfaDisableValidationRules,
+  disableMfa
+);
 
 export default router;
@@ -1,7 +1,7 @@
 //src/routes/cartRoutes.js
 import express from "express";
-import { body, param } from "express-validator";
-import { authenticate } from "../middleware/auth.js";
+import { body, param, query } from "express-validator";
+import { authenticate, forbidApiKey } from "../middleware/auth.js";
 import {
   getMyCart,
   addItemToCart,
@@ -12,14 +12,15 @@ import {
 
 const router = express.Router();
 
-// Aplica autenticação a todas as rotas do carrinho
-router.use(authenticate);
+// Aplica autenticação a todas as rotas do carrinho (apenas usuários, não chaves de API)
+router.use(authenticate, forbidApiKey);
 
 // --- Regras de Validação ---
 
 // Validação para adicionar item
 const addItemValidationRules = [
   body("productId", "ID do produto inválido").isMongoId(),
+  body("variantId", "ID da variação inválido").optional().isMongoId(),
   body("quantity", "Quantidade inválida").isInt({ gt: 0 }).toInt(),
 ];
 
@@ -28,9 +29,10 @@ const updateQuantityValidationRules = [
   body("quantity", "Quantidade inválida").isInt({ gt: 0 }).toInt(),
 ];
 
-// Validação para parâmetro ID do produto na URL
+// Validação para parâmetro ID do produto na URL (+ variação opcional na query)
 const productIdParamValidation = [
   param("productId", "ID do produto inválido na URL").isMongoId(),
+  query("variantId", "ID da variação inválido").optional().isMongoId(),
 ];
 
 // --- Definição das Rotas ---
@@ -111,6 +113,10 @@ router.get("/", getMyCart);
  *                 format: objectid
  *                 description: ID do produto a ser adicionado.
  *                 example: '6801a...'
+ *               variantId:
+ *                 type: string
+ *                 format: objectid
+ *                 description: ID da variação (SKU). Obrigatório para produtos com variações.
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -161,6 +167,12 @@ router.post("/items", addItemValidationRules, addItemToCart);
  *           type: string
  *           format: objectid
  *         description: ID do produto cuja quantidade será atualizada.
+ *       - name: variantId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *         description: ID da variação do item (para produtos com variações).
  *     requestBody:
  *       required: true
  *       description: Nova quantidade desejada para o item.
@@ -226,6 +238,12 @@ router.put(
  *           type: string
  *           format: objectid
  *         description: ID do produto a ser removido do carrinho.
+ *       - name: variantId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *         description: ID da variação do item (para produtos com variações).
  *     responses:
  *       '200':
  *         description: Item removido. Retorna o carrinho atualizado.
@@ -1,28 +1,81 @@
 // src/routes/category.js
 import express from "express";
-import { body, param } from "express-validator";
-import { authenticate, isAdmin } from "../middleware/auth.js"; // Importa middlewares
+import { body, param, query } from "express-validator";
+import { ATTRIBUTE_TYPES } from "../models/Category.js";
+import {
+  authenticate,
+  requirePermissionForArchived,
+} from "../middleware/auth.js"; // Importa middlewares
+import { requirePermission } from "../middleware/roles.js";
 import {
   createCategory,
   getCategories,
+  getCategoryTree,
   getCategoryById,
   updateCategory,
   deleteCategory,
+  restoreCategory,
+  mergeCategory,
 } from "../controllers/categoryController.js";
 
 const router = express.Router();
 
 // --- Validações Reutilizáveis ---
 
-// Regra para validar o nome (obrigatório e não vazio) e descrição (opcional)
+// Regra para validar o nome (obrigatório e não vazio), descrição e categoria pai (opcionais)
 const categoryValidationRules = [
   body("name", "Nome da categoria é obrigatório").trim().notEmpty(),
   body("description", "Descrição inválida (opcional)").optional().trim(), // Apenas valida se existe
+  body("parent", "ID de categoria pai inválido")
+    .optional({ values: "falsy" }) // null ou "" = categoria raiz
+    .isMongoId(),
+  // Atributos dos produtos (chaves únicas e opções do enum são conferidas no model)
+  body("attributes", "Atributos devem ser uma lista").optional().isArray({ max: 50 }),
+  body("attributes.*.key", "Chave de atributo inválida (letras minúsculas, números e _, começando por letra)")
+    .isString()
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{0,39}$/),
+  body("attributes.*.type", `Tipo de atributo inválido (${ATTRIBUTE_TYPES.join(", ")})`)
+    .isIn(ATTRIBUTE_TYPES),
+  body("attributes.*.required", "required deve ser true ou false")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  body("attributes.*.options", "Opções devem ser uma lista de textos")
+    .optional()
+    .isArray({ min: 1 }),
 ];
 
+// ?reassignTo=<id> no DELETE: transfere produtos e subcategorias antes de arquivar
+const reassignValidationRule = query(
+  "reassignTo",
+  "ID da categoria de destino inválido"
+)
+  .optional()
+  .isMongoId();
+
 // Regra para validar se o parâmetro :id é um MongoID válido
 const idValidationRule = [param("id", "ID de categoria inválido").isMongoId()];
 
+// Slug no formato gerado pelo model (letras minúsculas, números e hífens)
+const slugValidationRule = [
+  param("slug", "Slug de categoria inválido").matches(/^[a-z0-9-]+$/),
+];
+
+// Origem (:id) e destino (:targetId) da mescla
+const mergeValidationRules = [
+  ...idValidationRule,
+  param("targetId", "ID da categoria de destino inválido").isMongoId(),
+];
+
+// ?includeArchived=true (apenas com categories:write, ver requirePermissionForArchived)
+const includeArchivedValidation = query(
+  "includeArchived",
+  "includeArchived deve ser true ou false"
+)
+  .optional()
+  .isBoolean();
+
 // --- Rotas ---
 
 /**
@@ -33,7 +86,7 @@ const idValidationRule = [param("id", "ID de categoria inválido").isMongoId()];
  */
 
 // Rota para CRIAR categoria (POST /api/categories)
-// Requer autenticação (authenticate) e que o usuário seja admin (isAdmin)
+// Requer autenticação (authenticate) e a permissão categories:write
 // Aplica as regras de validação do corpo (categoryValidationRules)
 /**
  * @swagger
@@ -43,6 +96,7 @@ const idValidationRule = [param("id", "ID de categoria inválido").isMongoId()];
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -72,7 +126,7 @@ const idValidationRule = [param("id", "ID de categoria inválido").isMongoId()];
 router.post(
   "/",
   authenticate,
-  isAdmin,
+  requirePermission("categories:write"),
   categoryValidationRules,
   createCategory
 );
@@ -85,7 +139,10 @@ router.post(
  *   get:
  *     summary: Lista todas as categorias.
  *     tags: [Categories]
+ *     description: Categorias arquivadas ficam de fora, exceto com `includeArchived=true` (requer categories:write).
  *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IncludeArchivedQueryParam'
  *     responses:
  *       '200':
  *         description: Lista de categorias.
@@ -95,11 +152,79 @@ router.post(
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/CategoryOutput'
+ *       '400':
+ *         description: Parâmetro inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}
  *       '500':
  *         description: Erro interno.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.get("/", getCategories);
+router.get(
+  "/",
+  requirePermissionForArchived("categories:write"),
+  includeArchivedValidation,
+  getCategories
+);
+
+// Rota para OBTER a árvore de categorias (GET /api/categories/tree)
+// Rota pública; precisa vir antes de /:id
+/**
+ * @swagger
+ * /api/categories/tree:
+ *   get:
+ *     summary: Retorna a árvore de categorias.
+ *     tags: [Categories]
+ *     description: Lista as categorias raiz, cada uma com as subcategorias em `children` (qualquer profundidade), ordenadas por nome. Categorias arquivadas ficam de fora.
+ *     security: []
+ *     responses:
+ *       '200':
+ *         description: Árvore de categorias.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryTreeNode'
+ *       '500':
+ *         description: Erro interno.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ */
+router.get("/tree", getCategoryTree);
+
+// Rota para OBTER uma categoria pelo slug (GET /api/categories/slug/:slug)
+// Rota pública; slugs antigos de categorias mescladas resolvem para a categoria de destino
+/**
+ * @swagger
+ * /api/categories/slug/{slug}:
+ *   get:
+ *     summary: Obtém uma categoria pelo slug.
+ *     tags: [Categories]
+ *     description: Aceita o slug atual ou um slug antigo de uma categoria mesclada (ver `slugAliases`). No segundo caso a resposta traz `redirectedFrom` com o slug pedido, para que a vitrine redirecione para o slug atual. Categorias arquivadas retornam 404.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema: { type: string, example: eletronicos }
+ *     responses:
+ *       '200':
+ *         description: Detalhes da categoria.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CategoryOutput'
+ *                 - type: object
+ *                   properties:
+ *                     redirectedFrom: { type: string, example: eletronicos-antigos, description: 'Presente quando o slug pedido é um alias.' }
+ *       '400':
+ *         description: Slug inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}
+ *       '404':
+ *         description: Categoria não encontrada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ */
+router.get("/slug/:slug", slugValidationRule, getCategoryById);
 
 // Rota para OBTER uma categoria por ID (GET /api/categories/:id)
 // Rota pública, mas valida o formato do ID
@@ -109,9 +234,11 @@ router.get("/", getCategories);
  *   get:
  *     summary: Obtém uma categoria específica por ID.
  *     tags: [Categories]
+ *     description: Categorias arquivadas retornam 404, exceto com `includeArchived=true` (requer categories:write).
  *     security: []
  *     parameters:
  *       - $ref: '#/components/parameters/CategoryIdParam'
+ *       - $ref: '#/components/parameters/IncludeArchivedQueryParam'
  *     responses:
  *       '200':
  *         description: Detalhes da categoria.
@@ -126,7 +253,13 @@ router.get("/", getCategories);
  *         description: Erro interno.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.get("/:id", idValidationRule, getCategoryById);
+router.get(
+  "/:id",
+  requirePermissionForArchived("categories:write"),
+  idValidationRule,
+  includeArchivedValidation,
+  getCategoryById
+);
 
 // Rota para ATUALIZAR categoria (PUT /api/categories/:id)
 // Requer autenticação e admin
@@ -139,6 +272,7 @@ router.get("/:id", idValidationRule, getCategoryById);
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/CategoryIdParam'
  *     requestBody:
@@ -194,7 +328,7 @@ router.get("/:id", idValidationRule, getCategoryById);
 router.put(
   "/:id",
   authenticate,
-  isAdmin,
+  requirePermission("categories:write"),
   idValidationRule,
   categoryValidationRules,
   updateCategory
@@ -207,23 +341,27 @@ router.put(
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Deleta uma categoria (Admin).
+ *     summary: Arquiva uma categoria (Admin).
  *     tags: [Categories]
+ *     description: Exclusão lógica. Sem `reassignTo`, só é permitida sem subcategorias nem produtos ativos na categoria; com `reassignTo`, os produtos e as subcategorias diretas são transferidos para a categoria indicada antes do arquivamento. Pode ser restaurada em POST /api/categories/{id}/restore.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/CategoryIdParam'
+ *       - in: query
+ *         name: reassignTo
+ *         schema: { type: string, format: objectid }
+ *         description: Categoria que recebe os produtos e as subcategorias (não pode ser a própria categoria nem uma de suas subcategorias).
  *     responses:
  *       '200':
- *         description: Categoria deletada (se vazia). Retorna mensagem de sucesso.
+ *         description: Categoria arquivada (se vazia). Retorna mensagem de sucesso.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SuccessResponse'
- *       '204':
- *          description: Categoria deletada com sucesso (alternativa sem corpo de resposta, se controller for ajustado).
  *       '400':
- *         description: Erro de validação (ID inválido ou não pode deletar pois existem produtos associados).
+ *         description: Erro de validação (ID inválido, destino inválido ou não pode deletar pois existem subcategorias/produtos associados).
  *         content:
  *           application/json:
  *             schema:
@@ -241,7 +379,7 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       '404':
- *         description: Categoria não encontrada para deletar.
+ *         description: Categoria (ou categoria de destino) não encontrada (ou já arquivada).
  *         content:
  *           application/json:
  *             schema:
@@ -253,6 +391,99 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete("/:id", authenticate, isAdmin, idValidationRule, deleteCategory);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("categories:write"),
+  idValidationRule,
+  reassignValidationRule,
+  deleteCategory
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/restore:
+ *   post:
+ *     summary: Restaura uma categoria arquivada (Admin).
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CategoryIdParam'
+ *     responses:
+ *       '200':
+ *         description: Categoria restaurada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/CategoryOutput' }}}
+ *       '400':
+ *         description: ID inválido, categoria não arquivada ou categoria pai arquivada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '401':
+ *         description: Não autorizado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '403':
+ *         description: Acesso proibido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '404':
+ *         description: Categoria não encontrada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ */
+router.post(
+  "/:id/restore",
+  authenticate,
+  requirePermission("categories:write"),
+  idValidationRule,
+  restoreCategory
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/merge-into/{targetId}:
+ *   post:
+ *     summary: Mescla uma categoria em outra (Admin).
+ *     tags: [Categories]
+ *     description: Em uma única transação, move os produtos (inclusive arquivados), as subcategorias diretas e as promoções da categoria `id` para `targetId` e arquiva a origem. O slug da origem vira um alias do destino (`slugAliases`), então URLs antigas continuam resolvendo em `GET /api/categories/slug/{slug}`. Os atributos dos produtos movidos não são revalidados; eles são conferidos na próxima edição de cada produto.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CategoryIdParam'
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema: { type: string, format: objectid }
+ *         description: Categoria de destino (ativa e fora da subárvore da origem).
+ *     responses:
+ *       '200':
+ *         description: Categoria mesclada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: Categoria mesclada com sucesso }
+ *                 products: { type: integer, example: 12, description: 'Produtos movidos.' }
+ *                 subcategories: { type: integer, example: 2, description: 'Subcategorias movidas.' }
+ *                 category: { $ref: '#/components/schemas/CategoryOutput' }
+ *       '400':
+ *         description: IDs inválidos ou destino igual à origem (ou dentro da sua subárvore).
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '401':
+ *         description: Não autorizado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '403':
+ *         description: Acesso proibido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '404':
+ *         description: Categoria de origem ou de destino não encontrada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ */
+router.post(
+  "/:id/merge-into/:targetId",
+  authenticate,
+  requirePermission("categories:write"),
+  mergeValidationRules,
+  mergeCategory
+);
 
 export default router;
@@ -1,7 +1,13 @@
 // src/routes/orderRoutes.js
 import express from "express";
 import { body, param } from "express-validator";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import {
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
 import {
   createOrder,
   getMyOrders,
@@ -148,6 +154,9 @@ const payOrderValidationRules = [
  *       '401':
  *         description: Não autenticado.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '403':
+ *         description: Email da conta ainda não verificado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  *       '404':
  *         description: Carrinho não encontrado para o usuário.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
@@ -155,7 +164,14 @@ const payOrderValidationRules = [
  *         description: Erro interno do servidor (ex: falha na transação do DB).
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.post("/", createOrderValidationRules, createOrder); // Rota para criar pedido
+router.post(
+  "/",
+  forbidApiKey,
+  forbidImpersonation,
+  requireVerifiedEmail,
+  createOrderValidationRules,
+  createOrder
+); // Rota para criar pedido
 
 /**
  * @swagger
@@ -189,7 +205,7 @@ router.post("/", createOrderValidationRules, createOrder); // Rota para criar pe
  *          description: Erro interno.
  *          content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.get("/my", getMyOrders); // Rota para listar pedidos do usuário
+router.get("/my", forbidApiKey, getMyOrders); // Rota para listar pedidos do usuário
 
 /**
  * @swagger
@@ -229,6 +245,9 @@ router.get("/my", getMyOrders); // Rota para listar pedidos do usuário
  *       '401':
  *          description: Não autenticado.
  *          content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ *       '403':
+ *          description: Email da conta ainda não verificado.
+ *          content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  *       '404':
  *          description: Pedido não encontrado ou não pertence ao usuário.
  *          content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
@@ -244,6 +263,9 @@ router.get("/my", getMyOrders); // Rota para listar pedidos do usuário
  */
 router.post(
   "/:id/pay",
+  forbidApiKey,
+  forbidImpersonation,
+  requireVerifiedEmail,
   orderIdParamValidation,
   payOrderValidationRules,
   payOrder
@@ -258,6 +280,7 @@ router.post(
  *     description: Usuário logado pode obter detalhes de seus próprios pedidos. Administradores podem obter detalhes de qualquer pedido.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/OrderIdParam'
  *     responses:
@@ -298,6 +321,7 @@ router.get("/:id", orderIdParamValidation, getOrderById); // Rota para obter ped
  *     tags: [Orders (Admin)]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -340,7 +364,7 @@ router.get("/:id", orderIdParamValidation, getOrderById); // Rota para obter ped
  *          description: Erro interno.
  *          content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.get("/", isAdmin, getAllOrders); // Rota para Admin listar TODOS os pedidos
+router.get("/", requirePermission("orders:read"), getAllOrders); // Rota para Admin listar TODOS os pedidos
 
 /**
  * @swagger
@@ -351,6 +375,7 @@ router.get("/", isAdmin, getAllOrders); // Rota para Admin listar TODOS os pedid
  *     description: Atualiza o status de um pedido para 'shipped'. Só funciona se o status atual for 'processing' ou 'paid'.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/OrderIdParam'
  *     responses:
@@ -382,7 +407,12 @@ router.get("/", isAdmin, getAllOrders); // Rota para Admin listar TODOS os pedid
  *          description: Erro interno.
  *          content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.put("/:id/ship", isAdmin, orderIdParamValidation, updateOrderToShipped);
+router.put(
+  "/:id/ship",
+  requirePermission("orders:ship"),
+  orderIdParamValidation,
+  updateOrderToShipped
+);
 
 /**
  * @swagger
@@ -393,6 +423,7 @@ router.put("/:id/ship", isAdmin, orderIdParamValidation, updateOrderToShipped);
  *     description: Atualiza o status de um pedido para 'delivered' e define a data de entrega. Só funciona se o status atual for 'shipped'.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/OrderIdParam'
  *     responses:
@@ -426,7 +457,7 @@ router.put("/:id/ship", isAdmin, orderIdParamValidation, updateOrderToShipped);
  */
 router.put(
   "/:id/deliver",
-  isAdmin,
+  requirePermission("orders:ship"),
   orderIdParamValidation,
   updateOrderToDelivered
 );
@@ -1,16 +1,40 @@
 // src/routes/products.js
 import express from "express";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import {
+  authenticate,
+  requirePermissionForArchived,
+} from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
 import { body, param, query } from "express-validator";
 import {
   createProduct,
   getProducts,
   updateProduct,
   deleteProduct,
+  restoreProduct,
   getProductById,
+  suggestProducts,
+  setProductSale,
+  removeProductSale,
+  getPriceHistory,
+  getLowStockProducts,
+  setProductOptions,
+  addVariant,
+  updateVariant,
+  deleteVariant,
+  addProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage,
 } from "../controllers/productsController.js"; // Ajuste o nome do controller se necessário
+import {
+  importProducts,
+  exportProducts,
+} from "../controllers/productImportController.js";
 import Category from "../models/Category.js";
-import { upload } from "../middleware/upload.js"; // Importa configuração do Multer
+import { MAX_PRODUCT_IMAGES } from "../models/Product.js";
+import { NOT_ARCHIVED } from "../models/plugins/archivable.js";
+import { upload, uploadDataFile } from "../middleware/upload.js"; // Importa configuração do Multer
 
 const router = express.Router();
 
@@ -26,7 +50,10 @@ const categoryExistsValidation = (fieldName = "category") =>
   body(fieldName, "ID de Categoria inválido ou não existente")
     .isMongoId()
     .custom(async (categoryId) => {
-      const category = await Category.findById(categoryId);
+      const category = await Category.findOne({
+        _id: categoryId,
+        ...NOT_ARCHIVED,
+      });
       if (!category) {
         // Rejeita a promessa se a categoria não for encontrada
         return Promise.reject("Categoria não encontrada.");
@@ -34,8 +61,30 @@ const categoryExistsValidation = (fieldName = "category") =>
       // Se encontrar, a validação passa
     });
 
+// Texto alternativo das imagens: um valor ou um por arquivo (campo repetido)
+const altTextValidation = body("alt", "Texto alternativo inválido (até 200 caracteres)")
+  .optional()
+  .custom((value) =>
+    [].concat(value).every((alt) => typeof alt === "string" && alt.length <= 200)
+  );
+
+// Atributos da categoria: objeto { chave: valor }; em multipart, também como JSON ou attributes[chave]
+// (os tipos e os obrigatórios são conferidos no controller, contra o schema da categoria)
+const attributesValidation = body("attributes", "Atributos inválidos (objeto { chave: valor })")
+  .optional()
+  .customSanitizer((value) => {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  })
+  .custom((value) => typeof value === "object" && value !== null && !Array.isArray(value));
+
 // Regras para criar produto (usado no POST)
 const createProductValidationRules = [
+  altTextValidation,
   body("name", "Nome do produto é obrigatório").trim().notEmpty(),
   body("price", "Preço inválido (deve ser número positivo)")
     .isFloat({ gt: 0 })
@@ -48,6 +97,20 @@ const createProductValidationRules = [
     .isInt({ min: 0 })
     .withMessage("Estoque não pode ser negativo.")
     .toInt(), // Converte para inteiro
+  body("lowStockThreshold", "Ponto de reposição inválido (deve ser número inteiro não negativo)")
+    .optional()
+    .isInt({ min: 0 })
+    .toInt(),
+  body("brand", "Marca inválida (até 70 caracteres)")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 70 }),
+  body("gtin", "GTIN inválido (8, 12, 13 ou 14 dígitos)")
+    .optional({ values: "falsy" }) // "" remove o GTIN na edição
+    .trim()
+    .matches(/^(\d{8}|\d{12,14})$/),
+  attributesValidation,
 ];
 
 // Regras para atualizar produto (usado no PUT) - campos são opcionais
@@ -80,10 +143,33 @@ const updateProductValidationRules = [
     .isInt({ min: 0 })
     .withMessage("Estoque não pode ser negativo.")
     .toInt(),
+  body("lowStockThreshold", "Ponto de reposição inválido (deve ser número inteiro não negativo)")
+    .optional({ nullable: true }) // null desativa o alerta de estoque baixo
+    .isInt({ min: 0 })
+    .toInt(),
+  body("brand", "Marca inválida (até 70 caracteres)")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 70 }),
+  body("gtin", "GTIN inválido (8, 12, 13 ou 14 dígitos)")
+    .optional({ values: "falsy" }) // "" remove o GTIN na edição
+    .trim()
+    .matches(/^(\d{8}|\d{12,14})$/),
+  attributesValidation,
 ];
 
+// ?includeArchived=true (apenas com products:write, ver requirePermissionForArchived)
+const includeArchivedValidation = query(
+  "includeArchived",
+  "includeArchived deve ser true ou false"
+)
+  .optional()
+  .isBoolean();
+
 // Regras para validar query params da rota GET /
 const getProductsValidationRules = [
+  includeArchivedValidation,
   query("page", "Página inválida (deve ser número inteiro maior que zero)")
     .optional()
     .isInt({ gt: 0 })
@@ -92,10 +178,31 @@ const getProductsValidationRules = [
     .optional()
     .isInt({ gt: 0 })
     .toInt(),
-  query("category", "Identificador de categoria inválido (string)")
+  query("category", "Identificador de categoria inválido (IDs ou slugs separados por vírgula)")
     .optional()
-    .isString()
-    .trim(),
+    .custom((value) => [].concat(value).every((item) => typeof item === "string")),
+  query("minPrice", "Preço mínimo inválido (número não negativo)")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat(),
+  query("maxPrice", "Preço máximo inválido (número não negativo)")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .custom((maxPrice, { req }) => {
+      if (req.query.minPrice !== undefined && Number(req.query.minPrice) > maxPrice) {
+        throw new Error("O preço máximo deve ser maior ou igual ao mínimo.");
+      }
+      return true;
+    }),
+  query("minRating", "Avaliação mínima inválida (entre 0 e 5)")
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .toFloat(),
+  query("inStock", "inStock deve ser true ou false")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
   query("q", "Termo de busca inválido").optional().trim().escape(), // .escape() para prevenir XSS básico
   query("sort", "Critério de ordenação inválido (use campos ou -campo)")
     .optional()
@@ -105,6 +212,189 @@ const getProductsValidationRules = [
     .trim(),
 ];
 
+// Regras para as sugestões do autocomplete (GET /suggest)
+const suggestValidationRules = [
+  query("q", "Termo de busca é obrigatório (até 100 caracteres)")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  query("limit", "Limite inválido (entre 1 e 10)")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt(),
+];
+
+// Regras para atualizar uma imagem da galeria (PATCH /:id/images/:imageId)
+const updateImageValidationRules = [
+  body("alt", "Texto alternativo inválido (até 200 caracteres)")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 }),
+  body("isCover", "isCover deve ser booleano").optional().isBoolean().toBoolean(),
+];
+
+// Regras para reordenar a galeria (PUT /:id/images/order)
+const reorderImagesValidationRules = [
+  body("imageIds", "imageIds deve ser uma lista de IDs de imagem")
+    .isArray({ min: 1 }),
+  body("imageIds.*", "ID de imagem inválido").isMongoId(),
+];
+
+// Aceita o mapa de opções como objeto (JSON) ou string JSON (multipart/form-data)
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+const isOptionsMap = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.values(value).every((v) => typeof v === "string" && v.trim());
+
+// Regras para definir o preço promocional (PUT /:id/sale)
+const setSaleValidationRules = [
+  body("price", "Preço promocional deve ser maior que zero")
+    .isFloat({ gt: 0 })
+    .toFloat(),
+  body("startsAt", "Data de início inválida (ISO 8601)")
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate(),
+  body("endsAt", "Data de término inválida (ISO 8601)")
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .custom((endsAt, { req }) => {
+      if (endsAt <= new Date()) {
+        throw new Error("A data de término deve estar no futuro.");
+      }
+      return true;
+    }),
+];
+
+// Regras para o histórico de preços (GET /:id/price-history)
+const priceHistoryValidationRules = [
+  query("variantId", "ID de variação inválido").optional().isMongoId(),
+  query("days", "Período inválido (dias, entre 1 e 365)")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt(),
+  query("page", "Página inválida (deve ser número inteiro maior que zero)")
+    .optional()
+    .isInt({ gt: 0 })
+    .toInt(),
+  query("limit", "Limite inválido (entre 1 e 100)")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+];
+
+// Regras para o painel de reposição (GET /low-stock)
+const lowStockValidationRules = [
+  query("days", "Período inválido (dias, entre 1 e 365)")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt(),
+  query("page", "Página inválida (deve ser número inteiro maior que zero)")
+    .optional()
+    .isInt({ gt: 0 })
+    .toInt(),
+  query("limit", "Limite inválido (entre 1 e 100)")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+];
+
+// Slug no formato gerado pelo model (letras minúsculas, números e hífens)
+const slugValidationRules = [
+  param("slug", "Slug de produto inválido").matches(/^[a-z0-9-]+$/),
+];
+
+// Regras para definir os eixos de variação (PUT /:id/options)
+const setOptionsValidationRules = [
+  body("options", "Opções devem ser uma lista de { name, values }")
+    .isArray({ max: 3 })
+    .withMessage("Informe uma lista com no máximo 3 opções."),
+  body("options.*.name", "Nome da opção é obrigatório (até 50 caracteres)")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+  body("options.*.values", "Cada opção precisa de uma lista de valores")
+    .isArray({ min: 1, max: 50 }),
+  body("options.*.values.*", "Valor de opção inválido (até 50 caracteres)")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+  body("options").custom((options) => {
+    const names = options.map((option) => option.name);
+    if (new Set(names).size !== names.length) {
+      throw new Error("Nomes de opção repetidos.");
+    }
+    return true;
+  }),
+];
+
+// Regras para cadastrar variação (POST /:id/variants)
+const createVariantValidationRules = [
+  body("sku", "SKU é obrigatório (até 64 caracteres)")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 }),
+  body("options", "Opções da variação devem ser um objeto { eixo: valor }")
+    .customSanitizer(parseJsonField)
+    .custom(isOptionsMap),
+  body("price", "Preço da variação deve ser maior que zero")
+    .optional()
+    .isFloat({ gt: 0 })
+    .toFloat(),
+  body("stock", "Estoque inválido (deve ser número inteiro não negativo)")
+    .isInt({ min: 0 })
+    .toInt(),
+];
+
+// Regras para atualizar variação (PATCH /:id/variants/:variantId)
+const updateVariantValidationRules = [
+  body("sku", "SKU inválido (até 64 caracteres)")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 }),
+  body("options", "Opções da variação devem ser um objeto { eixo: valor }")
+    .optional()
+    .custom(isOptionsMap),
+  body("price", "Preço da variação deve ser maior que zero (ou null para usar o do produto)")
+    .optional({ values: "undefined" }) // null chega ao controller
+    .custom((value) => value === null || Number(value) > 0)
+    .customSanitizer((value) => (value === null ? null : Number(value))),
+  body("stock", "Estoque inválido (deve ser número inteiro não negativo)")
+    .optional()
+    .isInt({ min: 0 })
+    .toInt(),
+];
+
+// Regras para importação (POST /import) e exportação (GET /export) do catálogo
+const importValidationRules = [
+  query("dryRun", "dryRun deve ser true ou false")
+    .optional()
+    .isBoolean(),
+  query("format", "Formato deve ser csv ou json")
+    .optional()
+    .isIn(["csv", "json"]),
+];
+
+const exportValidationRules = [
+  query("format", "Formato deve ser csv ou json")
+    .optional()
+    .isIn(["csv", "json"]),
+];
+
 /**
  * @swagger
  * tags:
@@ -120,13 +410,19 @@ const getProductsValidationRules = [
  *   get:
  *     summary: Lista produtos com filtros, ordenação e paginação.
  *     tags: [Products]
- *     description: Retorna uma lista de produtos. Pode ser filtrada por categoria (ID ou slug), busca textual (q), ordenada e paginada. Rota pública.
+ *     description: Retorna uma lista de produtos (sem os arquivados, exceto com `includeArchived=true`, que requer products:write). Pode ser filtrada por categorias (IDs ou slugs), busca textual (q), faixa de preço, avaliação mínima, disponibilidade e atributos da categoria (`attr.<chave>`), ordenada e paginada. A resposta traz `facets` com as contagens por categoria, faixa de preço, avaliação e estoque; o facet de cada dimensão ignora o próprio filtro. Rota pública.
  *     parameters:
  *       - $ref: '#/components/parameters/PageQueryParam'
  *       - $ref: '#/components/parameters/LimitQueryParam'
  *       - $ref: '#/components/parameters/CategoryQueryParam'
  *       - $ref: '#/components/parameters/SearchQueryParam'
  *       - $ref: '#/components/parameters/SortQueryParam'
+ *       - $ref: '#/components/parameters/MinPriceQueryParam'
+ *       - $ref: '#/components/parameters/MaxPriceQueryParam'
+ *       - $ref: '#/components/parameters/MinRatingQueryParam'
+ *       - $ref: '#/components/parameters/IncludeArchivedQueryParam'
+ *       - $ref: '#/components/parameters/InStockQueryParam'
+ *       - $ref: '#/components/parameters/AttributeQueryParam'
  *     responses:
  *       '200':
  *         description: Lista de produtos obtida com sucesso.
@@ -141,7 +437,254 @@ const getProductsValidationRules = [
  *         description: Erro interno do servidor.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
  */
-router.get("/", getProductsValidationRules, getProducts);
+router.get(
+  "/",
+  requirePermissionForArchived("products:write"),
+  getProductsValidationRules,
+  getProducts
+);
+
+/**
+ * @swagger
+ * /api/products/suggest:
+ *   get:
+ *     summary: Sugestões de busca (autocomplete) de produtos e categorias.
+ *     tags: [Products]
+ *     description: Retorna poucos nomes de produtos e categorias enquanto o usuário digita. Ignora acentos, casa o prefixo de qualquer palavra do nome e tolera pequenos erros de digitação. Produtos com prefixo exato vêm primeiro, depois os mais populares (avaliações e vendas). Rota pública.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, maxLength: 100 }
+ *         description: Termo digitado (ex. "cami", "camizeta").
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 10, default: 5 }
+ *         description: Máximo de sugestões de cada tipo.
+ *     responses:
+ *       '200':
+ *         description: Sugestões encontradas (listas podem vir vazias).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string, format: objectid }
+ *                           name: { type: string, example: Camiseta Básica Azul }
+ *                           slug: { type: string, example: camiseta-basica-azul }
+ *                           price: { type: number, format: float, example: 79.9 }
+ *                           image: { type: string, format: url }
+ *                           rating: { type: number, example: 4.5 }
+ *                           category: { type: string, format: objectid }
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string, format: objectid }
+ *                           name: { type: string, example: Camisetas }
+ *                           slug: { type: string, example: camisetas }
+ *       '400':
+ *         description: Termo ausente ou inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}
+ */
+router.get("/suggest", suggestValidationRules, suggestProducts);
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Importa produtos em lote a partir de CSV ou JSON (Admin).
+ *     tags: [Products]
+ *     description: |
+ *       Envie o arquivo no campo `file` (`multipart/form-data`). Colunas (CSV com `,` ou `;`) ou chaves (JSON): `externalId`, `name`, `price`, `stock`, `category` (slug), `description`, `imageUrl`.
+ *       Cada linha é validada e aplicada de forma independente, com upsert pelo `externalId` (SKU/ID estável do sistema de origem). Produtos novos exigem `name`, `price`, `category` e `imageUrl`; em atualizações, colunas vazias mantêm o valor atual.
+ *       Com `dryRun=true` nada é gravado, mas o relatório por linha é o mesmo. Requer products:write.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema: { type: boolean, default: false }
+ *         description: Apenas valida e simula a importação.
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, json] }
+ *         description: Força o formato do arquivo (por padrão é deduzido pela extensão).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Arquivo .csv ou .json (lista de produtos ou { products [...] }).
+ *     responses:
+ *       '200':
+ *         description: Importação processada (linhas com erro não impedem as demais).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImportReport'
+ *       '400': { description: Arquivo ausente ou ilegível ou acima do limite de linhas, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.post(
+  "/import",
+  authenticate,
+  requirePermission("products:write"),
+  uploadDataFile.single("file"),
+  importValidationRules,
+  importProducts
+);
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Exporta o catálogo em CSV ou JSON (Admin).
+ *     tags: [Products]
+ *     description: Gera um arquivo no mesmo formato aceito por POST /api/products/import. Produtos sem externalId saem com o _id nessa coluna. Requer products:write.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, json], default: csv }
+ *     responses:
+ *       '200':
+ *         description: Arquivo do catálogo (anexo).
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ProductCatalogRow' }
+ *       '400': { description: Formato inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.get(
+  "/export",
+  authenticate,
+  requirePermission("products:write"),
+  exportValidationRules,
+  exportProducts
+);
+
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     summary: Lista os produtos no ponto de reposição ou abaixo dele (Admin).
+ *     tags: [Products]
+ *     description: Painel de compras. Inclui os produtos não arquivados com `lowStockThreshold` definido e estoque menor ou igual a ele, ordenados pelos dias de cobertura (estoque dividido pelas vendas líquidas por dia nos últimos `days` dias, descontados cancelamentos e reembolsos). Produtos sem vendas no período têm `daysOfCover` null e vêm por último. Requer products:write.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema: { type: integer, minimum: 1, maximum: 365, default: 30 }
+ *         description: Período usado para medir o ritmo de vendas.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       '200':
+ *         description: Produtos com estoque baixo, menor cobertura primeiro.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 1 }
+ *                 totalProducts: { type: integer, example: 1 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 currentPage: { type: integer, example: 1 }
+ *                 days: { type: integer, example: 30 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string, format: objectid }
+ *                           name: { type: string, example: 'Camiseta Básica' }
+ *                           image: { type: string, format: url }
+ *                           category: { type: string, format: objectid }
+ *                           stock: { type: integer, example: 4 }
+ *                           lowStockThreshold: { type: integer, example: 5 }
+ *                           unitsSold: { type: integer, example: 60, description: 'Vendas líquidas no período.' }
+ *                           dailySales: { type: number, format: float, example: 2 }
+ *                           daysOfCover: { type: number, format: float, nullable: true, example: 2, description: 'Dias até zerar o estoque no ritmo atual.' }
+ *       '400': { description: Parâmetros inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.get(
+  "/low-stock",
+  authenticate,
+  requirePermission("products:write"),
+  lowStockValidationRules,
+  getLowStockProducts
+);
+
+/**
+ * @swagger
+ * /api/products/slug/{slug}:
+ *   get:
+ *     summary: Obtém detalhes de um produto pelo slug.
+ *     tags: [Products]
+ *     description: Mesma resposta de `GET /api/products/{id}`, buscando pelo slug gerado a partir do nome. Slugs antigos (de antes de uma renomeação, ver `slugAliases`) continuam resolvendo, e a resposta traz `redirectedFrom` com o slug pedido para que a vitrine redirecione para o slug atual. Produtos arquivados retornam 404.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema: { type: string, example: camiseta-basica }
+ *     responses:
+ *       '200':
+ *         description: Detalhes do produto.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ProductOutput'
+ *                 - type: object
+ *                   properties:
+ *                     redirectedFrom: { type: string, example: camiseta-basica-algodao, description: 'Presente quando o slug pedido é antigo.' }
+ *       '400':
+ *         description: Slug inválido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}
+ *       '404':
+ *         description: Produto não encontrado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}
+ */
+router.get("/slug/:slug", slugValidationRules, getProductById);
 
 /**
  * @swagger
@@ -149,9 +692,10 @@ router.get("/", getProductsValidationRules, getProducts);
  *   get:
  *     summary: Obtém detalhes de um produto específico por ID.
  *     tags: [Products]
- *     description: Retorna os detalhes de um único produto, incluindo sua categoria populada. Rota pública.
+ *     description: Retorna os detalhes de um único produto, incluindo sua categoria populada. Rota pública; produtos arquivados retornam 404, exceto com `includeArchived=true` (requer products:write).
  *     parameters:
  *       - $ref: '#/components/parameters/ProductIdParam' # Usa parâmetro centralizado
+ *       - $ref: '#/components/parameters/IncludeArchivedQueryParam'
  *     responses:
  *       '200':
  *         description: Detalhes do produto.
@@ -168,7 +712,9 @@ router.get("/", getProductsValidationRules, getProducts);
  */
 router.get(
   "/:id",
+  requirePermissionForArchived("products:write"),
   mongoIdValidation("id", "ID de produto inválido"),
+  includeArchivedValidation,
   getProductById
 );
 
@@ -178,9 +724,10 @@ router.get(
  *   post:
  *     summary: Cria um novo produto (Admin).
  *     tags: [Products]
- *     description: Adiciona um novo produto ao catálogo. Requer envio de dados via `multipart/form-data` por causa da imagem. Apenas administradores.
+ *     description: Adiciona um novo produto ao catálogo. Requer envio de dados via `multipart/form-data` com ao menos uma imagem (`image` e/ou `images`); a primeira imagem vira a capa da galeria. Apenas administradores.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -203,8 +750,11 @@ router.get(
 router.post(
   "/",
   authenticate, // 1. Verifica se está logado
-  isAdmin, // 2. Verifica se é admin
-  upload.single("image"), // 3. Tenta processar o upload da imagem (anexa req.file se sucesso)
+  requirePermission("products:write"), // 2. Verifica a permissão de catálogo
+  upload.fields([
+    { name: "image", maxCount: 1 },
+    { name: "images", maxCount: MAX_PRODUCT_IMAGES },
+  ]), // 3. Processa a capa (image) e/ou a galeria (images), anexando req.files
   createProductValidationRules, // 4. Valida os campos de texto/número
   createProduct // 5. Controller executa (verifica req.file e continua)
 );
@@ -215,9 +765,10 @@ router.post(
  *   put:
  *     summary: Atualiza um produto existente (Admin).
  *     tags: [Products]
- *     description: Modifica os detalhes de um produto. Enviar via `multipart/form-data`. Imagem é opcional. Apenas administradores.
+ *     description: Modifica os detalhes de um produto. Enviar via `multipart/form-data`. Imagem é opcional e, se enviada, substitui a capa da galeria (a antiga é removida do Cloudinary). Apenas administradores.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/ProductIdParam'
  *     requestBody:
@@ -243,7 +794,7 @@ router.post(
 router.put(
   "/:id",
   authenticate,
-  isAdmin,
+  requirePermission("products:write"),
   mongoIdValidation("id", "ID de produto inválido"), // 1. Valida ID do produto
   upload.single("image"), // 2. Processa imagem (opcional)
   updateProductValidationRules, // 3. Valida outros campos (opcionais)
@@ -254,33 +805,487 @@ router.put(
  * @swagger
  * /api/products/{id}:
  *   delete:
- *     summary: Deleta um produto (Admin).
+ *     summary: Arquiva um produto (Admin).
  *     tags: [Products]
- *     description: Remove um produto do catálogo e sua imagem associada (se houver). Apenas administradores.
+ *     description: Exclusão lógica. O produto sai das listagens públicas e é removido dos carrinhos; o documento e as imagens são mantidos porque pedidos e avaliações o referenciam. Pode ser restaurado em POST /api/products/{id}/restore. Apenas administradores.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/ProductIdParam'
  *     responses:
  *       '200':
- *         description: Produto deletado com sucesso.
+ *         description: Produto arquivado com sucesso.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' }}}
- *       '204':
- *         description: Produto deletado com sucesso (Sem conteúdo).
  *       '400': { description: ID inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
  *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
  *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
- *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado (ou já arquivado), content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
  *       '500': { description: Erro interno, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
  */
 router.delete(
   "/:id",
   authenticate,
-  isAdmin,
+  requirePermission("products:write"),
   mongoIdValidation("id", "ID de produto inválido"), // Valida o ID primeiro
   deleteProduct
 );
 
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restaura um produto arquivado (Admin).
+ *     tags: [Products]
+ *     description: O produto volta às listagens. A categoria dele precisa estar ativa. Itens removidos dos carrinhos no arquivamento não são refeitos.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     responses:
+ *       '200':
+ *         description: Produto restaurado.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: ID inválido ou produto não arquivado ou categoria arquivada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.post(
+  "/:id/restore",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  restoreProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Adiciona imagens à galeria do produto (Admin).
+ *     tags: [Products]
+ *     description: Envie os arquivos no campo `images` (multipart/form-data) e, opcionalmente, um `alt` por arquivo na mesma ordem. As imagens entram no fim da galeria. Limite de imagens por produto configurável em `PRODUCT_MAX_IMAGES`.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items: { type: string, format: binary }
+ *               alt:
+ *                 type: array
+ *                 items: { type: string, maxLength: 200 }
+ *     responses:
+ *       '201':
+ *         description: Imagens adicionadas; retorna o produto.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: Nenhuma imagem enviada ou limite de imagens excedido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.post(
+  "/:id/images",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  upload.array("images", MAX_PRODUCT_IMAGES),
+  altTextValidation,
+  addProductImages
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/order:
+ *   put:
+ *     summary: Reordena a galeria do produto (Admin).
+ *     tags: [Products]
+ *     description: "`imageIds` deve listar todas as imagens do produto, cada uma uma única vez, na nova ordem. A capa não muda."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [imageIds]
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items: { type: string, format: objectid }
+ *     responses:
+ *       '200':
+ *         description: Galeria reordenada; retorna o produto.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: Lista de IDs inválida ou incompleta, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.put(
+  "/:id/images/order",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  reorderImagesValidationRules,
+  reorderProductImages
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   patch:
+ *     summary: Atualiza o texto alternativo ou define a capa (Admin).
+ *     tags: [Products]
+ *     description: Envie `isCover` como true para tornar a imagem a capa do produto (espelhada em `image`).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *       - $ref: '#/components/parameters/ImageIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt: { type: string, maxLength: 200, example: Camiseta azul vista de frente }
+ *               isCover: { type: boolean, example: true }
+ *     responses:
+ *       '200':
+ *         description: Imagem atualizada; retorna o produto.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: Dados inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto ou imagem não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *   delete:
+ *     summary: Remove uma imagem da galeria (Admin).
+ *     tags: [Products]
+ *     description: Remove a imagem também do Cloudinary. Se era a capa, a primeira imagem restante assume. O produto precisa manter ao menos uma imagem.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *       - $ref: '#/components/parameters/ImageIdParam'
+ *     responses:
+ *       '200':
+ *         description: Imagem removida; retorna o produto.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: ID inválido ou última imagem do produto, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto ou imagem não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.patch(
+  "/:id/images/:imageId",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  mongoIdValidation("imageId", "ID de imagem inválido"),
+  updateImageValidationRules,
+  updateProductImage
+);
+router.delete(
+  "/:id/images/:imageId",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  mongoIdValidation("imageId", "ID de imagem inválido"),
+  deleteProductImage
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/sale:
+ *   put:
+ *     summary: Define o preço promocional do produto (Admin).
+ *     tags: [Products]
+ *     description: O preço promocional vale no período informado (sem datas, até ser removido) para o produto e para as variações sem preço próprio. Não se acumula com promoções; vale sempre o menor preço (`effectivePrice`).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ProductSale' }
+ *     responses:
+ *       '200':
+ *         description: Preço promocional definido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: Dados inválidos (ex. preço promocional maior ou igual ao preço do produto), content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *   delete:
+ *     summary: Remove o preço promocional do produto (Admin).
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     responses:
+ *       '200':
+ *         description: Preço promocional removido.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado ou sem preço promocional, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.put(
+  "/:id/sale",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  setSaleValidationRules,
+  setProductSale
+);
+router.delete(
+  "/:id/sale",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  removeProductSale
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/price-history:
+ *   get:
+ *     summary: Histórico de alterações de preço do produto (Admin).
+ *     tags: [Products]
+ *     description: Cada alteração de preço (edição do produto, importação do catálogo ou edição de variação) gera um registro com o preço anterior, o novo, quem alterou e quando. A resposta traz também o menor preço de tabela nos últimos `days` dias (padrão 30, incluindo o preço atual), referência do preço "de" em promoções "de/por". Preços promocionais (sale) e promoções não entram no histórico nem nesse menor preço, que considera apenas o preço do produto (ou da variação).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *       - in: query
+ *         name: variantId
+ *         schema: { type: string, format: objectid }
+ *         description: Histórico do preço próprio de uma variação (sem o parâmetro, o do produto).
+ *       - in: query
+ *         name: days
+ *         schema: { type: integer, minimum: 1, maximum: 365, default: 30 }
+ *         description: Período do menor preço, em dias.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       '200':
+ *         description: Histórico paginado (mais recentes primeiro).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 2 }
+ *                 totalChanges: { type: integer, example: 2 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 currentPage: { type: integer, example: 1 }
+ *                 currentPrice: { type: number, format: float, example: 89.9 }
+ *                 lowestPrice:
+ *                   type: object
+ *                   properties:
+ *                     days: { type: integer, example: 30 }
+ *                     since: { type: string, format: date-time }
+ *                     price: { type: number, format: float, example: 79.9, description: "Menor preço de tabela (sem preço promocional ou promoções)" }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/PriceHistoryEntry' }
+ *       '400': { description: Parâmetros inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto ou variação não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.get(
+  "/:id/price-history",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  priceHistoryValidationRules,
+  getPriceHistory
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/options:
+ *   put:
+ *     summary: Define os eixos de variação do produto (Admin).
+ *     tags: [Products]
+ *     description: Substitui a lista de opções (ex. Tamanho e Cor, no máximo 3). As variações já cadastradas precisam continuar com um valor válido para cada eixo.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [options]
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items: { $ref: '#/components/schemas/ProductOption' }
+ *     responses:
+ *       '200':
+ *         description: Opções atualizadas.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductOutput' }}}
+ *       '400': { description: Dados inválidos ou incompatíveis com as variações existentes, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.put(
+  "/:id/options",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  setOptionsValidationRules,
+  setProductOptions
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     summary: Cadastra uma variação (SKU) do produto (Admin).
+ *     tags: [Products]
+ *     description: A variação tem preço (opcional), estoque e imagem (opcional) próprios. Com variações, o estoque do produto passa a ser a soma dos estoques dos SKUs. Aceita `application/json` ou `multipart/form-data` (nesse caso, `options` vai como string JSON).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ProductVariantInput' }
+ *         multipart/form-data:
+ *           schema: { $ref: '#/components/schemas/ProductVariantInput' }
+ *     responses:
+ *       '201':
+ *         description: Variação criada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductVariantOutput' }}}
+ *       '400': { description: Dados inválidos (opções fora dos eixos ou combinação repetida), content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '409': { description: SKU já existe, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.post(
+  "/:id/variants",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  upload.single("image"),
+  createVariantValidationRules,
+  addVariant
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   patch:
+ *     summary: Atualiza uma variação do produto (Admin).
+ *     tags: [Products]
+ *     description: Envie `price` como null para voltar a usar o preço do produto.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *       - $ref: '#/components/parameters/VariantIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku: { type: string, example: CAM-AZ-M }
+ *               options: { type: object, additionalProperties: { type: string } }
+ *               price: { type: number, format: float, nullable: true, example: 94.9 }
+ *               stock: { type: integer, minimum: 0, example: 12 }
+ *     responses:
+ *       '200':
+ *         description: Variação atualizada.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/ProductVariantOutput' }}}
+ *       '400': { description: Dados inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto ou variação não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '409': { description: SKU já existe, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *   delete:
+ *     summary: Remove uma variação do produto (Admin).
+ *     tags: [Products]
+ *     description: Remove o SKU e sua imagem. Pedidos já feitos mantêm o SKU e as opções copiados no item.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductIdParam'
+ *       - $ref: '#/components/parameters/VariantIdParam'
+ *     responses:
+ *       '200':
+ *         description: Variação removida.
+ *         content: { application/json: { schema: { $ref: '#/components/schemas/SuccessResponse' }}}
+ *       '400': { description: ID inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' }}}}
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ *       '404': { description: Produto ou variação não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+ */
+router.patch(
+  "/:id/variants/:variantId",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  mongoIdValidation("variantId", "ID de variação inválido"),
+  updateVariantValidationRules,
+  updateVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  authenticate,
+  requirePermission("products:write"),
+  mongoIdValidation("id", "ID de produto inválido"),
+  mongoIdValidation("variantId", "ID de variação inválido"),
+  deleteVariant
+);
+
 // --- Componentes Swagger Reutilizáveis (Definição Centralizada em app.js) ---
 
 /**
@@ -319,10 +1324,37 @@ router.delete(
  *           description: Quantidade em estoque (opcional, padrão 0, não negativo).
  *           example: 50
  *           minimum: 0
+ *         lowStockThreshold:
+ *           type: integer
+ *           description: Ponto de reposição (opcional). Quando um pedido leva o estoque a este valor ou abaixo, os admins recebem um alerta por email.
+ *           example: 5
+ *           minimum: 0
+ *         brand:
+ *           type: string
+ *           maxLength: 70
+ *           description: Marca (opcional; enviada no feed de produtos).
+ *           example: "XPTO"
+ *         gtin:
+ *           type: string
+ *           description: Código de barras EAN/UPC/GTIN (opcional; 8, 12, 13 ou 14 dígitos, com dígito verificador).
+ *           example: "7891234567895"
+ *         attributes:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Atributos definidos pela categoria e suas ancestrais (ex. voltage, warranty). Em multipart, envie como JSON ou como campos attributes[chave]. Obrigatórios, tipos e opções são validados.
+ *           example: { voltage: "220", warranty: 12 }
  *         image:
  *           type: string
  *           format: binary
- *           description: Arquivo de imagem do produto (enviar via multipart/form-data).
+ *           description: Arquivo de imagem de capa do produto (enviar via multipart/form-data).
+ *         images:
+ *           type: array
+ *           items: { type: string, format: binary }
+ *           description: Imagens adicionais da galeria (opcional; usadas como capa se `image` não for enviado).
+ *         alt:
+ *           type: array
+ *           items: { type: string, maxLength: 200 }
+ *           description: Texto alternativo de cada imagem, na ordem de envio (capa primeiro).
  *     ProductUpdateInput:
  *       type: object
  *       properties:
@@ -330,7 +1362,14 @@ router.delete(
  *         description: { type: string, example: "Versão atualizada com mais armazenamento." }
  *         price: { type: number, format: float, example: 2499.00, minimum: 0.01 }
  *         category: { type: string, format: objectid, example: "60d5ecb8d6d2f3a3d4f0e1a1" }
- *         stock: { type: integer, example: 30, minimum: 0 }
+ *         stock: { type: integer, example: 30, minimum: 0, description: "Não aceito para produtos com variações" }
+ *         lowStockThreshold: { type: integer, nullable: true, example: 5, minimum: 0, description: "Ponto de reposição; null desativa o alerta" }
+ *         brand: { type: string, maxLength: 70, example: "XPTO" }
+ *         gtin: { type: string, example: "7891234567895", description: "Vazio remove o GTIN" }
+ *         attributes:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Substitui todos os atributos. Também são revalidados quando a categoria muda.
  *         image:
  *           type: string
  *           format: binary
@@ -339,12 +1378,34 @@ router.delete(
  *       type: object
  *       properties:
  *         _id: { type: string, format: objectid }
+ *         externalId: { type: string, description: "SKU/ID do sistema de origem (importação)" }
  *         name: { type: string }
  *         description: { type: string }
  *         image: { type: string, format: url }
  *         imagePublicId: { type: string, description: "ID público no Cloudinary" }
+ *         images:
+ *           type: array
+ *           description: Galeria ordenada (a capa é espelhada em image/imagePublicId)
+ *           items: { $ref: '#/components/schemas/ProductImage' }
  *         price: { type: number, format: float }
- *         stock: { type: integer }
+ *         sale: { $ref: '#/components/schemas/ProductSale' }
+ *         effectivePrice: { type: number, format: float, description: "Preço com o melhor desconto em vigor (preço promocional ou promoção)" }
+ *         discount: { $ref: '#/components/schemas/PriceDiscount' }
+ *         stock: { type: integer, description: "Com variações, soma dos estoques dos SKUs" }
+ *         lowStockThreshold: { type: integer, nullable: true, description: "Ponto de reposição (alerta de estoque baixo)" }
+ *         brand: { type: string, description: "Marca" }
+ *         gtin: { type: string, description: "Código de barras (EAN/UPC/GTIN)" }
+ *         attributes:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Atributos definidos pela categoria
+ *           example: { voltage: "220", warranty: 12 }
+ *         options:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ProductOption' }
+ *         variants:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ProductVariantOutput' }
  *         category: # Categoria populada
  *            type: object
  *            properties:
@@ -353,8 +1414,47 @@ router.delete(
  *              slug: { type: string }
  *         rating: { type: number, format: float, default: 0 }
  *         numReviews: { type: integer, default: 0 }
+ *         salesCount: { type: integer, default: 0, description: "Unidades vendidas (popularidade)" }
+ *         archivedAt: { type: string, format: date-time, nullable: true, description: "Preenchido quando o produto está arquivado" }
  *         createdAt: { type: string, format: date-time }
  *         updatedAt: { type: string, format: date-time }
+ *     ProductCatalogRow:
+ *       type: object
+ *       description: Linha do arquivo de importação/exportação do catálogo.
+ *       properties:
+ *         externalId: { type: string, example: "ERP-000123" }
+ *         name: { type: string, example: "Camiseta Básica Azul" }
+ *         price: { type: number, format: float, example: 79.9 }
+ *         stock: { type: integer, example: 25 }
+ *         category: { type: string, description: "Slug da categoria", example: "camisetas" }
+ *         description: { type: string }
+ *         imageUrl: { type: string, format: url }
+ *     ProductImportReport:
+ *       type: object
+ *       properties:
+ *         status: { type: string, example: success }
+ *         dryRun: { type: boolean, example: false }
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 3 }
+ *             created: { type: integer, example: 1 }
+ *             updated: { type: integer, example: 1 }
+ *             unchanged: { type: integer, example: 0 }
+ *             failed: { type: integer, example: 1 }
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row: { type: integer, description: "Linha do CSV (cabeçalho = 1) ou posição na lista JSON", example: 2 }
+ *               externalId: { type: string }
+ *               status: { type: string, enum: [ok, error] }
+ *               action: { type: string, enum: [create, update, unchanged] }
+ *               productId: { type: string, format: objectid }
+ *               errors:
+ *                 type: array
+ *                 items: { type: string, example: "Categoria com slug 'xyz' não encontrada." }
  *     ProductListOutput: # Schema para a resposta de GET /api/products
  *        type: object
  *        properties:
@@ -370,6 +1470,41 @@ router.delete(
  *          message: # Opcional
  *              type: string
  *              example: Categoria não encontrada
+ *          facets:
+ *              $ref: '#/components/schemas/ProductFacets'
+ *     ProductFacets:
+ *        type: object
+ *        properties:
+ *          categories:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                _id: { type: string, format: objectid }
+ *                name: { type: string, example: Eletrônicos }
+ *                slug: { type: string, example: eletronicos }
+ *                count: { type: integer, example: 12 }
+ *          priceRanges:
+ *            type: array
+ *            description: "Faixas de preço com produtos (max null = faixa aberta)"
+ *            items:
+ *              type: object
+ *              properties:
+ *                min: { type: number, example: 100 }
+ *                max: { type: number, nullable: true, example: 250 }
+ *                count: { type: integer, example: 4 }
+ *          ratings:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                minRating: { type: integer, example: 4 }
+ *                count: { type: integer, example: 7 }
+ *          availability:
+ *            type: object
+ *            properties:
+ *              inStock: { type: integer, example: 20 }
+ *              outOfStock: { type: integer, example: 3 }
  *   parameters:
  *     ProductIdParam:
  *       name: id
@@ -394,7 +1529,7 @@ router.delete(
  *        in: query
  *        name: category
  *        schema: { type: string }
- *        description: ID ou Slug da Categoria para filtrar.
+ *        description: IDs ou slugs de categoria para filtrar, separados por vírgula (ex. eletronicos,games). Inclui os produtos das subcategorias.
  *     SearchQueryParam:
  *        in: query
  *        name: q
@@ -404,7 +1539,32 @@ router.delete(
  *        in: query
  *        name: sort
  *        schema: { type: string, default: '-createdAt' }
- *        description: Critério de ordenação (ex: '-price', 'name').
+ *        description: Critério de ordenação (ex: '-price', 'name'). `price` ordena pelo preço efetivo (com promoções).
+ *     MinPriceQueryParam:
+ *        in: query
+ *        name: minPrice
+ *        schema: { type: number, minimum: 0 }
+ *        description: Preço efetivo mínimo (inclusive, com promoções em vigor).
+ *     MaxPriceQueryParam:
+ *        in: query
+ *        name: maxPrice
+ *        schema: { type: number, minimum: 0 }
+ *        description: Preço efetivo máximo (inclusive, com promoções em vigor).
+ *     MinRatingQueryParam:
+ *        in: query
+ *        name: minRating
+ *        schema: { type: number, minimum: 0, maximum: 5 }
+ *        description: Avaliação média mínima.
+ *     InStockQueryParam:
+ *        in: query
+ *        name: inStock
+ *        schema: { type: boolean }
+ *        description: true para apenas produtos com estoque, false para apenas sem estoque.
+ *     AttributeQueryParam:
+ *        in: query
+ *        name: attr.voltage
+ *        schema: { type: string }
+ *        description: Filtro por atributo da categoria no formato attr.<chave>=valor (ex. attr.voltage=220). Aceita vários valores separados por vírgula e pode ser repetido para outras chaves.
  */
 
 export default router;
@@ -0,0 +1,292 @@
+// src/routes/promotionRoutes.js
+import express from "express";
+import { body, param, query } from "express-validator";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { PROMOTION_TYPES } from "../models/Promotion.js";
+import {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  previewPromotion,
+} from "../controllers/promotionController.js";
+
+const router = express.Router();
+
+// --- VALIDAÇÕES ---
+
+const paginationValidationRules = [
+  query("page", "Página inválida (deve ser número inteiro maior que zero)")
+    .optional()
+    .isInt({ gt: 0 })
+    .toInt(),
+  query("limit", "Limite inválido (entre 1 e 100)")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+];
+
+// Campos da promoção; na atualização (PATCH) todos são opcionais
+const promotionValidationRules = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(body("name", "Nome da promoção é obrigatório (até 100 caracteres)"))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 }),
+    body("description", "Descrição inválida (até 500 caracteres)")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 }),
+    field(body("type", `Tipo de promoção inválido (${PROMOTION_TYPES.join(" ou ")})`))
+      .isIn(PROMOTION_TYPES),
+    field(body("value", "Valor do desconto deve ser maior que zero"))
+      .isFloat({ gt: 0 })
+      .toFloat(),
+    body("products", "Produtos devem ser uma lista de IDs").optional().isArray(),
+    body("products.*", "ID de produto inválido").isMongoId(),
+    body("categories", "Categorias devem ser uma lista de IDs").optional().isArray(),
+    body("categories.*", "ID de categoria inválido").isMongoId(),
+    body("startsAt", "Data de início inválida (ISO 8601)")
+      .optional()
+      .isISO8601()
+      .toDate(),
+    body("endsAt", "Data de término inválida (ISO 8601)")
+      .optional({ nullable: true })
+      .isISO8601()
+      .toDate(),
+    body("active", "active deve ser true ou false")
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+  ];
+};
+
+const getPromotionsValidationRules = [
+  query("status", "Situação inválida (scheduled, running, ended ou paused)")
+    .optional()
+    .isIn(["scheduled", "running", "ended", "paused"]),
+  ...paginationValidationRules,
+];
+
+const previewValidationRules = [
+  query("at", "Data de referência inválida (ISO 8601)")
+    .optional()
+    .isISO8601()
+    .toDate(),
+  ...paginationValidationRules,
+];
+
+const promotionIdValidation = [param("id", "ID de promoção inválido").isMongoId()];
+
+// Todas as rotas exigem login + permissão de gerenciar promoções
+router.use(authenticate, requirePermission("promotions:write"));
+
+// --- ROTAS ---
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Promoções agendadas sobre produtos e categorias (requer promotions:write).
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Lista as promoções (início mais recente primeiro).
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [scheduled, running, ended, paused] }
+ *         description: Filtra pela situação atual da promoção.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       '200':
+ *         description: Lista paginada de promoções.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 2 }
+ *                 totalPromotions: { type: integer, example: 2 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 currentPage: { type: integer, example: 1 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotions:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/PromotionOutput' }
+ *       '400': { description: Parâmetros inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   post:
+ *     summary: Cria uma promoção percentual ou fixa para produtos e/ou categorias.
+ *     tags: [Promotions]
+ *     description: Promoções não se acumulam entre si nem com o preço promocional do produto; vale sempre o menor preço. O desconto é aplicado sobre o preço de cada variação, quando houver.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PromotionInput' }
+ *     responses:
+ *       '201':
+ *         description: Promoção criada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotion: { $ref: '#/components/schemas/PromotionOutput' }
+ *       '400': { description: Dados inválidos ou produtos/categorias não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/", getPromotionsValidationRules, getPromotions);
+router.post("/", promotionValidationRules(false), createPromotion);
+
+/**
+ * @swagger
+ * /api/promotions/{id}/preview:
+ *   get:
+ *     summary: Pré-visualiza o efeito da promoção nos produtos alcançados.
+ *     tags: [Promotions]
+ *     description: Para cada produto (não arquivado) da promoção, mostra o preço normal, o preço com esta promoção, o preço efetivo sem ela e com ela, considerando o preço promocional do produto e as demais promoções em vigor na data `at`. A promoção é simulada mesmo se estiver pausada, o que permite revisá-la antes de ativar.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromotionIdParam'
+ *       - in: query
+ *         name: at
+ *         schema: { type: string, format: date-time }
+ *         description: Data de referência (padrão - agora ou, se a promoção ainda não começou, o início dela).
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       '200':
+ *         description: Produtos alcançados e seus preços.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 at: { type: string, format: date-time }
+ *                 results: { type: integer, example: 1 }
+ *                 totalProducts: { type: integer, example: 1 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 currentPage: { type: integer, example: 1 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotion: { $ref: '#/components/schemas/PromotionOutput' }
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string, format: objectid }
+ *                           name: { type: string, example: 'Camiseta Básica' }
+ *                           image: { type: string, format: url }
+ *                           price: { type: number, format: float, example: 100 }
+ *                           promotionPrice: { type: number, format: float, example: 85, description: 'Preço com esta promoção isoladamente.' }
+ *                           currentPrice: { type: number, format: float, example: 90, description: 'Preço efetivo sem esta promoção.' }
+ *                           effectivePrice: { type: number, format: float, example: 85, description: 'Preço efetivo com esta promoção.' }
+ *                           applied: { type: boolean, description: 'false quando outro desconto já oferece um preço menor.' }
+ *       '400': { description: Parâmetros inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '404': { description: Promoção não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/:id/preview", promotionIdValidation, previewValidationRules, previewPromotion);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Obtém uma promoção, com produtos e categorias populados.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromotionIdParam'
+ *     responses:
+ *       '200':
+ *         description: Detalhes da promoção.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotion: { $ref: '#/components/schemas/PromotionOutput' }
+ *       '400': { description: ID inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '404': { description: Promoção não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   patch:
+ *     summary: Atualiza uma promoção (campos parciais).
+ *     tags: [Promotions]
+ *     description: Envie `active` false para pausar a promoção sem alterar o período. Pedidos já feitos não são afetados.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromotionIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PromotionInput' }
+ *     responses:
+ *       '200':
+ *         description: Promoção atualizada.
+ *       '400': { description: Dados inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '404': { description: Promoção não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   delete:
+ *     summary: Remove uma promoção.
+ *     tags: [Promotions]
+ *     description: Pedidos já feitos mantêm o preço cobrado e o nome da promoção aplicada.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromotionIdParam'
+ *     responses:
+ *       '200':
+ *         description: Promoção removida.
+ *       '404': { description: Promoção não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/:id", promotionIdValidation, getPromotionById);
+router.patch("/:id", promotionIdValidation, promotionValidationRules(true), updatePromotion);
+router.delete("/:id", promotionIdValidation, deletePromotion);
+
+export default router;
@@ -1,8 +1,7 @@
 // src/routes/reviewRoutes.js
 import express from "express";
 import { body, param, query } from "express-validator";
-import { authenticate } from "../middleware/auth.js"; // Middleware de autenticação
-import { isAdmin } from "../middleware/auth.js"; // Middleware de admin (usado se necessário)
+import { authenticate, forbidApiKey, forbidImpersonation } from "../middleware/auth.js"; // Middleware de autenticação
 import {
   createReview,
   getReviewsForProduct,
@@ -135,6 +134,8 @@ router.get(
 router.post(
   "/product/:productId",
   authenticate, // 1. Garante que usuário está logado
+  forbidApiKey, //    (avaliações são sempre de uma pessoa, não de integrações)
+  forbidImpersonation, //    (nem publicadas em nome do cliente pelo suporte)
   productIdParamValidation, // 2. Valida ID do produto na URL
   createReviewValidation, // 3. Valida 'rating' e 'comment' no corpo
   createReview // 4. Controller executa
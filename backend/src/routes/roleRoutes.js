@@ -0,0 +1,223 @@
+// src/routes/roleRoutes.js
+import express from "express";
+import { body, param } from "express-validator";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { isKnownPermission } from "../config/permissions.js";
+import {
+  getPermissionCatalog,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/roleController.js";
+
+const router = express.Router();
+
+// --- VALIDAÇÕES ---
+
+const permissionsRule = (optional) => {
+  const chain = body("permissions", "Permissões devem ser uma lista de strings");
+  return (optional ? chain.optional() : chain)
+    .isArray()
+    .bail()
+    .custom((values) => {
+      const unknown = values.filter((value) => !isKnownPermission(value));
+      if (unknown.length) {
+        throw new Error(
+          `Permissões desconhecidas: ${unknown.join(", ")}. Consulte GET /api/roles/permissions.`
+        );
+      }
+      return true;
+    });
+};
+
+const createRoleValidationRules = [
+  body("name", "Nome da role é obrigatório")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage(
+      "O nome da role deve ter de 2 a 50 caracteres: letras minúsculas, números e '_' (começando por letra)."
+    ),
+  body("description", "Descrição inválida").optional().isString().trim(),
+  permissionsRule(false),
+];
+
+const updateRoleValidationRules = [
+  body("name").not().exists().withMessage("O nome da role não pode ser alterado."),
+  body("description", "Descrição inválida").optional().isString().trim(),
+  permissionsRule(true),
+];
+
+const roleIdValidation = [param("id", "ID de role inválido").isMongoId()];
+
+// Todas as rotas exigem login + permissão de gerenciar roles
+router.use(authenticate, requirePermission("roles:manage"));
+
+// --- ROTAS ---
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Gerenciamento de roles e permissões (requer roles:manage).
+ */
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Lista o catálogo de permissões disponíveis.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Catálogo de permissões.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name: { type: string, example: "products:write" }
+ *                           description: { type: string, example: "Criar, editar e remover produtos" }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/permissions", getPermissionCatalog);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Lista as roles do sistema (admin, user) e as roles customizadas.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Lista de roles.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 3 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RoleOutput' }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   post:
+ *     summary: Cria uma role customizada.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleInput'
+ *     responses:
+ *       '201':
+ *         description: Role criada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role: { $ref: '#/components/schemas/RoleOutput' }
+ *       '400': { description: Dados inválidos ou permissão desconhecida, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '409': { description: Já existe uma role com este nome, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/", getRoles);
+router.post("/", createRoleValidationRules, createRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Obtém uma role customizada e quantos usuários a possuem.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RoleIdParam'
+ *     responses:
+ *       '200':
+ *         description: Detalhes da role.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role: { $ref: '#/components/schemas/RoleOutput' }
+ *                     userCount: { type: integer, example: 2 }
+ *       '400': { description: ID inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '404': { description: Role não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   patch:
+ *     summary: Atualiza descrição e/ou permissões de uma role customizada.
+ *     tags: [Roles]
+ *     description: O nome não pode ser alterado. As novas permissões valem imediatamente para todos os usuários com a role.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RoleIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description: { type: string }
+ *               permissions: { type: array, items: { type: string } }
+ *     responses:
+ *       '200':
+ *         description: Role atualizada.
+ *       '400': { description: Dados inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '404': { description: Role não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   delete:
+ *     summary: Remove uma role customizada.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RoleIdParam'
+ *     responses:
+ *       '204':
+ *         description: Role removida.
+ *       '404': { description: Role não encontrada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '409': { description: Existem usuários com esta role, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/:id", roleIdValidation, getRoleById);
+router.patch("/:id", roleIdValidation, updateRoleValidationRules, updateRole);
+router.delete("/:id", roleIdValidation, deleteRole);
+
+export default router;
@@ -0,0 +1,123 @@
+// src/routes/seoRoutes.js
+import express from "express";
+import { param } from "express-validator";
+import {
+  getSitemapIndex,
+  getCategorySitemap,
+  getProductSitemap,
+  getProductFeed,
+} from "../controllers/seoController.js";
+
+const router = express.Router();
+
+// --- VALIDAÇÕES ---
+
+const sitemapPageValidationRules = [
+  param("page", "Página do sitemap inválida (deve ser número inteiro maior que zero)")
+    .isInt({ gt: 0 })
+    .toInt(),
+];
+
+const feedFormatValidationRules = [
+  param("format", "Formato do feed inválido (xml ou tsv)").isIn(["xml", "tsv"]),
+];
+
+// --- ROTAS (públicas: lidas por buscadores e plataformas de anúncios) ---
+
+/**
+ * @swagger
+ * tags:
+ *   name: SEO
+ *   description: Sitemaps e feed de produtos (Google Merchant Center / catálogo da Meta). Os documentos ficam em cache e são gerados de novo quando o catálogo muda (produtos, categorias ou promoções) ou após SEO_CACHE_MAX_AGE_MINUTES.
+ */
+
+/**
+ * @swagger
+ * /api/seo/sitemap.xml:
+ *   get:
+ *     summary: Índice de sitemaps.
+ *     tags: [SEO]
+ *     description: Aponta para o sitemap das categorias e para cada página do sitemap de produtos (`SITEMAP_PAGE_SIZE` produtos por arquivo, padrão 10000). Os links usam `PUBLIC_API_URL` (ou o host da requisição).
+ *     security: []
+ *     responses:
+ *       '200':
+ *         description: Índice de sitemaps (sitemapindex).
+ *         content:
+ *           application/xml:
+ *             schema: { type: string }
+ */
+router.get("/sitemap.xml", getSitemapIndex);
+
+/**
+ * @swagger
+ * /api/seo/sitemaps/categories.xml:
+ *   get:
+ *     summary: Sitemap das categorias ativas.
+ *     tags: [SEO]
+ *     description: URLs da vitrine (`FRONTEND_URL/categories/{slug}`) com a data da última alteração.
+ *     security: []
+ *     responses:
+ *       '200':
+ *         description: Sitemap (urlset).
+ *         content:
+ *           application/xml:
+ *             schema: { type: string }
+ */
+router.get("/sitemaps/categories.xml", getCategorySitemap);
+
+/**
+ * @swagger
+ * /api/seo/sitemaps/products-{page}.xml:
+ *   get:
+ *     summary: Página do sitemap de produtos ativos.
+ *     tags: [SEO]
+ *     description: URLs da vitrine (`FRONTEND_URL/products/{slug}`) com a data da última alteração e a imagem de capa. As páginas são listadas no índice (`/api/seo/sitemap.xml`).
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: page
+ *         required: true
+ *         schema: { type: integer, minimum: 1 }
+ *     responses:
+ *       '200':
+ *         description: Sitemap (urlset).
+ *         content:
+ *           application/xml:
+ *             schema: { type: string }
+ *       '400': { description: Página inválida, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '404': { description: Página além da última, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get(
+  "/sitemaps/products-:page.xml",
+  sitemapPageValidationRules,
+  getProductSitemap
+);
+
+/**
+ * @swagger
+ * /api/seo/product-feed.{format}:
+ *   get:
+ *     summary: Feed de produtos para Google Merchant Center e catálogo da Meta.
+ *     tags: [SEO]
+ *     description: |
+ *       Um item por produto ativo, com os campos do Merchant Center: `id` (externalId ou ID), `title`, `description`, `link`, `image_link`, `additional_image_link`, `availability` (`in_stock`/`out_of_stock` pelo estoque), `price`, `sale_price` (quando há preço promocional ou promoção em vigor), `brand` e `gtin` (quando cadastrados; sem nenhum dos dois, `identifier_exists` = `no`), `product_type` (caminho da categoria) e `condition`.
+ *       Em XML (RSS 2.0 com o namespace `g:`) ou TSV. Moeda: `FEED_CURRENCY` (padrão BRL).
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema: { type: string, enum: [xml, tsv] }
+ *     responses:
+ *       '200':
+ *         description: Feed de produtos.
+ *         content:
+ *           application/xml:
+ *             schema: { type: string }
+ *           text/tab-separated-values:
+ *             schema: { type: string }
+ *       '400': { description: Formato inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ */
+router.get("/product-feed.:format", feedFormatValidationRules, getProductFeed);
+
+export default router;
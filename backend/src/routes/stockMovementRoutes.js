@@ -0,0 +1,165 @@
+// src/routes/stockMovementRoutes.js
+import express from "express";
+import { body, query } from "express-validator";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { STOCK_MOVEMENT_REASONS } from "../models/StockMovement.js";
+import {
+  getStockMovements,
+  createStockAdjustment,
+} from "../controllers/stockMovementController.js";
+
+const router = express.Router();
+
+// --- VALIDAÇÕES ---
+
+const getStockMovementsValidationRules = [
+  query("product", "ID de produto inválido").optional().isMongoId(),
+  query("variant", "ID de variação inválido").optional().isMongoId(),
+  query("variant", "Informe o produto (product) ao filtrar por variação").custom(
+    (variant, { req }) => !variant || Boolean(req.query.product)
+  ),
+  query("reason", `Motivo inválido (${STOCK_MOVEMENT_REASONS.join(", ")})`)
+    .optional()
+    .isIn(STOCK_MOVEMENT_REASONS),
+  query("order", "ID de pedido inválido").optional().isMongoId(),
+  query("from", "Data inicial inválida (ISO 8601)").optional().isISO8601().toDate(),
+  query("to", "Data final inválida (ISO 8601)").optional().isISO8601().toDate(),
+  query("page", "Página inválida (deve ser número inteiro maior que zero)")
+    .optional()
+    .isInt({ gt: 0 })
+    .toInt(),
+  query("limit", "Limite inválido (entre 1 e 100)")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+];
+
+const stockAdjustmentValidationRules = [
+  body("productId", "ID de produto inválido").isMongoId(),
+  body("variantId", "ID de variação inválido").optional().isMongoId(),
+  body("delta", "Quantidade do ajuste deve ser um número inteiro diferente de zero")
+    .isInt()
+    .not()
+    .equals("0")
+    .toInt(),
+  body("note", "Motivo do ajuste é obrigatório (até 500 caracteres)")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 }),
+];
+
+// Todas as rotas exigem login + permissão de gerenciar o catálogo
+router.use(authenticate, requirePermission("products:write"));
+
+// --- ROTAS ---
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Movements
+ *   description: Livro de estoque - histórico de movimentos e ajustes manuais (requer products:write).
+ */
+
+/**
+ * @swagger
+ * /api/stock-movements:
+ *   get:
+ *     summary: Lista os movimentos de estoque (mais recentes primeiro).
+ *     tags: [Stock Movements]
+ *     description: Cada movimento registra o motivo, a referência (pedido e/ou quem fez), a quantidade (`delta`) e o saldo resultante. Filtrando por produto (e variação), a resposta inclui `reconciliation`, que confere o estoque atual com a soma dos movimentos.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         schema: { type: string, format: objectid }
+ *       - in: query
+ *         name: variant
+ *         schema: { type: string, format: objectid }
+ *         description: Variação do produto informado em `product`.
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string, enum: [initial, sale, cancellation, refund, adjustment, import] }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, format: objectid }
+ *         description: Movimentos de um pedido (venda, cancelamento ou reembolso).
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       '200':
+ *         description: Lista paginada de movimentos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 results: { type: integer, example: 2 }
+ *                 totalMovements: { type: integer, example: 2 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 currentPage: { type: integer, example: 1 }
+ *                 reconciliation:
+ *                   type: object
+ *                   description: Presente apenas ao filtrar por produto.
+ *                   properties:
+ *                     stock: { type: integer, example: 8, description: 'Estoque atual do produto (ou da variação).' }
+ *                     ledgerStock: { type: integer, example: 8, description: 'Soma dos movimentos do livro.' }
+ *                     reconciled: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movements:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/StockMovementOutput' }
+ *       '400': { description: Parâmetros inválidos, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Produto ou variação não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *   post:
+ *     summary: Faz um ajuste manual de estoque (entrada ou saída).
+ *     tags: [Stock Movements]
+ *     description: Use `delta` positivo para entradas e negativo para saídas (perdas, avarias, inventário). O motivo (`note`) é obrigatório. Produtos com variações exigem `variantId`. Saídas maiores que o estoque disponível são recusadas.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/StockAdjustmentInput' }
+ *     responses:
+ *       '201':
+ *         description: Ajuste registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movement: { $ref: '#/components/schemas/StockMovementOutput' }
+ *                     stock: { type: integer, example: 12, description: 'Estoque resultante do produto (ou da variação).' }
+ *       '400': { description: Dados inválidos ou estoque insuficiente, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Produto ou variação não encontrados, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get("/", getStockMovementsValidationRules, getStockMovements);
+router.post("/", stockAdjustmentValidationRules, createStockAdjustment);
+
+export default router;
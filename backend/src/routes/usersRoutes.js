@@ -1,15 +1,26 @@
 //src/routes/users.js
 import express from "express";
-import { body, param } from "express-validator";
+import { body, param, query } from "express-validator";
 import User from "../models/User.js";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import Role from "../models/Role.js";
+import {
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+} from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
 import {
   createUser,
   getUsers,
   getUserById,
   updateUser,
   deleteUser,
+  archiveUser,
+  restoreUser,
+  unlockUser,
+  impersonateUser,
   getMe,
+  exportMe,
   updateMe,
   deleteMe,
   updateMyPassword,
@@ -17,6 +28,22 @@ import {
 
 // --- VALIDAÇÕES ---
 
+// Aceita as roles do sistema (user/admin) e as roles cadastradas em /api/roles
+const roleValidationRule = body(
+  "role",
+  "Role inválida. Deve ser 'user', 'admin' ou uma role cadastrada."
+)
+  .optional()
+  .isString()
+  .bail()
+  .custom(async (value) => {
+    if (!(await Role.roleExists(value))) {
+      return Promise.reject(
+        "Role inválida. Deve ser 'user', 'admin' ou uma role cadastrada."
+      );
+    }
+  });
+
 const adminCreateUserValidationRules = [
   body("name", "Nome é obrigatório").trim().notEmpty(),
   body("email", "Email inválido ou já registrado")
@@ -51,9 +78,13 @@ const adminCreateUserValidationRules = [
     .isISO8601()
     .withMessage("Formato de data inválido (use AAAA-MM-DD).")
     .toDate(),
-  body("role", "Role inválida. Deve ser 'user' ou 'admin'.")
+  roleValidationRule,
+];
+
+const exportMeValidationRules = [
+  query("format", "Formato inválido. Use 'json' ou 'zip'.")
     .optional()
-    .isIn(["user", "admin"]),
+    .isIn(["json", "zip"]),
 ];
 
 const mongoIdValidation = (paramName = "id") => [
@@ -82,9 +113,7 @@ const adminUpdateUserValidationRules = [
         );
       }
     }),
-  body("role", "Role inválida. Deve ser 'user' ou 'admin'.")
-    .optional()
-    .isIn(["user", "admin"]),
+  roleValidationRule,
 ];
 
 const updateMeValidationRules = [
@@ -173,7 +202,39 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get("/me", authenticate, getMe);
+router.get("/me", authenticate, forbidApiKey, getMe);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Exporta os dados pessoais do usuário logado (LGPD).
+ *     tags: [Users]
+ *     description: Pacote com perfil (incluindo CPF e data de nascimento), endereços, carrinho, pedidos, avaliações e sessões. JSON por padrão ou .zip com `format=zip`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, zip], default: json }
+ *     responses:
+ *       '200':
+ *         description: Pacote de dados pessoais (enviado como anexo).
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PersonalDataExport' }
+ *           application/zip:
+ *             schema: { type: string, format: binary }
+ *       '400': { description: Formato inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorValidationResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.get(
+  "/me/export",
+  authenticate,
+  forbidApiKey,
+  exportMeValidationRules,
+  exportMe
+);
 
 /**
  * @swagger
@@ -225,7 +286,14 @@ router.get("/me", authenticate, getMe);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch("/me", authenticate, updateMeValidationRules, updateMe);
+router.patch(
+  "/me",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation, // Trocar o email permitiria assumir a conta pelo "esqueci minha senha"
+  updateMeValidationRules,
+  updateMe
+);
 
 /**
  * @swagger
@@ -282,6 +350,8 @@ router.patch("/me", authenticate, updateMeValidationRules, updateMe);
 router.patch(
   "/updateMyPassword",
   authenticate,
+  forbidApiKey,
+  forbidImpersonation,
   updatePasswordValidationRules,
   updateMyPassword
 );
@@ -292,7 +362,7 @@ router.patch(
  *   delete:
  *     summary: Deleta a conta do usuário logado.
  *     tags: [Users]
- *     description: Remove permanentemente a conta do usuário autenticado do sistema. Esta ação é irreversível.
+ *     description: Exclui a conta do usuário autenticado anonimizando seus dados pessoais (LGPD). Endereços e carrinho são removidos, avaliações passam a exibir "Usuário removido" e todas as sessões são encerradas; os pedidos são mantidos por obrigação fiscal. Esta ação é irreversível.
  *     security:
  *       - bearerAuth: [] # Requer autenticação
  *     responses:
@@ -317,7 +387,13 @@ router.patch(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete("/me", authenticate, deleteMe);
+router.delete(
+  "/me",
+  authenticate,
+  forbidApiKey,
+  forbidImpersonation,
+  deleteMe
+);
 
 // --- Rotas de Admin ---
 
@@ -393,7 +469,7 @@ router.delete("/me", authenticate, deleteMe);
 router.post(
   "/",
   authenticate,
-  isAdmin,
+  requirePermission("users:write"),
   adminCreateUserValidationRules,
   createUser
 );
@@ -404,9 +480,11 @@ router.post(
  *   get:
  *     summary: Lista todos os usuários (Admin).
  *     tags: [Users]
- *     description: Retorna uma lista de todos os usuários registrados no sistema. Apenas administradores.
+ *     description: Retorna uma lista de todos os usuários registrados no sistema (contas arquivadas só com `includeArchived=true`). Apenas administradores.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IncludeArchivedQueryParam'
  *     # Adicionar parâmetros de paginação/ordenação aqui se implementar no controller getUsers
  *     # parameters:
  *     #   - in: query
@@ -447,7 +525,15 @@ router.post(
  *              schema:
  *                $ref: '#/components/schemas/ErrorResponse'
  */
-router.get("/", authenticate, isAdmin, getUsers);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("users:read"),
+  query("includeArchived", "includeArchived deve ser true ou false")
+    .optional()
+    .isBoolean(),
+  getUsers
+);
 
 /**
  * @swagger
@@ -489,7 +575,13 @@ router.get("/", authenticate, isAdmin, getUsers);
  *         description: Erro interno.
  *         content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
  */
-router.get("/:id", authenticate, isAdmin, mongoIdValidation("id"), getUserById);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("users:read"),
+  mongoIdValidation("id"),
+  getUserById
+);
 
 /**
  * @swagger
@@ -539,7 +631,7 @@ router.get("/:id", authenticate, isAdmin, mongoIdValidation("id"), getUserById);
 router.patch(
   "/:id",
   authenticate,
-  isAdmin,
+  requirePermission("users:write"),
   mongoIdValidation("id"),
   adminUpdateUserValidationRules,
   updateUser
@@ -551,7 +643,7 @@ router.patch(
  *   delete:
  *     summary: Deleta um usuário (Admin).
  *     tags: [Users]
- *     description: Remove permanentemente um usuário do sistema. Apenas administradores.
+ *     description: Exclui a conta anonimizando os dados pessoais (mesmo processo de DELETE /api/users/me); os pedidos são mantidos por obrigação fiscal. Apenas administradores.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -568,11 +660,160 @@ router.patch(
 router.delete(
   "/:id",
   authenticate,
-  isAdmin,
+  requirePermission("users:write"),
   mongoIdValidation("id"),
   deleteUser
 );
 
+/**
+ * @swagger
+ * /api/users/{id}/archive:
+ *   post:
+ *     summary: Arquiva (desativa) um usuário (Admin).
+ *     tags: [Users]
+ *     description: A conta deixa de fazer login e todas as sessões são encerradas, mas os dados são mantidos e ela pode ser restaurada em POST /api/users/{id}/restore. Para excluir definitivamente (anonimizar), use DELETE /api/users/{id}.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       '200':
+ *         description: Conta arquivada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *                type: object
+ *                properties:
+ *                  status: { type: string, example: success }
+ *                  data:
+ *                    type: object
+ *                    properties:
+ *                      user: { $ref: '#/components/schemas/UserOutput' }
+ *       '400': { description: ID inválido ou conta já arquivada ou a própria conta, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Usuário não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.post(
+  "/:id/archive",
+  authenticate,
+  requirePermission("users:write"),
+  mongoIdValidation("id"),
+  archiveUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restaura um usuário arquivado (Admin).
+ *     tags: [Users]
+ *     description: A conta volta a poder fazer login. Contas excluídas (anonimizadas) não podem ser restauradas.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       '200':
+ *         description: Conta restaurada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *                type: object
+ *                properties:
+ *                  status: { type: string, example: success }
+ *                  data:
+ *                    type: object
+ *                    properties:
+ *                      user: { $ref: '#/components/schemas/UserOutput' }
+ *       '400': { description: ID inválido ou conta não arquivada, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Usuário não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.post(
+  "/:id/restore",
+  authenticate,
+  requirePermission("users:write"),
+  mongoIdValidation("id"),
+  restoreUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Desbloqueia o login de um usuário (Admin).
+ *     tags: [Users]
+ *     description: Zera as tentativas de login malsucedidas da conta e remove o bloqueio temporário aplicado pela proteção contra força bruta. Apenas administradores.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       '200':
+ *         description: Falhas e bloqueio removidos (ou nada havia a remover).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: success }
+ *                 message: { type: string, example: Conta desbloqueada. O usuário já pode tentar logar novamente. }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unlocked: { type: boolean, example: true }
+ *       '400': { description: ID inválido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Acesso proibido, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Usuário não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '500': { description: Erro interno, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.post(
+  "/:id/unlock",
+  authenticate,
+  requirePermission("users:write"),
+  mongoIdValidation("id"),
+  unlockUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: Gera um token para acessar a API como o cliente (Admin/suporte).
+ *     tags: [Users]
+ *     description: |
+ *       Emite um token de acesso de curta duração (`IMPERSONATION_EXPIRES_IN`, padrão 15 min) que age como o cliente e carrega também o ID do admin (claim `imp`). Requer `users:impersonate`.
+ *       - Apenas contas sem permissões administrativas podem ser personificadas.
+ *       - Pagamentos, criação de pedidos, troca de senha, 2FA, logout-all e exclusão de conta são bloqueados (403).
+ *       - Cada requisição feita com o token é registrada no log de auditoria (`impersonation.request`) e a resposta traz o header `X-Impersonated-By`.
+ *       - O token deixa de valer se a sessão do admin for encerrada.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       '200':
+ *         description: Token de personificação emitido.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImpersonationResponse' }
+ *       '400': { description: ID inválido ou tentativa de personificar a própria conta, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '401': { description: Não autorizado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '403': { description: Sem permissão ou conta alvo com permissões administrativas, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       '404': { description: Usuário não encontrado, content: { application/json: { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.post(
+  "/:id/impersonate",
+  authenticate,
+  forbidImpersonation,
+  requirePermission("users:impersonate"),
+  mongoIdValidation("id"),
+  impersonateUser
+);
+
 // --- Definição de Parâmetro Reutilizável ---
 
 /**
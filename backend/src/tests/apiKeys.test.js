@@ -0,0 +1,230 @@
+// src/tests/apiKeys.test.js
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import jwt from "jsonwebtoken";
+import app from "../app.js";
+import ApiKey from "../models/ApiKey.js";
+import AuditLog from "../models/AuditLog.js";
+import Category from "../models/Category.js";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import { hashToken } from "../utils/jwtUtils.js";
+
+let mongoServer;
+let adminToken, userToken;
+let adminUserId;
+
+// --- Dados de Usuário Válidos para Teste ---
+const adminUserData = {
+  name: "Keys Admin",
+  email: "keys.admin@test.com",
+  password: "password123",
+  cpf: "35232417076",
+  birthDate: "1980-01-01",
+  role: "admin",
+};
+const normalUserData = {
+  name: "Keys User",
+  email: "keys.user@test.com",
+  password: "password123",
+  cpf: "71540135004",
+  birthDate: "1995-05-05",
+  role: "user",
+};
+
+const signToken = (user, claims = {}) =>
+  jwt.sign({ id: user._id, role: user.role, ...claims }, process.env.JWT_SECRET, {
+    expiresIn: "1h",
+  });
+
+// Cria uma chave pela API e retorna { key, apiKey }
+const createKey = async (body) => {
+  const res = await request(app)
+    .post("/api/api-keys")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({ name: "ERP", ...body })
+    .expect(201);
+  return { key: res.body.key, apiKey: res.body.data.apiKey };
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  if (!process.env.JWT_SECRET) {
+    process.env.JWT_SECRET = "test-secret-for-api-keys-please-replace";
+  }
+
+  await User.deleteMany({});
+  const adminUser = await User.create(adminUserData);
+  const normalUser = await User.create(normalUserData);
+  adminUserId = adminUser._id;
+
+  adminToken = signToken(adminUser, { mfa: true });
+  userToken = signToken(normalUser);
+});
+
+afterEach(async () => {
+  await ApiKey.deleteMany({});
+  await AuditLog.deleteMany({});
+  await Category.deleteMany({});
+  await Role.deleteMany({});
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("/api/api-keys", () => {
+  it("deve criar a chave, exibi-la uma única vez e guardar apenas o hash", async () => {
+    const { key, apiKey } = await createKey({
+      scopes: ["orders:read", "orders:ship"],
+    });
+
+    expect(key).toMatch(/^ak_/);
+    expect(apiKey.prefix).toBe(key.slice(0, 11));
+    expect(apiKey.keyHash).toBeUndefined();
+    const dbKey = await ApiKey.findById(apiKey._id).select("+keyHash");
+    expect(dbKey.keyHash).toBe(hashToken(key));
+    expect(dbKey.createdBy.toString()).toBe(adminUserId.toString());
+
+    const listRes = await request(app)
+      .get("/api/api-keys")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(listRes.body.results).toBe(1);
+    expect(JSON.stringify(listRes.body)).not.toContain(key);
+
+    const log = await AuditLog.findOne({ action: "apiKey.create" });
+    expect(log.entityId.toString()).toBe(apiKey._id);
+  });
+
+  it("deve recusar escopos não delegáveis ou desconhecidos", async () => {
+    for (const scopes of [["roles:manage"], ["pedidos:tudo"], []]) {
+      await request(app)
+        .post("/api/api-keys")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "ERP", scopes })
+        .expect(400);
+    }
+  });
+
+  it("não deve permitir conceder escopos que o criador não possui", async () => {
+    await Role.create({
+      name: "integrations",
+      permissions: ["products:write", "api-keys:manage"],
+    });
+    const manager = await User.create({
+      ...normalUserData,
+      email: "keys.manager@test.com",
+      cpf: "04216817008",
+      role: "integrations",
+    });
+
+    const res = await request(app)
+      .post("/api/api-keys")
+      .set("Authorization", `Bearer ${signToken(manager, { mfa: true })}`)
+      .send({ name: "Marketplace", scopes: ["products:write", "orders:read"] })
+      .expect(403);
+    expect(res.body.message).toMatch(/orders:read/);
+
+    await User.findByIdAndDelete(manager._id);
+  });
+
+  it("usuário sem api-keys:manage deve receber 403", async () => {
+    await request(app)
+      .get("/api/api-keys")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(403);
+  });
+
+  describe("Autenticação com X-API-Key", () => {
+    it("deve acessar rotas dentro dos escopos e registrar o último uso", async () => {
+      const { key, apiKey } = await createKey({ scopes: ["orders:read"] });
+
+      await request(app).get("/api/orders").set("X-API-Key", key).expect(200);
+
+      const dbKey = await ApiKey.findById(apiKey._id);
+      expect(dbKey.lastUsedAt).toBeDefined();
+      expect(dbKey.lastUsedIp).toBeDefined();
+    });
+
+    it("deve recusar rotas fora dos escopos e rotas do usuário logado", async () => {
+      const { key } = await createKey({ scopes: ["orders:read"] });
+
+      const res = await request(app)
+        .post("/api/categories")
+        .set("X-API-Key", key)
+        .send({ name: "Integração" })
+        .expect(403);
+      expect(res.body.message).toMatch(/categories:write/);
+
+      await request(app).get("/api/cart").set("X-API-Key", key).expect(403);
+      await request(app).get("/api/users/me").set("X-API-Key", key).expect(403);
+    });
+
+    it("deve registrar na auditoria a chave usada e o admin responsável", async () => {
+      const { key, apiKey } = await createKey({ scopes: ["categories:write"] });
+
+      await request(app)
+        .post("/api/categories")
+        .set("X-API-Key", key)
+        .send({ name: "Sincronizada" })
+        .expect(201);
+
+      const log = await AuditLog.findOne({ action: "category.create" });
+      expect(log.actor.toString()).toBe(adminUserId.toString());
+      expect(log.apiKey.toString()).toBe(apiKey._id);
+    });
+
+    it("deve recusar chaves inválidas, revogadas ou expiradas", async () => {
+      await request(app)
+        .get("/api/orders")
+        .set("X-API-Key", "ak_chave-que-nao-existe")
+        .expect(401);
+
+      const { key, apiKey } = await createKey({ scopes: ["orders:read"] });
+      const revokeRes = await request(app)
+        .delete(`/api/api-keys/${apiKey._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(revokeRes.body.data.apiKey.revokedAt).toBeDefined();
+      await request(app).get("/api/orders").set("X-API-Key", key).expect(401);
+
+      const { key: expiredKey } = await ApiKey.generate({
+        name: "Expirada",
+        scopes: ["orders:read"],
+        createdBy: adminUserId,
+        expiresAt: new Date(Date.now() - 1000),
+      });
+      const res = await request(app)
+        .get("/api/orders")
+        .set("X-API-Key", expiredKey)
+        .expect(401);
+      expect(res.body.message).toMatch(/Chave de API inválida/);
+    });
+
+    it("deve aplicar o limite de requisições por chave", async () => {
+      const { key } = await createKey({
+        scopes: ["orders:read"],
+        rateLimitPerMinute: 2,
+      });
+
+      await request(app).get("/api/orders").set("X-API-Key", key).expect(200);
+      await request(app).get("/api/orders").set("X-API-Key", key).expect(200);
+      const res = await request(app)
+        .get("/api/orders")
+        .set("X-API-Key", key)
+        .expect(429);
+      expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+
+      // Outra chave tem o seu próprio limite
+      const { key: otherKey } = await createKey({ scopes: ["orders:read"] });
+      await request(app).get("/api/orders").set("X-API-Key", otherKey).expect(200);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// src/tests/auditLogs.test.js
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import jwt from "jsonwebtoken";
+import app from "../app.js";
+import AuditLog from "../models/AuditLog.js";
+import Category from "../models/Category.js";
+import User from "../models/User.js";
+
+let mongoServer;
+let adminToken, userToken;
+let adminUserId, normalUserId;
+
+// --- Dados de Usuário Válidos para Teste ---
+const adminUserData = {
+  name: "Audit Admin",
+  email: "audit.admin@test.com",
+  password: "password123",
+  cpf: "90450332080",
+  birthDate: "1980-01-01",
+  role: "admin",
+};
+const normalUserData = {
+  name: "Audit User",
+  email: "audit.user@test.com",
+  password: "password123",
+  cpf: "59111802006",
+  birthDate: "1995-05-05",
+  role: "user",
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  if (!process.env.JWT_SECRET) {
+    process.env.JWT_SECRET = "test-secret-for-audit-please-replace";
+  }
+
+  await User.deleteMany({});
+  const adminUser = await User.create(adminUserData);
+  const normalUser = await User.create(normalUserData);
+  adminUserId = adminUser._id;
+  normalUserId = normalUser._id;
+
+  adminToken = jwt.sign(
+    { id: adminUser._id, role: adminUser.role, mfa: true },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+  userToken = jwt.sign(
+    { id: normalUser._id, role: normalUser.role },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+});
+
+afterEach(async () => {
+  await AuditLog.deleteMany({});
+  await Category.deleteMany({});
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("Log de auditoria", () => {
+  it("deve registrar criação, alteração (com diff) e remoção de categoria", async () => {
+    const createRes = await request(app)
+      .post("/api/categories")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("X-Request-Id", "req-audit-123")
+      .set("User-Agent", "jest-audit")
+      .send({ name: "Livros" })
+      .expect(201);
+    expect(createRes.headers["x-request-id"]).toBe("req-audit-123");
+    const categoryId = createRes.body._id;
+
+    await request(app)
+      .put(`/api/categories/${categoryId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Livros e HQs" })
+      .expect(200);
+    await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    const logs = await AuditLog.find({ entityId: categoryId }).sort("createdAt");
+    expect(logs.map((log) => log.action)).toEqual([
+      "category.create",
+      "category.update",
+      "category.delete",
+    ]);
+
+    const [created, updated, deleted] = logs;
+    expect(created.actor.toString()).toBe(adminUserId.toString());
+    expect(created.actorEmail).toBe(adminUserData.email);
+    expect(created.requestId).toBe("req-audit-123");
+    expect(created.userAgent).toBe("jest-audit");
+    expect(created.ip).toBeDefined();
+    expect(updated.changes.name).toEqual({
+      before: "Livros",
+      after: "Livros e HQs",
+    });
+    expect(updated.changes.updatedAt).toBeUndefined();
+    expect(deleted.changes.name).toEqual({ before: "Livros e HQs", after: null });
+  });
+
+  it("deve mascarar campos sensíveis e registrar troca de role de usuário", async () => {
+    await request(app)
+      .patch(`/api/users/${normalUserId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Audit User Renomeado" })
+      .expect(200);
+
+    const log = await AuditLog.findOne({ action: "user.update" });
+    expect(log.entityType).toBe("User");
+    expect(log.entityId.toString()).toBe(normalUserId.toString());
+    expect(log.changes.name.after).toBe("Audit User Renomeado");
+    expect(JSON.stringify(log.changes)).not.toMatch(/password123/);
+  });
+
+  describe("GET /api/audit-logs", () => {
+    beforeEach(async () => {
+      const otherActor = new mongoose.Types.ObjectId();
+      const productId = new mongoose.Types.ObjectId();
+      await AuditLog.create([
+        {
+          actor: adminUserId,
+          action: "product.update",
+          entityType: "Product",
+          entityId: productId,
+          changes: { price: { before: 10, after: 12 } },
+          createdAt: new Date("2025-01-10T12:00:00Z"),
+        },
+        {
+          actor: otherActor,
+          action: "order.ship",
+          entityType: "Order",
+          entityId: new mongoose.Types.ObjectId(),
+          createdAt: new Date("2025-02-10T12:00:00Z"),
+        },
+        {
+          actor: adminUserId,
+          action: "product.delete",
+          entityType: "Product",
+          entityId: productId,
+          createdAt: new Date("2025-03-10T12:00:00Z"),
+        },
+      ]);
+    });
+
+    it("deve listar os logs mais recentes primeiro", async () => {
+      const res = await request(app)
+        .get("/api/audit-logs")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.totalLogs).toBe(3);
+      expect(res.body.data.logs.map((log) => log.action)).toEqual([
+        "product.delete",
+        "order.ship",
+        "product.update",
+      ]);
+    });
+
+    it("deve filtrar por actor, entityType/entityId e período", async () => {
+      const byActor = await request(app)
+        .get(`/api/audit-logs?actor=${adminUserId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(byActor.body.totalLogs).toBe(2);
+
+      const productLog = await AuditLog.findOne({ action: "product.update" });
+      const byEntity = await request(app)
+        .get(
+          `/api/audit-logs?entityType=Product&entityId=${productLog.entityId}`
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(byEntity.body.totalLogs).toBe(2);
+
+      const byPeriod = await request(app)
+        .get("/api/audit-logs?from=2025-02-01&to=2025-03-01")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(byPeriod.body.data.logs).toHaveLength(1);
+      expect(byPeriod.body.data.logs[0].action).toBe("order.ship");
+    });
+
+    it("deve paginar com page e limit numéricos", async () => {
+      const res = await request(app)
+        .get("/api/audit-logs?page=2&limit=2")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.currentPage).toBe(2);
+      expect(res.body.totalPages).toBe(2);
+      expect(res.body.data.logs).toHaveLength(1);
+    });
+
+    it("deve retornar 400 para filtros inválidos", async () => {
+      await request(app)
+        .get("/api/audit-logs?actor=nao-e-id&from=ontem")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it("usuário sem audit-logs:read deve receber 403", async () => {
+      await request(app)
+        .get("/api/audit-logs")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
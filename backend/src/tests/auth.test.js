@@ -4,7 +4,12 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../app.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
 import jwt from "jsonwebtoken";
+import { outbox } from "../utils/email.js";
+import { signEmailVerificationToken } from "../utils/jwtUtils.js";
+import { generateTotp } from "../utils/totp.js";
 
 let mongoServer;
 
@@ -21,6 +26,8 @@ beforeAll(async () => {
 
 afterEach(async () => {
   await User.deleteMany({});
+  await Session.deleteMany({});
+  await LoginAttempt.deleteMany({});
 });
 
 afterAll(async () => {
@@ -491,4 +498,714 @@ describe("/api/auth", () => {
       );
     });
   });
+  // --- Testes de Sessão (refresh / logout / logout-all) ---
+  describe("Sessões e Refresh Tokens", () => {
+    const sessionUserCredentials = {
+      email: "session@test.com",
+      password: "password123",
+    };
+    const sessionUserData = {
+      name: "Session User",
+      ...sessionUserCredentials,
+      cpf: "52998224725",
+      birthDate: "1992-02-02",
+    };
+
+    const loginAndGetTokens = async () => {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .send(sessionUserCredentials)
+        .expect(200);
+      return { token: res.body.token, refreshToken: res.body.refreshToken };
+    };
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Session.deleteMany({});
+      await User.create(sessionUserData);
+    });
+
+    it("login deve retornar refreshToken e token de acesso com o ID da sessão (sid)", async () => {
+      const { token, refreshToken } = await loginAndGetTokens();
+
+      expect(refreshToken).toEqual(expect.any(String));
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      expect(decoded.sid).toBeDefined();
+      expect(refreshToken.split(".")[0]).toBe(decoded.sid);
+
+      const session = await Session.findById(decoded.sid).select(
+        "+refreshTokenHash"
+      );
+      expect(session).not.toBeNull();
+      expect(session.refreshTokenHash).not.toContain(refreshToken);
+    });
+
+    it("POST /refresh deve rotacionar o refresh token e emitir novo token de acesso", async () => {
+      const { refreshToken } = await loginAndGetTokens();
+
+      const res = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken })
+        .expect("Content-Type", /json/)
+        .expect(200);
+
+      expect(res.body.status).toBe("success");
+      expect(res.body.token).toEqual(expect.any(String));
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+      expect(res.body.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${res.body.token}`)
+        .expect(200);
+    });
+
+    it("POST /refresh com token já rotacionado deve revogar a família inteira", async () => {
+      const { refreshToken: firstRefresh } = await loginAndGetTokens();
+
+      const rotated = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: firstRefresh })
+        .expect(200);
+
+      const reuseRes = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: firstRefresh })
+        .expect(401);
+      expect(reuseRes.body.message).toMatch(/Reuso de refresh token/i);
+
+      // O token legítimo mais recente também deixa de funcionar
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${rotated.body.token}`)
+        .expect(401);
+
+      const sessionId = firstRefresh.split(".")[0];
+      const session = await Session.findById(sessionId);
+      expect(session.revokedReason).toBe("reuse_detected");
+    });
+
+    it("POST /refresh deve retornar 401 para token malformado e 400 se ausente", async () => {
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: "nao-e-um-token" })
+        .expect(401);
+      await request(app).post("/api/auth/refresh").send({}).expect(400);
+    });
+
+    it("POST /logout deve revogar a sessão atual", async () => {
+      const { token, refreshToken } = await loginAndGetTokens();
+
+      await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      const meRes = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+      expect(meRes.body.message).toMatch(/sessão foi encerrada/i);
+
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it("POST /logout-all deve revogar todas as sessões do usuário", async () => {
+      const first = await loginAndGetTokens();
+      const second = await loginAndGetTokens();
+
+      const res = await request(app)
+        .post("/api/auth/logout-all")
+        .set("Authorization", `Bearer ${second.token}`)
+        .expect(200);
+      expect(res.body.data.revokedSessions).toBe(2);
+
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${first.token}`)
+        .expect(401);
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: first.refreshToken })
+        .expect(401);
+    });
+
+    it("POST /logout deve exigir autenticação", async () => {
+      await request(app).post("/api/auth/logout").expect(401);
+    });
+  });
+  // --- Testes de Redefinição de Senha ---
+  describe("Esqueci minha senha / Redefinição", () => {
+    const resetUserData = {
+      name: "Reset User",
+      email: "reset@test.com",
+      password: "password123",
+      cpf: "11144477735",
+      birthDate: "1990-05-05",
+    };
+
+    // Extrai o token do link enviado no último email
+    const getTokenFromLastEmail = () => {
+      const lastEmail = outbox[outbox.length - 1];
+      const match = lastEmail.text.match(/reset-password\/([a-f0-9]{64})/);
+      return match ? match[1] : null;
+    };
+
+    beforeEach(async () => {
+      outbox.length = 0;
+      await User.deleteMany({});
+      await User.create(resetUserData);
+    });
+
+    it("POST /forgot-password deve enviar email com token e salvar apenas o hash", async () => {
+      const res = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: resetUserData.email })
+        .expect(200);
+
+      expect(res.body.status).toBe("success");
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(resetUserData.email);
+
+      const token = getTokenFromLastEmail();
+      expect(token).not.toBeNull();
+
+      const dbUser = await User.findOne({ email: resetUserData.email }).select(
+        "+passwordResetToken +passwordResetExpires"
+      );
+      expect(dbUser.passwordResetToken).toBeDefined();
+      expect(dbUser.passwordResetToken).not.toBe(token);
+      expect(dbUser.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it("POST /forgot-password deve responder 200 sem enviar email para conta inexistente", async () => {
+      const res = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "ninguem@test.com" })
+        .expect(200);
+
+      expect(res.body.status).toBe("success");
+      expect(outbox).toHaveLength(0);
+    });
+
+    it("POST /reset-password/:token deve trocar a senha, invalidar JWTs antigos e ser de uso único", async () => {
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: resetUserData.email, password: resetUserData.password })
+        .expect(200);
+      const oldToken = loginRes.body.token;
+
+      await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: resetUserData.email })
+        .expect(200);
+      const resetToken = getTokenFromLastEmail();
+
+      const resetData = {
+        password: "novaSenha456",
+        passwordConfirm: "novaSenha456",
+      };
+      const res = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send(resetData)
+        .expect(200);
+      expect(res.body.token).toEqual(expect.any(String));
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+
+      const dbUser = await User.findOne({ email: resetUserData.email }).select(
+        "+passwordResetToken +passwordChangedAt"
+      );
+      expect(dbUser.passwordChangedAt).toBeDefined();
+      expect(dbUser.passwordResetToken).toBeUndefined();
+
+      // Token antigo não funciona mais (sessão revogada no reset)
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${oldToken}`)
+        .expect(401);
+
+      // Nova senha funciona, senha antiga não
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: resetUserData.email, password: resetData.password })
+        .expect(200);
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: resetUserData.email, password: resetUserData.password })
+        .expect(401);
+
+      // Reutilizar o token falha
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send(resetData)
+        .expect(400);
+    });
+
+    it("POST /reset-password/:token deve recusar token expirado", async () => {
+      await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: resetUserData.email })
+        .expect(200);
+      const resetToken = getTokenFromLastEmail();
+
+      await User.updateOne(
+        { email: resetUserData.email },
+        { passwordResetExpires: new Date(Date.now() - 1000) }
+      );
+
+      const res = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: "novaSenha456", passwordConfirm: "novaSenha456" })
+        .expect(400);
+      expect(res.body.message).toMatch(/Token inválido ou expirado/i);
+    });
+
+    it("POST /reset-password/:token deve validar confirmação de senha", async () => {
+      const res = await request(app)
+        .post(`/api/auth/reset-password/${"a".repeat(64)}`)
+        .send({ password: "novaSenha456", passwordConfirm: "diferente123" })
+        .expect(400);
+      expect(res.body.status).toBe("fail");
+    });
+  });
+  // --- Testes de Verificação de Email ---
+  describe("Verificação de email", () => {
+    const verifyUserData = {
+      name: "Verify User",
+      email: "verify@test.com",
+      password: "password123",
+      passwordConfirm: "password123",
+      cpf: "39053344705",
+      birthDate: "1993-03-03",
+    };
+
+    const getTokenFromLastEmail = () => {
+      const lastEmail = outbox[outbox.length - 1];
+      const match = lastEmail.text.match(/verify-email\/(\S+)/);
+      return match ? match[1] : null;
+    };
+
+    beforeEach(async () => {
+      outbox.length = 0;
+      await User.deleteMany({});
+    });
+
+    it("registro deve criar conta não verificada e enviar link de verificação", async () => {
+      const res = await request(app)
+        .post("/api/auth/register")
+        .send(verifyUserData)
+        .expect(201);
+
+      expect(res.body.data.user.emailVerified).toBe(false);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(verifyUserData.email);
+
+      const token = getTokenFromLastEmail();
+      await request(app).get(`/api/auth/verify-email/${token}`).expect(200);
+
+      const dbUser = await User.findOne({ email: verifyUserData.email });
+      expect(dbUser.emailVerified).toBe(true);
+      expect(dbUser.emailVerifiedAt).toBeDefined();
+    });
+
+    it("link de verificação não deve funcionar como token de acesso", async () => {
+      await request(app)
+        .post("/api/auth/register")
+        .send(verifyUserData)
+        .expect(201);
+      const token = getTokenFromLastEmail();
+
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it("deve recusar link emitido para um email antigo ou adulterado", async () => {
+      const user = await User.create({ ...verifyUserData });
+      const staleToken = signEmailVerificationToken(user._id, "antigo@test.com");
+
+      await request(app).get(`/api/auth/verify-email/${staleToken}`).expect(400);
+      await request(app).get("/api/auth/verify-email/token-invalido").expect(400);
+
+      const dbUser = await User.findById(user._id);
+      expect(dbUser.emailVerified).toBe(false);
+    });
+
+    it("POST /verify-email/resend deve respeitar o cooldown", async () => {
+      const registerRes = await request(app)
+        .post("/api/auth/register")
+        .send(verifyUserData)
+        .expect(201);
+      const authToken = registerRes.body.token;
+
+      // Logo após o cadastro, o cooldown ainda está ativo
+      const blockedRes = await request(app)
+        .post("/api/auth/verify-email/resend")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(429);
+      expect(blockedRes.headers["retry-after"]).toBeDefined();
+      expect(outbox).toHaveLength(1);
+
+      // Simula o fim do cooldown
+      await User.updateOne(
+        { email: verifyUserData.email },
+        { emailVerificationSentAt: new Date(Date.now() - 10 * 60 * 1000) }
+      );
+      await request(app)
+        .post("/api/auth/verify-email/resend")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      expect(outbox).toHaveLength(2);
+    });
+
+    it("contas anteriores à verificação de email devem ser marcadas como verificadas", async () => {
+      const legacy = await User.create({ ...verifyUserData });
+      await User.collection.updateOne({ _id: legacy._id }, { $unset: { emailVerified: "" } });
+      const pending = await User.create({ ...verifyUserData, email: "pendente@test.com", cpf: "52998224725" });
+
+      await User.verifyLegacyEmails();
+
+      expect((await User.findById(legacy._id)).emailVerified).toBe(true);
+      expect((await User.findById(pending._id)).emailVerified).toBe(false);
+    });
+
+    it("POST /verify-email/resend deve retornar 400 se o email já estiver verificado", async () => {
+      const user = await User.create({ ...verifyUserData, emailVerified: true });
+      const authToken = jwt.sign(
+        { id: user._id, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn: "1h" }
+      );
+
+      await request(app)
+        .post("/api/auth/verify-email/resend")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  // --- Testes de Autenticação em Dois Fatores (TOTP) ---
+  describe("Autenticação em dois fatores (2FA)", () => {
+    const mfaUserData = {
+      name: "MFA User",
+      email: "mfa@test.com",
+      password: "password123",
+      cpf: "09453681008",
+      birthDate: "1990-01-15",
+    };
+
+    // Código do passo seguinte (aceito pela janela de tolerância e ainda não usado)
+    const nextCode = (secret, offset = 1) =>
+      generateTotp(secret, Math.floor(Date.now() / 1000 / 30) + offset);
+
+    // Cria o usuário e ativa o 2FA pela API; retorna segredo, tokens e códigos
+    const createUserWithMfa = async (overrides = {}) => {
+      const user = await User.create({ ...mfaUserData, ...overrides });
+      const authToken = jwt.sign(
+        { id: user._id, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn: "1h" }
+      );
+      const setupRes = await request(app)
+        .post("/api/auth/mfa/setup")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      const { secret } = setupRes.body.data;
+      const enableRes = await request(app)
+        .post("/api/auth/mfa/enable")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: generateTotp(secret) })
+        .expect(200);
+      return {
+        user,
+        secret,
+        token: enableRes.body.token,
+        recoveryCodes: enableRes.body.data.recoveryCodes,
+      };
+    };
+
+    it("setup + enable devem ativar o 2FA e devolver tokens validados e códigos de recuperação", async () => {
+      const user = await User.create(mfaUserData);
+      const authToken = jwt.sign(
+        { id: user._id, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn: "1h" }
+      );
+
+      const setupRes = await request(app)
+        .post("/api/auth/mfa/setup")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      expect(setupRes.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(setupRes.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      await request(app)
+        .post("/api/auth/mfa/enable")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: nextCode(setupRes.body.data.secret, 5) }) // fora da janela
+        .expect(400);
+
+      const enableRes = await request(app)
+        .post("/api/auth/mfa/enable")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: generateTotp(setupRes.body.data.secret) })
+        .expect(200);
+      expect(enableRes.body.data.recoveryCodes).toHaveLength(10);
+      expect(jwt.decode(enableRes.body.token).mfa).toBe(true);
+
+      const dbUser = await User.findById(user._id).select(
+        "+mfaSecret +mfaPendingSecret +mfaRecoveryCodes"
+      );
+      expect(dbUser.mfaEnabled).toBe(true);
+      expect(dbUser.mfaSecret).toBe(setupRes.body.data.secret);
+      expect(dbUser.mfaPendingSecret).toBeUndefined();
+      // Apenas hashes dos códigos de recuperação são persistidos
+      expect(dbUser.mfaRecoveryCodes).not.toContain(
+        enableRes.body.data.recoveryCodes[0]
+      );
+    });
+
+    it("login de conta com 2FA deve retornar apenas o desafio; /mfa/verify conclui e rejeita replay do código", async () => {
+      const { secret } = await createUserWithMfa();
+
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: mfaUserData.email, password: mfaUserData.password })
+        .expect(200);
+      expect(loginRes.body.mfaRequired).toBe(true);
+      expect(loginRes.body.mfaToken).toEqual(expect.any(String));
+      expect(loginRes.body.token).toBeUndefined();
+      expect(loginRes.body.refreshToken).toBeUndefined();
+
+      // O token de desafio não serve como token de acesso
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${loginRes.body.mfaToken}`)
+        .expect(401);
+
+      const code = nextCode(secret);
+      const verifyRes = await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: loginRes.body.mfaToken, code })
+        .expect(200);
+      expect(verifyRes.body.token).toEqual(expect.any(String));
+      expect(verifyRes.body.refreshToken).toEqual(expect.any(String));
+      expect(jwt.decode(verifyRes.body.token).mfa).toBe(true);
+
+      await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: loginRes.body.mfaToken, code })
+        .expect(401);
+    });
+
+    it("código de recuperação deve funcionar apenas uma vez", async () => {
+      const { recoveryCodes } = await createUserWithMfa();
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: mfaUserData.email, password: mfaUserData.password })
+        .expect(200);
+
+      const verifyRes = await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: loginRes.body.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+      expect(verifyRes.body.data.recoveryCodesRemaining).toBe(9);
+
+      await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: loginRes.body.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it("requisições simultâneas com o mesmo código devem concluir apenas um login", async () => {
+      const { secret, recoveryCodes } = await createUserWithMfa();
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: mfaUserData.email, password: mfaUserData.password })
+        .expect(200);
+
+      const verifyTwice = (body) =>
+        Promise.all(
+          [1, 2].map(() =>
+            request(app)
+              .post("/api/auth/mfa/verify")
+              .send({ mfaToken: loginRes.body.mfaToken, ...body })
+          )
+        );
+
+      const totpResults = await verifyTwice({ code: nextCode(secret) });
+      expect(totpResults.map((res) => res.status).sort()).toEqual([200, 401]);
+
+      const recoveryResults = await verifyTwice({ recoveryCode: recoveryCodes[0] });
+      expect(recoveryResults.map((res) => res.status).sort()).toEqual([200, 401]);
+
+      const dbUser = await User.findOne({ email: mfaUserData.email }).select("+mfaRecoveryCodes");
+      expect(dbUser.mfaRecoveryCodes).toHaveLength(9);
+    });
+
+    it("POST /mfa/verify deve retornar 400 sem código e 401 com desafio inválido", async () => {
+      await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: "qualquer" })
+        .expect(400);
+      await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: "invalido", code: "123456" })
+        .expect(401);
+    });
+
+    it("admin sem 2FA deve receber 403 em rotas de admin e ter acesso após ativar", async () => {
+      const admin = await User.create({ ...mfaUserData, role: "admin" });
+      const tokenWithoutMfa = jwt.sign(
+        { id: admin._id, role: admin.role },
+        process.env.JWT_SECRET,
+        { expiresIn: "1h" }
+      );
+      const blockedRes = await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${tokenWithoutMfa}`)
+        .expect(403);
+      expect(blockedRes.body.message).toMatch(/dois fatores/i);
+
+      await User.deleteMany({});
+      const { token } = await createUserWithMfa({ role: "admin" });
+      await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it("admin não deve conseguir desativar o 2FA; usuário comum sim", async () => {
+      const { token: adminToken, secret: adminSecret } =
+        await createUserWithMfa({ role: "admin" });
+      await request(app)
+        .post("/api/auth/mfa/disable")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ password: mfaUserData.password, code: nextCode(adminSecret) })
+        .expect(403);
+
+      await User.deleteMany({});
+      const { token, secret } = await createUserWithMfa();
+      await request(app)
+        .post("/api/auth/mfa/disable")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "senhaErrada", code: nextCode(secret) })
+        .expect(401);
+      await request(app)
+        .post("/api/auth/mfa/disable")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: mfaUserData.password, code: nextCode(secret) })
+        .expect(200);
+
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: mfaUserData.email, password: mfaUserData.password })
+        .expect(200);
+      expect(loginRes.body.token).toEqual(expect.any(String));
+    });
+  });
+
+  // --- Testes de Proteção contra Força Bruta ---
+  describe("Proteção contra força bruta no login", () => {
+    const lockUserData = {
+      name: "Lock User",
+      email: "lock@test.com",
+      password: "password123",
+      cpf: "09453681008",
+      birthDate: "1990-01-15",
+    };
+
+    const loginWith = (password, email = lockUserData.email) =>
+      request(app).post("/api/auth/login").send({ email, password });
+
+    // Simula o fim do atraso progressivo sem esperar de verdade
+    const expireDelays = () =>
+      LoginAttempt.updateMany({}, { $set: { lockedUntil: new Date(0) } });
+
+    it("deve impor atraso progressivo após falhas consecutivas, mesmo com a senha correta", async () => {
+      await User.create(lockUserData);
+      await loginWith("errada1").expect(401);
+      await loginWith("errada2").expect(401);
+      await loginWith("errada3").expect(401);
+
+      const res = await loginWith(lockUserData.password).expect(429);
+      expect(res.headers["retry-after"]).toBeDefined();
+      expect(res.body.message).toMatch(/Muitas tentativas/i);
+
+      const attempt = await LoginAttempt.findOne({ key: `account:${lockUserData.email}` });
+      expect(attempt.failures).toBe(3);
+    });
+
+    it("deve bloquear a conta após o máximo de falhas e zerar o contador após login bem-sucedido", async () => {
+      await User.create(lockUserData);
+      for (let i = 0; i < 4; i++) {
+        await expireDelays();
+        await loginWith("senhaErrada").expect(401);
+      }
+      await expireDelays();
+      await loginWith(lockUserData.password).expect(200);
+      expect(
+        await LoginAttempt.findOne({ key: `account:${lockUserData.email}` })
+      ).toBeNull();
+
+      for (let i = 0; i < 5; i++) {
+        await expireDelays();
+        await loginWith("senhaErrada").expect(401);
+      }
+      const res = await loginWith(lockUserData.password).expect(429);
+      // Bloqueio longo (LOGIN_LOCKOUT_MINUTES, padrão 15min)
+      expect(parseInt(res.headers["retry-after"], 10)).toBeGreaterThan(60);
+    });
+
+    it("deve contar falhas para emails inexistentes (sem revelar se a conta existe)", async () => {
+      for (let i = 0; i < 3; i++) {
+        await loginWith("qualquer", "naoexiste@test.com").expect(401);
+      }
+      await loginWith("qualquer", "naoexiste@test.com").expect(429);
+    });
+
+    it("deve bloquear o IP após falhas em várias contas diferentes", async () => {
+      for (let i = 0; i < 20; i++) {
+        await LoginAttempt.updateMany(
+          { type: "ip" },
+          { $set: { lockedUntil: new Date(0) } }
+        );
+        await loginWith("qualquer", `alvo${i}@test.com`).expect(401);
+      }
+      await User.create(lockUserData);
+      await loginWith(lockUserData.password).expect(429);
+    });
+
+    it("falhas no código de 2FA também devem contar para o bloqueio", async () => {
+      const user = await User.create({
+        ...lockUserData,
+        mfaEnabled: true,
+        mfaSecret: "JBSWY3DPEHPK3PXP",
+      });
+      const loginRes = await loginWith(lockUserData.password).expect(200);
+      expect(loginRes.body.mfaRequired).toBe(true);
+
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post("/api/auth/mfa/verify")
+          .send({ mfaToken: loginRes.body.mfaToken, recoveryCode: "0000-0000" })
+          .expect(401);
+      }
+      await request(app)
+        .post("/api/auth/mfa/verify")
+        .send({ mfaToken: loginRes.body.mfaToken, recoveryCode: "0000-0000" })
+        .expect(429);
+      expect(
+        (await LoginAttempt.findOne({ key: `account:${user.email}` })).failures
+      ).toBe(3);
+    });
+  });
 });
@@ -436,4 +436,98 @@ describe("/api/cart", () => {
       await request(app).delete("/api/cart").expect(401);
     });
   });
+  // --- Produtos com variações (SKUs) ---
+  describe("Itens com variação", () => {
+    let variantProduct;
+
+    beforeEach(async () => {
+      variantProduct = await Product.create({
+        name: "Camiseta Carrinho",
+        price: 50,
+        category: testCategoryId,
+        image: "camiseta.jpg",
+        options: [{ name: "Tamanho", values: ["P", "M"] }],
+        variants: [
+          { sku: "CAR-P", options: { Tamanho: "P" }, price: 60, stock: 2 },
+          { sku: "CAR-M", options: { Tamanho: "M" }, stock: 5 },
+        ],
+      });
+    });
+
+    afterEach(async () => {
+      await Product.deleteOne({ _id: variantProduct._id });
+    });
+
+    const addItem = (body) =>
+      request(app)
+        .post("/api/cart/items")
+        .set("Authorization", `Bearer ${testUserToken}`)
+        .send(body);
+
+    it("deve guardar cada variação como um item separado, com o preço do SKU", async () => {
+      const [small, medium] = variantProduct.variants;
+      await addItem({
+        productId: variantProduct._id.toString(),
+        variantId: small._id.toString(),
+        quantity: 1,
+      }).expect(200);
+      const res = await addItem({
+        productId: variantProduct._id.toString(),
+        variantId: medium._id.toString(),
+        quantity: 2,
+      }).expect(200);
+
+      const items = res.body.data.cart.items;
+      expect(items).toHaveLength(2);
+      expect(items[0].selectedVariant.sku).toBe("CAR-P");
+      expect(items[0].subtotal).toBe(60);
+      expect(items[1].subtotal).toBe(100);
+    });
+
+    it("deve exigir a variação e respeitar o estoque do SKU", async () => {
+      const [small] = variantProduct.variants;
+      await addItem({
+        productId: variantProduct._id.toString(),
+        quantity: 1,
+      }).expect(400);
+
+      const res = await addItem({
+        productId: variantProduct._id.toString(),
+        variantId: small._id.toString(),
+        quantity: 3,
+      }).expect(400);
+      expect(res.body.message).toMatch(/CAR-P/);
+
+      await addItem({
+        productId: variantProduct._id.toString(),
+        variantId: new mongoose.Types.ObjectId().toString(),
+        quantity: 1,
+      }).expect(404);
+    });
+
+    it("deve atualizar e remover apenas a variação indicada em ?variantId", async () => {
+      const [small, medium] = variantProduct.variants;
+      for (const variant of [small, medium]) {
+        await addItem({
+          productId: variantProduct._id.toString(),
+          variantId: variant._id.toString(),
+          quantity: 1,
+        }).expect(200);
+      }
+
+      await request(app)
+        .put(`/api/cart/items/${variantProduct._id}?variantId=${medium._id}`)
+        .set("Authorization", `Bearer ${testUserToken}`)
+        .send({ quantity: 4 })
+        .expect(200);
+
+      const res = await request(app)
+        .delete(`/api/cart/items/${variantProduct._id}?variantId=${small._id}`)
+        .set("Authorization", `Bearer ${testUserToken}`)
+        .expect(200);
+      expect(res.body.data.cart.items).toHaveLength(1);
+      expect(res.body.data.cart.items[0].variant).toBe(medium._id.toString());
+      expect(res.body.data.cart.items[0].quantity).toBe(4);
+    });
+  });
 });
@@ -53,7 +53,7 @@ beforeAll(async () => {
   normalUserId = normalUser._id;
 
   adminToken = jwt.sign(
-    { id: adminUser._id, role: adminUser.role },
+    { id: adminUser._id, role: adminUser.role, mfa: true },
     process.env.JWT_SECRET,
     { expiresIn: "1h" }
   );
@@ -321,16 +321,59 @@ describe("/api/categories", () => {
       });
     });
 
-    it("Admin deve deletar categoria VAZIA com sucesso", async () => {
+    it("Admin deve arquivar categoria VAZIA com sucesso", async () => {
       const res = await request(app)
         .delete(`/api/categories/${catToDelete._id}`)
         .set("Authorization", `Bearer ${adminToken}`)
         .expect(200);
 
-      expect(res.body.message).toMatch(/Categoria removida com sucesso/i);
+      expect(res.body.message).toMatch(/Categoria arquivada com sucesso/i);
 
-      const deleted = await Category.findById(catToDelete._id);
-      expect(deleted).toBeNull();
+      const archived = await Category.findById(catToDelete._id);
+      expect(archived.archivedAt).toBeInstanceOf(Date);
+    });
+
+    it("Categoria arquivada deve sumir da listagem pública e poder ser restaurada", async () => {
+      await request(app)
+        .delete(`/api/categories/${catToDelete._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const listRes = await request(app).get("/api/categories").expect(200);
+      expect(listRes.body.map((category) => category.name)).not.toContain(
+        "Para Deletar"
+      );
+      await request(app).get(`/api/categories/${catToDelete._id}`).expect(404);
+      await request(app)
+        .get("/api/categories?includeArchived=true")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+      const adminListRes = await request(app)
+        .get("/api/categories?includeArchived=true")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(adminListRes.body.map((category) => category.name)).toContain(
+        "Para Deletar"
+      );
+
+      const restoreRes = await request(app)
+        .post(`/api/categories/${catToDelete._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(restoreRes.body.archivedAt).toBeNull();
+      await request(app).get(`/api/categories/${catToDelete._id}`).expect(200);
+    });
+
+    it("Produtos arquivados não devem impedir o arquivamento da categoria", async () => {
+      await Product.updateOne(
+        { _id: productInCategory._id },
+        { archivedAt: new Date() }
+      );
+
+      await request(app)
+        .delete(`/api/categories/${catWithProduct._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
     });
 
     it("Admin NÃO deve conseguir deletar categoria COM produtos associados (400)", async () => {
@@ -383,4 +426,192 @@ describe("/api/categories", () => {
         .expect(401);
     });
   });
+
+  describe("Hierarquia de categorias", () => {
+    let root, child, grandchild;
+
+    const createCategory = (body) =>
+      request(app)
+        .post("/api/categories")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(body)
+        .expect(201);
+
+    const productIn = (category, name) =>
+      Product.create({
+        name,
+        price: 10,
+        stock: 1,
+        category: category._id,
+        image: "http://img.test/produto.jpg",
+      });
+
+    beforeEach(async () => {
+      root = (await createCategory({ name: "Moda" })).body;
+      child = (await createCategory({ name: "Calçados", parent: root._id })).body;
+      grandchild = (await createCategory({ name: "Tênis", parent: child._id })).body;
+    });
+
+    it("Categoria deve trazer o breadcrumb da raiz até ela", async () => {
+      expect(grandchild.breadcrumb.map((item) => item.slug)).toEqual([
+        "moda",
+        "calcados",
+        "tenis",
+      ]);
+
+      const res = await request(app).get(`/api/categories/${grandchild._id}`).expect(200);
+      expect(res.body.breadcrumb.map((item) => item.name)).toEqual(["Moda", "Calçados", "Tênis"]);
+    });
+
+    it("GET /tree deve aninhar as subcategorias em qualquer profundidade", async () => {
+      await createCategory({ name: "Acessórios" });
+
+      const res = await request(app).get("/api/categories/tree").expect(200);
+      expect(res.body.map((node) => node.name)).toEqual(["Acessórios", "Moda"]);
+      const moda = res.body[1];
+      expect(moda.children[0].name).toBe("Calçados");
+      expect(moda.children[0].children[0]).toMatchObject({ name: "Tênis", children: [] });
+    });
+
+    it("Mover uma categoria deve atualizar o caminho das subcategorias e recusar ciclos", async () => {
+      const other = (await createCategory({ name: "Esportes" })).body;
+
+      await request(app)
+        .put(`/api/categories/${child._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Calçados", parent: other._id })
+        .expect(200);
+      const moved = await request(app).get(`/api/categories/${grandchild._id}`).expect(200);
+      expect(moved.body.breadcrumb.map((item) => item.name)).toEqual(["Esportes", "Calçados", "Tênis"]);
+
+      const res = await request(app)
+        .put(`/api/categories/${child._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Calçados", parent: grandchild._id })
+        .expect(400);
+      expect(res.body.message).toMatch(/dentro de uma de suas subcategorias/i);
+    });
+
+    it("Filtro de produtos por categoria deve incluir as subcategorias", async () => {
+      await productIn(root, "Camisa Moda");
+      await productIn(grandchild, "Tênis Corrida");
+      const other = await Category.create({ name: "Casa" });
+      await productIn(other, "Vaso");
+
+      const res = await request(app).get("/api/products?category=moda").expect(200);
+      expect(res.body.products.map((product) => product.name).sort()).toEqual([
+        "Camisa Moda",
+        "Tênis Corrida",
+      ]);
+
+      const childRes = await request(app).get(`/api/products?category=${child._id}`).expect(200);
+      expect(childRes.body.products.map((product) => product.name)).toEqual(["Tênis Corrida"]);
+    });
+
+    it("Arquivar categoria com subcategorias exige reassignTo, que transfere produtos e subcategorias", async () => {
+      const blocked = await request(app)
+        .delete(`/api/categories/${child._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+      expect(blocked.body.message).toMatch(/1 subcategoria\(s\)/i);
+
+      // Destino dentro da própria subárvore
+      await request(app)
+        .delete(`/api/categories/${child._id}?reassignTo=${grandchild._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      const product = await productIn(child, "Bota");
+      await request(app)
+        .delete(`/api/categories/${child._id}?reassignTo=${root._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect((await Product.findById(product._id)).category.toString()).toBe(root._id);
+      const movedChild = await Category.findById(grandchild._id);
+      expect(movedChild.parent.toString()).toBe(root._id);
+      expect(movedChild.ancestors.map(String)).toEqual([root._id]);
+      expect((await Category.findById(child._id)).archivedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe("POST /:id/merge-into/:targetId", () => {
+    const productIn = (category, name) =>
+      Product.create({
+        name,
+        price: 10,
+        stock: 1,
+        category: category._id,
+        image: "http://img.test/produto.jpg",
+      });
+
+    const merge = (source, target, token = adminToken) =>
+      request(app)
+        .post(`/api/categories/${source._id}/merge-into/${target._id}`)
+        .set("Authorization", `Bearer ${token}`);
+
+    it("Deve mover produtos e subcategorias, arquivar a origem e manter o slug antigo como alias", async () => {
+      const source = await Category.create({ name: "Eletrônicos Antigos" });
+      const target = await Category.create({ name: "Eletrônicos" });
+      const child = await Category.create({ name: "Fones", parent: source._id });
+      const [first, second] = await Promise.all([
+        productIn(source, "Rádio"),
+        productIn(source, "Vitrola"),
+      ]);
+
+      const res = await merge(source, target).expect(200);
+      expect(res.body).toMatchObject({ products: 2, subcategories: 1 });
+      expect(res.body.category.slugAliases).toEqual(["eletronicos-antigos"]);
+
+      const moved = await Product.find({ _id: { $in: [first._id, second._id] } });
+      expect(moved.map((product) => product.category.toString())).toEqual([
+        target._id.toString(),
+        target._id.toString(),
+      ]);
+      const movedChild = await Category.findById(child._id);
+      expect(movedChild.ancestors.map(String)).toEqual([target._id.toString()]);
+      expect((await Category.findById(source._id)).archivedAt).toBeInstanceOf(Date);
+
+      // URL antiga da vitrine resolve para o destino
+      const bySlug = await request(app).get("/api/categories/slug/eletronicos-antigos").expect(200);
+      expect(bySlug.body).toMatchObject({
+        _id: target._id.toString(),
+        slug: "eletronicos",
+        redirectedFrom: "eletronicos-antigos",
+      });
+      const current = await request(app).get("/api/categories/slug/eletronicos").expect(200);
+      expect(current.body.redirectedFrom).toBeUndefined();
+    });
+
+    it("Restaurar a origem deve devolver o slug a ela", async () => {
+      const source = await Category.create({ name: "Papelaria" });
+      const target = await Category.create({ name: "Escritório" });
+      await merge(source, target).expect(200);
+
+      await request(app)
+        .post(`/api/categories/${source._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect((await Category.findById(target._id)).slugAliases).toEqual([]);
+      const res = await request(app).get("/api/categories/slug/papelaria").expect(200);
+      expect(res.body._id).toBe(source._id.toString());
+      expect(res.body.redirectedFrom).toBeUndefined();
+    });
+
+    it("Deve recusar destino dentro da subárvore da origem (400) e usuário sem permissão (403)", async () => {
+      const source = await Category.create({ name: "Casa" });
+      const child = await Category.create({ name: "Cozinha", parent: source._id });
+
+      const res = await merge(source, child).expect(400);
+      expect(res.body.message).toMatch(/subcategorias/i);
+      await merge(source, source).expect(400);
+      await merge(child, source, userToken).expect(403);
+      expect((await Category.findById(source._id)).archivedAt).toBeNull();
+    });
+
+    it("Slug desconhecido deve retornar 404", async () => {
+      await request(app).get("/api/categories/slug/nao-existe").expect(404);
+    });
+  });
 });
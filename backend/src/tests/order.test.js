@@ -10,6 +10,7 @@ import Product from "../models/Product.js";
 import Category from "../models/Category.js";
 import User from "../models/User.js";
 import Address from "../models/Address.js";
+import { returnStockForOrderItems } from "../controllers/orderController.js";
 
 // Mock para teste com Mercado Pago
 jest.mock("mercadopago", () => {
@@ -53,6 +54,7 @@ const testUserData = {
   password: "password123",
   cpf: "78090921035",
   birthDate: "1999-09-09",
+  emailVerified: true,
 };
 const adminUserData = {
   name: "Order Admin",
@@ -101,7 +103,7 @@ beforeAll(async () => {
     { expiresIn: "1h" }
   );
   adminUserToken = jwt.sign(
-    { id: adminUserId, role: admin.role },
+    { id: adminUserId, role: admin.role, mfa: true },
     process.env.JWT_SECRET,
     { expiresIn: "1h" }
   );
@@ -406,6 +408,84 @@ describe("/api/orders", () => {
       );
     });
 
+    it("deve usar preço e estoque da variação (SKU) e devolvê-los por SKU", async () => {
+      const variantProduct = await Product.create({
+        name: "Tênis Pedido",
+        price: 200.0,
+        category: testCategoryId,
+        image: "tenis.jpg",
+        options: [{ name: "Número", values: ["40", "41"] }],
+        variants: [
+          { sku: "TEN-40", options: { "Número": "40" }, price: 180.0, stock: 3, image: "tenis-40.jpg" },
+          { sku: "TEN-41", options: { "Número": "41" }, stock: 4 },
+        ],
+      });
+      const [size40, size41] = variantProduct.variants;
+      await Cart.findOneAndUpdate(
+        { user: testUserId },
+        {
+          items: [
+            { product: variantProduct._id, variant: size40._id, quantity: 2 },
+            { product: variantProduct._id, variant: size41._id, quantity: 1 },
+          ],
+        }
+      );
+
+      const res = await request(app)
+        .post("/api/orders")
+        .set("Authorization", `Bearer ${testUserToken}`)
+        .send({ shippingAddressId: userAddressId.toString(), paymentMethod: "PIX Teste" })
+        .expect(201);
+
+      const order = res.body.data.order;
+      const item40 = order.orderItems.find((item) => item.sku === "TEN-40");
+      expect(item40.variantId).toBe(size40._id.toString());
+      expect(item40.options).toEqual({ "Número": "40" });
+      expect(item40.price).toBe(180.0);
+      expect(item40.image).toBe("tenis-40.jpg");
+      expect(order.itemsPrice).toBeCloseTo(560.0);
+
+      let dbProduct = await Product.findById(variantProduct._id);
+      expect(dbProduct.variants.id(size40._id).stock).toBe(1);
+      expect(dbProduct.variants.id(size41._id).stock).toBe(3);
+      expect(dbProduct.stock).toBe(4);
+      expect(dbProduct.salesCount).toBe(3);
+
+      const dbOrder = await Order.findById(order._id);
+      await returnStockForOrderItems(dbOrder.orderItems);
+      dbProduct = await Product.findById(variantProduct._id);
+      expect(dbProduct.variants.id(size40._id).stock).toBe(3);
+      expect(dbProduct.stock).toBe(7);
+      expect(dbProduct.salesCount).toBe(0);
+    });
+
+    it("deve retornar erro 400 se o estoque da variação for insuficiente", async () => {
+      const variantProduct = await Product.create({
+        name: "Boné Pedido",
+        price: 40.0,
+        category: testCategoryId,
+        image: "bone.jpg",
+        options: [{ name: "Cor", values: ["Preto"] }],
+        variants: [{ sku: "BONE-PT", options: { Cor: "Preto" }, stock: 1 }],
+      });
+      await Cart.findOneAndUpdate(
+        { user: testUserId },
+        {
+          items: [
+            { product: variantProduct._id, variant: variantProduct.variants[0]._id, quantity: 2 },
+          ],
+        }
+      );
+
+      const res = await request(app)
+        .post("/api/orders")
+        .set("Authorization", `Bearer ${testUserToken}`)
+        .send({ shippingAddressId: userAddressId.toString(), paymentMethod: "PIX Teste" })
+        .expect(400);
+      expect(res.body.message).toMatch(/BONE-PT/);
+      expect((await Product.findById(variantProduct._id)).stock).toBe(1);
+    });
+
     it("deve retornar 401 se não estiver autenticado", async () => {
       const orderData = {
         shippingAddressId: userAddressId.toString(),
@@ -413,6 +493,24 @@ describe("/api/orders", () => {
       };
       await request(app).post("/api/orders").send(orderData).expect(401);
     });
+
+    it("deve retornar 403 se o email do usuário não estiver verificado", async () => {
+      await User.findByIdAndUpdate(testUserId, { emailVerified: false });
+      try {
+        const res = await request(app)
+          .post("/api/orders")
+          .set("Authorization", `Bearer ${testUserToken}`)
+          .send({
+            shippingAddressId: userAddressId.toString(),
+            paymentMethod: "PIX Teste",
+          })
+          .expect(403);
+        expect(res.body.message).toMatch(/Confirme seu email/i);
+        expect(await Order.countDocuments({ user: testUserId })).toBe(0);
+      } finally {
+        await User.findByIdAndUpdate(testUserId, { emailVerified: true });
+      }
+    });
   });
 
   // --- Testes GET /my ---
@@ -661,6 +759,25 @@ describe("/api/orders", () => {
       }
     });
 
+    it("deve retornar 403 ao pagar com email não verificado", async () => {
+      await User.findByIdAndUpdate(testUserId, { emailVerified: false });
+      try {
+        await request(app)
+          .post(`/api/orders/${testOrder._id}/pay`)
+          .set("Authorization", `Bearer ${testUserToken}`)
+          .send({
+            token: "valid_token",
+            payment_method_id: "visa",
+            installments: 1,
+            payer: { email: "payer@test.com" },
+          })
+          .expect(403);
+        expect(_mockPaymentCreate).not.toHaveBeenCalled();
+      } finally {
+        await User.findByIdAndUpdate(testUserId, { emailVerified: true });
+      }
+    });
+
     it("deve processar um pagamento com sucesso (MP retorna approved)", async () => {
       _mockPaymentCreate.mockResolvedValueOnce({
         id: 987654321,
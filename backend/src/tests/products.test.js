@@ -8,6 +8,8 @@ import fs from 'fs';
 import app from '../app.js';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import Cart from '../models/Cart.js';
+import PriceHistory from '../models/PriceHistory.js';
 import User from '../models/User.js';
 
 // Mocking Cloudinary
@@ -91,7 +93,7 @@ beforeAll(async () => {
   adminUserId = adminUser._id;
   normalUserId = normalUser._id;
 
-  adminToken = jwt.sign({ id: adminUser._id, role: adminUser.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  adminToken = jwt.sign({ id: adminUser._id, role: adminUser.role, mfa: true }, process.env.JWT_SECRET, { expiresIn: '1h' });
   userToken = jwt.sign({ id: normalUser._id, role: normalUser.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
 
   try {
@@ -251,6 +253,117 @@ describe('/api/products', () => {
             expect(res.body.results).toBe(0);
             expect(res.body.products).toHaveLength(0);
         });
+
+        it('deve filtrar por faixa de preço, avaliação mínima e estoque', async () => {
+            await Product.updateOne({ name: 'Laptop X' }, { rating: 4.5, stock: 3 });
+            await Product.updateOne({ name: 'Teclado Z' }, { rating: 3, stock: 0 });
+            await Product.updateOne({ name: 'Mouse Y' }, { rating: 2, stock: 8 });
+
+            let res = await request(app).get('/api/products?minPrice=60&maxPrice=2000').expect(200);
+            expect(res.body.products.map(p => p.name).sort()).toEqual(['Laptop X', 'Teclado Z']);
+
+            res = await request(app).get('/api/products?minRating=3&inStock=true').expect(200);
+            expect(res.body.products.map(p => p.name)).toEqual(['Laptop X']);
+
+            await request(app).get('/api/products?minPrice=100&maxPrice=10').expect(400);
+        });
+
+        it('deve filtrar por várias categorias (ID e slug)', async () => {
+            const res = await request(app)
+                .get(`/api/products?category=${categorySlug},${categoryId2}`)
+                .expect(200);
+            expect(res.body.results).toBe(3);
+        });
+
+        it('deve retornar facets de categoria, preço, avaliação e estoque', async () => {
+            await Product.updateOne({ name: 'Laptop X' }, { rating: 4.5, stock: 3 });
+
+            const res = await request(app)
+                .get(`/api/products?category=${categoryId}`)
+                .expect(200);
+            expect(res.body.results).toBe(2);
+
+            const { categories, priceRanges, ratings, availability } = res.body.facets;
+            // O facet de categorias ignora o filtro de categoria
+            expect(categories).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'Categoria Teste Prod', count: 2 }),
+                expect.objectContaining({ name: 'Outra Categoria', count: 1 }),
+            ]));
+            expect(priceRanges).toEqual([
+                { min: 50, max: 100, count: 1 },
+                { min: 1000, max: null, count: 1 },
+            ]);
+            expect(ratings.find(r => r.minRating === 4).count).toBe(1);
+            expect(availability).toEqual({ inStock: 1, outOfStock: 1 });
+        });
+    });
+
+    // --- Testes GET /suggest ---
+    describe('GET /suggest', () => {
+        let accentCategory;
+
+        beforeEach(async () => {
+            await Product.deleteMany({});
+            await Category.deleteMany({ name: 'Camisetas Estampadas' });
+            accentCategory = await Category.create({ name: 'Camisetas Estampadas' });
+            await Product.create([
+                { name: 'Camiseta Básica', price: 50, category: categoryId, image: 'c1.jpg', numReviews: 2 },
+                { name: 'Camiseta Térmica', price: 90, category: categoryId, image: 'c2.jpg', numReviews: 1, salesCount: 10 },
+                { name: 'Calça Jeans', price: 150, category: categoryId2, image: 'c3.jpg' },
+            ]);
+        });
+
+        afterEach(async () => {
+            await Category.deleteOne({ _id: accentCategory._id });
+        });
+
+        it('deve sugerir por prefixo, ordenando por popularidade, e trazer categorias', async () => {
+            const res = await request(app).get('/api/products/suggest?q=cami').expect(200);
+
+            expect(res.body.data.products.map(p => p.name)).toEqual(['Camiseta Térmica', 'Camiseta Básica']);
+            expect(res.body.data.products[0].searchTrigrams).toBeUndefined();
+            expect(res.body.data.categories).toEqual([
+                expect.objectContaining({ name: 'Camisetas Estampadas', slug: 'camisetas-estampadas' }),
+            ]);
+        });
+
+        it('deve ignorar acentos e casar o prefixo de qualquer palavra', async () => {
+            const res = await request(app).get('/api/products/suggest?q=TERM').expect(200);
+            expect(res.body.data.products.map(p => p.name)).toEqual(['Camiseta Térmica']);
+
+            const calca = await request(app).get('/api/products/suggest?q=calça').expect(200);
+            expect(calca.body.data.products.map(p => p.name)).toEqual(['Calça Jeans']);
+        });
+
+        it('deve tolerar pequenos erros de digitação', async () => {
+            const res = await request(app).get('/api/products/suggest?q=camizeta').expect(200);
+            expect(res.body.data.products.map(p => p.name)).toEqual(
+                expect.arrayContaining(['Camiseta Básica', 'Camiseta Térmica'])
+            );
+            expect(res.body.data.products.map(p => p.name)).not.toContain('Calça Jeans');
+        });
+
+        it('produtos e categorias anteriores à busca devem ser sugeridos após a migração', async () => {
+            await Product.collection.updateMany({}, { $unset: { searchName: '', searchTrigrams: '' } });
+            await Category.collection.updateOne({ _id: accentCategory._id }, { $unset: { searchName: '', searchTrigrams: '' } });
+            const before = await request(app).get('/api/products/suggest?q=cami').expect(200);
+            expect(before.body.data.products).toHaveLength(0);
+
+            await Promise.all([Product.backfillSearchFields(), Category.backfillSearchFields()]);
+
+            const res = await request(app).get('/api/products/suggest?q=cami').expect(200);
+            expect(res.body.data.products.map(p => p.name)).toEqual(['Camiseta Térmica', 'Camiseta Básica']);
+            expect(res.body.data.categories).toEqual([
+                expect.objectContaining({ name: 'Camisetas Estampadas' }),
+            ]);
+        });
+
+        it('deve respeitar o limite e exigir o termo', async () => {
+            const res = await request(app).get('/api/products/suggest?q=ca&limit=1').expect(200);
+            expect(res.body.data.products).toHaveLength(1);
+
+            await request(app).get('/api/products/suggest').expect(400);
+        });
     });
 
     // --- Testes POST / ---
@@ -466,6 +579,84 @@ describe('/api/products', () => {
             expect(dbProduct.imagePublicId).toBe(initialPublicId);
         });
 
+        it('Deve recusar estoque de produto com variações sem enviar nem apagar imagens (400)', async () => {
+            await Product.updateOne({ _id: testProductId }, {
+                options: [{ name: 'Tamanho', values: ['P'] }],
+                variants: [{ sku: 'ORIG-P', options: { Tamanho: 'P' }, stock: 20 }],
+            });
+
+            const res = await request(app)
+                .put(`/api/products/${testProductId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('stock', '3')
+                .attach('image', dummyImagePath)
+                .expect(400);
+
+            expect(res.body.message).toMatch(/possui variações/i);
+            expect(uploadImage).not.toHaveBeenCalled();
+            expect(deleteImage).not.toHaveBeenCalled();
+
+            const dbProduct = await Product.findById(testProductId);
+            expect(dbProduct.image).toBe('http://original.com/image.jpg');
+            expect(dbProduct.imagePublicId).toBe(initialPublicId);
+        });
+
+        it('Atualização recusada pelo banco deve apagar só a imagem nova e manter a atual', async () => {
+            uploadImage.mockResolvedValueOnce({
+                secure_url: 'http://new.cloudinary.com/new_image.jpg',
+                public_id: 'new_public_id'
+            });
+
+            await request(app)
+                .put(`/api/products/${testProductId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('gtin', '7891234567890') // Formato válido, dígito verificador errado
+                .attach('image', dummyImagePath)
+                .expect(400);
+
+            expect(uploadImage).toHaveBeenCalledTimes(1);
+            expect(deleteImage).toHaveBeenCalledTimes(1);
+            expect(deleteImage).toHaveBeenCalledWith('new_public_id');
+
+            const dbProduct = await Product.findById(testProductId);
+            expect(dbProduct.image).toBe('http://original.com/image.jpg');
+            expect(dbProduct.imagePublicId).toBe(initialPublicId);
+        });
+
+        it('Não deve arquivar, restaurar nem trocar o externalId pela edição', async () => {
+            const archivedAt = new Date();
+            await Product.updateOne({ _id: testProductId }, { archivedAt, externalId: 'ERP-1' });
+
+            await request(app)
+                .put(`/api/products/${testProductId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ description: 'Editado', archivedAt: null, archivedBy: null, externalId: 'ERP-2' })
+                .expect(200);
+
+            const dbProduct = await Product.findById(testProductId);
+            expect(dbProduct.description).toBe('Editado');
+            expect(dbProduct.archivedAt).toEqual(archivedAt);
+            expect(dbProduct.externalId).toBe('ERP-1');
+        });
+
+        it('Deve recusar preço menor ou igual ao preço promocional (400)', async () => {
+            await Product.updateOne({ _id: testProductId }, { sale: { price: 40 } });
+
+            const res = await request(app)
+                .put(`/api/products/${testProductId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ price: 40 })
+                .expect(400);
+            expect(res.body.message).toMatch(/preço promocional deve ser menor/i);
+            expect((await Product.findById(testProductId)).price).toBe(50);
+
+            await request(app)
+                .put(`/api/products/${testProductId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ price: 45 })
+                .expect(200);
+        });
+
         it('Deve retornar 404 se o ID do produto não existir', async () => {
             const nonExistentId = new mongoose.Types.ObjectId();
             const res = await request(app)
@@ -544,19 +735,26 @@ describe('/api/products', () => {
             testProductId = product._id;
         });
 
-        it('Admin deve deletar produto com sucesso e sua imagem', async () => {
+        it('Admin deve arquivar o produto mantendo o documento e as imagens', async () => {
             const res = await request(app)
                 .delete(`/api/products/${testProductId}`)
                 .set('Authorization', `Bearer ${adminToken}`)
                 .expect(200);
 
             expect(res.body.status).toBe('success');
-            expect(res.body.message).toMatch(/Produto removido com sucesso/i);
-            expect(deleteImage).toHaveBeenCalledTimes(1);
-            expect(deleteImage).toHaveBeenCalledWith(publicIdToDelete);
+            expect(res.body.message).toMatch(/Produto arquivado com sucesso/i);
+            expect(deleteImage).not.toHaveBeenCalled();
 
             const dbProduct = await Product.findById(testProductId);
-            expect(dbProduct).toBeNull();
+            expect(dbProduct.archivedAt).toBeInstanceOf(Date);
+            expect(dbProduct.archivedBy.toString()).toBe(adminUserId.toString());
+            expect(dbProduct.imagePublicId).toBe(publicIdToDelete);
+
+            // Arquivar de novo: já não é encontrado
+            await request(app)
+                .delete(`/api/products/${testProductId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(404);
         });
 
         it('Deve retornar 404 se o ID do produto não existir', async () => {
@@ -578,21 +776,44 @@ describe('/api/products', () => {
             expect(deleteImage).not.toHaveBeenCalled();
         });
 
-        it('Deve funcionar mesmo se produto não tiver imagePublicId (apenas não chama deleteImage)', async () => {
-            const productNoPublicId = await Product.create({
-                name: 'Sem Public ID Del', price: 5, category: categoryId, image: 'no_id_del.jpg'
-            });
+        it('Produto arquivado deve sumir das listagens e dos carrinhos, e voltar ao ser restaurado', async () => {
+            await Cart.create({ user: normalUserId, items: [{ product: testProductId, quantity: 1 }] });
 
-            const res = await request(app)
-                .delete(`/api/products/${productNoPublicId._id}`)
+            await request(app)
+                .delete(`/api/products/${testProductId}`)
                 .set('Authorization', `Bearer ${adminToken}`)
                 .expect(200);
 
-            expect(res.body.message).toMatch(/Produto removido com sucesso/i);
-            expect(deleteImage).not.toHaveBeenCalled();
+            const cart = await Cart.findOne({ user: normalUserId });
+            expect(cart.items).toHaveLength(0);
+            await request(app).get(`/api/products/${testProductId}`).expect(404);
+            const listRes = await request(app).get('/api/products').expect(200);
+            expect(listRes.body.totalProducts).toBe(0);
 
-            const dbProduct = await Product.findById(productNoPublicId._id);
-            expect(dbProduct).toBeNull();
+            // includeArchived exige login com products:write
+            await request(app).get('/api/products?includeArchived=true').expect(401);
+            await request(app)
+                .get('/api/products?includeArchived=true')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+            const adminListRes = await request(app)
+                .get('/api/products?includeArchived=true')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(adminListRes.body.products[0].archivedAt).toBeDefined();
+
+            const restoreRes = await request(app)
+                .post(`/api/products/${testProductId}/restore`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(restoreRes.body.archivedAt).toBeNull();
+            await request(app).get(`/api/products/${testProductId}`).expect(200);
+
+            await request(app)
+                .post(`/api/products/${testProductId}/restore`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+            await Cart.deleteMany({});
         });
 
         it('Deve retornar 400 se ID for inválido', async () => {
@@ -640,4 +861,552 @@ describe('/api/products', () => {
          });
     });
 
+    // --- Testes da Galeria de Imagens ---
+    describe('Galeria /:id/images', () => {
+        let productId;
+
+        beforeEach(async () => {
+            uploadImage
+                .mockResolvedValueOnce({ secure_url: 'http://fake.cloudinary.com/a.jpg', public_id: 'img_a' })
+                .mockResolvedValueOnce({ secure_url: 'http://fake.cloudinary.com/b.jpg', public_id: 'img_b' });
+
+            const res = await request(app)
+                .post('/api/products')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('name', 'Produto Galeria')
+                .field('price', '30')
+                .field('category', categoryId.toString())
+                .field('alt', 'Frente')
+                .field('alt', 'Verso')
+                .attach('image', dummyImagePath)
+                .attach('images', dummyImagePath)
+                .expect(201);
+            productId = res.body._id;
+            jest.clearAllMocks();
+        });
+
+        const getImages = async () => (await Product.findById(productId)).images;
+
+        it('Deve criar o produto com várias imagens, a primeira como capa', async () => {
+            const images = await getImages();
+            expect(images).toHaveLength(2);
+            expect(images[0]).toMatchObject({ url: 'http://fake.cloudinary.com/a.jpg', alt: 'Frente', isCover: true });
+            expect(images[1]).toMatchObject({ publicId: 'img_b', alt: 'Verso', isCover: false });
+            expect((await Product.findById(productId)).imagePublicId).toBe('img_a');
+        });
+
+        it('Admin deve adicionar, definir capa, reordenar e remover imagens', async () => {
+            uploadImage.mockResolvedValueOnce({ secure_url: 'http://fake.cloudinary.com/d.jpg', public_id: 'img_d' });
+            const addRes = await request(app)
+                .post(`/api/products/${productId}/images`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('alt', 'Detalhe')
+                .attach('images', dummyImagePath)
+                .expect(201);
+            expect(addRes.body.images).toHaveLength(3);
+            const [first, second, third] = addRes.body.images;
+
+            const coverRes = await request(app)
+                .patch(`/api/products/${productId}/images/${third._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ isCover: true, alt: 'Detalhe da costura' })
+                .expect(200);
+            expect(coverRes.body.image).toBe('http://fake.cloudinary.com/d.jpg');
+            expect(coverRes.body.images.filter((image) => image.isCover)).toHaveLength(1);
+
+            const orderRes = await request(app)
+                .put(`/api/products/${productId}/images/order`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ imageIds: [third._id, second._id, first._id] })
+                .expect(200);
+            expect(orderRes.body.images.map((image) => image._id)).toEqual([third._id, second._id, first._id]);
+
+            const deleteRes = await request(app)
+                .delete(`/api/products/${productId}/images/${third._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(deleteImage).toHaveBeenCalledWith('img_d');
+            expect(deleteRes.body.images).toHaveLength(2);
+            expect(deleteRes.body.image).toBe('http://fake.cloudinary.com/b.jpg');
+        });
+
+        it('Deve recusar ordem incompleta e a remoção da última imagem', async () => {
+            const [first, second] = await getImages();
+            await request(app)
+                .put(`/api/products/${productId}/images/order`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ imageIds: [first._id.toString()] })
+                .expect(400);
+
+            await request(app)
+                .delete(`/api/products/${productId}/images/${second._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            const res = await request(app)
+                .delete(`/api/products/${productId}/images/${first._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+            expect(res.body.message).toMatch(/ao menos uma imagem/i);
+        });
+
+        it('Deletar o produto deve remover todas as imagens do Cloudinary', async () => {
+            await request(app)
+                .delete(`/api/products/${productId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(deleteImage).toHaveBeenCalledTimes(2);
+            expect(deleteImage).toHaveBeenCalledWith('img_a');
+            expect(deleteImage).toHaveBeenCalledWith('img_b');
+        });
+    });
+
+    // --- Testes de Variações (SKUs) ---
+    describe('Variações /:id/options e /:id/variants', () => {
+        let productId;
+
+        beforeEach(async () => {
+            const product = await Product.create({
+                name: 'Camiseta Básica',
+                price: 79.9,
+                category: categoryId,
+                image: 'camiseta.jpg',
+                options: [
+                    { name: 'Tamanho', values: ['P', 'M'] },
+                    { name: 'Cor', values: ['Azul', 'Preto'] },
+                ],
+            });
+            productId = product._id;
+        });
+
+        const addVariant = (body) =>
+            request(app)
+                .post(`/api/products/${productId}/variants`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send(body);
+
+        it('Admin deve cadastrar variações e o estoque do produto deve ser a soma dos SKUs', async () => {
+            const res = await addVariant({ sku: 'cam-az-p', options: { Tamanho: 'P', Cor: 'Azul' }, price: 89.9, stock: 3 })
+                .expect(201);
+            expect(res.body.sku).toBe('CAM-AZ-P');
+            expect(res.body.price).toBe(89.9);
+
+            await addVariant({ sku: 'CAM-PT-M', options: { Tamanho: 'M', Cor: 'Preto' }, stock: 4 }).expect(201);
+
+            const dbProduct = await Product.findById(productId);
+            expect(dbProduct.variants).toHaveLength(2);
+            expect(dbProduct.stock).toBe(7);
+            expect(dbProduct.priceFor(dbProduct.variants[1])).toBe(79.9);
+        });
+
+        it('Deve recusar opções fora dos eixos, combinações e SKUs repetidos', async () => {
+            await addVariant({ sku: 'CAM-AZ-P', options: { Tamanho: 'P', Cor: 'Azul' }, stock: 1 }).expect(201);
+
+            await addVariant({ sku: 'CAM-VD-P', options: { Tamanho: 'P', Cor: 'Verde' }, stock: 1 }).expect(400);
+            await addVariant({ sku: 'CAM-P', options: { Tamanho: 'P' }, stock: 1 }).expect(400);
+            await addVariant({ sku: 'CAM-AZ-P2', options: { Tamanho: 'P', Cor: 'Azul' }, stock: 1 }).expect(400);
+            await addVariant({ sku: 'cam-az-p', options: { Tamanho: 'M', Cor: 'Azul' }, stock: 1 }).expect(400);
+        });
+
+        it('Deve atualizar e remover variações, e bloquear o estoque direto do produto', async () => {
+            const { body: variant } = await addVariant({ sku: 'CAM-AZ-P', options: { Tamanho: 'P', Cor: 'Azul' }, price: 89.9, stock: 3 });
+
+            const res = await request(app)
+                .patch(`/api/products/${productId}/variants/${variant._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ stock: 10, price: null })
+                .expect(200);
+            expect(res.body.stock).toBe(10);
+            expect(res.body.price).toBeUndefined();
+            expect((await Product.findById(productId)).stock).toBe(10);
+
+            await request(app)
+                .put(`/api/products/${productId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('stock', '50')
+                .expect(400);
+
+            await request(app)
+                .delete(`/api/products/${productId}/variants/${variant._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            const dbProduct = await Product.findById(productId);
+            expect(dbProduct.variants).toHaveLength(0);
+            expect(dbProduct.stock).toBe(0);
+        });
+
+        it('Não deve permitir redefinir eixos incompatíveis com as variações existentes', async () => {
+            await addVariant({ sku: 'CAM-AZ-P', options: { Tamanho: 'P', Cor: 'Azul' }, stock: 1 }).expect(201);
+
+            await request(app)
+                .put(`/api/products/${productId}/options`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ options: [{ name: 'Tamanho', values: ['M', 'G'] }] })
+                .expect(400);
+
+            const res = await request(app)
+                .put(`/api/products/${productId}/options`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ options: [{ name: 'Tamanho', values: ['P', 'M', 'G'] }, { name: 'Cor', values: ['Azul'] }] })
+                .expect(200);
+            expect(res.body.options[0].values).toEqual(['P', 'M', 'G']);
+        });
+
+        it('Usuário normal NÃO deve conseguir cadastrar variação (403)', async () => {
+            await request(app)
+                .post(`/api/products/${productId}/variants`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ sku: 'X', options: { Tamanho: 'P', Cor: 'Azul' }, stock: 1 })
+                .expect(403);
+        });
+    });
+
+    describe('Importação e exportação /import e /export', () => {
+        const importFile = (content, fileName = 'catalogo.csv', query = '') =>
+            request(app)
+                .post(`/api/products/import${query}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .attach('file', Buffer.from(content), fileName);
+
+        it('Deve criar e atualizar produtos pelo externalId, com relatório por linha', async () => {
+            const existing = await Product.create({
+                externalId: 'ERP-2', name: 'Caneca', price: 30, stock: 5, category: categoryId, image: 'http://img.test/caneca.jpg',
+            });
+            const csv = [
+                'externalId;name;price;stock;category;description;imageUrl',
+                `ERP-1;"Camiseta; Azul";79,90;10;${categorySlug};Algodão;http://img.test/camiseta.jpg`,
+                'ERP-2;;35;;;;',
+                'ERP-3;Sem Categoria;10;1;nao-existe;;http://img.test/x.jpg',
+                `ERP-4;Preço Inválido;abc;-1;${categorySlug};;ftp://img.test/x.jpg`,
+            ].join('\n');
+
+            const res = await importFile(csv).expect(200);
+
+            expect(res.body.dryRun).toBe(false);
+            expect(res.body.summary).toEqual({ total: 4, created: 1, updated: 1, unchanged: 0, failed: 2 });
+            expect(res.body.results[0]).toMatchObject({ row: 2, externalId: 'ERP-1', status: 'ok', action: 'create' });
+            expect(res.body.results[1]).toMatchObject({ row: 3, action: 'update', productId: existing._id.toString() });
+            expect(res.body.results[2].errors).toEqual(["Categoria com slug 'nao-existe' não encontrada."]);
+            expect(res.body.results[3].errors).toHaveLength(3);
+
+            const created = await Product.findOne({ externalId: 'ERP-1' });
+            expect(created).toMatchObject({ name: 'Camiseta; Azul', price: 79.9, stock: 10, image: 'http://img.test/camiseta.jpg' });
+            const updated = await Product.findById(existing._id);
+            expect(updated).toMatchObject({ name: 'Caneca', price: 35, stock: 5 });
+            expect(await Product.countDocuments()).toBe(2);
+
+            // Reimportar o mesmo arquivo não altera nada
+            const again = await importFile(csv).expect(200);
+            expect(again.body.summary).toMatchObject({ created: 0, updated: 0, unchanged: 2, failed: 2 });
+        });
+
+        it('Dry-run deve validar sem gravar, e JSON deve ser aceito', async () => {
+            const products = [
+                { externalId: 'ERP-10', name: 'Mochila', price: 150, stock: 3, category: categorySlug, imageUrl: 'http://img.test/m.jpg' },
+                { externalId: 'ERP-10', name: 'Mochila Repetida', price: 150, category: categorySlug, imageUrl: 'http://img.test/m.jpg' },
+                { externalId: 'ERP-11', name: 'Sem Imagem', price: 20, category: categorySlug },
+            ];
+
+            const res = await importFile(JSON.stringify({ products }), 'catalogo.json', '?dryRun=true').expect(200);
+
+            expect(res.body.dryRun).toBe(true);
+            expect(res.body.summary).toMatchObject({ total: 3, created: 1, failed: 2 });
+            expect(res.body.results[1].errors[0]).toMatch(/repetido/);
+            expect(res.body.results[2].errors[0]).toMatch(/imageUrl/);
+            expect(await Product.countDocuments()).toBe(0);
+        });
+
+        it('Deve recusar arquivo ausente, ilegível ou sem a coluna externalId (400)', async () => {
+            await request(app)
+                .post('/api/products/import')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+            await importFile('{ não é json', 'catalogo.json').expect(400);
+            await importFile('name,price\nCaneca,10').expect(400);
+            await importFile('externalId,name\n"ERP-1,Caneca').expect(400);
+        });
+
+        it('Deve exportar no mesmo formato da importação', async () => {
+            const legacy = await Product.create({
+                name: 'Produto =Legado', price: 12.5, stock: 2, category: categoryId, image: 'http://img.test/l.jpg',
+            });
+
+            const csvRes = await request(app)
+                .get('/api/products/export')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(csvRes.headers['content-type']).toMatch(/text\/csv/);
+            expect(csvRes.headers['content-disposition']).toMatch(/produtos-.*\.csv/);
+            expect(csvRes.text).toContain('externalId,name,price,stock,category,description,imageUrl');
+            expect(csvRes.text).toContain(`${legacy._id},Produto =Legado,12.5,2,${categorySlug},,http://img.test/l.jpg`);
+
+            const jsonRes = await request(app)
+                .get('/api/products/export?format=json')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(jsonRes.body).toEqual([expect.objectContaining({ externalId: legacy._id.toString(), category: categorySlug })]);
+
+            // O arquivo exportado pode ser reimportado: o produto adota o _id como externalId
+            const res = await importFile(JSON.stringify(jsonRes.body), 'catalogo.json').expect(200);
+            expect(res.body.summary).toMatchObject({ unchanged: 0, updated: 1, failed: 0 });
+            expect((await Product.findById(legacy._id)).externalId).toBe(legacy._id.toString());
+        });
+
+        it('Usuário normal NÃO deve importar nem exportar (403)', async () => {
+            await request(app)
+                .post('/api/products/import')
+                .set('Authorization', `Bearer ${userToken}`)
+                .attach('file', Buffer.from('externalId\nX'), 'catalogo.csv')
+                .expect(403);
+            await request(app)
+                .get('/api/products/export')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Histórico de preços /:id/price-history', () => {
+        let productId;
+
+        beforeEach(async () => {
+            await PriceHistory.deleteMany({});
+            const product = await Product.create({
+                name: 'Tênis Corrida', price: 300, stock: 5, category: categoryId, image: 'tenis.jpg',
+            });
+            productId = product._id;
+        });
+
+        const updatePrice = (price) =>
+            request(app)
+                .put(`/api/products/${productId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('price', price)
+                .expect(200);
+
+        it('Cada alteração de preço deve gerar um registro com quem alterou e o menor preço recente', async () => {
+            await updatePrice('250');
+            await updatePrice('280');
+            // Alterações que não mexem no preço não entram no histórico
+            await request(app)
+                .put(`/api/products/${productId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('description', 'Leve e confortável')
+                .expect(200);
+
+            const res = await request(app)
+                .get(`/api/products/${productId}/price-history`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(res.body.totalChanges).toBe(2);
+            expect(res.body.currentPrice).toBe(280);
+            expect(res.body.lowestPrice).toMatchObject({ days: 30, price: 250 });
+            expect(res.body.data.history[0]).toMatchObject({ oldPrice: 250, newPrice: 280, source: 'update' });
+            expect(res.body.data.history[1]).toMatchObject({ oldPrice: 300, newPrice: 250 });
+            expect(res.body.data.history[0].changedBy.email).toBe(adminUserData.email);
+        });
+
+        it('Alterações antigas não contam para o menor preço do período', async () => {
+            await updatePrice('200');
+            await updatePrice('320');
+            // createdAt é imutável no Mongoose: altera direto na coleção
+            await PriceHistory.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) } });
+
+            const res = await request(app)
+                .get(`/api/products/${productId}/price-history?days=30`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(res.body.lowestPrice.price).toBe(320);
+        });
+
+        it('Deve registrar a alteração do preço de uma variação separadamente', async () => {
+            await request(app)
+                .put(`/api/products/${productId}/options`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ options: [{ name: 'Tamanho', values: ['40', '41'] }] })
+                .expect(200);
+            const created = await request(app)
+                .post(`/api/products/${productId}/variants`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ sku: 'TEN-40', options: { Tamanho: '40' }, stock: 2 })
+                .expect(201);
+            await request(app)
+                .patch(`/api/products/${productId}/variants/${created.body._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ price: 310 })
+                .expect(200);
+
+            const res = await request(app)
+                .get(`/api/products/${productId}/price-history?variantId=${created.body._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(res.body.data.history).toEqual([
+                expect.objectContaining({ sku: 'TEN-40', oldPrice: 300, newPrice: 310, source: 'variant' }),
+            ]);
+            expect(await PriceHistory.countDocuments({ variant: null })).toBe(0);
+        });
+
+        it('Usuário normal NÃO deve consultar o histórico (403)', async () => {
+            await request(app)
+                .get(`/api/products/${productId}/price-history`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Atributos da categoria', () => {
+        let electronicsId, tvsId;
+
+        beforeEach(async () => {
+            const electronics = await Category.create({
+                name: 'Eletro Atributos',
+                attributes: [
+                    { key: 'voltage', label: 'Voltagem', type: 'enum', options: ['110', '220', 'bivolt'], required: true, unit: 'V' },
+                    { key: 'warranty', label: 'Garantia', type: 'number', unit: 'meses' },
+                ],
+            });
+            const tvs = await Category.create({
+                name: 'TVs Atributos',
+                parent: electronics._id,
+                attributes: [{ key: 'smart', type: 'boolean' }],
+            });
+            electronicsId = electronics._id;
+            tvsId = tvs._id;
+        });
+
+        afterEach(async () => {
+            await Category.deleteMany({ _id: { $in: [electronicsId, tvsId] } });
+        });
+
+        const createWithAttributes = (category, attributes) =>
+            request(app)
+                .post('/api/products')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .field('name', `Produto ${Math.random()}`)
+                .field('price', '999')
+                .field('category', category.toString())
+                .field('attributes', JSON.stringify(attributes))
+                .attach('image', dummyImagePath);
+
+        it('Deve validar e converter os atributos, incluindo os herdados da categoria pai', async () => {
+            const res = await createWithAttributes(tvsId, { voltage: '220', warranty: '12', smart: 'true' }).expect(201);
+            expect(res.body.attributes).toEqual({ voltage: '220', warranty: 12, smart: true });
+        });
+
+        it('Deve recusar atributo obrigatório ausente, valor fora das opções e chave desconhecida (400)', async () => {
+            const missing = await createWithAttributes(electronicsId, { warranty: 12 }).expect(400);
+            expect(missing.body.message).toMatch(/'Voltagem' é obrigatório/);
+
+            const invalid = await createWithAttributes(electronicsId, { voltage: '380', color: 'preto' }).expect(400);
+            expect(invalid.body.message).toMatch(/'color' não existe nesta categoria/);
+            expect(invalid.body.message).toMatch(/Valor inválido para 'Voltagem'/);
+            expect(uploadImage).not.toHaveBeenCalled();
+        });
+
+        it('Mudar a categoria deve revalidar os atributos do produto', async () => {
+            const product = await Product.create({
+                name: 'Cabo Atributos', price: 20, stock: 1, category: categoryId, image: 'cabo.jpg',
+            });
+
+            await request(app)
+                .put(`/api/products/${product._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ category: electronicsId.toString() })
+                .expect(400);
+
+            const res = await request(app)
+                .put(`/api/products/${product._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ category: electronicsId.toString(), attributes: { voltage: 'bivolt' } })
+                .expect(200);
+            expect(res.body.attributes).toEqual({ voltage: 'bivolt' });
+        });
+
+        it('GET /api/products deve filtrar por ?attr.<chave>=valor', async () => {
+            await createWithAttributes(tvsId, { voltage: '220', warranty: 12, smart: true }).expect(201);
+            await createWithAttributes(tvsId, { voltage: '110', warranty: 24, smart: false }).expect(201);
+            await createWithAttributes(electronicsId, { voltage: 'bivolt' }).expect(201);
+
+            const byVoltage = await request(app).get('/api/products?attr.voltage=220,bivolt').expect(200);
+            expect(byVoltage.body.totalProducts).toBe(2);
+
+            const combined = await request(app).get('/api/products?attr.warranty=24&attr.smart=false').expect(200);
+            expect(combined.body.products.map((p) => p.attributes.voltage)).toEqual(['110']);
+
+            await request(app).get('/api/products?attr.$where=1').expect(400);
+        });
+    });
+
+    describe('Slugs /slug/:slug', () => {
+        const createNamed = (name) =>
+            Product.create({ name, price: 10, stock: 1, category: categoryId, image: 'slug.jpg' });
+
+        beforeEach(async () => {
+            await Product.deleteMany({});
+        });
+
+        it('deve gerar slugs únicos e sem acentos a partir do nome', async () => {
+            const first = await createNamed('Pão de Açúcar Orgânico');
+            const second = await createNamed('Pão de açúcar orgânico');
+
+            expect(first.slug).toBe('pao-de-acucar-organico');
+            expect(second.slug).toBe('pao-de-acucar-organico-2');
+
+            const res = await request(app).get('/api/products/slug/pao-de-acucar-organico-2').expect(200);
+            expect(res.body._id).toBe(second._id.toString());
+            expect(res.body.effectivePrice).toBe(10);
+            expect(res.body.redirectedFrom).toBeUndefined();
+        });
+
+        it('slug antigo deve continuar resolvendo após renomear, com redirectedFrom', async () => {
+            const product = await createNamed('Camiseta Algodão');
+
+            const updated = await request(app)
+                .put(`/api/products/${product._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Camiseta Algodão Orgânico', slug: 'ignorado' })
+                .expect(200);
+            expect(updated.body.slug).toBe('camiseta-algodao-organico');
+            expect(updated.body.slugAliases).toEqual(['camiseta-algodao']);
+
+            const res = await request(app).get('/api/products/slug/camiseta-algodao').expect(200);
+            expect(res.body).toMatchObject({
+                _id: product._id.toString(),
+                slug: 'camiseta-algodao-organico',
+                redirectedFrom: 'camiseta-algodao',
+            });
+
+            // Novo produto com o nome antigo não toma a URL antiga
+            const other = await createNamed('Camiseta Algodão');
+            expect(other.slug).toBe('camiseta-algodao-2');
+        });
+
+        it('produtos anteriores aos slugs devem recebê-los na migração, sem repetir', async () => {
+            const current = await createNamed('Caneca Azul');
+            const legacy = [];
+            for (const name of ['Caneca Azul', 'Caneca azul', 'Prato Fundo']) {
+                legacy.push(await createNamed(name));
+            }
+            await Product.collection.updateMany(
+                { _id: { $in: legacy.map((product) => product._id) } },
+                { $unset: { slug: '' } }
+            );
+            await request(app).get('/api/products/slug/prato-fundo').expect(404);
+
+            await Product.backfillSlugs();
+
+            const slugs = await Product.find({ _id: { $in: legacy.map((product) => product._id) } }).distinct('slug');
+            expect(slugs.sort()).toEqual(['caneca-azul-2', 'caneca-azul-3', 'prato-fundo']);
+            expect((await Product.findById(current._id)).slug).toBe('caneca-azul');
+            await request(app).get('/api/products/slug/prato-fundo').expect(200);
+        });
+
+        it('deve retornar 404 para slug desconhecido ou produto arquivado e 400 para slug inválido', async () => {
+            const product = await createNamed('Produto Arquivado');
+            await Product.updateOne({ _id: product._id }, { archivedAt: new Date() });
+
+            await request(app).get('/api/products/slug/produto-arquivado').expect(404);
+            await request(app).get('/api/products/slug/nao-existe').expect(404);
+            await request(app).get('/api/products/slug/Slug_Invalido').expect(400);
+        });
+    });
 }); 
\ No newline at end of file
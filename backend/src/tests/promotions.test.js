@@ -0,0 +1,369 @@
+// src/tests/promotions.test.js
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import jwt from "jsonwebtoken";
+import app from "../app.js";
+import Promotion from "../models/Promotion.js";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import Address from "../models/Address.js";
+import User from "../models/User.js";
+
+let mongoServer;
+let adminToken, userToken;
+let customerId;
+let categoryId, otherCategoryId;
+let shirt, mug;
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+const adminUserData = {
+  name: "Promo Admin",
+  email: "promo.admin@test.com",
+  password: "password123",
+  cpf: "52998224725",
+  birthDate: "1980-01-01",
+  role: "admin",
+};
+const customerData = {
+  name: "Promo Customer",
+  email: "promo.customer@test.com",
+  password: "password123",
+  cpf: "15350946056",
+  birthDate: "1995-05-05",
+  emailVerified: true,
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  if (!process.env.JWT_SECRET) {
+    process.env.JWT_SECRET = "test-secret-for-promotions-please-replace";
+  }
+
+  const [admin, customer] = await Promise.all([
+    User.create(adminUserData),
+    User.create(customerData),
+  ]);
+  customerId = customer._id;
+  adminToken = jwt.sign(
+    { id: admin._id, role: admin.role, mfa: true },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+  userToken = jwt.sign(
+    { id: customer._id, role: customer.role },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+
+  const [category, otherCategory] = await Promise.all([
+    Category.create({ name: "Roupas Promo" }),
+    Category.create({ name: "Cozinha Promo" }),
+  ]);
+  categoryId = category._id;
+  otherCategoryId = otherCategory._id;
+});
+
+beforeEach(async () => {
+  [shirt, mug] = await Promise.all([
+    Product.create({
+      name: "Camiseta Promo",
+      price: 100,
+      stock: 10,
+      category: categoryId,
+      image: "http://img.test/camiseta.jpg",
+    }),
+    Product.create({
+      name: "Caneca Promo",
+      price: 40,
+      stock: 10,
+      category: otherCategoryId,
+      image: "http://img.test/caneca.jpg",
+    }),
+  ]);
+});
+
+afterEach(async () => {
+  await Promise.all([
+    Promotion.deleteMany({}),
+    Product.deleteMany({}),
+    Cart.deleteMany({}),
+    Order.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Category.deleteMany({}),
+    Address.deleteMany({}),
+  ]);
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("/api/promotions", () => {
+  describe("Gerenciamento (CRUD)", () => {
+    it("Admin deve criar, atualizar, listar e remover uma promoção", async () => {
+      const created = await request(app)
+        .post("/api/promotions")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          name: "Semana da Roupa",
+          type: "percentage",
+          value: 20,
+          categories: [categoryId],
+          endsAt: hoursFromNow(24),
+        })
+        .expect(201);
+      const promotion = created.body.data.promotion;
+      expect(promotion.status).toBe("running");
+
+      const updated = await request(app)
+        .patch(`/api/promotions/${promotion._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ active: false })
+        .expect(200);
+      expect(updated.body.data.promotion.status).toBe("paused");
+
+      const list = await request(app)
+        .get("/api/promotions?status=paused")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.totalPromotions).toBe(1);
+
+      await request(app)
+        .delete(`/api/promotions/${promotion._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(await Promotion.countDocuments()).toBe(0);
+    });
+
+    it("Deve recusar promoções inválidas (400)", async () => {
+      const send = (body) =>
+        request(app)
+          .post("/api/promotions")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({ name: "Inválida", type: "percentage", value: 10, ...body })
+          .expect(400);
+
+      await send({ products: [shirt._id], value: 100 }); // percentual >= 100
+      await send({ products: [shirt._id], type: "bogo" });
+      await send({}); // sem produtos nem categorias
+      await send({ products: [new mongoose.Types.ObjectId()] });
+      await send({
+        products: [shirt._id],
+        startsAt: hoursFromNow(2),
+        endsAt: hoursFromNow(1),
+      });
+    });
+
+    it("Usuário sem promotions:write NÃO deve gerenciar promoções (403)", async () => {
+      await request(app)
+        .get("/api/promotions")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("Preço efetivo no catálogo", () => {
+    it("Listagem e detalhe devem usar o menor preço entre sale e promoções em vigor", async () => {
+      await Product.updateOne(
+        { _id: mug._id },
+        { sale: { price: 35, endsAt: hoursFromNow(1) } }
+      );
+      await Promotion.create([
+        { name: "Roupas -15%", type: "percentage", value: 15, categories: [categoryId], startsAt: hoursFromNow(-1) },
+        { name: "Caneca -R$2", type: "fixed", value: 2, products: [mug._id], startsAt: hoursFromNow(-1) },
+        { name: "Futura", type: "fixed", value: 90, products: [shirt._id], startsAt: hoursFromNow(1) },
+      ]);
+
+      const list = await request(app).get("/api/products?sort=price").expect(200);
+      expect(list.body.products.map((p) => [p.name, p.price, p.effectivePrice])).toEqual([
+        ["Caneca Promo", 40, 35],
+        ["Camiseta Promo", 100, 85],
+      ]);
+
+      const filtered = await request(app).get("/api/products?maxPrice=90").expect(200);
+      expect(filtered.body.totalProducts).toBe(2);
+
+      const detail = await request(app).get(`/api/products/${shirt._id}`).expect(200);
+      expect(detail.body.effectivePrice).toBe(85);
+      expect(detail.body.discount).toMatchObject({ source: "promotion", name: "Roupas -15%" });
+
+      const mugDetail = await request(app).get(`/api/products/${mug._id}`).expect(200);
+      expect(mugDetail.body.effectivePrice).toBe(35);
+      expect(mugDetail.body.discount.source).toBe("sale");
+    });
+
+    it("Promoção de uma categoria deve valer para as subcategorias", async () => {
+      const subcategory = await Category.create({ name: "Camisetas Promo", parent: categoryId });
+      const polo = await Product.create({
+        name: "Polo Promo",
+        price: 200,
+        stock: 5,
+        category: subcategory._id,
+        image: "http://img.test/polo.jpg",
+      });
+      const promotion = await Promotion.create({
+        name: "Roupas -10%",
+        type: "percentage",
+        value: 10,
+        categories: [categoryId],
+        startsAt: hoursFromNow(-1),
+      });
+
+      const list = await request(app).get("/api/products?sort=price").expect(200);
+      expect(list.body.products.map((p) => [p.name, p.effectivePrice])).toEqual([
+        ["Caneca Promo", 40],
+        ["Camiseta Promo", 90],
+        ["Polo Promo", 180],
+      ]);
+
+      const detail = await request(app).get(`/api/products/${polo._id}`).expect(200);
+      expect(detail.body.effectivePrice).toBe(180);
+      expect(detail.body.discount).toMatchObject({ source: "promotion", name: "Roupas -10%" });
+
+      const preview = await request(app)
+        .get(`/api/promotions/${promotion._id}/preview`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(preview.body.data.products.map((p) => [p.name, p.effectivePrice, p.applied])).toEqual([
+        ["Camiseta Promo", 90, true],
+        ["Polo Promo", 180, true],
+      ]);
+    });
+
+    it("Desconto fixo maior que o preço não deve deixar o produto de graça", async () => {
+      await Promotion.create({
+        name: "Caneca -R$50",
+        type: "fixed",
+        value: 50,
+        products: [mug._id],
+        startsAt: hoursFromNow(-1),
+      });
+
+      const list = await request(app).get("/api/products?sort=price").expect(200);
+      expect(list.body.products[0]).toMatchObject({ name: "Caneca Promo", effectivePrice: 0.01 });
+
+      const detail = await request(app).get(`/api/products/${mug._id}`).expect(200);
+      expect(detail.body.effectivePrice).toBe(0.01);
+    });
+
+    it("Deve definir e remover o preço promocional do produto", async () => {
+      await request(app)
+        .put(`/api/products/${shirt._id}/sale`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ price: 120 })
+        .expect(400);
+
+      const res = await request(app)
+        .put(`/api/products/${shirt._id}/sale`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ price: 79.9, startsAt: hoursFromNow(-1), endsAt: hoursFromNow(1) })
+        .expect(200);
+      expect(res.body.sale.price).toBe(79.9);
+
+      await request(app)
+        .delete(`/api/products/${shirt._id}/sale`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect((await Product.findById(shirt._id)).sale).toBeUndefined();
+    });
+  });
+
+  describe("Pré-visualização GET /:id/preview", () => {
+    it("Deve mostrar os preços com e sem a promoção nos produtos alcançados", async () => {
+      await Promotion.create({
+        name: "Camiseta -R$20",
+        type: "fixed",
+        value: 20,
+        products: [shirt._id],
+        startsAt: hoursFromNow(-1),
+      });
+      const promotion = await Promotion.create({
+        name: "Roupas -10% (pausada)",
+        type: "percentage",
+        value: 10,
+        categories: [categoryId],
+        startsAt: hoursFromNow(-1),
+        active: false,
+      });
+
+      const res = await request(app)
+        .get(`/api/promotions/${promotion._id}/preview?page=1&limit=5`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.currentPage).toBe(1);
+      expect(res.body.totalProducts).toBe(1);
+      expect(res.body.data.products[0]).toMatchObject({
+        name: "Camiseta Promo",
+        price: 100,
+        promotionPrice: 90,
+        currentPrice: 80,
+        effectivePrice: 80,
+        applied: false,
+      });
+    });
+  });
+
+  describe("Carrinho e pedido", () => {
+    it("Carrinho e pedido devem usar o preço efetivo, e o pedido guarda o preço original", async () => {
+      const promotion = await Promotion.create({
+        name: "Roupas -25%",
+        type: "percentage",
+        value: 25,
+        categories: [categoryId],
+        startsAt: hoursFromNow(-1),
+      });
+      await Cart.create({
+        user: customerId,
+        items: [
+          { product: shirt._id, quantity: 2 },
+          { product: mug._id, quantity: 1 },
+        ],
+      });
+
+      const cartRes = await request(app)
+        .get("/api/cart")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200);
+      const cart = cartRes.body.data.cart;
+      expect(cart.items[0]).toMatchObject({ originalUnitPrice: 100, unitPrice: 75, subtotal: 150 });
+      expect(cart.items[1]).toMatchObject({ originalUnitPrice: 40, unitPrice: 40, subtotal: 40, discount: null });
+      expect(cart.itemsPrice).toBe(190);
+
+      const address = await Address.create({
+        user: customerId,
+        street: "Rua Promo",
+        number: "1",
+        neighborhood: "Centro",
+        city: "Cidade",
+        state: "SP",
+        postalCode: "01001-000",
+        country: "Brasil",
+      });
+      const orderRes = await request(app)
+        .post("/api/orders")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ shippingAddressId: address._id, paymentMethod: "pix" })
+        .expect(201);
+
+      const order = orderRes.body.data.order;
+      expect(order.itemsPrice).toBeCloseTo(190);
+      const shirtItem = order.orderItems.find((item) => item.productId === shirt._id.toString());
+      expect(shirtItem).toMatchObject({
+        originalPrice: 100,
+        price: 75,
+        discount: { source: "promotion", promotion: promotion._id.toString(), name: "Roupas -25%" },
+      });
+    });
+  });
+});
@@ -73,7 +73,7 @@ beforeAll(async () => {
     adminUserId = admin._id;
 
     userToken = jwt.sign({ id: userId, role: user.role, name: user.name }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    adminToken = jwt.sign({ id: adminUserId, role: admin.role, name: admin.name }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    adminToken = jwt.sign({ id: adminUserId, role: admin.role, name: admin.name, mfa: true }, process.env.JWT_SECRET, { expiresIn: '1h' });
 });
 
 afterEach(async () => {
@@ -0,0 +1,305 @@
+// src/tests/roles.test.js
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import jwt from "jsonwebtoken";
+import app from "../app.js";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import Category from "../models/Category.js";
+
+let mongoServer;
+let adminToken, userToken;
+let normalUserId;
+
+// --- Dados de Usuário Válidos para Teste ---
+const adminUserData = {
+  name: "Roles Admin",
+  email: "roles.admin@test.com",
+  password: "password123",
+  cpf: "90450332080",
+  birthDate: "1980-01-01",
+  role: "admin",
+};
+const normalUserData = {
+  name: "Roles User",
+  email: "roles.user@test.com",
+  password: "password123",
+  cpf: "59111802006",
+  birthDate: "1995-05-05",
+  role: "user",
+};
+
+const catalogRoleData = {
+  name: "catalog_manager",
+  description: "Equipe de catálogo",
+  permissions: ["products:write", "categories:write"],
+};
+
+// Token de uma sessão validada com 2FA (exigido de contas com permissões)
+const signToken = (user, mfa = true) =>
+  jwt.sign(
+    { id: user._id, role: user.role, ...(mfa && { mfa: true }) },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  if (!process.env.JWT_SECRET) {
+    process.env.JWT_SECRET = "test-secret-for-roles-please-replace";
+  }
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Role.deleteMany({});
+  await Category.deleteMany({});
+
+  const adminUser = await User.create(adminUserData);
+  const normalUser = await User.create(normalUserData);
+  normalUserId = normalUser._id;
+
+  adminToken = signToken(adminUser);
+  userToken = signToken(normalUser, false);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("/api/roles", () => {
+  describe("CRUD de roles", () => {
+    it("GET /permissions deve listar o catálogo de permissões", async () => {
+      const res = await request(app)
+        .get("/api/roles/permissions")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      const names = res.body.data.permissions.map((p) => p.name);
+      expect(names).toEqual(
+        expect.arrayContaining(["products:write", "orders:ship", "users:read"])
+      );
+    });
+
+    it("Admin deve criar uma role e vê-la na listagem junto das roles do sistema", async () => {
+      const createRes = await request(app)
+        .post("/api/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(catalogRoleData)
+        .expect(201);
+      expect(createRes.body.data.role.name).toBe(catalogRoleData.name);
+      expect(createRes.body.data.role.permissions).toEqual(
+        catalogRoleData.permissions
+      );
+
+      const listRes = await request(app)
+        .get("/api/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      const names = listRes.body.data.roles.map((r) => r.name);
+      expect(names).toEqual(["admin", "user", "catalog_manager"]);
+      expect(listRes.body.data.roles[0].system).toBe(true);
+    });
+
+    it("Deve retornar 400 para permissão desconhecida ou nome reservado", async () => {
+      const res = await request(app)
+        .post("/api/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...catalogRoleData, permissions: ["products:destroy"] })
+        .expect(400);
+      expect(res.body.errors[0].msg).toMatch(/Permissões desconhecidas/i);
+
+      await request(app)
+        .post("/api/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...catalogRoleData, name: "admin" })
+        .expect(400);
+    });
+
+    it("Deve retornar 409 ao criar role com nome duplicado", async () => {
+      await Role.create(catalogRoleData);
+      await request(app)
+        .post("/api/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(catalogRoleData)
+        .expect(409);
+    });
+
+    it("PATCH /:id deve atualizar permissões, mas não o nome", async () => {
+      const role = await Role.create(catalogRoleData);
+
+      await request(app)
+        .patch(`/api/roles/${role._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "outro_nome" })
+        .expect(400);
+
+      const res = await request(app)
+        .patch(`/api/roles/${role._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ permissions: ["products:write"] })
+        .expect(200);
+      expect(res.body.data.role.permissions).toEqual(["products:write"]);
+    });
+
+    it("DELETE /:id deve retornar 409 se houver usuários com a role e 204 caso contrário", async () => {
+      const role = await Role.create(catalogRoleData);
+      await User.updateOne({ _id: normalUserId }, { role: role.name });
+
+      await request(app)
+        .delete(`/api/roles/${role._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      await User.updateOne({ _id: normalUserId }, { role: "user" });
+      await request(app)
+        .delete(`/api/roles/${role._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(204);
+      expect(await Role.findById(role._id)).toBeNull();
+    });
+
+    it("Usuário sem roles:manage NÃO deve gerenciar roles (403)", async () => {
+      await request(app)
+        .get("/api/roles")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("requirePermission com roles customizadas", () => {
+    let catalogUser;
+
+    beforeEach(async () => {
+      await Role.create(catalogRoleData);
+      catalogUser = await User.findByIdAndUpdate(
+        normalUserId,
+        { role: catalogRoleData.name },
+        { new: true }
+      );
+    });
+
+    it("deve liberar apenas as rotas cobertas pelas permissões da role", async () => {
+      const catalogToken = signToken(catalogUser);
+
+      await request(app)
+        .post("/api/categories")
+        .set("Authorization", `Bearer ${catalogToken}`)
+        .send({ name: "Eletrônicos" })
+        .expect(201);
+
+      const res = await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${catalogToken}`)
+        .expect(403);
+      expect(res.body.message).toMatch(/users:read/);
+    });
+
+    it("deve exigir 2FA também de roles customizadas", async () => {
+      await request(app)
+        .post("/api/categories")
+        .set("Authorization", `Bearer ${signToken(catalogUser, false)}`)
+        .send({ name: "Eletrônicos" })
+        .expect(403);
+    });
+
+    it("alterações nas permissões da role devem valer imediatamente", async () => {
+      const catalogToken = signToken(catalogUser);
+      await Role.updateOne(
+        { name: catalogRoleData.name },
+        { permissions: ["products:write"] }
+      );
+
+      await request(app)
+        .post("/api/categories")
+        .set("Authorization", `Bearer ${catalogToken}`)
+        .send({ name: "Eletrônicos" })
+        .expect(403);
+    });
+
+    it("atribuir role a um usuário exige roles:manage", async () => {
+      await Role.create({
+        name: "support_agent",
+        permissions: ["users:read", "users:write"],
+      });
+      const support = await User.create({
+        ...normalUserData,
+        email: "support@test.com",
+        cpf: "09453681008",
+        role: "support_agent",
+      });
+
+      const res = await request(app)
+        .patch(`/api/users/${support._id}`)
+        .set("Authorization", `Bearer ${signToken(support)}`)
+        .send({ role: "admin" })
+        .expect(403);
+      expect(res.body.message).toMatch(/roles:manage/);
+
+      await request(app)
+        .patch(`/api/users/${catalogUser._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "support_agent" })
+        .expect(200);
+    });
+
+    it("contas com permissões só podem ser alteradas por quem tem roles:manage", async () => {
+      await Role.create({
+        name: "support_agent",
+        permissions: ["users:read", "users:write"],
+      });
+      const support = await User.create({
+        ...normalUserData,
+        email: "support@test.com",
+        cpf: "09453681008",
+        role: "support_agent",
+      });
+      const supportToken = signToken(support);
+      const admin = await User.findOne({ email: adminUserData.email });
+
+      const res = await request(app)
+        .patch(`/api/users/${admin._id}`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .send({ email: "invasor@test.com" })
+        .expect(403);
+      expect(res.body.message).toMatch(/roles:manage/);
+      await request(app)
+        .post(`/api/users/${catalogUser._id}/archive`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(403);
+      await request(app)
+        .post(`/api/users/${admin._id}/unlock`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(403);
+      await request(app)
+        .delete(`/api/users/${admin._id}`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(403);
+      expect((await User.findById(admin._id)).email).toBe(adminUserData.email);
+
+      // Clientes continuam sendo atendidos pelo suporte
+      const customer = await User.create({
+        ...normalUserData,
+        email: "cliente@test.com",
+        cpf: "52998224725",
+      });
+      await request(app)
+        .patch(`/api/users/${customer._id}`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .send({ name: "Cliente Atendido" })
+        .expect(200);
+    });
+
+    it("não deve aceitar role inexistente ao atualizar usuário", async () => {
+      await request(app)
+        .patch(`/api/users/${catalogUser._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "role_fantasma" })
+        .expect(400);
+    });
+  });
+});
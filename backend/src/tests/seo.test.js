@@ -0,0 +1,158 @@
+// src/tests/seo.test.js
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../app.js";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import { buildFrontendUrl } from "../utils/email.js";
+
+let mongoServer;
+let root, child;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  process.env.SITEMAP_PAGE_SIZE = "2";
+
+  root = await Category.create({ name: "Eletrônicos" });
+  child = await Category.create({ name: "Áudio", parent: root._id });
+});
+
+afterEach(async () => {
+  await Product.deleteMany({});
+});
+
+afterAll(async () => {
+  delete process.env.SITEMAP_PAGE_SIZE;
+  await Category.deleteMany({});
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createProduct = (data) =>
+  Product.create({
+    price: 100,
+    stock: 5,
+    category: child._id,
+    image: "http://img.test/capa.jpg",
+    ...data,
+  });
+
+describe("/api/seo", () => {
+  describe("Sitemaps", () => {
+    it("Índice deve paginar os produtos e cada página listar as URLs da vitrine", async () => {
+      await createProduct({ name: "Fone Azul" });
+      await createProduct({ name: "Fone Verde" });
+      await createProduct({ name: "Caixa de Som" });
+      const archived = await createProduct({ name: "Fone Antigo" });
+      await Product.updateOne({ _id: archived._id }, { archivedAt: new Date() });
+
+      const index = await request(app).get("/api/seo/sitemap.xml").expect(200);
+      expect(index.headers["content-type"]).toMatch(/application\/xml/);
+      expect(index.text).toContain("<sitemapindex");
+      expect(index.text).toContain("/api/seo/sitemaps/categories.xml</loc>");
+      expect(index.text).toContain("/api/seo/sitemaps/products-2.xml</loc>");
+      expect(index.text).not.toContain("products-3.xml");
+
+      const first = await request(app).get("/api/seo/sitemaps/products-1.xml").expect(200);
+      const second = await request(app).get("/api/seo/sitemaps/products-2.xml").expect(200);
+      expect(first.text.match(/<url>/g)).toHaveLength(2);
+      expect(second.text.match(/<url>/g)).toHaveLength(1);
+      expect(first.text + second.text).toContain(`${buildFrontendUrl("/products/fone-azul")}</loc>`);
+      expect(first.text + second.text).not.toContain("fone-antigo");
+      expect(first.text).toContain("<image:loc>http://img.test/capa.jpg</image:loc>");
+
+      await request(app).get("/api/seo/sitemaps/products-3.xml").expect(404);
+      await request(app).get("/api/seo/sitemaps/products-0.xml").expect(400);
+    });
+
+    it("Páginas além da última devem retornar 404 e passar a existir quando o catálogo crescer", async () => {
+      await createProduct({ name: "Fone Azul" });
+      await request(app).get("/api/seo/sitemaps/products-2.xml").expect(404);
+      await request(app).get("/api/seo/sitemaps/products-999999.xml").expect(404);
+
+      await createProduct({ name: "Fone Verde" });
+      await createProduct({ name: "Caixa de Som" });
+      const res = await request(app).get("/api/seo/sitemaps/products-2.xml").expect(200);
+      expect(res.text.match(/<url>/g)).toHaveLength(1);
+    });
+
+    it("Índice deve usar o host da requisição nos links sem guardá-lo no cache", async () => {
+      const first = await request(app)
+        .get("/api/seo/sitemap.xml")
+        .set("Host", "loja-a.test")
+        .expect(200);
+      const second = await request(app)
+        .get("/api/seo/sitemap.xml")
+        .set("Host", "loja-b.test")
+        .expect(200);
+      expect(first.text).toContain("://loja-a.test/api/seo/sitemaps/categories.xml</loc>");
+      expect(second.text).toContain("://loja-b.test/api/seo/sitemaps/categories.xml</loc>");
+      expect(second.headers["last-modified"]).toBe(first.headers["last-modified"]);
+    });
+
+    it("Sitemap de categorias deve listar as categorias ativas pelo slug", async () => {
+      const res = await request(app).get("/api/seo/sitemaps/categories.xml").expect(200);
+      expect(res.text).toContain(`${buildFrontendUrl("/categories/eletronicos")}</loc>`);
+      expect(res.text).toContain(`${buildFrontendUrl("/categories/audio")}</loc>`);
+    });
+  });
+
+  describe("Feed de produtos", () => {
+    it("XML deve trazer preço, promoção, disponibilidade, imagem, marca, GTIN e categoria", async () => {
+      await createProduct({
+        name: "Fone & Microfone",
+        brand: "Sonora",
+        gtin: "7891234567895",
+        sale: { price: 80 },
+        images: [
+          { url: "http://img.test/capa.jpg", isCover: true },
+          { url: "http://img.test/lado.jpg" },
+        ],
+      });
+      await createProduct({ name: "Cabo P2", stock: 0 });
+
+      const res = await request(app).get("/api/seo/product-feed.xml").expect(200);
+      expect(res.text).toContain('xmlns:g="http://base.google.com/ns/1.0"');
+      const [withIds, withoutIds] = res.text.split("<item>").slice(1);
+      expect(withIds).toContain("<g:title>Fone &amp; Microfone</g:title>");
+      expect(withIds).toContain(`<g:link>${buildFrontendUrl("/products/fone-microfone")}</g:link>`);
+      expect(withIds).toContain("<g:image_link>http://img.test/capa.jpg</g:image_link>");
+      expect(withIds).toContain("<g:additional_image_link>http://img.test/lado.jpg</g:additional_image_link>");
+      expect(withIds).toContain("<g:availability>in_stock</g:availability>");
+      expect(withIds).toContain("<g:price>100.00 BRL</g:price>");
+      expect(withIds).toContain("<g:sale_price>80.00 BRL</g:sale_price>");
+      expect(withIds).toContain("<g:brand>Sonora</g:brand>");
+      expect(withIds).toContain("<g:gtin>7891234567895</g:gtin>");
+      expect(withIds).toContain("<g:product_type>Eletrônicos &gt; Áudio</g:product_type>");
+      expect(withIds).not.toContain("identifier_exists");
+
+      expect(withoutIds).toContain("<g:availability>out_of_stock</g:availability>");
+      expect(withoutIds).toContain("<g:identifier_exists>no</g:identifier_exists>");
+      expect(withoutIds).not.toContain("sale_price");
+    });
+
+    it("TSV deve ter o cabeçalho do Merchant Center e ser refeito quando o catálogo muda", async () => {
+      await createProduct({ name: "Fone Azul" });
+
+      const first = await request(app).get("/api/seo/product-feed.tsv").expect(200);
+      expect(first.headers["content-type"]).toMatch(/text\/tab-separated-values/);
+      const [header, ...rows] = first.text.trim().split("\n");
+      expect(header.split("\t").slice(0, 4)).toEqual(["id", "title", "description", "link"]);
+      expect(rows).toHaveLength(1);
+
+      const cached = await request(app).get("/api/seo/product-feed.tsv").expect(200);
+      expect(cached.text).toBe(first.text);
+
+      await createProduct({ name: "Fone Verde" });
+      const updated = await request(app).get("/api/seo/product-feed.tsv").expect(200);
+      expect(updated.text.trim().split("\n")).toHaveLength(3);
+      expect(updated.text).toContain("Fone Verde");
+    });
+
+    it("Deve recusar formato desconhecido (400)", async () => {
+      await request(app).get("/api/seo/product-feed.csv").expect(400);
+    });
+  });
+});
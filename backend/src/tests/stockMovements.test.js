@@ -0,0 +1,333 @@
+// src/tests/stockMovements.test.js
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import jwt from "jsonwebtoken";
+import app from "../app.js";
+import StockMovement from "../models/StockMovement.js";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import Address from "../models/Address.js";
+import User from "../models/User.js";
+import { outbox } from "../utils/email.js";
+
+// Mocking Cloudinary (cadastro de produtos pela API)
+jest.mock("../utils/cloudinary.js", () => ({
+  uploadImage: jest.fn().mockResolvedValue({
+    secure_url: "http://fake.cloudinary.com/image.jpg",
+    public_id: "fake_public_id",
+  }),
+  deleteImage: jest.fn(),
+  __esModule: true,
+}));
+
+let mongoServer;
+let adminToken, userToken;
+let adminId, customerId;
+let categoryId;
+
+const adminUserData = {
+  name: "Stock Admin",
+  email: "stock.admin@test.com",
+  password: "password123",
+  cpf: "52998224725",
+  birthDate: "1980-01-01",
+  role: "admin",
+};
+const customerData = {
+  name: "Stock Customer",
+  email: "stock.customer@test.com",
+  password: "password123",
+  cpf: "15350946056",
+  birthDate: "1995-05-05",
+  emailVerified: true,
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  if (!process.env.JWT_SECRET) {
+    process.env.JWT_SECRET = "test-secret-for-stock-movements-please-replace";
+  }
+
+  const [admin, customer] = await Promise.all([
+    User.create(adminUserData),
+    User.create(customerData),
+  ]);
+  adminId = admin._id;
+  customerId = customer._id;
+  adminToken = jwt.sign(
+    { id: admin._id, role: admin.role, mfa: true },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+  userToken = jwt.sign(
+    { id: customer._id, role: customer.role },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+
+  const category = await Category.create({ name: "Estoque Teste" });
+  categoryId = category._id;
+});
+
+afterEach(async () => {
+  await Promise.all([
+    StockMovement.deleteMany({}),
+    Product.deleteMany({}),
+    Cart.deleteMany({}),
+    Order.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Category.deleteMany({}),
+    Address.deleteMany({}),
+  ]);
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Cria o produto pela API, para que o cadastro gere o movimento inicial
+const createProduct = async (stock) => {
+  const res = await request(app)
+    .post("/api/products")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .field("name", "Caderno Estoque")
+    .field("price", "25")
+    .field("stock", String(stock))
+    .field("category", categoryId.toString())
+    .attach("image", Buffer.from("fake image"), "caderno.jpg")
+    .expect(201);
+  return res.body;
+};
+
+// Cliente compra `quantity` unidades do produto (carrinho -> pedido)
+const placeOrder = async (productId, quantity) => {
+  await Cart.deleteMany({ user: customerId });
+  await Cart.create({ user: customerId, items: [{ product: productId, quantity }] });
+  const address = await Address.create({
+    user: customerId,
+    street: "Rua do Estoque",
+    number: "1",
+    neighborhood: "Centro",
+    city: "Cidade",
+    state: "SP",
+    postalCode: "01001-000",
+    country: "Brasil",
+  });
+  const res = await request(app)
+    .post("/api/orders")
+    .set("Authorization", `Bearer ${userToken}`)
+    .send({ shippingAddressId: address._id, paymentMethod: "pix" })
+    .expect(201);
+  return res.body.data.order;
+};
+
+// O alerta de estoque baixo é enviado em segundo plano, depois da resposta do pedido
+const waitForEmails = async (count) => {
+  for (let attempt = 0; attempt < 50 && outbox.length < count; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return outbox;
+};
+
+const listMovements = (query) =>
+  request(app)
+    .get("/api/stock-movements")
+    .query(query)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .expect(200);
+
+describe("/api/stock-movements", () => {
+  describe("Registro dos movimentos", () => {
+    it("Cadastro deve gerar o movimento inicial com o saldo do produto", async () => {
+      const product = await createProduct(10);
+
+      const res = await listMovements({ product: product._id });
+      expect(res.body.totalMovements).toBe(1);
+      expect(res.body.data.movements[0]).toMatchObject({
+        reason: "initial",
+        delta: 10,
+        balance: 10,
+        actor: { _id: adminId.toString() },
+      });
+      expect(res.body.reconciliation).toEqual({ stock: 10, ledgerStock: 10, reconciled: true });
+    });
+
+    it("Pedido deve gerar o movimento de venda com referência ao pedido", async () => {
+      const product = await createProduct(5);
+      const orderId = (await placeOrder(product._id, 2))._id;
+
+      const res = await listMovements({ order: orderId });
+      expect(res.body.data.movements).toHaveLength(1);
+      expect(res.body.data.movements[0]).toMatchObject({
+        reason: "sale",
+        delta: -2,
+        balance: 3,
+        order: orderId,
+      });
+
+      const reconciled = await listMovements({ product: product._id });
+      expect(reconciled.body.reconciliation).toEqual({ stock: 3, ledgerStock: 3, reconciled: true });
+    });
+
+    it("Deve paginar os movimentos com page e limit numéricos", async () => {
+      const product = await createProduct(10);
+      for (const delta of [1, 2]) {
+        await request(app)
+          .post("/api/stock-movements")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({ productId: product._id, delta, note: "Recebimento de mercadoria" })
+          .expect(201);
+      }
+
+      const res = await listMovements({ product: product._id, page: "2", limit: "2" });
+      expect(res.body).toMatchObject({ totalMovements: 3, totalPages: 2, currentPage: 2, results: 1 });
+    });
+
+    it("Produto anterior ao livro deve receber o saldo de abertura antes do primeiro movimento", async () => {
+      const legacy = await Product.create({
+        name: "Produto Antigo",
+        price: 10,
+        stock: 7,
+        category: categoryId,
+        image: "http://img.test/antigo.jpg",
+      });
+
+      await request(app)
+        .post("/api/stock-movements")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ productId: legacy._id, delta: 3, note: "Recebimento de mercadoria" })
+        .expect(201);
+
+      const res = await listMovements({ product: legacy._id });
+      expect(res.body.data.movements.map((m) => [m.reason, m.delta, m.balance])).toEqual(
+        expect.arrayContaining([
+          ["initial", 7, 7],
+          ["adjustment", 3, 10],
+        ])
+      );
+      expect(res.body.reconciliation).toEqual({ stock: 10, ledgerStock: 10, reconciled: true });
+    });
+  });
+
+  describe("Ajuste manual POST /", () => {
+    it("Deve registrar a saída com o motivo e devolver o estoque resultante", async () => {
+      const product = await createProduct(10);
+
+      const res = await request(app)
+        .post("/api/stock-movements")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ productId: product._id, delta: -4, note: "Avaria no transporte" })
+        .expect(201);
+
+      expect(res.body.data.stock).toBe(6);
+      expect(res.body.data.movement).toMatchObject({
+        reason: "adjustment",
+        delta: -4,
+        balance: 6,
+        note: "Avaria no transporte",
+      });
+      expect((await Product.findById(product._id)).stock).toBe(6);
+    });
+
+    it("Deve recusar saída maior que o estoque e ajustes inválidos (400)", async () => {
+      const product = await createProduct(2);
+      const send = (body) =>
+        request(app)
+          .post("/api/stock-movements")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({ productId: product._id, delta: -1, note: "Inventário", ...body })
+          .expect(400);
+
+      const res = await send({ delta: -3 });
+      expect(res.body.message).toBe("Estoque insuficiente para esta saída.");
+      await send({ delta: 0 });
+      await send({ note: "" });
+      await send({ variantId: new mongoose.Types.ObjectId() }); // produto sem variações
+
+      expect((await Product.findById(product._id)).stock).toBe(2);
+      expect(await StockMovement.countDocuments({ reason: "adjustment" })).toBe(0);
+    });
+
+    it("Usuário sem products:write NÃO deve acessar o livro de estoque (403)", async () => {
+      await request(app)
+        .get("/api/stock-movements")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("Estoque baixo", () => {
+    beforeEach(() => {
+      outbox.length = 0;
+    });
+
+    it("Pedido que cruza o ponto de reposição deve avisar os admins uma única vez", async () => {
+      const product = await createProduct(10);
+      await Product.updateOne({ _id: product._id }, { lowStockThreshold: 5 });
+
+      await placeOrder(product._id, 4); // 10 -> 6: acima do ponto de reposição
+      await placeOrder(product._id, 2); // 6 -> 4: cruza o ponto de reposição
+      const emails = await waitForEmails(1);
+      expect(emails).toHaveLength(1);
+      expect(emails[0].to).toBe(adminUserData.email);
+      expect(emails[0].text).toContain("Caderno Estoque: 4 em estoque (ponto de reposição: 5)");
+
+      await placeOrder(product._id, 1); // 4 -> 3: já estava abaixo
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(outbox).toHaveLength(1);
+    });
+
+    it("GET /api/products/low-stock deve ordenar pelos dias de cobertura", async () => {
+      const [slow, fast] = await Promise.all(
+        ["Lento", "Rápido", "Parado"].map((name) =>
+          Product.create({
+            name: `Produto ${name}`,
+            price: 10,
+            stock: 4,
+            lowStockThreshold: 5,
+            category: categoryId,
+            image: "http://img.test/produto.jpg",
+          })
+        )
+      );
+      await Product.create({
+        name: "Produto Abastecido",
+        price: 10,
+        stock: 50,
+        lowStockThreshold: 5,
+        category: categoryId,
+        image: "http://img.test/produto.jpg",
+      });
+      await StockMovement.create([
+        { product: slow._id, reason: "sale", delta: -3, balance: 4 },
+        { product: fast._id, reason: "sale", delta: -40, balance: 4 },
+        { product: fast._id, reason: "cancellation", delta: 10, balance: 14 },
+      ]);
+
+      const res = await request(app)
+        .get("/api/products/low-stock?days=30")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.totalProducts).toBe(3);
+      expect(res.body.data.products.map((p) => [p.name, p.unitsSold, p.dailySales, p.daysOfCover])).toEqual([
+        ["Produto Rápido", 30, 1, 4],
+        ["Produto Lento", 3, 0.1, 40],
+        ["Produto Parado", 0, 0, null],
+      ]);
+
+      await request(app)
+        .get("/api/products/low-stock")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -4,6 +4,13 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../app";
 import User from "../models/User";
+import LoginAttempt from "../models/LoginAttempt";
+import Address from "../models/Address";
+import Cart from "../models/Cart";
+import Order from "../models/Order";
+import Review from "../models/Review";
+import Session from "../models/Session";
+import AuditLog from "../models/AuditLog";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 
@@ -49,6 +56,15 @@ beforeAll(async () => {
 
 beforeEach(async () => {
   await User.deleteMany({});
+  await LoginAttempt.deleteMany({});
+  await Promise.all([
+    Address.deleteMany({}),
+    Cart.deleteMany({}),
+    Order.deleteMany({}),
+    Review.deleteMany({}),
+    Session.deleteMany({}),
+    AuditLog.deleteMany({}),
+  ]);
 
   const adminUser = await User.create(defaultAdminData);
   const normalUser = await User.create(defaultUserData);
@@ -57,7 +73,7 @@ beforeEach(async () => {
   userId = normalUser._id;
 
   adminToken = jwt.sign(
-    { id: adminUser._id, role: adminUser.role },
+    { id: adminUser._id, role: adminUser.role, mfa: true },
     process.env.JWT_SECRET,
     { expiresIn: "1h" }
   );
@@ -73,6 +89,39 @@ afterAll(async () => {
   await mongoServer.stop();
 });
 
+// Cria endereço, carrinho, pedido e avaliação para o usuário informado
+const seedPersonalData = async (ownerId) => {
+  const productId = new mongoose.Types.ObjectId();
+  const address = {
+    street: "Rua das Flores",
+    number: "10",
+    neighborhood: "Centro",
+    city: "São Paulo",
+    state: "SP",
+    postalCode: "01001-000",
+    country: "Brasil",
+  };
+  await Address.create({ ...address, user: ownerId, label: "Casa" });
+  await Cart.create({ user: ownerId, items: [{ product: productId, quantity: 2 }] });
+  const order = await Order.create({
+    user: ownerId,
+    orderItems: [{ productId, name: "Produto", quantity: 1, price: 50 }],
+    shippingAddress: address,
+    paymentMethod: "Teste",
+    itemsPrice: 50,
+    shippingPrice: 10,
+    totalPrice: 60,
+  });
+  const review = await Review.create({
+    user: ownerId,
+    name: defaultUserData.name,
+    rating: 5,
+    comment: "Muito bom",
+    product: productId,
+  });
+  return { order, review };
+};
+
 // --- Bloco de Testes para Usuários ---
 
 describe("/api/users", () => {
@@ -505,8 +554,30 @@ describe("/api/users", () => {
         .set("Authorization", `Bearer ${adminToken}`)
         .expect(204); // No Content
 
-      const dbUser = await User.findById(userId);
-      expect(dbUser).toBeNull(); // Verifica se foi removido do DB
+      // A conta é anonimizada (não removida) para preservar os pedidos
+      const dbUser = await User.findById(userId).select("+cpf +birthDate");
+      expect(dbUser.deletedAt).toBeDefined();
+      expect(dbUser.name).toBe("Usuário removido");
+      expect(dbUser.email).not.toBe(defaultUserData.email);
+      expect(dbUser.cpf).not.toBe(defaultUserData.cpf);
+      expect(dbUser.birthDate).toBeUndefined();
+
+      const listRes = await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(listRes.body.results).toBe(1);
+    });
+
+    it("Deve retornar 404 ao deletar uma conta já excluída", async () => {
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(204);
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
     });
 
     it("Usuário normal NÃO deve conseguir deletar outro usuário (403 Forbidden)", async () => {
@@ -545,8 +616,246 @@ describe("/api/users", () => {
     });
   });
 
+  describe("[Admin] POST /:id/archive e /:id/restore", () => {
+    it("Conta arquivada não deve logar nem usar tokens antigos, e deve voltar ao ser restaurada", async () => {
+      const res = await request(app)
+        .post(`/api/users/${userId}/archive`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.data.user.archivedAt).toBeDefined();
+
+      await request(app)
+        .get("/api/users/me")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(401);
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: defaultUserData.email, password: defaultUserData.password })
+        .expect(403);
+      expect(loginRes.body.message).toMatch(/desativada/);
+
+      // Dados mantidos (não anonimiza), mas fora da listagem padrão
+      const dbUser = await User.findById(userId);
+      expect(dbUser.name).toBe(defaultUserData.name);
+      const listRes = await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(listRes.body.results).toBe(1);
+      const archivedListRes = await request(app)
+        .get("/api/users?includeArchived=true")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(archivedListRes.body.results).toBe(2);
+
+      await request(app)
+        .post(`/api/users/${userId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: defaultUserData.email, password: defaultUserData.password })
+        .expect(200);
+
+      const logs = await AuditLog.find({ entityId: userId }).sort("createdAt");
+      expect(logs.map((log) => log.action)).toEqual(["user.archive", "user.restore"]);
+    });
+
+    it("Deve recusar arquivar a própria conta ou uma conta já arquivada (400)", async () => {
+      await request(app)
+        .post(`/api/users/${adminId}/archive`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+      await request(app)
+        .post(`/api/users/${userId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+      await request(app)
+        .post(`/api/users/${userId}/archive`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app)
+        .post(`/api/users/${userId}/archive`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it("Usuário normal NÃO deve arquivar contas (403)", async () => {
+      await request(app)
+        .post(`/api/users/${adminId}/archive`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("[Admin] POST /:id/unlock", () => {
+    it("Admin deve conseguir desbloquear uma conta bloqueada por falhas de login", async () => {
+      for (let i = 0; i < 5; i++) {
+        await LoginAttempt.registerFailure("account", defaultUserData.email);
+      }
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: defaultUserData.email, password: defaultUserData.password })
+        .expect(429);
+
+      const res = await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.data.unlocked).toBe(true);
+
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: defaultUserData.email, password: defaultUserData.password })
+        .expect(200);
+    });
+
+    it("Deve retornar unlocked=false se a conta não tiver falhas registradas", async () => {
+      const res = await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.data.unlocked).toBe(false);
+    });
+
+    it("Usuário normal NÃO deve conseguir desbloquear contas (403 Forbidden)", async () => {
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it("Deve retornar 404 para ID de usuário não existente", async () => {
+      await request(app)
+        .post(`/api/users/${new mongoose.Types.ObjectId()}/unlock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
   // === Testes de Rotas do Usuário Logado ===
 
+  describe("[Admin] POST /:id/impersonate", () => {
+    const impersonate = (id = userId, token = adminToken) =>
+      request(app)
+        .post(`/api/users/${id}/impersonate`)
+        .set("Authorization", `Bearer ${token}`);
+
+    it("Admin deve obter um token que age como o cliente e carrega o ID do admin", async () => {
+      const { order } = await seedPersonalData(userId);
+      const res = await impersonate().expect(200);
+
+      expect(res.body.token).toEqual(expect.any(String));
+      expect(res.body.refreshToken).toBeUndefined();
+      expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      const decoded = jwt.decode(res.body.token);
+      expect(decoded.id).toBe(userId.toString());
+      expect(decoded.imp).toBe(adminId.toString());
+
+      const meRes = await request(app)
+        .get("/api/users/me")
+        .set("Authorization", `Bearer ${res.body.token}`)
+        .expect(200);
+      expect(meRes.body.data.user.email).toBe(defaultUserData.email);
+      expect(meRes.headers["x-impersonated-by"]).toBe(adminId.toString());
+
+      const ordersRes = await request(app)
+        .get("/api/orders/my")
+        .set("Authorization", `Bearer ${res.body.token}`)
+        .expect(200);
+      expect(ordersRes.body.data.orders[0]._id).toBe(order._id.toString());
+
+      // Emissão e cada requisição ficam registradas na auditoria
+      const started = await AuditLog.findOne({ action: "user.impersonate" });
+      expect(started.actor.toString()).toBe(adminId.toString());
+      expect(started.entityId.toString()).toBe(userId.toString());
+      const requests = await AuditLog.find({ action: "impersonation.request" });
+      expect(requests).toHaveLength(2);
+      expect(requests[0].actor.toString()).toBe(userId.toString());
+      expect(requests[0].impersonator.toString()).toBe(adminId.toString());
+      expect(requests.map((log) => log.metadata.path)).toEqual(
+        expect.arrayContaining(["/api/users/me", "/api/orders/my"])
+      );
+    });
+
+    it("Token de personificação não deve acessar rotas de pagamento, senha, email, avaliações e exclusão de conta", async () => {
+      const { order } = await seedPersonalData(userId);
+      const { body } = await impersonate().expect(200);
+      const auth = `Bearer ${body.token}`;
+
+      const payRes = await request(app)
+        .post(`/api/orders/${order._id}/pay`)
+        .set("Authorization", auth)
+        .send({})
+        .expect(403);
+      expect(payRes.body.message).toMatch(/personificação/i);
+      await request(app)
+        .patch("/api/users/updateMyPassword")
+        .set("Authorization", auth)
+        .send({
+          currentPassword: defaultUserData.password,
+          password: "novaSenha123",
+          passwordConfirm: "novaSenha123",
+        })
+        .expect(403);
+      await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", auth)
+        .expect(403);
+      await request(app)
+        .post("/api/auth/mfa/setup")
+        .set("Authorization", auth)
+        .expect(403);
+      await request(app)
+        .patch("/api/users/me")
+        .set("Authorization", auth)
+        .send({ email: "suporte.invasor@test.com" })
+        .expect(403);
+      await request(app)
+        .post(`/api/reviews/product/${new mongoose.Types.ObjectId()}`)
+        .set("Authorization", auth)
+        .send({ rating: 5, comment: "Publicado pelo suporte" })
+        .expect(403);
+
+      const dbUser = await User.findById(userId);
+      expect(dbUser).not.toBeNull();
+      expect(dbUser.email).toBe(defaultUserData.email);
+    });
+
+    it("Token deve perder a validade se o admin perder a permissão", async () => {
+      const { body } = await impersonate().expect(200);
+      await User.updateOne({ _id: adminId }, { role: "user" });
+
+      await request(app)
+        .get("/api/users/me")
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(401);
+    });
+
+    it("Não deve permitir personificar contas com permissões ou a própria conta", async () => {
+      const otherAdmin = await User.create({
+        ...defaultAdminData,
+        email: "admin2@test.com",
+        cpf: "99988877766",
+      });
+      await impersonate(otherAdmin._id).expect(403);
+      await impersonate(adminId).expect(400);
+    });
+
+    it("Deve retornar 404 para usuário inexistente ou excluído", async () => {
+      await impersonate(new mongoose.Types.ObjectId()).expect(404);
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(204);
+      await impersonate().expect(404);
+    });
+
+    it("Usuário sem users:impersonate deve receber 403", async () => {
+      await impersonate(adminId, userToken).expect(403);
+    });
+  });
+
   describe("[User] GET /me", () => {
     it("Usuário logado deve conseguir obter seu próprio perfil (sem senha/cpf/birthDate)", async () => {
       const res = await request(app)
@@ -786,15 +1095,64 @@ describe("/api/users", () => {
   });
 
   describe("[User] DELETE /me", () => {
-    it("Usuário logado deve conseguir deletar sua própria conta", async () => {
+    it("Usuário logado deve conseguir deletar sua própria conta (anonimização)", async () => {
+      const { order, review } = await seedPersonalData(userId);
+
       await request(app)
         .delete("/api/users/me")
         .set("Authorization", `Bearer ${userToken}`)
         .expect(204);
 
-      // Verifica no DB
-      const dbUser = await User.findById(userId);
-      expect(dbUser).toBeNull();
+      // Dados pessoais apagados do documento do usuário
+      const dbUser = await User.findById(userId).select(
+        "+password +cpf +birthDate +mfaSecret"
+      );
+      expect(dbUser.deletedAt).toBeDefined();
+      expect(dbUser.name).toBe("Usuário removido");
+      expect(dbUser.email).toMatch(/@anonimizado\.invalid$/);
+      expect(dbUser.cpf).not.toBe(defaultUserData.cpf);
+      expect(dbUser.password).toBeUndefined();
+      expect(dbUser.birthDate).toBeUndefined();
+
+      // Endereços e carrinho removidos; pedido mantido; avaliação sem o nome do titular
+      expect(await Address.countDocuments({ user: userId })).toBe(0);
+      expect(await Cart.countDocuments({ user: userId })).toBe(0);
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder).not.toBeNull();
+      expect(dbOrder.user.toString()).toBe(userId.toString());
+      const dbReview = await Review.findById(review._id);
+      expect(dbReview.name).toBe("Usuário removido");
+
+      // O token antigo deixa de valer e o email/CPF podem ser reutilizados
+      await request(app)
+        .get("/api/users/me")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(401);
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: defaultUserData.email, password: defaultUserData.password })
+        .expect(401);
+      await User.create(defaultUserData);
+    });
+
+    it("Deve encerrar as sessões ativas do usuário", async () => {
+      const loginRes = await request(app)
+        .post("/api/auth/login")
+        .send({ email: defaultUserData.email, password: defaultUserData.password })
+        .expect(200);
+
+      await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", `Bearer ${loginRes.body.token}`)
+        .expect(204);
+
+      const sessions = await Session.find({ user: userId });
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].revokedReason).toBe("account_deleted");
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: loginRes.body.refreshToken })
+        .expect(401);
     });
 
     it("Deve retornar 401 se o usuário associado ao token não existir mais", async () => {
@@ -809,4 +1167,72 @@ describe("/api/users", () => {
       await request(app).delete("/api/users/me").expect(401);
     });
   });
+
+  describe("[User] GET /me/export", () => {
+    it("Deve exportar perfil, endereços, carrinho, pedidos, avaliações e sessões em JSON", async () => {
+      const { order, review } = await seedPersonalData(userId);
+
+      const res = await request(app)
+        .get("/api/users/me/export")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect("Content-Type", /json/)
+        .expect(200);
+
+      expect(res.headers["content-disposition"]).toMatch(
+        /attachment; filename="meus-dados-.*\.json"/
+      );
+      expect(res.body.profile.email).toBe(defaultUserData.email);
+      expect(res.body.profile.cpf).toBe(defaultUserData.cpf);
+      expect(res.body.profile.birthDate).toBeDefined();
+      expect(res.body.profile.password).toBeUndefined();
+      expect(res.body.addresses).toHaveLength(1);
+      expect(res.body.cart.items).toHaveLength(1);
+      expect(res.body.orders[0]._id).toBe(order._id.toString());
+      expect(res.body.reviews[0]._id).toBe(review._id.toString());
+      expect(res.body.sessions).toEqual([]);
+    });
+
+    it("Não deve incluir dados de outros usuários", async () => {
+      await seedPersonalData(adminId);
+      const res = await request(app)
+        .get("/api/users/me/export")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200);
+      expect(res.body.addresses).toEqual([]);
+      expect(res.body.cart).toBeNull();
+      expect(res.body.orders).toEqual([]);
+      expect(res.body.reviews).toEqual([]);
+    });
+
+    it("Deve exportar em .zip com format=zip", async () => {
+      const res = await request(app)
+        .get("/api/users/me/export?format=zip")
+        .set("Authorization", `Bearer ${userToken}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on("data", (chunk) => chunks.push(chunk));
+          response.on("end", () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect("Content-Type", /application\/zip/)
+        .expect(200);
+
+      expect(res.headers["content-disposition"]).toMatch(/\.zip"/);
+      // Assinatura de arquivo zip ("PK\x03\x04") e nomes das seções no diretório central
+      expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+      expect(res.body.toString("latin1")).toContain("profile.json");
+      expect(res.body.toString("latin1")).toContain("orders.json");
+    });
+
+    it("Deve retornar 400 para formato inválido", async () => {
+      await request(app)
+        .get("/api/users/me/export?format=pdf")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it("Deve retornar 401 se não estiver logado", async () => {
+      await request(app).get("/api/users/me/export").expect(401);
+    });
+  });
 });
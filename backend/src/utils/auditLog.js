@@ -0,0 +1,71 @@
+//src/utils/auditLog.js
+import AuditLog from '../models/AuditLog.js';
+
+// Campos que nunca vão para o log: mostramos apenas que mudaram
+const REDACTED_FIELDS = new Set([
+    'password',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'cpf',
+    'mfaSecret',
+    'mfaPendingSecret',
+    'mfaRecoveryCodes',
+    'mfaLastUsedStep',
+    'refreshTokenHash',
+]);
+
+// Metadados que mudam em toda escrita e só poluiriam o diff
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+const REDACTED = '[REDACTED]';
+
+// Converte documento Mongoose/objeto em JSON puro (ObjectIds e datas viram strings)
+const toSnapshot = (value) => {
+    if (!value) return {};
+    const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Calcula o diff de primeiro nível entre dois estados de uma entidade.
+ * @param {object|null} before - Estado anterior (null na criação).
+ * @param {object|null} after - Estado posterior (null na remoção).
+ * @returns {object} { campo: { before, after } } apenas para os campos alterados.
+ */
+export const diffSnapshots = (before, after) => {
+    const prev = toSnapshot(before);
+    const next = toSnapshot(after);
+    const changes = {};
+    for (const field of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        if (JSON.stringify(prev[field]) === JSON.stringify(next[field])) continue;
+        changes[field] = REDACTED_FIELDS.has(field)
+            ? { before: REDACTED, after: REDACTED }
+            : { before: prev[field] ?? null, after: next[field] ?? null };
+    }
+    return changes;
+};
+
+/**
+ * Grava uma entrada no log de auditoria para uma alteração feita pelo usuário da requisição.
+ * Deve ser aguardada antes de responder: se o registro falhar, o erro segue para o handler global.
+ * @param {object} req - Requisição Express (após authenticate; usa req.user, req.ip e req.id).
+ * @param {object} entry - { action, entityType, entityId, before?, after?, metadata? }
+ * @returns {Promise<object>} O documento AuditLog criado.
+ */
+export const recordAudit = (req, { action, entityType, entityId, before = null, after = null, metadata }) =>
+    AuditLog.create({
+        actor: req.user?._id,
+        actorEmail: req.user?.email,
+        actorRole: req.user?.role,
+        impersonator: req.impersonator?._id,
+        apiKey: req.apiKey?._id,
+        action,
+        entityType,
+        entityId,
+        changes: diffSnapshots(before, after),
+        metadata,
+        ip: req.ip,
+        userAgent: req.headers?.['user-agent']?.slice(0, 500),
+        requestId: req.id,
+    });
@@ -0,0 +1,162 @@
+//src/utils/catalogFeed.js
+
+// Geração dos documentos de SEO/marketing: sitemaps (protocolo sitemaps.org) e o feed de produtos
+// no formato do Google Merchant Center, também aceito pelo catálogo da Meta (XML RSS 2.0 ou TSV).
+
+// Limite do protocolo: até 50.000 URLs por arquivo de sitemap
+export const SITEMAP_MAX_URLS = 50000;
+
+// Colunas do feed TSV (mesmos nomes dos campos g:* do XML)
+export const FEED_COLUMNS = [
+    'id',
+    'title',
+    'description',
+    'link',
+    'image_link',
+    'additional_image_link',
+    'availability',
+    'price',
+    'sale_price',
+    'brand',
+    'gtin',
+    'identifier_exists',
+    'product_type',
+    'condition',
+];
+
+// Imagens adicionais aceitas pelo Merchant Center por produto
+const MAX_ADDITIONAL_IMAGES = 10;
+
+/**
+ * Escapa o texto para conteúdo ou atributo XML (remove caracteres de controle inválidos no XML 1.0).
+ * @param {*} value - Valor a escapar.
+ * @returns {string}
+ */
+export const escapeXml = (value) =>
+    String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+/**
+ * Confere um GTIN (EAN-8, UPC-A, EAN-13 ou GTIN-14) pelo tamanho e pelo dígito verificador.
+ * @param {string} value - Código com 8, 12, 13 ou 14 dígitos.
+ * @returns {boolean}
+ */
+export const isValidGtin = (value) => {
+    const code = String(value ?? '');
+    if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+    const digits = [...code].map(Number);
+    const checkDigit = digits.pop();
+    // Da direita para a esquerda, os dígitos alternam peso 3 e 1
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+const lastmod = (date) => (date ? `<lastmod>${new Date(date).toISOString()}</lastmod>` : '');
+
+/**
+ * Gera um arquivo de sitemap (urlset), com as imagens de cada página quando houver.
+ * @param {Array<{ loc: string, lastmod?: Date, images?: string[] }>} urls - Páginas do arquivo.
+ * @returns {string} XML do sitemap.
+ */
+export const buildSitemap = (urls) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+    'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">\n' +
+    urls
+        .map((url) =>
+            `<url><loc>${escapeXml(url.loc)}</loc>${lastmod(url.lastmod)}` +
+            (url.images || [])
+                .map((image) => `<image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`)
+                .join('') +
+            '</url>\n')
+        .join('') +
+    '</urlset>\n';
+
+/**
+ * Gera o índice de sitemaps (sitemapindex), que aponta para cada arquivo de sitemap.
+ * @param {Array<{ loc: string, lastmod?: Date }>} sitemaps - Arquivos de sitemap.
+ * @returns {string} XML do índice.
+ */
+export const buildSitemapIndex = (sitemaps) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+    sitemaps
+        .map((sitemap) => `<sitemap><loc>${escapeXml(sitemap.loc)}</loc>${lastmod(sitemap.lastmod)}</sitemap>\n`)
+        .join('') +
+    '</sitemapindex>\n';
+
+const formatPrice = (value, currency) => `${Number(value).toFixed(2)} ${currency}`;
+
+/**
+ * Monta o item do feed de um produto. Brand e GTIN entram quando cadastrados; sem nenhum dos dois,
+ * o item é marcado com identifier_exists = no (exigência do Merchant Center).
+ * @param {object} product - Produto (lean) com name, description, price, stock, images, brand e gtin.
+ * @param {object} options
+ * @param {string} options.link - URL do produto na vitrine.
+ * @param {number} options.effectivePrice - Preço com promoções (ver resolvePrice).
+ * @param {string} [options.productType] - Caminho da categoria (ex: "Moda > Calçados").
+ * @param {string} options.currency - Moeda (ISO 4217).
+ * @returns {object} Item com as colunas de FEED_COLUMNS.
+ */
+export const buildFeedItem = (product, { link, effectivePrice, productType, currency }) => {
+    const images = (product.images || []).map((image) => image.url);
+    const cover = product.image || images[0];
+    return {
+        id: product.externalId || String(product._id),
+        title: product.name,
+        description: product.description || product.name,
+        link,
+        image_link: cover,
+        additional_image_link: images.filter((url) => url !== cover).slice(0, MAX_ADDITIONAL_IMAGES),
+        availability: product.stock > 0 ? 'in_stock' : 'out_of_stock',
+        price: formatPrice(product.price, currency),
+        sale_price: effectivePrice < product.price ? formatPrice(effectivePrice, currency) : undefined,
+        brand: product.brand || undefined,
+        gtin: product.gtin || undefined,
+        identifier_exists: product.brand || product.gtin ? undefined : 'no',
+        product_type: productType,
+        condition: 'new',
+    };
+};
+
+/**
+ * Gera o feed em XML (RSS 2.0 com o namespace g: do Google). Campos vazios são omitidos.
+ * @param {object[]} items - Itens de buildFeedItem.
+ * @param {{ title: string, link: string, description: string }} channel - Dados da loja.
+ * @returns {string} XML do feed.
+ */
+export const buildFeedXml = (items, channel) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n<channel>\n' +
+    `<title>${escapeXml(channel.title)}</title>\n` +
+    `<link>${escapeXml(channel.link)}</link>\n` +
+    `<description>${escapeXml(channel.description)}</description>\n` +
+    items
+        .map((item) =>
+            '<item>' +
+            FEED_COLUMNS.flatMap((column) =>
+                []
+                    .concat(item[column] ?? [])
+                    .map((value) => `<g:${column}>${escapeXml(value)}</g:${column}>`))
+                .join('') +
+            '</item>\n')
+        .join('') +
+    '</channel>\n</rss>\n';
+
+/**
+ * Gera o feed em TSV (cabeçalho com os nomes dos campos). Tabulações e quebras de linha dos textos
+ * viram espaços; listas (imagens adicionais) são separadas por vírgula.
+ * @param {object[]} items - Itens de buildFeedItem.
+ * @returns {string} Conteúdo TSV.
+ */
+export const buildFeedTsv = (items) => {
+    const cell = (value) => [].concat(value ?? []).join(',').replace(/[\t\r\n]+/g, ' ');
+    return [FEED_COLUMNS, ...items.map((item) => FEED_COLUMNS.map((column) => item[column]))]
+        .map((values) => values.map(cell).join('\t'))
+        .join('\n') + '\n';
+};
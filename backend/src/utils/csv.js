@@ -0,0 +1,102 @@
+//src/utils/csv.js
+
+// Prefixos que planilhas interpretam como fórmula (CSV injection)
+const FORMULA_PREFIX = /^[=+@\t\r]/;
+
+/**
+ * Detecta o separador pela primeira linha: ";" (padrão do Excel em pt-BR) ou ",".
+ * @param {string} text - Conteúdo CSV.
+ * @returns {string} O separador.
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+/**
+ * Converte CSV (RFC 4180: campos entre aspas, aspas duplicadas, quebras de linha dentro de aspas)
+ * em objetos indexados pelo cabeçalho. Linhas totalmente vazias são ignoradas.
+ * @param {string} text - Conteúdo CSV (com ou sem BOM).
+ * @returns {{ columns: string[], rows: Array<{ line: number, values: object }> }}
+ *          `line` é a linha do arquivo onde o registro começa (o cabeçalho é a linha 1).
+ * @throws {Error} Se houver aspas não fechadas.
+ */
+export const parseCsv = (text) => {
+    const content = String(text).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content);
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ line: recordLine, fields: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error(`Aspas não fechadas no registro iniciado na linha ${recordLine}.`);
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push({ line: recordLine, fields: record });
+    }
+
+    const nonEmpty = records.filter(({ fields }) => fields.some((value) => value.trim() !== ''));
+    if (!nonEmpty.length) return { columns: [], rows: [] };
+
+    const columns = nonEmpty[0].fields.map((column) => column.trim());
+    const rows = nonEmpty.slice(1).map(({ line: rowLine, fields }) => ({
+        line: rowLine,
+        values: Object.fromEntries(
+            columns.map((column, index) => [column, (fields[index] ?? '').replace(/^'(?=[=+@\t\r])/, '')])
+        ),
+    }));
+    return { columns, rows };
+};
+
+/**
+ * Gera CSV (separado por vírgula, com CRLF) a partir de uma lista de objetos.
+ * Valores com separador, aspas ou quebra de linha vão entre aspas; textos que começam
+ * como fórmula recebem um apóstrofo na frente (removido novamente por parseCsv).
+ * @param {string[]} columns - Colunas, na ordem do cabeçalho.
+ * @param {object[]} rows - Objetos com as colunas como chaves.
+ * @returns {string} O conteúdo CSV.
+ */
+export const toCsv = (columns, rows) => {
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(escape).join(','))
+        .join('\r\n') + '\r\n';
+};
@@ -0,0 +1,78 @@
+//src/utils/email.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Transportes Disponíveis ---
+// Cada transporte recebe a mensagem montada ({ to, subject, text, html }) e a entrega.
+// EMAIL_TRANSPORT define o padrão: 'file' (desenvolvimento) ou 'memory' (testes).
+// Um provedor real (SMTP, SES, etc.) pode ser plugado em runtime via setEmailTransport().
+
+// Caixa de saída em memória (usada nos testes para inspecionar os emails enviados)
+export const outbox = [];
+
+const memoryTransport = async (message) => {
+  outbox.push(message);
+  return { id: message.id, transport: 'memory' };
+};
+
+// Grava cada email como um arquivo JSON no diretório de saída
+const fileTransport = async (message) => {
+  const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || './email_outbox');
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+  const filePath = path.join(outboxDir, `${Date.now()}-${message.id}.json`);
+  await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+  return { id: message.id, transport: 'file', path: filePath };
+};
+
+const builtInTransports = {
+  memory: memoryTransport,
+  file: fileTransport,
+};
+
+const defaultTransportName = () =>
+  process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+let customTransport = null;
+
+/**
+ * Substitui o transporte de email (ex: cliente SMTP). Passe null para voltar ao padrão do .env.
+ * @param {function|null} transport - Função async (message) => resultado.
+ */
+export const setEmailTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Envia um email pelo transporte configurado.
+ * @param {object} options - { to, subject, text, html? }
+ * @returns {Promise<object>} O resultado retornado pelo transporte.
+ * @throws Se o transporte configurado não existir ou falhar na entrega.
+ */
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transport = customTransport || builtInTransports[defaultTransportName()];
+  if (!transport) {
+    throw new Error(`Transporte de email desconhecido: ${defaultTransportName()}`);
+  }
+  const message = {
+    id: crypto.randomUUID(),
+    from: process.env.EMAIL_FROM || 'Loja <no-reply@loja.local>',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    createdAt: new Date().toISOString(),
+  };
+  return transport(message);
+};
+
+/**
+ * Monta uma URL do frontend (links enviados por email).
+ * @param {string} pathname - Caminho relativo (ex: /reset-password/abc).
+ * @returns {string} URL absoluta.
+ */
+export const buildFrontendUrl = (pathname) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')}${pathname}`;
@@ -1,16 +1,118 @@
 //src/utils/jwtUtils.js
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
 /**
- * Gera um token JWT para um determinado ID e role de usuário.
+ * Gera um token JWT de acesso (curta duração) para um determinado ID e role de usuário.
  * @param {string} id - O ID do usuário (MongoDB ObjectId).
  * @param {string} role - A role do usuário ('user' ou 'admin').
+ * @param {object} [claims={}] - Claims adicionais (ex: { sid } com o ID da sessão).
  * @returns {string} O token JWT gerado.
  */
 
-export const signToken = (id, role) => {
-    return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || '90d',
+export const signToken = (id, role, claims = {}) => {
+    return jwt.sign({ id, role, ...claims }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     });
 };
 
+/**
+ * Gera um segredo aleatório para compor um refresh token.
+ * @returns {string} 48 bytes aleatórios em base64url.
+ */
+export const generateRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Calcula o hash SHA-256 de um token opaco (refresh token, token de reset, etc.).
+ * Apenas o hash é persistido no banco.
+ * @param {string} token - O token em texto puro.
+ * @returns {string} O hash em hexadecimal.
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Tokens de propósito específico (link de verificação, desafio de 2FA, etc.) são assinados
+// com um segredo derivado: nunca são aceitos como token de acesso (e vice-versa).
+const purposeSecret = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+/**
+ * Gera um token JWT de propósito específico.
+ * @param {string} purpose - Identificador do propósito (ex: 'email_verification').
+ * @param {object} payload - Dados do token.
+ * @param {string} expiresIn - Validade (formato do jsonwebtoken, ex: '5m').
+ * @returns {string} O token JWT.
+ */
+export const signPurposeToken = (purpose, payload, expiresIn) => {
+    return jwt.sign({ ...payload, purpose }, purposeSecret(purpose), { expiresIn });
+};
+
+/**
+ * Valida um token de propósito específico.
+ * @param {string} purpose - Propósito esperado.
+ * @param {string} token - O token recebido.
+ * @returns {object} O payload decodificado.
+ * @throws JsonWebTokenError/TokenExpiredError se o token for inválido, expirado ou de outro propósito.
+ */
+export const verifyPurposeToken = (purpose, token) => {
+    const decoded = jwt.verify(token, purposeSecret(purpose));
+    if (decoded.purpose !== purpose) {
+        throw new jwt.JsonWebTokenError('invalid purpose');
+    }
+    return decoded;
+};
+
+/**
+ * Gera o token assinado do link de verificação de email.
+ * O email faz parte do payload: se o usuário trocar de email, links antigos deixam de valer.
+ * @param {string} id - O ID do usuário.
+ * @param {string} email - O email a ser verificado.
+ * @returns {string} O token JWT do link.
+ */
+export const signEmailVerificationToken = (id, email) =>
+    signPurposeToken('email_verification', { id, email }, process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h');
+
+/**
+ * Valida o token do link de verificação de email.
+ * @param {string} token - O token recebido no link.
+ * @returns {object} O payload decodificado ({ id, email, purpose }).
+ * @throws JsonWebTokenError/TokenExpiredError se o token for inválido ou expirado.
+ */
+export const verifyEmailVerificationToken = (token) => verifyPurposeToken('email_verification', token);
+
+/**
+ * Gera o token de desafio de 2FA devolvido pelo login quando o código TOTP ainda é necessário.
+ * @param {string} id - O ID do usuário que já validou a senha.
+ * @returns {string} O token JWT do desafio (curta duração).
+ */
+export const signMfaChallengeToken = (id) =>
+    signPurposeToken('mfa_pending', { id }, process.env.MFA_CHALLENGE_EXPIRES_IN || '5m');
+
+/**
+ * Valida o token de desafio de 2FA.
+ * @param {string} token - O token recebido.
+ * @returns {object} O payload decodificado ({ id, purpose }).
+ * @throws JsonWebTokenError/TokenExpiredError se o token for inválido ou expirado.
+ */
+export const verifyMfaChallengeToken = (token) => verifyPurposeToken('mfa_pending', token);
+
+/**
+ * Gera o token de personificação (suporte acessando a API como um cliente).
+ * É um token de acesso comum do cliente acrescido da claim `imp` (ID de quem personifica)
+ * e, quando houver, `impSid` (sessão do admin: encerrá-la invalida o token).
+ * @param {object} user - Documento do cliente personificado (precisa de _id e role).
+ * @param {string} impersonatorId - ID do admin.
+ * @param {string} [impersonatorSessionId] - ID da sessão do admin.
+ * @returns {{token: string, expiresAt: Date}} O token e sua validade.
+ */
+export const signImpersonationToken = (user, impersonatorId, impersonatorSessionId) => {
+    const token = jwt.sign(
+        {
+            id: user._id,
+            role: user.role,
+            imp: impersonatorId,
+            ...(impersonatorSessionId && { impSid: impersonatorSessionId }),
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m' }
+    );
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
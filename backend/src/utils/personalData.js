@@ -0,0 +1,106 @@
+//src/utils/personalData.js
+import User from '../models/User.js';
+import Address from '../models/Address.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+
+// Nome exibido no lugar do titular em pedidos e avaliações após a exclusão da conta
+export const ANONYMIZED_NAME = 'Usuário removido';
+
+/**
+ * Reúne todos os dados pessoais do usuário (portabilidade - LGPD art. 18, V).
+ * Segredos (hash de senha, segredo TOTP, códigos de recuperação, hashes de tokens) não são incluídos.
+ * @param {string} userId - ID do titular.
+ * @returns {Promise<object|null>} O pacote de dados ou null se o usuário não existir.
+ */
+export const buildPersonalDataExport = async (userId) => {
+    const user = await User.findById(userId).select('+cpf +birthDate').lean();
+    if (!user) return null;
+
+    const [addresses, cart, orders, reviews, sessions] = await Promise.all([
+        Address.find({ user: userId }).lean(),
+        Cart.findOne({ user: userId }).lean(),
+        Order.find({ user: userId }).sort('-createdAt').lean(),
+        Review.find({ user: userId }).populate('product', 'name').lean(),
+        Session.find({ user: userId })
+            .select('createdAt lastUsedAt expiresAt revokedAt revokedReason createdByIp userAgent')
+            .sort('-createdAt')
+            .lean(),
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            cpf: user.cpf,
+            birthDate: user.birthDate,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            emailVerifiedAt: user.emailVerifiedAt,
+            mfaEnabled: user.mfaEnabled,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt,
+        },
+        addresses,
+        cart,
+        orders,
+        reviews,
+        sessions,
+    };
+};
+
+/**
+ * Exclui a conta anonimizando os dados pessoais (LGPD art. 18, VI).
+ * O documento do usuário é mantido com dados fictícios porque os pedidos precisam ser
+ * guardados por obrigação fiscal; endereços e carrinho são removidos, avaliações passam
+ * a exibir um nome genérico e todas as sessões são encerradas.
+ * @param {string} userId - ID do titular.
+ * @returns {Promise<object|null>} O usuário antes da anonimização ou null se não existir (ou já excluído).
+ */
+export const anonymizeUser = async (userId) => {
+    const user = await User.findOne({ _id: userId, deletedAt: { $exists: false } });
+    if (!user) return null;
+
+    // email e cpf são únicos: os substitutos usam o próprio ID para não colidirem
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                name: ANONYMIZED_NAME,
+                email: `removido+${user._id}@anonimizado.invalid`,
+                cpf: `anon:${user._id}`,
+                role: 'user',
+                emailVerified: false,
+                mfaEnabled: false,
+                deletedAt: new Date(),
+            },
+            $unset: {
+                password: '',
+                birthDate: '',
+                emailVerifiedAt: '',
+                emailVerificationSentAt: '',
+                mfaSecret: '',
+                mfaPendingSecret: '',
+                mfaRecoveryCodes: '',
+                mfaLastUsedStep: '',
+                passwordResetToken: '',
+                passwordResetExpires: '',
+            },
+        }
+    );
+
+    await Promise.all([
+        Address.deleteMany({ user: user._id }),
+        Cart.deleteOne({ user: user._id }),
+        Review.updateMany({ user: user._id }, { $set: { name: ANONYMIZED_NAME } }),
+        Session.revokeAllForUser(user._id, 'account_deleted'),
+        LoginAttempt.clear('account', user.email),
+    ]);
+
+    return user;
+};
@@ -0,0 +1,28 @@
+//src/utils/priceHistory.js
+import PriceHistory from '../models/PriceHistory.js';
+
+/**
+ * Registra a alteração de preço de um produto ou de uma variação no histórico de preços.
+ * Nada é gravado quando não há preço anterior (cadastro) ou quando o preço não mudou.
+ * @param {object} req - Requisição Express (quem alterou: req.user / req.apiKey).
+ * @param {object} change
+ * @param {object} change.product - Produto alterado.
+ * @param {object} [change.variant] - Variação alterada (preço do SKU).
+ * @param {number} change.oldPrice - Preço anterior.
+ * @param {number} change.newPrice - Novo preço.
+ * @param {string} change.source - Origem da alteração (update, import ou variant).
+ * @returns {Promise<object|null>} O registro criado, ou null.
+ */
+export const recordPriceChange = async (req, { product, variant, oldPrice, newPrice, source }) => {
+    if (typeof oldPrice !== 'number' || oldPrice === newPrice) return null;
+    return PriceHistory.create({
+        product: product._id,
+        variant: variant?._id,
+        sku: variant?.sku,
+        oldPrice,
+        newPrice,
+        changedBy: req.user?._id,
+        apiKey: req.apiKey?._id,
+        source,
+    });
+};
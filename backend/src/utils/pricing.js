@@ -0,0 +1,142 @@
+//src/utils/pricing.js
+
+// Preço efetivo dos produtos: o menor valor entre o preço normal, o preço promocional do
+// produto (sale) em vigor e cada promoção aplicável. Descontos não se acumulam.
+// Usado na listagem (via agregação), no detalhe do produto, no carrinho e na criação do pedido.
+
+/**
+ * Arredonda para centavos (meio centavo para cima, igual a `roundExpression`).
+ * @param {number} value
+ * @returns {number}
+ */
+export const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// ID de um documento populado ou de um ObjectId, como string
+const idOf = (value) => String(value?._id ?? value);
+
+/**
+ * Indica se o preço promocional do produto está em vigor na data informada.
+ * @param {object} [sale] - Subdocumento `sale` do produto ({ price, startsAt, endsAt }).
+ * @param {Date} [at] - Data de referência (padrão: agora).
+ * @returns {boolean}
+ */
+export const isSaleActive = (sale, at = new Date()) =>
+    Boolean(sale && typeof sale.price === 'number'
+        && (!sale.startsAt || new Date(sale.startsAt) <= at)
+        && (!sale.endsAt || new Date(sale.endsAt) > at));
+
+/**
+ * Indica se a promoção alcança o produto (diretamente ou pela categoria).
+ * @param {object} promotion - Promoção com `products` e `categories` (com as subcategorias, ver
+ *                             Promotion.findActive).
+ * @param {object} product - Produto (a categoria pode estar populada).
+ * @returns {boolean}
+ */
+export const promotionAppliesTo = (promotion, product) =>
+    promotion.products.some((id) => idOf(id) === idOf(product._id))
+    || promotion.categories.some((id) => idOf(id) === idOf(product.category));
+
+// Menor preço que uma promoção pode gerar: um desconto fixo maior que o preço não deixa o
+// produto de graça no checkout
+export const MIN_PROMOTION_PRICE = 0.01;
+
+/**
+ * Aplica o desconto da promoção a um preço (nunca abaixo de MIN_PROMOTION_PRICE).
+ * @param {object} promotion - Promoção com `type` e `value`.
+ * @param {number} price - Preço sem desconto.
+ * @returns {number} Preço com desconto, arredondado para centavos.
+ */
+export const applyPromotion = (promotion, price) =>
+    Math.max(
+        roundPrice(promotion.type === 'percentage'
+            ? price * (1 - promotion.value / 100)
+            : price - promotion.value),
+        MIN_PROMOTION_PRICE
+    );
+
+/**
+ * Calcula o preço efetivo de um produto ou de uma de suas variações.
+ * O preço promocional do produto (sale) vale apenas para variações sem preço próprio;
+ * as promoções valem sobre o preço da variação, quando houver.
+ * @param {object} product - Produto (documento ou objeto lean).
+ * @param {object|null} variant - Variação escolhida (ou null).
+ * @param {object[]} [promotions] - Promoções em vigor (Promotion.findActive).
+ * @param {Date} [at] - Data de referência (padrão: agora).
+ * @returns {{ originalPrice: number, price: number, discount: object|null }}
+ *          `discount` descreve a origem do desconto aplicado: { source: 'sale' } ou
+ *          { source: 'promotion', promotion, name }, com a data de término (`endsAt`), se houver.
+ */
+export const resolvePrice = (product, variant, promotions = [], at = new Date()) => {
+    const hasOwnPrice = Boolean(variant) && typeof variant.price === 'number';
+    const originalPrice = hasOwnPrice ? variant.price : product.price;
+    let best = { price: originalPrice, discount: null };
+
+    if (!hasOwnPrice && isSaleActive(product.sale, at) && product.sale.price < best.price) {
+        best = {
+            price: product.sale.price,
+            discount: { source: 'sale', endsAt: product.sale.endsAt },
+        };
+    }
+    for (const promotion of promotions) {
+        if (!promotionAppliesTo(promotion, product)) continue;
+        const price = applyPromotion(promotion, originalPrice);
+        if (price < best.price) {
+            best = {
+                price,
+                discount: {
+                    source: 'promotion',
+                    promotion: promotion._id,
+                    name: promotion.name,
+                    endsAt: promotion.endsAt,
+                },
+            };
+        }
+    }
+    return { originalPrice, ...best };
+};
+
+// Arredondamento para centavos na agregação (mesmo resultado de roundPrice para valores positivos)
+const roundExpression = (expression) => ({
+    $divide: [{ $floor: { $add: [{ $multiply: [expression, 100] }, 0.5] } }, 100],
+});
+
+/**
+ * Expressão de agregação com o preço efetivo do produto (sem considerar variações),
+ * equivalente a `resolvePrice(product, null, promotions, at).price`.
+ * @param {object[]} [promotions] - Promoções em vigor (Promotion.findActive).
+ * @param {Date} [at] - Data de referência (padrão: agora).
+ * @returns {object} Expressão para um estágio $set/$project.
+ */
+export const effectivePriceExpression = (promotions = [], at = new Date()) => {
+    const saleActive = {
+        $and: [
+            { $gt: ['$sale.price', null] },
+            { $lte: [{ $ifNull: ['$sale.startsAt', at] }, at] },
+            { $gt: [{ $ifNull: ['$sale.endsAt', new Date(8.64e15)] }, at] },
+        ],
+    };
+    const candidates = [
+        '$price',
+        { $cond: [saleActive, '$sale.price', '$price'] },
+        ...promotions.map((promotion) => ({
+            $cond: [
+                {
+                    $or: [
+                        { $in: ['$_id', promotion.products] },
+                        { $in: ['$category', promotion.categories] },
+                    ],
+                },
+                {
+                    $max: [
+                        roundExpression(promotion.type === 'percentage'
+                            ? { $multiply: ['$price', 1 - promotion.value / 100] }
+                            : { $subtract: ['$price', promotion.value] }),
+                        MIN_PROMOTION_PRICE,
+                    ],
+                },
+                '$price',
+            ],
+        })),
+    ];
+    return { $min: candidates };
+};
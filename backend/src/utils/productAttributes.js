@@ -0,0 +1,81 @@
+//src/utils/productAttributes.js
+
+// Chaves aceitas nos atributos (mesma regra do schema da categoria)
+export const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const BOOLEAN_VALUES = new Map([['true', true], ['false', false]]);
+
+// Converte o valor para o tipo do atributo; undefined = valor inválido.
+// Formulários (multipart) e query strings enviam tudo como texto.
+const coerce = (definition, raw) => {
+    switch (definition.type) {
+        case 'number': {
+            const value = typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+            return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+        }
+        case 'boolean':
+            return typeof raw === 'boolean' ? raw : BOOLEAN_VALUES.get(String(raw).trim().toLowerCase());
+        case 'enum':
+            return definition.options.includes(String(raw).trim()) ? String(raw).trim() : undefined;
+        default:
+            return ['string', 'number'].includes(typeof raw) && String(raw).trim().length <= 500
+                ? String(raw).trim()
+                : undefined;
+    }
+};
+
+const expected = (definition) => ({
+    number: 'número',
+    boolean: 'true ou false',
+    enum: `uma das opções: ${definition.options?.join(', ')}`,
+    string: 'texto de até 500 caracteres',
+}[definition.type]);
+
+/**
+ * Valida e normaliza os atributos de um produto contra as definições da categoria
+ * (ver Category.effectiveAttributes). Chaves desconhecidas são recusadas.
+ * @param {object[]} definitions - Atributos da categoria ({ key, label, type, required, options }).
+ * @param {object} [values] - Atributos enviados ({ chave: valor }).
+ * @returns {{ attributes: object, errors: string[] }} Valores convertidos e mensagens de erro.
+ */
+export const validateAttributes = (definitions, values = {}) => {
+    const byKey = new Map(definitions.map((definition) => [definition.key, definition]));
+    const attributes = {};
+    const errors = Object.keys(values)
+        .filter((key) => !byKey.has(key))
+        .map((key) => `O atributo '${key}' não existe nesta categoria.`);
+
+    definitions.forEach((definition) => {
+        const name = definition.label || definition.key;
+        const raw = values[definition.key];
+        if (raw === undefined || raw === null || raw === '') {
+            if (definition.required) errors.push(`O atributo '${name}' é obrigatório.`);
+            return;
+        }
+        const value = coerce(definition, raw);
+        if (value === undefined) {
+            errors.push(`Valor inválido para '${name}' (esperado: ${expected(definition)}).`);
+        } else {
+            attributes[definition.key] = value;
+        }
+    });
+    return { attributes, errors };
+};
+
+/**
+ * Valores de um filtro ?attr.<chave>=a,b para o $in, sem conhecer o tipo do atributo:
+ * cada valor casa como texto e, quando possível, como número ou booleano.
+ * @param {string|string[]} raw - Valor(es) da query string.
+ * @returns {Array<string|number|boolean>}
+ */
+export const attributeFilterValues = (raw) =>
+    []
+        .concat(raw)
+        .flatMap((value) => String(value).split(','))
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .flatMap((value) => [
+            value,
+            ...(Number.isFinite(Number(value)) ? [Number(value)] : []),
+            ...(BOOLEAN_VALUES.has(value.toLowerCase()) ? [BOOLEAN_VALUES.get(value.toLowerCase())] : []),
+        ]);
@@ -0,0 +1,59 @@
+//src/utils/searchText.js
+
+/**
+ * Converte o texto para minúsculas e remove os acentos (inclusive ç).
+ * É a mesma normalização usada nos slugs de categoria e na busca de sugestões.
+ * @param {string} text - Texto original.
+ * @returns {string} Texto em minúsculas e sem acentos.
+ */
+export const foldAccents = (text) =>
+    String(text).toLowerCase()
+        .replace(/[áàãâä]/g, 'a')
+        .replace(/[éèêë]/g, 'e')
+        .replace(/[íìîï]/g, 'i')
+        .replace(/[óòõôö]/g, 'o')
+        .replace(/[úùûü]/g, 'u')
+        .replace(/[ç]/g, 'c');
+
+/**
+ * Gera o slug: sem acentos, apenas letras, números e hífens (sem hífens repetidos ou nas pontas).
+ * @param {string} text - Texto original (ex: nome da categoria).
+ * @returns {string} O slug, ex: "Eletrônicos & Games" -> "eletronicos-games".
+ */
+export const slugify = (text) =>
+    foldAccents(text)
+        .replace(/[^a-z0-9-]+/g, '-') // Mantém letras, números e hífens
+        .replace(/-+/g, '-')           // Remove hífens duplicados
+        .replace(/^-+|-+$/g, '');      // Remove hífens do início/fim
+
+/**
+ * Normaliza o texto para comparação na busca: sem acentos e com as palavras separadas por um espaço.
+ * @param {string} text - Texto original.
+ * @returns {string} Ex: "Tênis  Corrida-Pro" -> "tenis corrida pro".
+ */
+export const normalizeSearchText = (text) =>
+    foldAccents(text).replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Trigramas do texto normalizado, usados para tolerar erros de digitação.
+ * Como no pg_trgm, cada palavra recebe dois espaços antes e um depois ("sol" -> "  s", " so", "sol", "ol ").
+ * @param {string} text - Texto original.
+ * @returns {string[]} Trigramas sem repetição.
+ */
+export const trigrams = (text) => {
+    const grams = new Set();
+    normalizeSearchText(text).split(' ').filter(Boolean).forEach((word) => {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+    });
+    return [...grams];
+};
+
+/**
+ * Escapa caracteres especiais para usar o texto dentro de uma RegExp.
+ * @param {string} text - Texto literal.
+ * @returns {string} Texto escapado.
+ */
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
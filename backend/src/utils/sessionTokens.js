@@ -0,0 +1,20 @@
+//src/utils/sessionTokens.js
+import Session from '../models/Session.js';
+import { signToken } from './jwtUtils.js';
+
+/**
+ * Abre uma nova sessão para o usuário e gera o par de tokens (acesso + refresh).
+ * O token de acesso carrega o ID da sessão (claim `sid`) para permitir revogação no servidor.
+ * @param {object} user - Documento do usuário (precisa de _id e role).
+ * @param {object} req - Requisição Express (usada para IP e User-Agent).
+ * @param {object} [options] - { mfaVerified }: se o segundo fator foi validado neste login.
+ * @returns {Promise<{token: string, refreshToken: string, session: object}>}
+ */
+export const issueAuthTokens = async (user, req, { mfaVerified = false } = {}) => {
+    const { session, refreshToken } = await Session.issue(user._id, req, { mfaVerified });
+    const token = signToken(user._id, user.role, {
+        sid: session._id.toString(),
+        ...(mfaVerified && { mfa: true }),
+    });
+    return { token, refreshToken, session };
+};
@@ -0,0 +1,73 @@
+//src/utils/stockAlerts.js
+import Product from '../models/Product.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { SYSTEM_ROLES, WILDCARD_PERMISSION } from '../config/permissions.js';
+import { sendEmail, buildFrontendUrl } from './email.js';
+
+// Quem recebe os alertas: contas ativas cuja role permite gerenciar o catálogo
+const ALERT_PERMISSION = 'products:write';
+
+const alertRecipients = async () => {
+    const granting = [WILDCARD_PERMISSION, ALERT_PERMISSION];
+    const systemRoles = Object.entries(SYSTEM_ROLES)
+        .filter(([, role]) => role.permissions.some((permission) => granting.includes(permission)))
+        .map(([name]) => name);
+    const customRoles = await Role.find({ permissions: { $in: granting } }).distinct('name');
+
+    const users = await User.find({
+        role: { $in: [...systemRoles, ...customRoles] },
+        archivedAt: null,
+        deletedAt: null,
+    })
+        .select('email')
+        .lean();
+    return users.map((user) => user.email);
+};
+
+/**
+ * Confere, depois de uma baixa de estoque, quais produtos cruzaram o ponto de reposição
+ * (estavam acima de `lowStockThreshold` e ficaram nele ou abaixo) e avisa os admins por email.
+ * Cada cruzamento gera um único aviso: o produto só volta a alertar depois de ser reabastecido.
+ * @param {Array<{ productId: object, delta: number }>} changes - Baixas aplicadas (delta negativo).
+ * @returns {Promise<object[]>} Produtos que cruzaram o ponto de reposição.
+ */
+export const checkLowStock = async (changes) => {
+    const decrements = new Map();
+    changes
+        .filter((change) => change.delta < 0)
+        .forEach((change) => {
+            const key = String(change.productId);
+            decrements.set(key, (decrements.get(key) || 0) - change.delta);
+        });
+    if (!decrements.size) return [];
+
+    const products = await Product.find({
+        _id: { $in: [...decrements.keys()] },
+        lowStockThreshold: { $ne: null },
+    })
+        .select('name stock lowStockThreshold')
+        .lean();
+    const crossed = products.filter((product) => {
+        const previousStock = product.stock + decrements.get(String(product._id));
+        return previousStock > product.lowStockThreshold && product.stock <= product.lowStockThreshold;
+    });
+    if (!crossed.length) return [];
+
+    const recipients = await alertRecipients();
+    if (recipients.length) {
+        await sendEmail({
+            to: recipients.join(', '),
+            subject: crossed.length === 1
+                ? `Estoque baixo: ${crossed[0].name}`
+                : `Estoque baixo: ${crossed.length} produtos`,
+            text:
+                'Os produtos abaixo atingiram o ponto de reposição:\n\n' +
+                crossed
+                    .map((product) => `- ${product.name}: ${product.stock} em estoque (ponto de reposição: ${product.lowStockThreshold})`)
+                    .join('\n') +
+                `\n\nAcompanhe a reposição em ${buildFrontendUrl('/admin/low-stock')}`,
+        });
+    }
+    return crossed;
+};
@@ -0,0 +1,109 @@
+//src/utils/stockLedger.js
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+// Chave do estoque do próprio produto (produtos sem variações)
+const PRODUCT_LEVEL = 'product';
+
+const levelKey = (variantId) => (variantId ? String(variantId) : PRODUCT_LEVEL);
+
+/**
+ * Estoques controlados no livro: o de cada variação ou, sem variações, o do produto.
+ * Com variações, o estoque do produto é derivado (soma dos SKUs) e não tem movimentos próprios.
+ * @param {object|null} product - Produto (documento ou objeto); null = produto ainda inexistente.
+ * @returns {Map<string, { variant?: object, sku?: string, stock: number }>}
+ */
+export const stockLevels = (product) => {
+    const levels = new Map();
+    if (!product) return levels;
+    const variants = product.variants || [];
+    if (variants.length) {
+        variants.forEach((variant) => {
+            levels.set(levelKey(variant._id), { variant: variant._id, sku: variant.sku, stock: variant.stock || 0 });
+        });
+    } else {
+        levels.set(PRODUCT_LEVEL, { stock: product.stock || 0 });
+    }
+    return levels;
+};
+
+/**
+ * Registra no livro a diferença entre dois retratos do estoque de um produto (stockLevels).
+ * Se o produto ainda não tem movimentos (cadastrado antes do livro), registra antes o saldo
+ * de abertura ('initial'), para que a soma dos movimentos continue igual ao estoque.
+ * @param {object|null} req - Requisição Express (quem fez: req.user / req.apiKey); null em processos automáticos.
+ * @param {object} movement
+ * @param {object} movement.productId - ID do produto.
+ * @param {Map} movement.before - Estoques antes da alteração.
+ * @param {Map} movement.after - Estoques depois da alteração.
+ * @param {string} movement.reason - Motivo (ver STOCK_MOVEMENT_REASONS).
+ * @param {object} [movement.order] - ID do pedido de origem.
+ * @param {string} [movement.note] - Observação (ex: motivo do ajuste manual).
+ * @param {object} [movement.session] - Sessão da transação, quando houver.
+ * @returns {Promise<object[]>} Movimentos gravados (vazio se o estoque não mudou).
+ */
+export const recordStockChanges = async (req, { productId, before, after, reason, order, note, session }) => {
+    const common = { product: productId, actor: req?.user?._id, apiKey: req?.apiKey?._id };
+    const movements = [];
+    for (const key of new Set([...before.keys(), ...after.keys()])) {
+        const level = after.get(key) || before.get(key);
+        const previous = before.get(key)?.stock || 0;
+        const current = after.get(key)?.stock || 0;
+        if (previous === current) continue;
+        movements.push({
+            ...common,
+            variant: level.variant,
+            sku: level.sku,
+            reason,
+            delta: current - previous,
+            balance: current,
+            order,
+            note,
+        });
+    }
+    if (!movements.length) return [];
+
+    const hasLedger = await StockMovement.exists({ product: productId }).session(session || null);
+    const opening = hasLedger ? [] : [...before.values()]
+        .filter((level) => level.stock !== 0)
+        .map((level) => ({
+            ...common,
+            variant: level.variant,
+            sku: level.sku,
+            reason: 'initial',
+            delta: level.stock,
+            balance: level.stock,
+            note: 'Saldo de abertura do livro de estoque',
+        }));
+
+    return StockMovement.insertMany([...opening, ...movements], { session: session || null });
+};
+
+/**
+ * Registra movimentos de estoque feitos com $inc (pedidos e ajustes manuais).
+ * Lê o estoque resultante e reconstrói o anterior desfazendo os incrementos.
+ * @param {object|null} req - Requisição Express; null em processos automáticos (ex: webhooks).
+ * @param {Array<{ productId: object, variantId?: object, delta: number }>} changes - Incrementos aplicados.
+ * @param {object} options - { reason, order, note, session } (ver recordStockChanges).
+ * @returns {Promise<object[]>} Movimentos gravados.
+ */
+export const recordStockIncrements = async (req, changes, { reason, order, note, session } = {}) => {
+    const products = await Product.find({ _id: { $in: changes.map((change) => change.productId) } })
+        .select('stock variants')
+        .session(session || null);
+
+    const recorded = [];
+    for (const product of products) {
+        const after = stockLevels(product);
+        const before = new Map([...after].map(([key, level]) => [key, { ...level }]));
+        changes
+            .filter((change) => product._id.equals(change.productId))
+            .forEach((change) => {
+                // Variação removida ou item sem variação em produto com variações: nada mudou
+                const level = before.get(levelKey(change.variantId));
+                if (level) level.stock -= change.delta;
+            });
+        recorded.push(...await recordStockChanges(req, { productId: product._id, before, after, reason, order, note, session }));
+    }
+    return recorded;
+};
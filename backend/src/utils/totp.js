@@ -0,0 +1,115 @@
+//src/utils/totp.js
+import crypto from 'crypto';
+
+// Implementação de TOTP (RFC 6238) compatível com Google Authenticator, Authy, etc.
+// Parâmetros padrão dos apps: HMAC-SHA1, 6 dígitos, passo de 30 segundos.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Segredo TOTP inválido (base32).');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gera um novo segredo TOTP.
+ * @returns {string} Segredo de 160 bits em base32.
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula o código TOTP de um passo de tempo específico.
+ * @param {string} secret - Segredo em base32.
+ * @param {number} step - Contador de tempo (segundos Unix / 30).
+ * @returns {string} Código com 6 dígitos.
+ */
+export const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Valida um código TOTP tolerando pequena diferença de relógio.
+ * @param {string} secret - Segredo em base32.
+ * @param {string} code - Código informado pelo usuário.
+ * @param {number} [window=1] - Quantos passos (de 30s) aceitar antes/depois do atual.
+ * @returns {number|null} O passo que casou (para impedir replay) ou null se inválido.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateTotp(secret, currentStep + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * Monta a URI otpauth:// usada para gerar o QR code nos apps autenticadores.
+ * @param {string} secret - Segredo em base32.
+ * @param {string} accountName - Identificação da conta (ex: email).
+ * @param {string} [issuer] - Nome exibido no app.
+ * @returns {string} A URI otpauth.
+ */
+export const buildOtpauthUrl = (secret, accountName, issuer = process.env.MFA_ISSUER || 'E-commerce API') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Gera códigos de recuperação de uso único (formato xxxx-xxxx).
+ * @param {number} [count=10] - Quantidade de códigos.
+ * @returns {string[]} Os códigos em texto puro (exibidos uma única vez).
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });